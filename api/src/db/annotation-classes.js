@@ -0,0 +1,87 @@
+/**
+ * Annotation Classes DB Queries
+ * Lab-level catalog referenced by annotations.class_id
+ */
+
+import { query } from './index.js';
+
+export async function createAnnotationClass({ name, color, code = null, description = null }) {
+  const result = await query(
+    `INSERT INTO annotation_classes (name, color, code, description)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [name, color, code, description]
+  );
+  return result.rows[0];
+}
+
+export async function getAnnotationClass(classId) {
+  const result = await query('SELECT * FROM annotation_classes WHERE class_id = $1', [classId]);
+  return result.rows[0] || null;
+}
+
+export async function getAnnotationClassByName(name) {
+  const result = await query('SELECT * FROM annotation_classes WHERE LOWER(name) = LOWER($1)', [name]);
+  return result.rows[0] || null;
+}
+
+export async function getAnnotationClassByCode(code) {
+  const result = await query('SELECT * FROM annotation_classes WHERE code = $1', [code]);
+  return result.rows[0] || null;
+}
+
+/**
+ * List the catalog, archived classes only when includeArchived is set
+ */
+export async function listAnnotationClasses({ includeArchived = false } = {}) {
+  const result = await query(
+    `SELECT * FROM annotation_classes
+     ${includeArchived ? '' : 'WHERE archived_at IS NULL'}
+     ORDER BY LOWER(name) ASC`
+  );
+  return result.rows;
+}
+
+/**
+ * Update a class. updates keys are camelCase column names.
+ */
+export async function updateAnnotationClass(classId, updates) {
+  const fields = [];
+  const values = [];
+  let idx = 1;
+
+  for (const [key, value] of Object.entries(updates)) {
+    const snakeKey = key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+    fields.push(`${snakeKey} = $${idx}`);
+    values.push(value);
+    idx++;
+  }
+
+  if (fields.length === 0) return getAnnotationClass(classId);
+
+  fields.push('updated_at = NOW()');
+  values.push(classId);
+
+  const result = await query(
+    `UPDATE annotation_classes SET ${fields.join(', ')} WHERE class_id = $${idx} RETURNING *`,
+    values
+  );
+  return result.rows[0] || null;
+}
+
+export async function deleteAnnotationClass(classId) {
+  const result = await query('DELETE FROM annotation_classes WHERE class_id = $1', [classId]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Number of live annotations of a class
+ */
+export async function countAnnotationsOfClass(classId) {
+  const result = await query(
+    `SELECT COUNT(*)::INT AS count FROM annotations
+     WHERE class_id = $1 AND deleted_at IS NULL`,
+    [classId]
+  );
+  return result.rows[0].count;
+}
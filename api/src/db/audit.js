@@ -0,0 +1,93 @@
+/**
+ * Audit Log DB Queries
+ * audit_log is append-only: rows are inserted, never updated or deleted
+ */
+
+import { query } from './index.js';
+
+/**
+ * Append an entry (camelCase fields, see migration 017)
+ */
+export async function insertAuditEntry(entry) {
+  const result = await query(
+    `INSERT INTO audit_log
+       (occurred_at, user_id, username, role, source, ip, action, method, route,
+        status_code, resource_type, resource_id, slide_id, case_id, details)
+     VALUES (COALESCE($1, NOW()), $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+     RETURNING audit_id`,
+    [
+      entry.occurredAt || null,
+      entry.userId || null,
+      entry.username || null,
+      entry.role || null,
+      entry.source || null,
+      entry.ip || null,
+      entry.action,
+      entry.method,
+      entry.route,
+      entry.statusCode,
+      entry.resourceType || null,
+      entry.resourceId || null,
+      entry.slideId || null,
+      entry.caseId || null,
+      entry.details ? JSON.stringify(entry.details) : null
+    ]
+  );
+  return result.rows[0].audit_id;
+}
+
+/**
+ * List entries, newest first.
+ *
+ * @returns {Promise<{ total: number, entries: object[] }>}
+ */
+export async function listAuditEntries({
+  userId, action, resourceType, resourceId, slideId, caseId, source, from, to,
+  limit = 100, offset = 0
+} = {}) {
+  const conditions = [];
+  const values = [];
+
+  const filters = {
+    user_id: userId,
+    resource_type: resourceType,
+    resource_id: resourceId,
+    slide_id: slideId,
+    case_id: caseId,
+    source
+  };
+  for (const [column, value] of Object.entries(filters)) {
+    if (value) {
+      values.push(value);
+      conditions.push(`${column} = $${values.length}`);
+    }
+  }
+
+  // "annotation" matches every annotation.* action, "annotation.update" only itself
+  if (action) {
+    values.push(action, `${action}.%`);
+    conditions.push(`(action = $${values.length - 1} OR action LIKE $${values.length})`);
+  }
+  if (from) {
+    values.push(from);
+    conditions.push(`occurred_at >= $${values.length}`);
+  }
+  if (to) {
+    values.push(to);
+    conditions.push(`occurred_at < $${values.length}`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await query(`SELECT COUNT(*)::INT AS total FROM audit_log ${where}`, values);
+
+  values.push(limit, offset);
+  const result = await query(
+    `SELECT * FROM audit_log ${where}
+     ORDER BY occurred_at DESC, audit_id DESC
+     LIMIT $${values.length - 1} OFFSET $${values.length}`,
+    values
+  );
+
+  return { total: countResult.rows[0].total, entries: result.rows };
+}
@@ -0,0 +1,79 @@
+/**
+ * Case Package DB Queries
+ * Export and import archives of cases (see services/case-package.js)
+ */
+
+import { query } from './index.js';
+
+export async function createCasePackage({ direction, caseId = null, content = null, createdBy = null }) {
+  const result = await query(
+    `INSERT INTO case_packages (direction, case_id, content, created_by)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [direction, caseId, content, createdBy]
+  );
+  return result.rows[0];
+}
+
+export async function getCasePackage(packageId) {
+  const result = await query('SELECT * FROM case_packages WHERE package_id = $1', [packageId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Update a package; finished_at is set when it reaches done or failed
+ *
+ * @param {string} packageId
+ * @param {{ status?: string, caseId?: string, path?: string|null, bytes?: number|null, summary?: object, error?: string|null }} updates
+ */
+export async function updateCasePackage(packageId, updates) {
+  const columns = { status: 'status', caseId: 'case_id', path: 'path', bytes: 'bytes', summary: 'summary', error: 'error' };
+  const sets = [];
+  const values = [];
+
+  for (const [key, column] of Object.entries(columns)) {
+    if (updates[key] === undefined) continue;
+    values.push(key === 'summary' ? JSON.stringify(updates[key]) : updates[key]);
+    sets.push(`${column} = $${values.length}`);
+  }
+  if (updates.status === 'done' || updates.status === 'failed') sets.push('finished_at = NOW()');
+
+  values.push(packageId);
+  const result = await query(
+    `UPDATE case_packages SET ${sets.join(', ')} WHERE package_id = $${values.length} RETURNING *`,
+    values
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Exports of a case, newest first
+ */
+export async function listCaseExports(caseId) {
+  const result = await query(
+    `SELECT * FROM case_packages
+     WHERE case_id = $1 AND direction = 'export'
+     ORDER BY created_at DESC`,
+    [caseId]
+  );
+  return result.rows;
+}
+
+export async function deleteCasePackage(packageId) {
+  await query('DELETE FROM case_packages WHERE package_id = $1', [packageId]);
+}
+
+/**
+ * Mark packages left queued or running by a previous API process as failed
+ *
+ * @returns {Promise<object[]>} the packages marked
+ */
+export async function failInterruptedPackages() {
+  const result = await query(
+    `UPDATE case_packages
+     SET status = 'failed', error = 'Interrupted by an API restart', finished_at = NOW()
+     WHERE status IN ('queued', 'running')
+     RETURNING *`
+  );
+  return result.rows;
+}
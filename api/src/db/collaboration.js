@@ -1,9 +1,12 @@
 /**
  * Collaboration DB Queries
- * Cases, Annotations, Threads, Messages, Outbox
+ * Cases, Annotations, Threads, Messages, Outbox, Sync Cursors
  */
 
-import { query } from './index.js';
+import { query, transaction } from './index.js';
+import { geometryBounds } from '../lib/annotation-spatial.js';
+import { likePattern, keysetCondition, orderBy } from '../lib/list-query.js';
+import { parseMentions } from '../lib/mentions.js';
 
 // ============================================================================
 // Outbox Events
@@ -23,12 +26,12 @@ export async function recordOutboxEvent({ entityType, entityId, op, payload }) {
 }
 
 /**
- * Get pending outbox events (not yet synced)
+ * Get pending outbox events (not yet synced, not dead-lettered)
  */
 export async function getPendingOutboxEvents(limit = 100) {
   const result = await query(
     `SELECT * FROM outbox_events
-     WHERE synced_at IS NULL
+     WHERE synced_at IS NULL AND dead_lettered_at IS NULL
      ORDER BY created_at ASC
      LIMIT $1`,
     [limit]
@@ -53,18 +56,29 @@ export async function markOutboxEventsSynced(eventIds) {
 // Cases
 // ============================================================================
 
+// Case columns plus the name of the assigned pathologist
+const CASE_SELECT = `SELECT c.*, u.username AS assignee_username, u.display_name AS assignee_display_name
+     FROM cases c
+     LEFT JOIN users u ON u.user_id = c.assigned_to`;
+
 /**
- * Create a new case
+ * Create a new case, received now (first entry of its transition log)
  */
-export async function createCase({ title, externalRef = null }) {
+export async function createCase({ title, externalRef = null, assignedTo = null, priority = 'routine', dueAt = null, changedBy = null }) {
   const result = await query(
-    `INSERT INTO cases (title, external_ref)
-     VALUES ($1, $2)
+    `INSERT INTO cases (title, external_ref, assigned_to, priority, due_at)
+     VALUES ($1, $2, $3, $4, $5)
      RETURNING *`,
-    [title, externalRef]
+    [title, externalRef, assignedTo, priority, dueAt]
   );
   const caseRow = result.rows[0];
 
+  await query(
+    `INSERT INTO case_transitions (case_id, from_status, to_status, changed_by, changed_at)
+     VALUES ($1, NULL, $2, $3, $4)`,
+    [caseRow.case_id, caseRow.status, changedBy, caseRow.status_changed_at]
+  );
+
   // Record outbox event
   await recordOutboxEvent({
     entityType: 'case',
@@ -107,13 +121,16 @@ export async function findCaseByExternalRef(externalRef) {
  */
 export async function getCase(caseId) {
   const caseResult = await query(
-    'SELECT * FROM cases WHERE case_id = $1',
+    `${CASE_SELECT}
+     WHERE c.case_id = $1`,
     [caseId]
   );
   if (caseResult.rows.length === 0) return null;
 
   const slidesResult = await query(
-    `SELECT s.id, s.original_filename, s.status, s.width, s.height, s.format, cs.linked_at
+    `SELECT s.id, s.original_filename, s.status, s.width, s.height, s.format,
+            s.external_case_base, s.external_slide_label,
+            cs.linked_at, cs.specimen, cs.block, cs.hierarchy_source
      FROM case_slides cs
      JOIN slides s ON s.id = cs.slide_id
      WHERE cs.case_id = $1
@@ -127,16 +144,427 @@ export async function getCase(caseId) {
   };
 }
 
+// Sortable fields of GET /v1/cases (see lib/list-query.js)
+export const CASE_SORTS = {
+  createdAt: { column: 'c.created_at', type: 'timestamptz' },
+  updatedAt: { column: 'c.updated_at', type: 'timestamptz' },
+  title: { column: 'c.title', type: 'text' }
+};
+
+// Text searched by GET /v1/cases?q=, indexed by idx_cases_search
+const CASE_SEARCH = `lower(c.title || ' ' || coalesce(c.external_ref, ''))`;
+
 /**
- * List all cases
+ * One page of cases matching a search and filters.
+ *
+ * @param {object} options
+ * @param {string[]} [options.terms] - lib/list-query.js searchTerms(); every
+ *   term must appear in the title or external ref
+ * @param {string} [options.status]
+ * @param {string} [options.priority]
+ * @param {string|null} [options.assignee] - user id, null for unassigned
+ * @param {string} [options.from] - created at or after
+ * @param {string} [options.to] - created before
+ * @param {boolean} [options.linked] - has slides (true) or none (false)
+ * @param {object} options.sort - parseSort() of CASE_SORTS
+ * @param {{ key: string, id: string }|null} [options.after] - decoded cursor
+ * @param {number} options.limit
+ * @returns {Promise<{ total: number, cases: object[], hasMore: boolean }>}
+ *   total counts every match (all pages); cases carry sort_key for the next
+ *   cursor
  */
-export async function listCases() {
+export async function listCases({ terms = [], status, priority, assignee, from, to, linked, sort, after = null, limit }) {
+  const conditions = [];
+  const values = [];
+
+  for (const term of terms) {
+    values.push(likePattern(term));
+    conditions.push(`${CASE_SEARCH} LIKE $${values.length}`);
+  }
+  if (status) { values.push(status); conditions.push(`c.status = $${values.length}`); }
+  if (priority) { values.push(priority); conditions.push(`c.priority = $${values.length}`); }
+  if (assignee === null) {
+    conditions.push('c.assigned_to IS NULL');
+  } else if (assignee !== undefined) {
+    values.push(assignee);
+    conditions.push(`c.assigned_to = $${values.length}`);
+  }
+  if (from) { values.push(from); conditions.push(`c.created_at >= $${values.length}`); }
+  if (to) { values.push(to); conditions.push(`c.created_at < $${values.length}`); }
+  if (linked !== undefined) {
+    const exists = 'EXISTS (SELECT 1 FROM case_slides l WHERE l.case_id = c.case_id)';
+    conditions.push(linked ? exists : `NOT ${exists}`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const countResult = await query(`SELECT COUNT(*) AS count FROM cases c ${where}`, values);
+
+  const pageConditions = [...conditions];
+  const pageValues = [...values];
+  if (after) {
+    pageValues.push(after.key, after.id);
+    pageConditions.push(keysetCondition(sort, 'c.case_id', pageValues.length - 1, pageValues.length));
+  }
+  pageValues.push(limit + 1);
+
   const result = await query(
-    `SELECT c.*, COUNT(cs.slide_id) as slide_count
+    `SELECT c.*, u.username AS assignee_username, u.display_name AS assignee_display_name,
+            (SELECT COUNT(*) FROM case_slides cs WHERE cs.case_id = c.case_id) AS slide_count,
+            (${sort.column})::text AS sort_key
      FROM cases c
+     LEFT JOIN users u ON u.user_id = c.assigned_to
+     ${pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : ''}
+     ${orderBy(sort, 'c.case_id')}
+     LIMIT $${pageValues.length}`,
+    pageValues
+  );
+
+  return {
+    total: parseInt(countResult.rows[0].count, 10),
+    cases: result.rows.slice(0, limit),
+    hasMore: result.rows.length > limit
+  };
+}
+
+/**
+ * Update case fields (camelCase keys: title, assignedTo, priority, dueAt).
+ * Status changes go through transitionCase.
+ */
+export async function updateCase(caseId, updates) {
+  const fields = [];
+  const values = [];
+  let idx = 1;
+
+  for (const [key, value] of Object.entries(updates)) {
+    const snakeKey = key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+    fields.push(`${snakeKey} = $${idx}`);
+    values.push(value);
+    idx++;
+  }
+  if (fields.length === 0) return getCase(caseId);
+
+  fields.push('updated_at = NOW()');
+  values.push(caseId);
+
+  const result = await query(
+    `UPDATE cases SET ${fields.join(', ')} WHERE case_id = $${idx} RETURNING *`,
+    values
+  );
+  const caseRow = result.rows[0];
+  if (!caseRow) return null;
+
+  // Record outbox event
+  await recordOutboxEvent({
+    entityType: 'case',
+    entityId: caseId,
+    op: 'update',
+    payload: caseRow
+  });
+
+  return getCase(caseId);
+}
+
+/**
+ * Log a status change of a case row just updated (RETURNING *)
+ */
+async function logCaseTransition(caseRow, from, { changedBy = null, note = null } = {}) {
+  const logged = await query(
+    `INSERT INTO case_transitions (case_id, from_status, to_status, changed_by, note, changed_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [caseRow.case_id, from, caseRow.status, changedBy, note, caseRow.status_changed_at]
+  );
+  return logged.rows[0];
+}
+
+/**
+ * Error of a guarded status change that updated no row
+ */
+async function caseStatusError(caseId) {
+  const existing = await query('SELECT status FROM cases WHERE case_id = $1', [caseId]);
+  if (existing.rows.length === 0) return { caseRow: null, error: 'not_found' };
+  return { caseRow: null, error: 'status_conflict', currentStatus: existing.rows[0].status };
+}
+
+/**
+ * Move a case from status `from` to `to`, logging the transition. Callers
+ * check the transition is allowed (lib/case-workflow.js); `from` guards
+ * against a concurrent change. Signing out and reopening go through
+ * signOutCase and reopenCase.
+ *
+ * @returns {Promise<{ caseRow: object|null, transition?: object, error: null|'not_found'|'status_conflict', currentStatus?: string }>}
+ */
+export async function transitionCase(caseId, from, to, { changedBy = null, note = null } = {}) {
+  const result = await query(
+    `UPDATE cases
+     SET status = $3, status_changed_at = NOW(), updated_at = NOW()
+     WHERE case_id = $1
+       AND status = $2
+     RETURNING *`,
+    [caseId, from, to]
+  );
+  if (result.rows.length === 0) return caseStatusError(caseId);
+
+  const caseRow = result.rows[0];
+  const transition = await logCaseTransition(caseRow, from, { changedBy, note });
+
+  // Record outbox event (the row, plus the transition for the cloud's log)
+  await recordOutboxEvent({
+    entityType: 'case',
+    entityId: caseId,
+    op: 'update',
+    payload: { ...caseRow, transition }
+  });
+
+  return { caseRow: await getCase(caseId), transition, error: null };
+}
+
+/**
+ * Lock the row of a case until the end of the current transaction
+ * (db/index.js transaction), so its status cannot change meanwhile
+ *
+ * @returns {Promise<object|null>} the case row
+ */
+export async function lockCase(caseId) {
+  const result = await query('SELECT * FROM cases WHERE case_id = $1 FOR UPDATE', [caseId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Annotations (not deleted) on the slides of a case, for its sign-out hash
+ */
+export async function getCaseAnnotations(caseId) {
+  const result = await query(
+    `SELECT a.* FROM annotations a
+     JOIN case_slides cs ON cs.slide_id = a.slide_id
+     WHERE cs.case_id = $1
+       AND a.deleted_at IS NULL
+     ORDER BY a.annotation_id`,
+    [caseId]
+  );
+  return result.rows;
+}
+
+/**
+ * Sign out a case under review: records the signer and the annotations hash
+ * on the case and in case_signouts (next amendment number)
+ *
+ * @param {{ signedBy: string|null, annotationsHash: string, annotationCount: number, slideIds: string[], note?: string|null }} signature
+ * @returns {Promise<{ caseRow: object|null, signout?: object, error: null|'not_found'|'status_conflict', currentStatus?: string }>}
+ */
+export async function signOutCase(caseId, { signedBy = null, annotationsHash, annotationCount, slideIds, note = null }) {
+  const result = await query(
+    `UPDATE cases
+     SET status = 'signed_out', status_changed_at = NOW(), updated_at = NOW(),
+         signed_out_by = $2, signed_out_at = NOW(), annotations_hash = $3
+     WHERE case_id = $1
+       AND status = 'in_review'
+     RETURNING *`,
+    [caseId, signedBy, annotationsHash]
+  );
+  if (result.rows.length === 0) return caseStatusError(caseId);
+
+  const caseRow = result.rows[0];
+  const transition = await logCaseTransition(caseRow, 'in_review', { changedBy: signedBy, note });
+
+  const recorded = await query(
+    `INSERT INTO case_signouts
+       (case_id, amendment, signed_by, signed_at, annotations_hash, annotation_count, slide_ids, note)
+     SELECT $1, COALESCE(MAX(amendment) + 1, 0), $2, $3, $4, $5, $6, $7
+     FROM case_signouts WHERE case_id = $1
+     RETURNING *`,
+    [caseId, signedBy, caseRow.signed_out_at, annotationsHash, annotationCount, slideIds, note]
+  );
+  const signout = recorded.rows[0];
+
+  // Record outbox event
+  await recordOutboxEvent({
+    entityType: 'case',
+    entityId: caseId,
+    op: 'update',
+    payload: { ...caseRow, transition, signout }
+  });
+
+  return { caseRow: await getCase(caseId), signout, error: null };
+}
+
+/**
+ * Reopen a signed-out case for amendment (back to in_review), unlocking its
+ * slides. The reason is kept on the sign-out being reopened and in the
+ * transition log.
+ *
+ * @returns {Promise<{ caseRow: object|null, signout?: object|null, error: null|'not_found'|'status_conflict', currentStatus?: string }>}
+ */
+export async function reopenCase(caseId, { reopenedBy = null, reason }) {
+  const result = await query(
+    `UPDATE cases
+     SET status = 'in_review', status_changed_at = NOW(), updated_at = NOW(),
+         signed_out_by = NULL, signed_out_at = NULL, annotations_hash = NULL
+     WHERE case_id = $1
+       AND status = 'signed_out'
+     RETURNING *`,
+    [caseId]
+  );
+  if (result.rows.length === 0) return caseStatusError(caseId);
+
+  const caseRow = result.rows[0];
+  const transition = await logCaseTransition(caseRow, 'signed_out', { changedBy: reopenedBy, note: reason });
+
+  // Cases signed out before sign-outs were recorded have no row to close
+  const reopened = await query(
+    `UPDATE case_signouts
+     SET reopened_by = $2, reopened_at = $3, reopen_reason = $4
+     WHERE signout_id = (
+       SELECT signout_id FROM case_signouts
+       WHERE case_id = $1 AND reopened_at IS NULL
+       ORDER BY amendment DESC
+       LIMIT 1
+     )
+     RETURNING *`,
+    [caseId, reopenedBy, caseRow.status_changed_at, reason]
+  );
+  const signout = reopened.rows[0] || null;
+
+  // Record outbox event
+  await recordOutboxEvent({
+    entityType: 'case',
+    entityId: caseId,
+    op: 'update',
+    payload: { ...caseRow, transition, signout }
+  });
+
+  return { caseRow: await getCase(caseId), signout, error: null };
+}
+
+/**
+ * Sign-outs of a case, oldest first
+ */
+export async function getCaseSignouts(caseId) {
+  const result = await query(
+    `SELECT * FROM case_signouts
+     WHERE case_id = $1
+     ORDER BY amendment ASC`,
+    [caseId]
+  );
+  return result.rows;
+}
+
+/**
+ * Signed-out case a slide belongs to (its annotations and threads are
+ * locked), or null
+ */
+export async function getSlideLock(slideId) {
+  const result = await query(
+    `SELECT c.case_id, c.signed_out_by, c.signed_out_at
+     FROM case_slides cs
+     JOIN cases c ON c.case_id = cs.case_id
+     WHERE cs.slide_id = $1
+       AND c.status = 'signed_out'
+     ORDER BY c.signed_out_at DESC NULLS LAST
+     LIMIT 1`,
+    [slideId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Run a write to a slide unless a signed-out case locks it, in one
+ * transaction holding a share lock on the slide's cases: a sign-out (which
+ * locks its case row, see lockCase) waits for the write to commit, and a
+ * write waiting on a sign-out sees the case signed out once it commits.
+ *
+ * @param {string} slideId
+ * @param {() => Promise<*>} write
+ * @returns {Promise<{ lock: object|null, result?: * }>} lock: the
+ *   getSlideLock() row when the write was refused
+ */
+export async function writeUnlessSlideLocked(slideId, write) {
+  return transaction(async () => {
+    const cases = await query(
+      `SELECT c.case_id, c.status, c.signed_out_by, c.signed_out_at
+       FROM case_slides cs
+       JOIN cases c ON c.case_id = cs.case_id
+       WHERE cs.slide_id = $1
+       ORDER BY c.signed_out_at DESC NULLS LAST
+       FOR SHARE OF c`,
+      [slideId]
+    );
+    const lock = cases.rows.find(c => c.status === 'signed_out');
+    if (lock) {
+      const { status, ...row } = lock;
+      return { lock: row };
+    }
+    return { lock: null, result: await write() };
+  });
+}
+
+/**
+ * Transition log of a case, oldest first
+ */
+export async function getCaseTransitions(caseId) {
+  const result = await query(
+    `SELECT * FROM case_transitions
+     WHERE case_id = $1
+     ORDER BY changed_at ASC, transition_id ASC`,
+    [caseId]
+  );
+  return result.rows;
+}
+
+/**
+ * Cases in some statuses, most urgent first (priority, then due date, then
+ * oldest). assignee: a user id, null for unassigned cases, undefined for all.
+ */
+export async function getWorklist({ statuses, assignee }) {
+  const params = [statuses];
+  let assigneeFilter = '';
+  if (assignee === null) {
+    assigneeFilter = 'AND c.assigned_to IS NULL';
+  } else if (assignee !== undefined) {
+    params.push(assignee);
+    assigneeFilter = 'AND c.assigned_to = $2';
+  }
+
+  const result = await query(
+    `SELECT c.*, u.username AS assignee_username, u.display_name AS assignee_display_name,
+            COUNT(cs.slide_id) as slide_count
+     FROM cases c
+     LEFT JOIN users u ON u.user_id = c.assigned_to
      LEFT JOIN case_slides cs ON cs.case_id = c.case_id
-     GROUP BY c.case_id
-     ORDER BY c.created_at DESC`
+     WHERE c.status = ANY($1) ${assigneeFilter}
+     GROUP BY c.case_id, u.user_id
+     ORDER BY CASE c.priority WHEN 'stat' THEN 0 WHEN 'urgent' THEN 1 ELSE 2 END,
+              c.due_at ASC NULLS LAST,
+              c.created_at ASC`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * Transition logs of the cases first signed out in [since, until), for
+ * turnaround statistics (optionally only cases assigned to a user)
+ */
+export async function getSignedOutTransitions({ since, until, assignee = null }) {
+  const params = [since, until];
+  let assigneeFilter = '';
+  if (assignee) {
+    params.push(assignee);
+    assigneeFilter = 'AND c.assigned_to = $3';
+  }
+
+  const result = await query(
+    `SELECT t.* FROM case_transitions t
+     WHERE t.case_id IN (
+       SELECT s.case_id
+       FROM case_transitions s
+       JOIN cases c ON c.case_id = s.case_id
+       WHERE s.to_status = 'signed_out' ${assigneeFilter}
+       GROUP BY s.case_id
+       HAVING MIN(s.changed_at) >= $1 AND MIN(s.changed_at) < $2
+     )
+     ORDER BY t.case_id, t.changed_at, t.transition_id`,
+    params
   );
   return result.rows;
 }
@@ -172,6 +600,38 @@ export async function linkSlideToCase(caseId, slideId) {
   return result.rows[0] || null;
 }
 
+/**
+ * Set the specimen and block of a slide in a case by hand (null values
+ * included), or go back to deriving them from the slide label (manual =
+ * false). Returns the case_slides row, or null when the slide is not linked.
+ */
+export async function setCaseSlideHierarchy(caseId, slideId, { specimen = null, block = null, manual = true }) {
+  const result = await query(
+    `UPDATE case_slides
+     SET specimen = $3, block = $4, hierarchy_source = $5
+     WHERE case_id = $1 AND slide_id = $2
+     RETURNING *`,
+    [caseId, slideId, manual ? specimen : null, manual ? block : null, manual ? 'manual' : null]
+  );
+  const link = result.rows[0];
+  if (!link) return null;
+
+  await query(
+    'UPDATE cases SET updated_at = NOW() WHERE case_id = $1',
+    [caseId]
+  );
+
+  // Record outbox event
+  await recordOutboxEvent({
+    entityType: 'case_slide',
+    entityId: `${caseId}:${slideId}`,
+    op: 'update',
+    payload: { caseId, slideId, specimen: link.specimen, block: link.block, hierarchySource: link.hierarchy_source }
+  });
+
+  return link;
+}
+
 /**
  * Unlink a slide from a case
  */
@@ -206,10 +666,62 @@ export async function unlinkSlideFromCase(caseId, slideId) {
 // Annotations
 // ============================================================================
 
+/**
+ * [minX, minY, maxX, maxY] of a geometry for box(point($1, $2), point($3, $4)),
+ * all null when it has no coordinates (the box is then NULL)
+ */
+function bboxParams(geometry) {
+  const b = geometryBounds(geometry);
+  return b ? [b.minX, b.minY, b.maxX, b.maxY] : [null, null, null, null];
+}
+
+/**
+ * SQL box built from the four bboxParams() starting at placeholder $index
+ */
+function bboxSql(index) {
+  return `box(point($${index}::float8, $${index + 1}::float8), point($${index + 2}::float8, $${index + 3}::float8))`;
+}
+
+/**
+ * Outbox payload of an annotation row: the row without the local-only bbox
+ */
+function annotationPayload(annotation) {
+  const { bbox, ...payload } = annotation;
+  return payload;
+}
+
+/**
+ * Record the state of an annotation row after a change in
+ * annotation_revisions
+ *
+ * @param {object} annotation - annotations row (RETURNING *)
+ * @param {'create'|'update'|'delete'|'restore'|'revert'} op
+ */
+async function recordAnnotationRevision(annotation, op, { changedBy = null, source = 'local', details = null } = {}) {
+  await query(
+    `INSERT INTO annotation_revisions
+       (annotation_id, version, op, source, type, geometry, style, class_id, label, properties, deleted, changed_by, details)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+     ON CONFLICT (annotation_id, version) DO NOTHING`,
+    [
+      annotation.annotation_id, annotation.version, op, source,
+      annotation.type, JSON.stringify(annotation.geometry),
+      annotation.style ? JSON.stringify(annotation.style) : null,
+      annotation.class_id, annotation.label,
+      annotation.properties ? JSON.stringify(annotation.properties) : null,
+      annotation.deleted_at !== null, changedBy,
+      details ? JSON.stringify(details) : null
+    ]
+  );
+}
+
 /**
  * Create a new annotation (with idempotency support)
+ *
+ * annotationId/version are only set when applying a change pulled from the
+ * cloud; those pass recordOutbox=false so they are not pushed back.
  */
-export async function createAnnotation({ slideId, type, geometry, style, authorId, idempotencyKey = null }) {
+export async function createAnnotation({ slideId, type, geometry, style, classId = null, label = null, properties = null, authorId, idempotencyKey = null, annotationId = null, version = 1, recordOutbox = true }) {
   // Check idempotency
   if (idempotencyKey) {
     const existing = await query(
@@ -223,43 +735,164 @@ export async function createAnnotation({ slideId, type, geometry, style, authorI
   }
 
   const result = await query(
-    `INSERT INTO annotations (slide_id, type, geometry, style, author_id, idempotency_key)
-     VALUES ($1, $2, $3, $4, $5, $6)
+    `INSERT INTO annotations (annotation_id, slide_id, type, geometry, style, class_id, label, properties, author_id, idempotency_key, version, bbox)
+     VALUES (COALESCE($1, gen_random_uuid()::TEXT), $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, ${bboxSql(12)})
      RETURNING *`,
-    [slideId, type, JSON.stringify(geometry), style ? JSON.stringify(style) : null, authorId, idempotencyKey]
+    [
+      annotationId, slideId, type, JSON.stringify(geometry), style ? JSON.stringify(style) : null,
+      classId, label, properties ? JSON.stringify(properties) : null,
+      authorId, idempotencyKey, version,
+      ...bboxParams(geometry)
+    ]
   );
   const annotation = result.rows[0];
+  await recordAnnotationRevision(annotation, 'create', {
+    changedBy: authorId,
+    source: recordOutbox ? 'local' : 'sync'
+  });
 
   // Record outbox event
-  await recordOutboxEvent({
-    entityType: 'annotation',
-    entityId: annotation.annotation_id,
-    op: 'create',
-    payload: annotation
-  });
+  if (recordOutbox) {
+    await recordOutboxEvent({
+      entityType: 'annotation',
+      entityId: annotation.annotation_id,
+      op: 'create',
+      payload: annotationPayload(annotation)
+    });
+  }
 
   return { annotation, created: true };
 }
 
 /**
- * Get annotations for a slide (with optional since filter)
+ * Find an annotation by idempotency key (including soft-deleted ones)
  */
-export async function getAnnotations(slideId, since = null) {
-  let sql = `SELECT * FROM annotations
-             WHERE slide_id = $1 AND deleted_at IS NULL`;
+export async function findAnnotationByIdempotencyKey(idempotencyKey) {
+  const result = await query(
+    'SELECT * FROM annotations WHERE idempotency_key = $1 LIMIT 1',
+    [idempotencyKey]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * WHERE clause (and params) selecting live annotations of a slide
+ *
+ * @param {object} filters
+ * @param {string|null} [filters.since] - Only changed after this time
+ * @param {string|null} [filters.classId]
+ * @param {{ minX, minY, maxX, maxY }|null} [filters.bbox] - Overlapping this viewport
+ * @param {string|null} [filters.type] - Only this type
+ * @param {string|null} [filters.excludeType] - All types but this one
+ */
+function annotationFilter(slideId, { since = null, classId = null, bbox = null, type = null, excludeType = null } = {}) {
+  const conditions = ['slide_id = $1', 'deleted_at IS NULL'];
   const params = [slideId];
 
   if (since) {
-    sql += ` AND updated_at > $2`;
     params.push(since);
+    conditions.push(`updated_at > $${params.length}`);
+  }
+  if (classId) {
+    params.push(classId);
+    conditions.push(`class_id = $${params.length}`);
+  }
+  if (bbox) {
+    conditions.push(`bbox && ${bboxSql(params.length + 1)}`);
+    params.push(bbox.minX, bbox.minY, bbox.maxX, bbox.maxY);
+  }
+  if (type) {
+    params.push(type);
+    conditions.push(`type = $${params.length}`);
+  }
+  if (excludeType) {
+    params.push(excludeType);
+    conditions.push(`type <> $${params.length}`);
   }
 
-  sql += ` ORDER BY created_at ASC`;
+  return { where: conditions.join(' AND '), params };
+}
 
-  const result = await query(sql, params);
+/**
+ * Get annotations for a slide (with optional since, class, viewport and
+ * type filters, see annotationFilter)
+ */
+export async function getAnnotations(slideId, since = null, filters = {}) {
+  const { where, params } = annotationFilter(slideId, { ...filters, since });
+  const result = await query(
+    `SELECT * FROM annotations WHERE ${where} ORDER BY created_at ASC`,
+    params
+  );
   return result.rows;
 }
 
+/**
+ * Count annotations for a slide, same filters as getAnnotations
+ */
+export async function countAnnotations(slideId, since = null, filters = {}) {
+  const { where, params } = annotationFilter(slideId, { ...filters, since });
+  const result = await query(`SELECT COUNT(*)::INT AS count FROM annotations WHERE ${where}`, params);
+  return result.rows[0].count;
+}
+
+/**
+ * Point annotations of a slide grouped per class on a grid of cellSize
+ * full-resolution pixels. annotation_id is set on single-point clusters.
+ */
+export async function getPointClusters(slideId, since = null, { cellSize, ...filters }) {
+  const { where, params } = annotationFilter(slideId, { ...filters, since, type: 'point' });
+  params.push(cellSize);
+  const cell = `$${params.length}::float8`;
+
+  const result = await query(
+    `SELECT class_id,
+            COUNT(*)::INT AS count,
+            AVG((center(bbox))[0]) AS x,
+            AVG((center(bbox))[1]) AS y,
+            MIN((center(bbox))[0]) AS min_x,
+            MIN((center(bbox))[1]) AS min_y,
+            MAX((center(bbox))[0]) AS max_x,
+            MAX((center(bbox))[1]) AS max_y,
+            CASE WHEN COUNT(*) = 1 THEN MIN(annotation_id) END AS annotation_id
+     FROM annotations
+     WHERE ${where} AND bbox IS NOT NULL
+     GROUP BY class_id, FLOOR((center(bbox))[0] / ${cell}), FLOOR((center(bbox))[1] / ${cell})
+     ORDER BY count DESC`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * Fill bbox of annotations written before it existed (migration 020).
+ * Geometries without coordinates stay NULL.
+ *
+ * @returns {Promise<number>} Annotations updated
+ */
+export async function backfillAnnotationBboxes(batchSize = 500) {
+  let updated = 0;
+  let after = '';
+
+  for (;;) {
+    const result = await query(
+      `SELECT annotation_id, geometry FROM annotations
+       WHERE bbox IS NULL AND annotation_id > $1
+       ORDER BY annotation_id ASC
+       LIMIT $2`,
+      [after, batchSize]
+    );
+    if (result.rows.length === 0) return updated;
+
+    for (const row of result.rows) {
+      const params = bboxParams(row.geometry);
+      if (params[0] === null) continue;
+      await query(`UPDATE annotations SET bbox = ${bboxSql(2)} WHERE annotation_id = $1`, [row.annotation_id, ...params]);
+      updated++;
+    }
+    after = result.rows[result.rows.length - 1].annotation_id;
+  }
+}
+
 /**
  * Get a single annotation by ID
  */
@@ -273,9 +906,12 @@ export async function getAnnotation(annotationId) {
 
 /**
  * Update an annotation with optimistic locking
+ *
+ * op is the revision recorded for the change: 'revert' when updates come
+ * from an earlier revision (see revertAnnotation).
  */
-export async function updateAnnotation(annotationId, expectedVersion, updates) {
-  const { type, geometry, style } = updates;
+export async function updateAnnotation(annotationId, expectedVersion, updates, { changedBy = null, op = 'update', details = null } = {}) {
+  const { type, geometry, style, classId, label, properties } = updates;
 
   const setClauses = ['version = version + 1', 'updated_at = NOW()'];
   const params = [];
@@ -288,11 +924,26 @@ export async function updateAnnotation(annotationId, expectedVersion, updates) {
   if (geometry !== undefined) {
     setClauses.push(`geometry = $${paramIndex++}`);
     params.push(JSON.stringify(geometry));
+    setClauses.push(`bbox = ${bboxSql(paramIndex)}`);
+    params.push(...bboxParams(geometry));
+    paramIndex += 4;
   }
   if (style !== undefined) {
     setClauses.push(`style = $${paramIndex++}`);
     params.push(style ? JSON.stringify(style) : null);
   }
+  if (classId !== undefined) {
+    setClauses.push(`class_id = $${paramIndex++}`);
+    params.push(classId);
+  }
+  if (label !== undefined) {
+    setClauses.push(`label = $${paramIndex++}`);
+    params.push(label);
+  }
+  if (properties !== undefined) {
+    setClauses.push(`properties = $${paramIndex++}`);
+    params.push(properties ? JSON.stringify(properties) : null);
+  }
 
   params.push(annotationId, expectedVersion);
 
@@ -319,13 +970,14 @@ export async function updateAnnotation(annotationId, expectedVersion, updates) {
   }
 
   const annotation = result.rows[0];
+  await recordAnnotationRevision(annotation, op, { changedBy, details });
 
   // Record outbox event
   await recordOutboxEvent({
     entityType: 'annotation',
     entityId: annotation.annotation_id,
     op: 'update',
-    payload: annotation
+    payload: annotationPayload(annotation)
   });
 
   return { annotation, error: null };
@@ -334,7 +986,7 @@ export async function updateAnnotation(annotationId, expectedVersion, updates) {
 /**
  * Soft delete an annotation with optimistic locking
  */
-export async function deleteAnnotation(annotationId, expectedVersion) {
+export async function deleteAnnotation(annotationId, expectedVersion, { changedBy = null } = {}) {
   const result = await query(
     `UPDATE annotations
      SET deleted_at = NOW(), version = version + 1, updated_at = NOW()
@@ -357,6 +1009,7 @@ export async function deleteAnnotation(annotationId, expectedVersion) {
   }
 
   const annotation = result.rows[0];
+  await recordAnnotationRevision(annotation, 'delete', { changedBy });
 
   // Record outbox event
   await recordOutboxEvent({
@@ -369,6 +1022,133 @@ export async function deleteAnnotation(annotationId, expectedVersion) {
   return { success: true, annotation };
 }
 
+/**
+ * Undo the soft delete of an annotation, with optimistic locking
+ */
+export async function restoreAnnotation(annotationId, expectedVersion, { changedBy = null } = {}) {
+  const result = await query(
+    `UPDATE annotations
+     SET deleted_at = NULL, version = version + 1, updated_at = NOW()
+     WHERE annotation_id = $1
+       AND version = $2
+       AND deleted_at IS NOT NULL
+     RETURNING *`,
+    [annotationId, expectedVersion]
+  );
+
+  if (result.rows.length === 0) {
+    const existing = await getAnnotation(annotationId);
+    if (!existing) {
+      return { annotation: null, error: 'not_found' };
+    }
+    if (!existing.deleted_at) {
+      return { annotation: null, error: 'not_deleted' };
+    }
+    return { annotation: null, error: 'version_conflict', currentVersion: existing.version };
+  }
+
+  const annotation = result.rows[0];
+  await recordAnnotationRevision(annotation, 'restore', { changedBy });
+
+  // Record outbox event (full row: the cloud recreates what it deleted)
+  await recordOutboxEvent({
+    entityType: 'annotation',
+    entityId: annotation.annotation_id,
+    op: 'restore',
+    payload: annotationPayload(annotation)
+  });
+
+  return { annotation, error: null };
+}
+
+/**
+ * Revisions of an annotation, oldest first
+ */
+export async function getAnnotationRevisions(annotationId) {
+  const result = await query(
+    `SELECT * FROM annotation_revisions
+     WHERE annotation_id = $1
+     ORDER BY version ASC`,
+    [annotationId]
+  );
+  return result.rows;
+}
+
+export async function getAnnotationRevision(annotationId, version) {
+  const result = await query(
+    'SELECT * FROM annotation_revisions WHERE annotation_id = $1 AND version = $2',
+    [annotationId, version]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Bring an annotation back to the content of an earlier revision, as a new
+ * version (optimistic locking on the current one). Deleted annotations must
+ * be restored first.
+ */
+export async function revertAnnotation(annotationId, expectedVersion, targetVersion, { changedBy = null } = {}) {
+  const revision = await getAnnotationRevision(annotationId, targetVersion);
+  if (!revision) {
+    const existing = await getAnnotation(annotationId);
+    return { annotation: null, error: existing ? 'revision_not_found' : 'not_found' };
+  }
+
+  return updateAnnotation(annotationId, expectedVersion, {
+    type: revision.type,
+    geometry: revision.geometry,
+    style: revision.style,
+    classId: revision.class_id,
+    label: revision.label,
+    properties: revision.properties
+  }, { changedBy, op: 'revert', details: { revertedTo: targetVersion } });
+}
+
+/**
+ * Apply an annotation version pulled from the cloud.
+ *
+ * Only overwrites the local row if the remote version is higher, so a
+ * concurrent local edit is never clobbered. No outbox event is recorded.
+ * style/classId/label/properties left undefined (deletes, changes from a
+ * cloud that does not know them) keep their local value. restored marks a
+ * remote undelete, for the revision history.
+ */
+export async function applyRemoteAnnotationVersion(annotationId, { type, geometry, style, classId, label, properties, version, deleted, restored = false }) {
+  const result = await query(
+    `UPDATE annotations
+     SET type = COALESCE($1, type),
+         geometry = COALESCE($2, geometry),
+         style = CASE WHEN $17 THEN $3::JSONB ELSE style END,
+         version = $4,
+         deleted_at = CASE WHEN $5 THEN COALESCE(deleted_at, NOW()) ELSE NULL END,
+         class_id = CASE WHEN $7 THEN $8 ELSE class_id END,
+         label = CASE WHEN $9 THEN $10 ELSE label END,
+         properties = CASE WHEN $11 THEN $12::JSONB ELSE properties END,
+         bbox = CASE WHEN $2::JSONB IS NULL THEN bbox ELSE ${bboxSql(13)} END,
+         updated_at = NOW()
+     WHERE annotation_id = $6
+       AND version < $4
+     RETURNING *`,
+    [
+      type, geometry ? JSON.stringify(geometry) : null, style ? JSON.stringify(style) : null, version, deleted, annotationId,
+      classId !== undefined, classId ?? null,
+      label !== undefined, label ?? null,
+      properties !== undefined, properties ? JSON.stringify(properties) : null,
+      ...bboxParams(geometry),
+      style !== undefined
+    ]
+  );
+
+  const annotation = result.rows[0] || null;
+  if (annotation) {
+    let op = 'update';
+    if (deleted) op = 'delete';
+    else if (restored) op = 'restore';
+    await recordAnnotationRevision(annotation, op, { source: 'sync' });
+  }
+  return annotation;
+}
+
 // ============================================================================
 // Threads
 // ============================================================================
@@ -376,38 +1156,48 @@ export async function deleteAnnotation(annotationId, expectedVersion) {
 /**
  * Create a new thread
  */
-export async function createThread({ slideId, title = null, anchorType = null, anchorId = null }) {
+export async function createThread({ slideId, title = null, anchorType = null, anchorId = null, threadId = null, recordOutbox = true }) {
   const result = await query(
-    `INSERT INTO threads (slide_id, title, anchor_type, anchor_id)
-     VALUES ($1, $2, $3, $4)
+    `INSERT INTO threads (thread_id, slide_id, title, anchor_type, anchor_id)
+     VALUES (COALESCE($1, gen_random_uuid()::TEXT), $2, $3, $4, $5)
      RETURNING *`,
-    [slideId, title, anchorType, anchorId]
+    [threadId, slideId, title, anchorType, anchorId]
   );
   const thread = result.rows[0];
 
   // Record outbox event
-  await recordOutboxEvent({
-    entityType: 'thread',
-    entityId: thread.thread_id,
-    op: 'create',
-    payload: thread
-  });
+  if (recordOutbox) {
+    await recordOutboxEvent({
+      entityType: 'thread',
+      entityId: thread.thread_id,
+      op: 'create',
+      payload: thread
+    });
+  }
 
   return thread;
 }
 
 /**
- * Get threads for a slide
+ * Get threads for a slide (optionally only 'open' or 'resolved' ones).
+ * message_count leaves out deleted messages.
  */
-export async function getThreads(slideId) {
+export async function getThreads(slideId, { status = null } = {}) {
+  const params = [slideId];
+  let statusFilter = '';
+  if (status) {
+    params.push(status);
+    statusFilter = 'AND t.status = $2';
+  }
+
   const result = await query(
     `SELECT t.*, COUNT(m.message_id) as message_count
      FROM threads t
-     LEFT JOIN messages m ON m.thread_id = t.thread_id
-     WHERE t.slide_id = $1
+     LEFT JOIN messages m ON m.thread_id = t.thread_id AND m.deleted_at IS NULL
+     WHERE t.slide_id = $1 ${statusFilter}
      GROUP BY t.thread_id
      ORDER BY t.created_at DESC`,
-    [slideId]
+    params
   );
   return result.rows;
 }
@@ -423,33 +1213,111 @@ export async function getThread(threadId) {
   return result.rows[0] || null;
 }
 
+/**
+ * Resolve ('resolved') or reopen ('open') a thread. Resolving records who
+ * and when; reopening clears both.
+ */
+export async function setThreadStatus(threadId, status, { changedBy = null } = {}) {
+  const result = await query(
+    `UPDATE threads
+     SET status = $2,
+         resolved_by = CASE WHEN $2 = 'resolved' THEN $3 END,
+         resolved_at = CASE WHEN $2 = 'resolved' THEN NOW() END,
+         version = version + 1,
+         updated_at = NOW()
+     WHERE thread_id = $1
+       AND status <> $2
+     RETURNING *`,
+    [threadId, status, changedBy]
+  );
+
+  if (result.rows.length === 0) {
+    const existing = await getThread(threadId);
+    return { thread: null, error: existing ? 'unchanged' : 'not_found' };
+  }
+
+  const thread = result.rows[0];
+
+  // Record outbox event
+  await recordOutboxEvent({
+    entityType: 'thread',
+    entityId: thread.thread_id,
+    op: 'update',
+    payload: thread
+  });
+
+  return { thread, error: null };
+}
+
+/**
+ * Apply a thread status pulled from the cloud, if its version is higher
+ * than the local one. No outbox event is recorded.
+ */
+export async function applyRemoteThreadVersion(threadId, { status, resolvedBy, resolvedAt, version }) {
+  const result = await query(
+    `UPDATE threads
+     SET status = $2,
+         resolved_by = CASE WHEN $2 = 'resolved' THEN $3 END,
+         resolved_at = CASE WHEN $2 = 'resolved' THEN COALESCE($4::TIMESTAMPTZ, NOW()) END,
+         version = $5,
+         updated_at = NOW()
+     WHERE thread_id = $1
+       AND version < $5
+     RETURNING *`,
+    [threadId, status, resolvedBy, resolvedAt, version]
+  );
+  return result.rows[0] || null;
+}
+
 // ============================================================================
 // Messages
 // ============================================================================
 
 /**
- * Create a new message (with idempotency support)
+ * Region snapshot of a message as sent to the cloud: the attachment row
+ * without its local path, plus the JPEG itself (base64)
  */
-export async function createMessage({ threadId, authorId, text, idempotencyKey = null }) {
+function attachmentPayload(row, data) {
+  const { path, message_id, ...fields } = row;
+  return { ...fields, content_type: 'image/jpeg', data: data.toString('base64') };
+}
+
+/**
+ * Create a new message (with idempotency support). Mentions are parsed from
+ * the text.
+ *
+ * attachments: region snapshots already rendered to disk,
+ * [{ n, slideId, x, y, width, height, level, path, imageWidth, imageHeight, bytes, data }]
+ * with data the JPEG bytes, included in the outbox payload for the cloud.
+ */
+export async function createMessage({ threadId, authorId, text, idempotencyKey = null, messageId = null, attachments = [], recordOutbox = true }) {
   // Check idempotency
   if (idempotencyKey) {
-    const existing = await query(
-      'SELECT * FROM messages WHERE idempotency_key = $1',
-      [idempotencyKey]
-    );
-    if (existing.rows.length > 0) {
-      return { message: existing.rows[0], created: false };
+    const existing = await findMessageByIdempotencyKey(idempotencyKey);
+    if (existing) {
+      return { message: existing, created: false };
     }
   }
 
   const result = await query(
-    `INSERT INTO messages (thread_id, author_id, text, idempotency_key)
-     VALUES ($1, $2, $3, $4)
+    `INSERT INTO messages (message_id, thread_id, author_id, text, idempotency_key, mentions)
+     VALUES (COALESCE($1, gen_random_uuid()::TEXT), $2, $3, $4, $5, $6)
      RETURNING *`,
-    [threadId, authorId, text, idempotencyKey]
+    [messageId, threadId, authorId, text, idempotencyKey, parseMentions(text)]
   );
   const message = result.rows[0];
 
+  const attachmentRows = [];
+  for (const a of attachments) {
+    const inserted = await query(
+      `INSERT INTO message_attachments (message_id, n, slide_id, x, y, width, height, level, path, image_width, image_height, bytes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING *`,
+      [message.message_id, a.n, a.slideId, a.x, a.y, a.width, a.height, a.level, a.path, a.imageWidth, a.imageHeight, a.bytes]
+    );
+    attachmentRows.push(inserted.rows[0]);
+  }
+
   // Update thread timestamp
   await query(
     'UPDATE threads SET updated_at = NOW() WHERE thread_id = $1',
@@ -457,25 +1325,53 @@ export async function createMessage({ threadId, authorId, text, idempotencyKey =
   );
 
   // Record outbox event
-  await recordOutboxEvent({
-    entityType: 'message',
-    entityId: message.message_id,
-    op: 'create',
-    payload: message
-  });
+  if (recordOutbox) {
+    await recordOutboxEvent({
+      entityType: 'message',
+      entityId: message.message_id,
+      op: 'create',
+      payload: attachmentRows.length === 0 ? message : {
+        ...message,
+        attachments: attachmentRows.map((row, i) => attachmentPayload(row, attachments[i].data))
+      }
+    });
+  }
 
   return { message, created: true };
 }
 
 /**
- * Get messages for a thread (with optional since filter)
+ * Find a message by its idempotency key
+ */
+export async function findMessageByIdempotencyKey(idempotencyKey) {
+  const result = await query(
+    'SELECT * FROM messages WHERE idempotency_key = $1 LIMIT 1',
+    [idempotencyKey]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Get a single message by ID
+ */
+export async function getMessage(messageId) {
+  const result = await query(
+    'SELECT * FROM messages WHERE message_id = $1',
+    [messageId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Get messages for a thread, deleted ones included (with optional since
+ * filter on the last change, so edits and deletes are picked up too)
  */
 export async function getMessages(threadId, since = null) {
   let sql = 'SELECT * FROM messages WHERE thread_id = $1';
   const params = [threadId];
 
   if (since) {
-    sql += ' AND created_at > $2';
+    sql += ' AND updated_at > $2';
     params.push(since);
   }
 
@@ -484,3 +1380,214 @@ export async function getMessages(threadId, since = null) {
   const result = await query(sql, params);
   return result.rows;
 }
+
+/**
+ * Attachments of messages, by message id
+ *
+ * @param {string[]} messageIds
+ * @returns {Promise<Map<string, object[]>>} message_attachments rows in order of n
+ */
+export async function getMessageAttachments(messageIds) {
+  const byMessage = new Map();
+  if (messageIds.length === 0) return byMessage;
+
+  const result = await query(
+    `SELECT * FROM message_attachments
+     WHERE message_id = ANY($1)
+     ORDER BY message_id, n`,
+    [messageIds]
+  );
+  for (const row of result.rows) {
+    if (!byMessage.has(row.message_id)) byMessage.set(row.message_id, []);
+    byMessage.get(row.message_id).push(row);
+  }
+  return byMessage;
+}
+
+export async function getMessageAttachment(messageId, n) {
+  const result = await query(
+    'SELECT * FROM message_attachments WHERE message_id = $1 AND n = $2',
+    [messageId, n]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Keep the text a message had at a version in message_edits
+ */
+async function recordMessageEdit(message, editedBy) {
+  await query(
+    `INSERT INTO message_edits (message_id, version, text, edited_by)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (message_id, version) DO NOTHING`,
+    [message.message_id, message.version, message.text, editedBy]
+  );
+}
+
+/**
+ * Replace the text of a message, keeping the previous one in message_edits.
+ * Mentions are parsed again from the new text.
+ */
+export async function updateMessage(messageId, text, { editedBy = null } = {}) {
+  const existing = await getMessage(messageId);
+  if (!existing) {
+    return { message: null, error: 'not_found' };
+  }
+  if (existing.deleted_at) {
+    return { message: null, error: 'deleted' };
+  }
+  if (existing.text === text) {
+    return { message: existing, error: null };
+  }
+
+  const result = await query(
+    `UPDATE messages
+     SET text = $3, mentions = $4, version = version + 1, edited_at = NOW(), updated_at = NOW()
+     WHERE message_id = $1
+       AND version = $2
+       AND deleted_at IS NULL
+     RETURNING *`,
+    [messageId, existing.version, text, parseMentions(text)]
+  );
+
+  // Edited or deleted concurrently
+  if (result.rows.length === 0) {
+    return { message: null, error: 'version_conflict' };
+  }
+
+  const message = result.rows[0];
+  await recordMessageEdit(existing, editedBy);
+
+  // Record outbox event
+  await recordOutboxEvent({
+    entityType: 'message',
+    entityId: message.message_id,
+    op: 'update',
+    payload: message
+  });
+
+  return { message, error: null };
+}
+
+/**
+ * Soft delete a message. The row stays (text included) so the thread keeps
+ * its order; the API shows it as deleted.
+ */
+export async function deleteMessage(messageId, { deletedBy = null } = {}) {
+  const result = await query(
+    `UPDATE messages
+     SET deleted_at = NOW(), deleted_by = $2, version = version + 1, updated_at = NOW()
+     WHERE message_id = $1
+       AND deleted_at IS NULL
+     RETURNING *`,
+    [messageId, deletedBy]
+  );
+
+  if (result.rows.length === 0) {
+    const existing = await getMessage(messageId);
+    return { message: null, error: existing ? 'already_deleted' : 'not_found' };
+  }
+
+  const message = result.rows[0];
+
+  // Record outbox event
+  await recordOutboxEvent({
+    entityType: 'message',
+    entityId: message.message_id,
+    op: 'delete',
+    payload: {
+      messageId,
+      threadId: message.thread_id,
+      version: message.version,
+      deletedAt: message.deleted_at,
+      deletedBy: message.deleted_by
+    }
+  });
+
+  return { message, error: null };
+}
+
+/**
+ * Previous texts of a message, oldest first
+ */
+export async function getMessageEdits(messageId) {
+  const result = await query(
+    `SELECT * FROM message_edits
+     WHERE message_id = $1
+     ORDER BY version ASC`,
+    [messageId]
+  );
+  return result.rows;
+}
+
+/**
+ * Apply a message edit or delete pulled from the cloud, if its version is
+ * higher than the local one. A text change keeps the previous text in
+ * message_edits. No outbox event is recorded.
+ */
+export async function applyRemoteMessageVersion(messageId, { text, version, deleted, deletedBy = null, editedBy = null }) {
+  const existing = await getMessage(messageId);
+  if (!existing || existing.version >= version) return null;
+
+  const newText = text ?? existing.text;
+  const edited = newText !== existing.text;
+
+  const result = await query(
+    `UPDATE messages
+     SET text = $3,
+         mentions = $4,
+         version = $5,
+         edited_at = CASE WHEN $6 THEN NOW() ELSE edited_at END,
+         deleted_at = CASE WHEN $7 THEN COALESCE(deleted_at, NOW()) ELSE NULL END,
+         deleted_by = CASE WHEN $7 THEN COALESCE(deleted_by, $8) ELSE NULL END,
+         updated_at = NOW()
+     WHERE message_id = $1
+       AND version = $2
+     RETURNING *`,
+    [messageId, existing.version, newText, parseMentions(newText), version, edited, deleted, deletedBy]
+  );
+
+  const message = result.rows[0] || null;
+  if (message && edited) await recordMessageEdit(existing, editedBy);
+  return message;
+}
+
+// ============================================================================
+// Sync Cursors
+// ============================================================================
+
+/**
+ * Get the pull cursor for an entity type (null = pull from the beginning)
+ */
+export async function getSyncCursor(entityType) {
+  const result = await query(
+    'SELECT since FROM sync_cursors WHERE entity_type = $1',
+    [entityType]
+  );
+  return result.rows[0]?.since || null;
+}
+
+/**
+ * Advance the pull cursor for an entity type
+ */
+export async function setSyncCursor(entityType, since, pulledCount = 0) {
+  await query(
+    `INSERT INTO sync_cursors (entity_type, since, pulled_count, updated_at)
+     VALUES ($1, $2, $3, NOW())
+     ON CONFLICT (entity_type) DO UPDATE SET
+       since = EXCLUDED.since,
+       pulled_count = sync_cursors.pulled_count + EXCLUDED.pulled_count,
+       updated_at = NOW()`,
+    [entityType, since, pulledCount]
+  );
+}
+
+/**
+ * List all pull cursors
+ */
+export async function listSyncCursors() {
+  const result = await query(
+    'SELECT * FROM sync_cursors ORDER BY entity_type ASC'
+  );
+  return result.rows;
+}
@@ -1,4 +1,5 @@
 import pg from 'pg';
+import { AsyncLocalStorage } from 'async_hooks';
 import { readFileSync, readdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
@@ -10,6 +11,9 @@ const { Pool } = pg;
 
 let pool = null;
 
+// Connection of the transaction the current async context runs in
+const transactionClient = new AsyncLocalStorage();
+
 export function getPool() {
   if (!pool) {
     pool = new Pool({
@@ -20,6 +24,9 @@ export function getPool() {
 }
 
 export async function query(text, params) {
+  const current = transactionClient.getStore();
+  if (current) return current.query(text, params);
+
   const client = await getPool().connect();
   try {
     return await client.query(text, params);
@@ -28,6 +35,28 @@ export async function query(text, params) {
   }
 }
 
+/**
+ * Run fn in a transaction: every query() it makes, directly or through the
+ * db modules, uses the same connection. Committed when fn resolves, rolled
+ * back when it throws. Nested calls join the outer transaction.
+ */
+export async function transaction(fn) {
+  if (transactionClient.getStore()) return fn();
+
+  const client = await getPool().connect();
+  try {
+    await client.query('BEGIN');
+    const result = await transactionClient.run(client, fn);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
 export async function runMigrations() {
   const migrationsDir = process.env.MIGRATIONS_DIR || '/app/db/migrations';
   const files = readdirSync(migrationsDir)
@@ -1,4 +1,6 @@
 import { query } from './index.js';
+import { likePattern, keysetCondition, orderBy } from '../lib/list-query.js';
+import { STAIN_SOURCES } from '../lib/stains.js';
 
 export async function createSlide({ id, originalFilename, rawPath, format = 'unknown' }) {
   const result = await query(
@@ -40,11 +42,105 @@ export async function getSlide(id) {
   return result.rows[0] || null;
 }
 
-export async function listSlides() {
+// Sortable fields of GET /v1/slides (see lib/list-query.js)
+export const SLIDE_SORTS = {
+  createdAt: { column: 's.created_at', type: 'timestamptz' },
+  filename: { column: 's.original_filename', type: 'text' }
+};
+
+// Text searched by GET /v1/slides?q=, indexed by idx_slides_search
+const SLIDE_SEARCH = `lower(coalesce(s.original_filename, '') || ' ' || coalesce(s.external_case_base, '') || ' ' ||
+          coalesce(s.scanner_barcode, '') || ' ' || coalesce(s.external_slide_label, ''))`;
+
+/**
+ * One page of slides matching a search and filters.
+ *
+ * @param {object} options
+ * @param {string[]} [options.terms] - lib/list-query.js searchTerms(); every
+ *   term must appear in the filename, case base, barcode or label
+ * @param {string} [options.status]
+ * @param {string} [options.format]
+ * @param {string} [options.tilegenStatus] - 'none' for slides without one
+ * @param {string} [options.cloudUploadStatus] - 'none' for slides without one
+ * @param {string} [options.ocrStatus] - 'none' for slides without one
+ * @param {string} [options.stain] - stain type, 'none' for slides without one
+ * @param {string} [options.marker] - stain marker, case-insensitive
+ * @param {string[]} [options.tags] - normalized tags; slides must have them all
+ * @param {string} [options.from] - created at or after
+ * @param {string} [options.to] - created before
+ * @param {boolean} [options.linked] - linked to a case (true) or not (false)
+ * @param {object} options.sort - parseSort() of SLIDE_SORTS
+ * @param {{ key: string, id: string }|null} [options.after] - decoded cursor
+ * @param {number} options.limit
+ * @returns {Promise<{ total: number, slides: object[], hasMore: boolean }>}
+ *   total counts every match (all pages); slides carry sort_key for the
+ *   next cursor
+ */
+export async function listSlides({
+  terms = [], status, format, tilegenStatus, cloudUploadStatus, ocrStatus,
+  stain, marker, tags = [], from, to, linked, sort, after = null, limit
+}) {
+  const conditions = [];
+  const values = [];
+
+  for (const term of terms) {
+    values.push(likePattern(term));
+    conditions.push(`${SLIDE_SEARCH} LIKE $${values.length}`);
+  }
+  if (status) { values.push(status); conditions.push(`s.status = $${values.length}`); }
+  if (format) { values.push(format); conditions.push(`s.format = $${values.length}`); }
+  for (const [column, value] of [
+    ['s.tilegen_status', tilegenStatus],
+    ['s.cloud_upload_status', cloudUploadStatus],
+    ['s.ocr_status', ocrStatus],
+    ['s.stain_type', stain]
+  ]) {
+    if (value === 'none') {
+      conditions.push(`${column} IS NULL`);
+    } else if (value) {
+      values.push(value);
+      conditions.push(`${column} = $${values.length}`);
+    }
+  }
+  if (marker) { values.push(marker.toLowerCase()); conditions.push(`lower(s.stain_marker) = $${values.length}`); }
+  if (tags.length > 0) { values.push(tags); conditions.push(`s.tags @> $${values.length}::text[]`); }
+  if (from) { values.push(from); conditions.push(`s.created_at >= $${values.length}`); }
+  if (to) { values.push(to); conditions.push(`s.created_at < $${values.length}`); }
+  if (linked !== undefined) {
+    const exists = 'EXISTS (SELECT 1 FROM case_slides cs WHERE cs.slide_id = s.id)';
+    conditions.push(linked ? exists : `NOT ${exists}`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const countResult = await query(`SELECT COUNT(*) AS count FROM slides s ${where}`, values);
+
+  const pageConditions = [...conditions];
+  const pageValues = [...values];
+  if (after) {
+    pageValues.push(after.key, after.id);
+    pageConditions.push(keysetCondition(sort, 's.id', pageValues.length - 1, pageValues.length));
+  }
+  pageValues.push(limit + 1);
+
   const result = await query(
-    'SELECT id, original_filename, status, width, height, max_level, level_ready_max, format, app_mag, mpp, created_at FROM slides ORDER BY created_at DESC'
+    `SELECT s.id, s.original_filename, s.status, s.width, s.height, s.max_level, s.level_ready_max,
+            s.format, s.app_mag, s.mpp, s.external_case_base, s.external_slide_label, s.scanner_barcode,
+            s.tilegen_status, s.cloud_upload_status, s.ocr_status, s.stain_type, s.stain_marker,
+            s.stain_source, s.stain_confidence, s.tags, s.created_at,
+            EXISTS (SELECT 1 FROM case_slides cs WHERE cs.slide_id = s.id) AS linked,
+            (${sort.column})::text AS sort_key
+     FROM slides s
+     ${pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : ''}
+     ${orderBy(sort, 's.id')}
+     LIMIT $${pageValues.length}`,
+    pageValues
   );
-  return result.rows;
+
+  return {
+    total: parseInt(countResult.rows[0].count, 10),
+    slides: result.rows.slice(0, limit),
+    hasMore: result.rows.length > limit
+  };
 }
 
 export async function listUnlinkedSlides() {
@@ -106,6 +202,73 @@ export async function updateJob(id, updates) {
   return result.rows[0];
 }
 
+export async function getJob(id) {
+  const result = await query('SELECT * FROM jobs WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Most recent job of a type for a slide.
+ */
+export async function getLatestJob(slideId, type) {
+  const result = await query(
+    'SELECT * FROM jobs WHERE slide_id = $1 AND type = $2 ORDER BY created_at DESC LIMIT 1',
+    [slideId, type]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * List jobs, newest first, with optional status/type/slide filters.
+ */
+export async function listJobs({ status, type, slideId, limit = 50, offset = 0 } = {}) {
+  const conditions = [];
+  const values = [];
+
+  if (status) { values.push(status); conditions.push(`status = $${values.length}`); }
+  if (type) { values.push(type); conditions.push(`type = $${values.length}`); }
+  if (slideId) { values.push(slideId); conditions.push(`slide_id = $${values.length}`); }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await query(`SELECT COUNT(*) as count FROM jobs ${where}`, values);
+  const result = await query(
+    `SELECT * FROM jobs ${where}
+     ORDER BY created_at DESC
+     LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+    [...values, limit, offset]
+  );
+
+  return { total: parseInt(countResult.rows[0].count, 10), jobs: result.rows };
+}
+
+/**
+ * Put a failed job back in the queued state with a fresh attempt budget.
+ * Returns null if the job is not failed (anymore).
+ */
+export async function resetJobForRetry(id) {
+  const result = await query(
+    `UPDATE jobs
+     SET status = 'queued', attempts = 0, error = NULL, next_attempt_at = NULL,
+         started_at = NULL, finished_at = NULL, updated_at = NOW()
+     WHERE id = $1 AND status = 'failed'
+     RETURNING *`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Delete a job that is not running. Returns the deleted row, or null.
+ */
+export async function deleteJob(id) {
+  const result = await query(
+    `DELETE FROM jobs WHERE id = $1 AND status <> 'running' RETURNING *`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
 export async function updateLevelReadyMax(id, levelReadyMax) {
   await query(
     'UPDATE slides SET level_ready_max = $1 WHERE id = $2',
@@ -137,6 +300,42 @@ export async function updateSlideOcr(id, { originalFilename, externalCaseId, ext
   );
 }
 
+/**
+ * Set the stain of a slide unless it was set by a stronger source
+ * (lib/stains.js canSetStain: classifier < ocr < manual).
+ *
+ * @param {string} id
+ * @param {{ type: string|null, marker?: string|null, source: string, confidence?: number|null }} stain -
+ *   type null clears it
+ * @returns {Promise<object|null>} updated slide row, null when not found or
+ *   kept by a stronger source
+ */
+export async function setSlideStain(id, { type, marker = null, source, confidence = null }) {
+  const weaker = STAIN_SOURCES.slice(0, STAIN_SOURCES.indexOf(source) + 1);
+  const result = await query(
+    `UPDATE slides SET stain_type = $1, stain_marker = $2, stain_source = $3, stain_confidence = $4
+     WHERE id = $5 AND (stain_source IS NULL OR stain_source = ANY($6))
+     RETURNING *`,
+    [type, type ? marker : null, type ? source : null, type ? confidence : null, id, weaker]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Replace the tags of a slide.
+ *
+ * @param {string} id
+ * @param {string[]} tags - lib/stains.js normalizeTags()
+ * @returns {Promise<object|null>} updated slide row, null when not found
+ */
+export async function setSlideTags(id, tags) {
+  const result = await query(
+    'UPDATE slides SET tags = $1 WHERE id = $2 RETURNING *',
+    [tags, id]
+  );
+  return result.rows[0] || null;
+}
+
 /**
  * Delete a slide and its associated jobs
  * @param {string} id - Slide ID
@@ -149,7 +348,7 @@ export async function deleteSlide(id) {
     return { deleted: false, slide: null };
   }
 
-  // Delete associated jobs first (foreign key constraint)
+  // Delete associated jobs first (jobs no longer cascade with slides)
   await query('DELETE FROM jobs WHERE slide_id = $1', [id]);
 
   // Delete the slide
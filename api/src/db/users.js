@@ -0,0 +1,149 @@
+/**
+ * Users DB Queries
+ * Local user store and API tokens (see lib/auth.js)
+ */
+
+import { query } from './index.js';
+
+// ============================================================================
+// Users
+// ============================================================================
+
+/**
+ * Create a user. passwordHash comes from hashPassword().
+ */
+export async function createUser({ username, displayName = null, role, passwordHash, cloudUserId = null }) {
+  const result = await query(
+    `INSERT INTO users (username, display_name, role, password_hash, cloud_user_id)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [username, displayName, role, passwordHash, cloudUserId]
+  );
+  return result.rows[0];
+}
+
+export async function getUser(userId) {
+  const result = await query('SELECT * FROM users WHERE user_id = $1', [userId]);
+  return result.rows[0] || null;
+}
+
+export async function getUserByUsername(username) {
+  const result = await query('SELECT * FROM users WHERE username = $1', [username]);
+  return result.rows[0] || null;
+}
+
+export async function getUserByCloudId(cloudUserId) {
+  const result = await query('SELECT * FROM users WHERE cloud_user_id = $1', [cloudUserId]);
+  return result.rows[0] || null;
+}
+
+export async function listUsers() {
+  const result = await query('SELECT * FROM users ORDER BY username ASC');
+  return result.rows;
+}
+
+export async function countUsers() {
+  const result = await query('SELECT COUNT(*)::INT AS count FROM users');
+  return result.rows[0].count;
+}
+
+/**
+ * Admins that can still log in
+ */
+export async function countActiveAdmins() {
+  const result = await query(
+    `SELECT COUNT(*)::INT AS count FROM users WHERE role = 'admin' AND disabled_at IS NULL`
+  );
+  return result.rows[0].count;
+}
+
+/**
+ * Update user fields (camelCase keys, e.g. { displayName, role, passwordHash, disabledAt })
+ */
+export async function updateUser(userId, updates) {
+  const fields = [];
+  const values = [];
+  let idx = 1;
+
+  for (const [key, value] of Object.entries(updates)) {
+    const snakeKey = key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+    fields.push(`${snakeKey} = $${idx}`);
+    values.push(value);
+    idx++;
+  }
+
+  if (fields.length === 0) return getUser(userId);
+
+  fields.push('updated_at = NOW()');
+  values.push(userId);
+
+  const result = await query(
+    `UPDATE users SET ${fields.join(', ')} WHERE user_id = $${idx} RETURNING *`,
+    values
+  );
+  return result.rows[0] || null;
+}
+
+export async function touchLastLogin(userId) {
+  await query('UPDATE users SET last_login_at = NOW() WHERE user_id = $1', [userId]);
+}
+
+// ============================================================================
+// Tokens
+// ============================================================================
+
+export async function createAuthToken({ tokenHash, userId, expiresAt }) {
+  const result = await query(
+    `INSERT INTO auth_tokens (token_hash, user_id, expires_at)
+     VALUES ($1, $2, $3)
+     RETURNING *`,
+    [tokenHash, userId, expiresAt]
+  );
+  return result.rows[0];
+}
+
+/**
+ * User owning a valid (not expired, not revoked) token; disabled users never match
+ */
+export async function getUserByTokenHash(tokenHash) {
+  const result = await query(
+    `SELECT u.*, t.expires_at AS token_expires_at
+     FROM auth_tokens t
+     JOIN users u ON u.user_id = t.user_id
+     WHERE t.token_hash = $1
+       AND t.revoked_at IS NULL
+       AND t.expires_at > NOW()
+       AND u.disabled_at IS NULL`,
+    [tokenHash]
+  );
+  return result.rows[0] || null;
+}
+
+export async function revokeAuthToken(tokenHash) {
+  await query(
+    'UPDATE auth_tokens SET revoked_at = NOW() WHERE token_hash = $1 AND revoked_at IS NULL',
+    [tokenHash]
+  );
+}
+
+/**
+ * Revoke every token of a user (password change, role change, disable)
+ */
+export async function revokeUserTokens(userId) {
+  await query(
+    'UPDATE auth_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+}
+
+/**
+ * Drop tokens that expired or were revoked more than a day ago
+ */
+export async function deleteStaleAuthTokens() {
+  const result = await query(
+    `DELETE FROM auth_tokens
+     WHERE expires_at < NOW() - INTERVAL '1 day'
+        OR revoked_at < NOW() - INTERVAL '1 day'`
+  );
+  return result.rowCount;
+}
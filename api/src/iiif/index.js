@@ -0,0 +1,227 @@
+/**
+ * IIIF Routes
+ * Slides as IIIF Image API 3.0 services, slides and cases as Presentation
+ * API 3.0 manifests, for standard viewers (Mirador, OpenSeadragon, ...).
+ * Outside /v1, at the paths IIIF clients expect:
+ *
+ * GET /iiif/:slideId                                      → 303 to info.json
+ * GET /iiif/:slideId/info.json                            → image service description
+ * GET /iiif/:slideId/:region/:size/:rotation/:quality.jpg → image (tiles straight from the pyramid)
+ * GET /iiif/:slideId/manifest.json                        → manifest with the slide
+ * GET /iiif/cases/:caseId/manifest.json                   → manifest with the slides of a case
+ *
+ * Supported features in lib/iiif.js. Ids are absolute URLs built from
+ * IIIF_BASE_URL or, when unset, from the request (X-Forwarded-Proto/Host
+ * honored, for the Caddy proxy).
+ *
+ * With auth enabled, viewers that cannot send the Authorization header open
+ * a manifest or info.json with ?access_token=: the ids it returns carry the
+ * token in the path (/iiif/token/:accessToken/..., the same routes
+ * registered again in server.js), since viewers build image URLs by
+ * appending to an id and drop its query.
+ */
+
+import { createReadStream } from 'fs';
+import { readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { randomUUID } from 'crypto';
+import { getSlide } from '../db/slides.js';
+import { getCase } from '../db/collaboration.js';
+import { ensureTile, renderRegion } from '../services/region-render.js';
+import { isWSIFormat } from '../services/tilegen-svs.js';
+import {
+  IMAGE_CONTEXT,
+  slidePyramid,
+  imageInfo,
+  parseImageRequest,
+  requestLevel,
+  requestTile,
+  slideCanvas,
+  presentationManifest
+} from '../lib/iiif.js';
+import { slideHierarchy, compareSlides } from '../lib/specimen-hierarchy.js';
+
+const IIIF_BASE_URL = (process.env.IIIF_BASE_URL || '').replace(/\/+$/, '');
+
+// Largest width/height of a rendered (non-tile) image
+const IIIF_MAX_PX = parseInt(process.env.IIIF_MAX_PX || '2048', 10);
+
+/**
+ * Origin the client reached the API at
+ */
+function baseUrl(request) {
+  if (IIIF_BASE_URL) return IIIF_BASE_URL;
+  const proto = String(request.headers['x-forwarded-proto'] || request.protocol).split(',')[0].trim();
+  const host = String(request.headers['x-forwarded-host'] || request.headers.host).split(',')[0].trim();
+  return `${proto}://${host}`;
+}
+
+/**
+ * Root of the ids of a response: with the token in the path when the
+ * request passed one (query or path), so image requests derived from the
+ * ids authenticate too
+ */
+function iiifRoot(request) {
+  const token = request.params.accessToken || request.query?.access_token;
+  if (typeof token !== 'string' || !token) return `${baseUrl(request)}/iiif`;
+  return `${baseUrl(request)}/iiif/token/${encodeURIComponent(token)}`;
+}
+
+function serviceId(request, slideId) {
+  return `${iiifRoot(request)}/${slideId}`;
+}
+
+function isProcessed(slide) {
+  return slide.status === 'ready' && slide.width !== null && slide.max_level !== null;
+}
+
+/**
+ * Slide of a request, or the error reply for it
+ */
+async function processedSlide(slideId, reply) {
+  const slide = await getSlide(slideId);
+  if (!slide) {
+    reply.code(404);
+    return { error: { error: 'Slide not found' } };
+  }
+  if (!isProcessed(slide)) {
+    reply.code(404);
+    return { error: { error: 'Slide is not processed yet' } };
+  }
+  return { slide };
+}
+
+/**
+ * JSON-LD when asked for, plain JSON otherwise (IIIF content negotiation)
+ */
+function sendJsonLd(request, reply, body, context) {
+  const accept = request.headers.accept || '';
+  reply.header('Content-Type', accept.includes('application/ld+json')
+    ? `application/ld+json;profile="${context}"`
+    : 'application/json');
+  return body;
+}
+
+export default async function iiifRoutes(fastify) {
+  fastify.get('/:slideId', async (request, reply) => {
+    reply.code(303);
+    reply.header('Location', `${serviceId(request, request.params.slideId)}/info.json`);
+    return reply.send();
+  });
+
+  fastify.get('/:slideId/info.json', async (request, reply) => {
+    const { slide, error } = await processedSlide(request.params.slideId, reply);
+    if (error) return error;
+
+    const info = imageInfo(slidePyramid(slide), serviceId(request, slide.id), { maxPx: IIIF_MAX_PX });
+    // Ids may carry a token: never in shared caches
+    reply.header('Cache-Control', 'private, max-age=3600');
+    return sendJsonLd(request, reply, info, IMAGE_CONTEXT);
+  });
+
+  fastify.get('/:slideId/manifest.json', async (request, reply) => {
+    const { slide, error } = await processedSlide(request.params.slideId, reply);
+    if (error) return error;
+
+    const id = `${iiifRoot(request)}/${slide.id}/manifest.json`;
+    const canvas = slideCanvas(`${iiifRoot(request)}/${slide.id}/canvas`, slide, serviceId(request, slide.id), slide.external_slide_label);
+    const manifest = presentationManifest(id, slide.original_filename, [canvas], [
+      ['Case', slide.external_case_base],
+      ['Label', slide.external_slide_label]
+    ]);
+    return sendJsonLd(request, reply, manifest, manifest['@context']);
+  });
+
+  fastify.get('/cases/:caseId/manifest.json', async (request, reply) => {
+    const { caseId } = request.params;
+    const caseRecord = await getCase(caseId);
+    if (!caseRecord) {
+      reply.code(404);
+      return { error: 'Case not found' };
+    }
+
+    // Slides in case order (specimen, block, label); unprocessed ones left out
+    const linked = caseRecord.slides
+      .map(s => ({ ...s, ...slideHierarchy(s), label: s.external_slide_label }))
+      .sort(compareSlides);
+    const base = `${iiifRoot(request)}/cases/${caseId}`;
+    const canvases = [];
+    for (const link of linked) {
+      const slide = await getSlide(link.id);
+      if (!isProcessed(slide)) continue;
+      const label = [link.specimen, link.block].filter(Boolean).join('') || link.label;
+      canvases.push(slideCanvas(`${base}/canvas/${slide.id}`, slide, serviceId(request, slide.id), label));
+    }
+
+    const manifest = presentationManifest(`${base}/manifest.json`, caseRecord.title, canvases, [
+      ['External reference', caseRecord.external_ref],
+      ['Status', caseRecord.status],
+      ['Priority', caseRecord.priority]
+    ]);
+    return sendJsonLd(request, reply, manifest, manifest['@context']);
+  });
+
+  fastify.get('/:slideId/:region/:size/:rotation/:file', async (request, reply) => {
+    const { slideId, region, size, rotation, file } = request.params;
+    const dot = file.lastIndexOf('.');
+    if (dot < 1) {
+      reply.code(400);
+      return { error: 'Expected {quality}.{format}' };
+    }
+
+    const { slide, error } = await processedSlide(slideId, reply);
+    if (error) return error;
+
+    const pyramid = slidePyramid(slide);
+    const parsed = parseImageRequest(
+      { region, size, rotation, quality: file.slice(0, dot), format: file.slice(dot + 1) },
+      pyramid,
+      { maxPx: IIIF_MAX_PX }
+    );
+    if (parsed.error) {
+      reply.code(parsed.status);
+      return { error: parsed.error };
+    }
+
+    // Levels of image slides past level_ready_max have no tiles yet
+    const levelReadyMax = isWSIFormat(slide.format) ? pyramid.levelMax : slide.level_ready_max || 0;
+    const level = requestLevel(pyramid, parsed.request, levelReadyMax);
+    const tile = requestTile(pyramid, parsed.request, level);
+
+    if (tile) {
+      try {
+        const path = await ensureTile(slide, tile.z, tile.x, tile.y);
+        reply.header('Content-Type', 'image/jpeg');
+        reply.header('Cache-Control', 'public, max-age=31536000, immutable');
+        return reply.send(createReadStream(path));
+      } catch (err) {
+        console.error(`IIIF tile failed: ${slideId}/${tile.z}/${tile.x}/${tile.y}`, err.message);
+        reply.code(404);
+        return { error: 'Tile not available' };
+      }
+    }
+
+    const outPath = join(tmpdir(), `iiif-${randomUUID()}.jpg`);
+    try {
+      const { region: box, width, height } = parsed.request;
+      const rendered = await renderRegion(slide, { ...box, level }, outPath, {
+        maxPx: IIIF_MAX_PX * 2,
+        size: { width, height }
+      });
+      if (rendered.error) {
+        reply.code(rendered.error === 'no_manifest' ? 404 : 400);
+        return { error: `Cannot render region (${rendered.error})` };
+      }
+      reply.header('Content-Type', 'image/jpeg');
+      reply.header('Cache-Control', 'public, max-age=31536000, immutable');
+      return reply.send(await readFile(outPath));
+    } catch (err) {
+      console.error(`IIIF render failed: ${slideId}/${region}/${size}`, err.message);
+      reply.code(500);
+      return { error: 'Failed to render image' };
+    } finally {
+      await rm(outPath, { force: true });
+    }
+  });
+}
@@ -0,0 +1,546 @@
+/**
+ * Annotation export/import formats
+ *
+ * Native annotation geometry (image pixels at full resolution, y down):
+ *   rectangle          { x, y, width, height }
+ *   ellipse            { cx, cy, rx, ry }
+ *   polygon, freehand  { points: [{ x, y }, ...] }   (closed implicitly)
+ *   line               { points: [{ x, y }, ...] }   (open)
+ *   point              { x, y }
+ * Stored geometries written as GeoJSON (Polygon, LineString, Point) are
+ * accepted too.
+ *
+ * Formats:
+ *   geojson  FeatureCollection; properties carry the native type, shape and
+ *            style, so a round trip is lossless
+ *   qupath   GeoJSON as read/written by QuPath (objectType, color as [r, g, b])
+ *   asap     ASAP XML (<ASAP_Annotations>)
+ *
+ * QuPath and ASAP have no ellipse: ellipses are exported as polygons and
+ * recognized again on import. Only the stroke color survives those formats.
+ *
+ * Annotation classes travel by name (QuPath classification, ASAP group),
+ * labels as the annotation name. Exports take the class catalog as
+ * { classes: Map<classId, annotation_classes row> }; imports return
+ * className and leave resolving it against the catalog to the caller.
+ */
+
+export const EXPORT_FORMATS = ['geojson', 'qupath', 'asap'];
+export const ANNOTATION_TYPES = ['polygon', 'rectangle', 'ellipse', 'point', 'line', 'freehand'];
+
+const ELLIPSE_VERTICES = 64;
+const ELLIPSE_MIN_VERTICES = 16;
+const ELLIPSE_TOLERANCE = 0.02;
+
+// ============================================================================
+// Geometry
+// ============================================================================
+
+function isNum(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function toPoint(value) {
+  if (Array.isArray(value) && isNum(value[0]) && isNum(value[1])) return { x: value[0], y: value[1] };
+  if (value && isNum(value.x) && isNum(value.y)) return { x: value.x, y: value.y };
+  return null;
+}
+
+function toPoints(list) {
+  if (!Array.isArray(list)) return null;
+  const points = list.map(toPoint);
+  return points.every(Boolean) ? points : null;
+}
+
+/**
+ * Drop the closing vertex of a ring (GeoJSON rings repeat the first point)
+ */
+function openRing(points) {
+  if (points.length > 1) {
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (first.x === last.x && first.y === last.y) return points.slice(0, -1);
+  }
+  return points;
+}
+
+function closeRing(coords) {
+  if (coords.length === 0) return coords;
+  const [fx, fy] = coords[0];
+  const [lx, ly] = coords[coords.length - 1];
+  return fx === lx && fy === ly ? coords : [...coords, coords[0]];
+}
+
+/**
+ * Native geometry of an annotation, or null if it cannot be read.
+ */
+export function toNativeGeometry(type, geometry) {
+  if (!geometry || typeof geometry !== 'object') return null;
+
+  // Stored as GeoJSON
+  if (typeof geometry.type === 'string' && Array.isArray(geometry.coordinates)) {
+    const c = geometry.coordinates;
+    if (type === 'point') return toPoint(c);
+    if (type === 'line') {
+      const points = toPoints(c);
+      return points && points.length >= 2 ? { points } : null;
+    }
+    const ring = geometry.type === 'Polygon' ? toPoints(c[0]) : toPoints(c);
+    if (!ring) return null;
+    return shapeFromRing(type, openRing(ring));
+  }
+
+  switch (type) {
+    case 'rectangle':
+      return ['x', 'y', 'width', 'height'].every(k => isNum(geometry[k]))
+        ? { x: geometry.x, y: geometry.y, width: geometry.width, height: geometry.height }
+        : null;
+    case 'ellipse':
+      return ['cx', 'cy', 'rx', 'ry'].every(k => isNum(geometry[k]))
+        ? { cx: geometry.cx, cy: geometry.cy, rx: geometry.rx, ry: geometry.ry }
+        : null;
+    case 'point':
+      return toPoint(geometry);
+    case 'line': {
+      const points = toPoints(geometry.points);
+      return points && points.length >= 2 ? { points } : null;
+    }
+    case 'polygon':
+    case 'freehand': {
+      const points = toPoints(geometry.points);
+      return points && points.length >= 3 ? { points: openRing(points) } : null;
+    }
+    default:
+      return null;
+  }
+}
+
+function bounds(points) {
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  return { x: minX, y: minY, width: Math.max(...xs) - minX, height: Math.max(...ys) - minY };
+}
+
+/**
+ * Rebuild the native shape of a type from a polygon ring
+ */
+function shapeFromRing(type, points) {
+  if (points.length < 3) return null;
+  if (type === 'rectangle') return bounds(points);
+  if (type === 'ellipse') {
+    const b = bounds(points);
+    return { cx: b.x + b.width / 2, cy: b.y + b.height / 2, rx: b.width / 2, ry: b.height / 2 };
+  }
+  return { points };
+}
+
+export function isRectangleRing(points) {
+  if (points.length !== 4) return false;
+  const xs = new Set(points.map(p => p.x));
+  const ys = new Set(points.map(p => p.y));
+  if (xs.size !== 2 || ys.size !== 2) return false;
+  // Each vertex shares x with one neighbour and y with the other
+  return points.every((p, i) => {
+    const next = points[(i + 1) % 4];
+    return (p.x === next.x) !== (p.y === next.y);
+  });
+}
+
+export function isEllipseRing(points) {
+  if (points.length < ELLIPSE_MIN_VERTICES) return false;
+  const b = bounds(points);
+  if (b.width === 0 || b.height === 0) return false;
+  const cx = b.x + b.width / 2;
+  const cy = b.y + b.height / 2;
+  const rx = b.width / 2;
+  const ry = b.height / 2;
+  return points.every(p => Math.abs(((p.x - cx) / rx) ** 2 + ((p.y - cy) / ry) ** 2 - 1) <= ELLIPSE_TOLERANCE);
+}
+
+/**
+ * Outline of a native area shape as a closed ring of [x, y] pairs
+ */
+function ringOf(type, shape) {
+  if (type === 'rectangle') {
+    const { x, y, width, height } = shape;
+    return [[x, y], [x + width, y], [x + width, y + height], [x, y + height], [x, y]];
+  }
+  if (type === 'ellipse') {
+    const ring = [];
+    for (let i = 0; i < ELLIPSE_VERTICES; i++) {
+      const angle = (2 * Math.PI * i) / ELLIPSE_VERTICES;
+      ring.push([
+        Math.round((shape.cx + shape.rx * Math.cos(angle)) * 100) / 100,
+        Math.round((shape.cy + shape.ry * Math.sin(angle)) * 100) / 100,
+      ]);
+    }
+    return closeRing(ring);
+  }
+  return closeRing(shape.points.map(p => [p.x, p.y]));
+}
+
+/**
+ * GeoJSON geometry of a native shape
+ */
+export function toGeoJsonGeometry(type, shape) {
+  if (type === 'point') return { type: 'Point', coordinates: [shape.x, shape.y] };
+  if (type === 'line') return { type: 'LineString', coordinates: shape.points.map(p => [p.x, p.y]) };
+  return { type: 'Polygon', coordinates: [ringOf(type, shape)] };
+}
+
+// ============================================================================
+// Colors
+// ============================================================================
+
+/**
+ * Parse "#rgb", "#rrggbb", "#rrggbbaa", "rgb()" or "rgba()" into [r, g, b]
+ */
+export function parseColor(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+
+  let match = text.match(/^#([0-9a-f]{3})$/i);
+  if (match) return [...match[1]].map(c => parseInt(c + c, 16));
+
+  match = text.match(/^#([0-9a-f]{6})(?:[0-9a-f]{2})?$/i);
+  if (match) return [0, 2, 4].map(i => parseInt(match[1].slice(i, i + 2), 16));
+
+  match = text.match(/^rgba?\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})/i);
+  if (match) return [1, 2, 3].map(i => Math.min(255, parseInt(match[i], 10)));
+
+  return null;
+}
+
+export function toHexColor(rgb) {
+  return '#' + rgb.map(c => Math.max(0, Math.min(255, Math.round(c))).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * [r, g, b] from a QuPath color: an array, or a packed (A)RGB integer
+ */
+function qupathColor(value) {
+  if (Array.isArray(value) && value.length >= 3 && value.slice(0, 3).every(isNum)) return value.slice(0, 3);
+  if (isNum(value)) return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+  return null;
+}
+
+function styleColor(style) {
+  return parseColor(style?.strokeColor) || parseColor(style?.fillColor);
+}
+
+// ============================================================================
+// Export
+// ============================================================================
+
+function classOf(row, classes) {
+  return (row.class_id && classes?.get(row.class_id)) || null;
+}
+
+function exportable(rows) {
+  const items = [];
+  for (const row of rows) {
+    const shape = toNativeGeometry(row.type, row.geometry);
+    if (shape) items.push({ row, shape });
+  }
+  return items;
+}
+
+export function exportGeoJson(rows, { slideId, classes } = {}) {
+  return {
+    type: 'FeatureCollection',
+    slideId,
+    features: exportable(rows).map(({ row, shape }) => ({
+      type: 'Feature',
+      id: row.annotation_id,
+      geometry: toGeoJsonGeometry(row.type, shape),
+      properties: {
+        annotationType: row.type,
+        shape,
+        style: row.style || null,
+        classId: row.class_id || null,
+        className: classOf(row, classes)?.name || null,
+        label: row.label || null,
+        properties: row.properties || null,
+        authorId: row.author_id,
+        version: row.version,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+      },
+    })),
+  };
+}
+
+export function exportQuPath(rows, { classes } = {}) {
+  return {
+    type: 'FeatureCollection',
+    features: exportable(rows).map(({ row, shape }) => {
+      const properties = { objectType: 'annotation', isLocked: false, supernaviType: row.type };
+      const color = styleColor(row.style);
+      if (color) properties.color = color;
+      if (row.label) properties.name = row.label;
+      const cls = classOf(row, classes);
+      if (cls) properties.classification = { name: cls.name, color: parseColor(cls.color) || [0, 0, 0] };
+      return {
+        type: 'Feature',
+        id: row.annotation_id,
+        geometry: toGeoJsonGeometry(row.type, shape),
+        properties,
+      };
+    }),
+  };
+}
+
+const ASAP_TYPES = {
+  point: 'Dot',
+  rectangle: 'Rectangle',
+  polygon: 'Polygon',
+  ellipse: 'Polygon',
+  freehand: 'Spline',
+  line: 'Measurement',
+};
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function asapCoordinates(type, shape) {
+  if (type === 'point') return [[shape.x, shape.y]];
+  if (type === 'line') return shape.points.map(p => [p.x, p.y]);
+  // ASAP rings are not closed
+  return ringOf(type, shape).slice(0, -1);
+}
+
+export function exportAsap(rows, { classes } = {}) {
+  const lines = ['<?xml version="1.0"?>', '<ASAP_Annotations>', '\t<Annotations>'];
+  const groups = new Map();
+
+  exportable(rows).forEach(({ row, shape }, index) => {
+    const color = toHexColor(styleColor(row.style) || [244, 250, 88]).toUpperCase();
+    const cls = classOf(row, classes);
+    if (cls) groups.set(cls.name, cls);
+    const name = row.label || `Annotation ${index}`;
+    const group = cls ? cls.name : 'None';
+    lines.push(`\t\t<Annotation Name="${escapeXml(name)}" Type="${ASAP_TYPES[row.type]}" PartOfGroup="${escapeXml(group)}" Color="${color}">`);
+    lines.push('\t\t\t<Coordinates>');
+    asapCoordinates(row.type, shape).forEach(([x, y], order) => {
+      lines.push(`\t\t\t\t<Coordinate Order="${order}" X="${x}" Y="${y}" />`);
+    });
+    lines.push('\t\t\t</Coordinates>');
+    lines.push('\t\t</Annotation>');
+  });
+
+  lines.push('\t</Annotations>');
+  if (groups.size === 0) {
+    lines.push('\t<AnnotationGroups />');
+  } else {
+    lines.push('\t<AnnotationGroups>');
+    for (const cls of groups.values()) {
+      const color = toHexColor(parseColor(cls.color) || [0, 0, 0]).toUpperCase();
+      lines.push(`\t\t<Group Name="${escapeXml(cls.name)}" PartOfGroup="None" Color="${color}">`);
+      lines.push('\t\t\t<Attributes />');
+      lines.push('\t\t</Group>');
+    }
+    lines.push('\t</AnnotationGroups>');
+  }
+  lines.push('</ASAP_Annotations>');
+  return lines.join('\n') + '\n';
+}
+
+// ============================================================================
+// Import
+// ============================================================================
+
+/**
+ * Annotation type of an imported polygon ring without a type hint
+ */
+function ringType(points) {
+  if (isRectangleRing(points)) return 'rectangle';
+  if (isEllipseRing(points)) return 'ellipse';
+  return 'polygon';
+}
+
+function typeHint(value) {
+  return ANNOTATION_TYPES.includes(value) ? value : null;
+}
+
+function textOrNull(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * Annotations ({ type, geometry }) described by one GeoJSON geometry.
+ * Multi geometries become one annotation per part; polygon holes are dropped.
+ */
+function fromGeoJsonGeometry(geometry, hint) {
+  if (!geometry || typeof geometry !== 'object') return [];
+  const c = geometry.coordinates;
+
+  switch (geometry.type) {
+    case 'Point': {
+      const point = toPoint(c);
+      return point ? [{ type: 'point', geometry: point }] : [];
+    }
+    case 'MultiPoint':
+      return (Array.isArray(c) ? c : []).flatMap(p => fromGeoJsonGeometry({ type: 'Point', coordinates: p }, hint));
+    case 'LineString': {
+      const points = toPoints(c);
+      return points && points.length >= 2 ? [{ type: 'line', geometry: { points } }] : [];
+    }
+    case 'MultiLineString':
+      return (Array.isArray(c) ? c : []).flatMap(l => fromGeoJsonGeometry({ type: 'LineString', coordinates: l }, hint));
+    case 'Polygon': {
+      const ring = Array.isArray(c) ? toPoints(c[0]) : null;
+      if (!ring) return [];
+      const points = openRing(ring);
+      const type = hint && hint !== 'point' && hint !== 'line' ? hint : ringType(points);
+      const shape = shapeFromRing(type, points);
+      return shape ? [{ type, geometry: shape }] : [];
+    }
+    case 'MultiPolygon':
+      return (Array.isArray(c) ? c : []).flatMap(p => fromGeoJsonGeometry({ type: 'Polygon', coordinates: p }, hint));
+    case 'GeometryCollection':
+      return (geometry.geometries || []).flatMap(g => fromGeoJsonGeometry(g, hint));
+    default:
+      return [];
+  }
+}
+
+/**
+ * Annotations of a GeoJSON document (our own export or QuPath's): a
+ * FeatureCollection, a Feature, or an array of Features.
+ *
+ * classId is only read from our own export; className comes from it or from
+ * the QuPath classification.
+ *
+ * @returns {{ items: { type: string, geometry: object, style: object|null, classId: string|null, className: string|null, label: string|null, properties: object|null }[], skipped: number }}
+ */
+export function importGeoJson(doc) {
+  let features;
+  if (Array.isArray(doc)) features = doc;
+  else if (doc?.type === 'FeatureCollection') features = doc.features || [];
+  else if (doc?.type === 'Feature') features = [doc];
+  else throw new Error('Expected a GeoJSON FeatureCollection, Feature or array of Features');
+
+  const items = [];
+  let skipped = 0;
+
+  for (const feature of features) {
+    const props = feature?.properties || {};
+
+    // Lossless path: our own export
+    const nativeType = typeHint(props.annotationType);
+    const nativeShape = nativeType && toNativeGeometry(nativeType, props.shape);
+    if (nativeShape) {
+      items.push({
+        type: nativeType,
+        geometry: nativeShape,
+        style: props.style || null,
+        classId: textOrNull(props.classId),
+        className: textOrNull(props.className),
+        label: textOrNull(props.label),
+        properties: props.properties && typeof props.properties === 'object' ? props.properties : null,
+      });
+      continue;
+    }
+
+    const parts = fromGeoJsonGeometry(feature?.geometry, typeHint(props.supernaviType));
+    if (parts.length === 0) {
+      skipped++;
+      continue;
+    }
+
+    const color = qupathColor(props.color) || qupathColor(props.classification?.color) ||
+      qupathColor(props.classification?.colorRGB);
+    const style = props.style && typeof props.style === 'object'
+      ? props.style
+      : color ? { strokeColor: toHexColor(color) } : null;
+
+    const className = textOrNull(props.classification?.name) || textOrNull(props.classification);
+    const label = textOrNull(props.name);
+
+    for (const part of parts) items.push({ ...part, style, classId: null, className, label, properties: null });
+  }
+
+  return { items, skipped };
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function xmlAttributes(text) {
+  const attrs = {};
+  for (const match of text.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attrs[match[1]] = decodeXml(match[2] ?? match[3]);
+  }
+  return attrs;
+}
+
+/**
+ * Annotations of an ASAP XML document. The group (PartOfGroup) is the class
+ * name; names other than ASAP's default "Annotation <n>" become the label.
+ *
+ * @returns {{ items: { type: string, geometry: object, style: object|null, classId: null, className: string|null, label: string|null, properties: null }[], skipped: number }}
+ */
+export function importAsap(xml) {
+  if (typeof xml !== 'string' || !/<ASAP_Annotations[\s>]/.test(xml)) {
+    throw new Error('Expected an ASAP XML document (<ASAP_Annotations>)');
+  }
+
+  const items = [];
+  let skipped = 0;
+
+  for (const match of xml.matchAll(/<Annotation\b([^>]*?)(?:\/>|>([\s\S]*?)<\/Annotation>)/g)) {
+    const attrs = xmlAttributes(match[1]);
+    const coords = [...(match[2] || '').matchAll(/<Coordinate\b([^>]*?)\/?>/g)]
+      .map(c => xmlAttributes(c[1]))
+      .map(c => ({ order: parseInt(c.Order, 10), x: parseFloat(c.X), y: parseFloat(c.Y) }))
+      .filter(c => isNum(c.x) && isNum(c.y))
+      .sort((a, b) => (a.order || 0) - (b.order || 0))
+      .map(({ x, y }) => ({ x, y }));
+
+    const color = parseColor(attrs.Color);
+    const style = color ? { strokeColor: toHexColor(color) } : null;
+    const asapType = (attrs.Type || '').toLowerCase();
+    const group = textOrNull(attrs.PartOfGroup);
+    const className = group && group !== 'None' ? group : null;
+    const name = textOrNull(attrs.Name);
+    const label = name && !/^Annotation \d+$/.test(name) ? name : null;
+
+    let parts = [];
+    if (asapType === 'dot' || asapType === 'pointset') {
+      parts = coords.map(point => ({ type: 'point', geometry: point }));
+    } else if (asapType === 'measurement') {
+      if (coords.length >= 2) parts = [{ type: 'line', geometry: { points: coords } }];
+    } else if (asapType === 'rectangle') {
+      if (coords.length >= 3) parts = [{ type: 'rectangle', geometry: bounds(coords) }];
+    } else if (asapType === 'spline') {
+      if (coords.length >= 3) parts = [{ type: 'freehand', geometry: { points: openRing(coords) } }];
+    } else if (asapType === 'polygon') {
+      const points = openRing(coords);
+      if (points.length >= 3) {
+        const type = ringType(points);
+        parts = [{ type, geometry: shapeFromRing(type, points) }];
+      }
+    }
+
+    if (parts.length === 0) {
+      skipped++;
+      continue;
+    }
+    for (const part of parts) items.push({ ...part, style, classId: null, className, label, properties: null });
+  }
+
+  return { items, skipped };
+}
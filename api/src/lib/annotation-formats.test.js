@@ -0,0 +1,184 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  toNativeGeometry,
+  isRectangleRing,
+  isEllipseRing,
+  parseColor,
+  toHexColor,
+  exportGeoJson,
+  exportQuPath,
+  exportAsap,
+  importGeoJson,
+  importAsap,
+} from './annotation-formats.js';
+
+const rows = [
+  { annotation_id: 'a1', type: 'rectangle', geometry: { x: 10, y: 20, width: 100, height: 50 }, style: { strokeColor: '#ff0000', fillColor: '#ff000033', strokeWidth: 2 } },
+  { annotation_id: 'a2', type: 'ellipse', geometry: { cx: 500, cy: 400, rx: 80, ry: 40 }, style: { strokeColor: '#00ff00' } },
+  { annotation_id: 'a3', type: 'polygon', geometry: { points: [{ x: 0, y: 0 }, { x: 30, y: 0 }, { x: 15, y: 40 }] }, style: null },
+  { annotation_id: 'a4', type: 'freehand', geometry: { points: [{ x: 1, y: 1 }, { x: 9, y: 2 }, { x: 7, y: 8 }, { x: 2, y: 6 }] }, style: { strokeColor: 'rgba(0,0,255,0.5)' } },
+  { annotation_id: 'a5', type: 'line', geometry: { points: [{ x: 5, y: 5 }, { x: 50, y: 60 }] }, style: { strokeColor: '#123456' } },
+  { annotation_id: 'a6', type: 'point', geometry: { x: 7, y: 8 }, style: { strokeColor: '#abcdef' } },
+];
+
+const classes = new Map([['c1', { class_id: 'c1', name: 'Tumor', color: '#c80000' }]]);
+const classified = { ...rows[0], class_id: 'c1', label: 'invasive front', properties: { mitoses: 3 } };
+
+const simplify = items => items.map(({ type, geometry }) => ({ type, geometry }));
+
+describe('geometry', () => {
+  it('reads native and GeoJSON geometries', () => {
+    assert.deepStrictEqual(toNativeGeometry('point', { x: 1, y: 2 }), { x: 1, y: 2 });
+    assert.deepStrictEqual(
+      toNativeGeometry('polygon', { type: 'Polygon', coordinates: [[[0, 0], [10, 0], [10, 10], [0, 0]]] }),
+      { points: [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }] }
+    );
+    assert.equal(toNativeGeometry('rectangle', { x: 1 }), null);
+    assert.equal(toNativeGeometry('line', { points: [{ x: 1, y: 1 }] }), null);
+  });
+
+  it('recognizes rectangles and ellipses in polygon rings', () => {
+    assert.equal(isRectangleRing([{ x: 0, y: 0 }, { x: 5, y: 0 }, { x: 5, y: 3 }, { x: 0, y: 3 }]), true);
+    assert.equal(isRectangleRing([{ x: 0, y: 0 }, { x: 5, y: 3 }, { x: 5, y: 0 }, { x: 0, y: 3 }]), false);
+    const ring = Array.from({ length: 32 }, (_, i) => ({ x: 10 + 4 * Math.cos(i * Math.PI / 16), y: 10 + 2 * Math.sin(i * Math.PI / 16) }));
+    assert.equal(isEllipseRing(ring), true);
+    assert.equal(isEllipseRing(ring.slice(0, 8)), false);
+  });
+});
+
+describe('colors', () => {
+  it('parses hex and rgb colors', () => {
+    assert.deepStrictEqual(parseColor('#f00'), [255, 0, 0]);
+    assert.deepStrictEqual(parseColor('#00ff0033'), [0, 255, 0]);
+    assert.deepStrictEqual(parseColor('rgba(0, 0, 255, 0.2)'), [0, 0, 255]);
+    assert.equal(parseColor('red'), null);
+    assert.equal(toHexColor([18, 52, 86]), '#123456');
+  });
+});
+
+describe('geojson', () => {
+  it('round-trips every type and the full style', () => {
+    const doc = JSON.parse(JSON.stringify(exportGeoJson(rows, { slideId: 's1' })));
+    assert.equal(doc.features.length, 6);
+    assert.equal(doc.features[1].geometry.type, 'Polygon');
+
+    const { items, skipped } = importGeoJson(doc);
+    assert.equal(skipped, 0);
+    assert.deepStrictEqual(simplify(items), rows.map(r => ({ type: r.type, geometry: r.geometry })));
+    assert.deepStrictEqual(items[0].style, rows[0].style);
+  });
+
+  it('infers types from plain GeoJSON', () => {
+    const { items, skipped } = importGeoJson({
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', geometry: { type: 'MultiPoint', coordinates: [[1, 2], [3, 4]] }, properties: {} },
+        { type: 'Feature', geometry: { type: 'Polygon', coordinates: [[[0, 0], [4, 0], [4, 2], [0, 2], [0, 0]]] }, properties: null },
+        { type: 'Feature', geometry: null, properties: {} },
+      ],
+    });
+    assert.deepStrictEqual(items.map(i => i.type), ['point', 'point', 'rectangle']);
+    assert.deepStrictEqual(items[2].geometry, { x: 0, y: 0, width: 4, height: 2 });
+    assert.equal(skipped, 1);
+  });
+
+  it('round-trips class, label and properties', () => {
+    const doc = JSON.parse(JSON.stringify(exportGeoJson([classified], { classes })));
+    assert.equal(doc.features[0].properties.className, 'Tumor');
+
+    const [item] = importGeoJson(doc).items;
+    assert.equal(item.classId, 'c1');
+    assert.equal(item.className, 'Tumor');
+    assert.equal(item.label, 'invasive front');
+    assert.deepStrictEqual(item.properties, { mitoses: 3 });
+  });
+
+  it('rejects documents that are not GeoJSON', () => {
+    assert.throws(() => importGeoJson({ foo: 1 }), /GeoJSON/);
+  });
+});
+
+describe('qupath', () => {
+  it('exports colors as [r, g, b] and maps types back', () => {
+    const doc = JSON.parse(JSON.stringify(exportQuPath(rows)));
+    assert.equal(doc.features[0].properties.objectType, 'annotation');
+    assert.deepStrictEqual(doc.features[0].properties.color, [255, 0, 0]);
+
+    const { items } = importGeoJson(doc);
+    assert.deepStrictEqual(items.map(i => i.type), rows.map(r => r.type));
+    assert.deepStrictEqual(items[0].geometry, rows[0].geometry);
+    assert.deepStrictEqual(items[3].style, { strokeColor: '#0000ff' });
+  });
+
+  it('recognizes ellipses once QuPath dropped the type hint', () => {
+    const doc = JSON.parse(JSON.stringify(exportQuPath([rows[1]])));
+    delete doc.features[0].properties.supernaviType;
+    const [ellipse] = importGeoJson(doc).items;
+    assert.equal(ellipse.type, 'ellipse');
+    assert.deepStrictEqual(ellipse.geometry, { cx: 500, cy: 400, rx: 80, ry: 40 });
+  });
+
+  it('reads classification colors', () => {
+    const { items } = importGeoJson([{ type: 'Feature', geometry: { type: 'Point', coordinates: [1, 1] }, properties: { classification: { name: 'Tumor', color: [200, 0, 0] } } }]);
+    assert.deepStrictEqual(items[0].style, { strokeColor: '#c80000' });
+    assert.equal(items[0].className, 'Tumor');
+  });
+
+  it('exports the class as classification and the label as name', () => {
+    const doc = JSON.parse(JSON.stringify(exportQuPath([classified], { classes })));
+    assert.deepStrictEqual(doc.features[0].properties.classification, { name: 'Tumor', color: [200, 0, 0] });
+    assert.equal(doc.features[0].properties.name, 'invasive front');
+
+    const [item] = importGeoJson(doc).items;
+    assert.equal(item.classId, null);
+    assert.equal(item.className, 'Tumor');
+    assert.equal(item.label, 'invasive front');
+  });
+});
+
+describe('asap', () => {
+  it('round-trips every type and the stroke color', () => {
+    const xml = exportAsap(rows);
+    assert.match(xml, /<Annotation Name="Annotation 0" Type="Rectangle" PartOfGroup="None" Color="#FF0000">/);
+
+    const { items, skipped } = importAsap(xml);
+    assert.equal(skipped, 0);
+    assert.deepStrictEqual(items.map(i => i.type), rows.map(r => r.type));
+    assert.deepStrictEqual(items[0].geometry, rows[0].geometry);
+    assert.deepStrictEqual(items[1].geometry, rows[1].geometry);
+    assert.deepStrictEqual(items[3].geometry, rows[3].geometry);
+    assert.deepStrictEqual(items[4].geometry, rows[4].geometry);
+    assert.deepStrictEqual(items[5].style, { strokeColor: '#abcdef' });
+  });
+
+  it('exports classes as groups and labels as names', () => {
+    const xml = exportAsap([classified, rows[1]], { classes });
+    assert.match(xml, /<Annotation Name="invasive front" Type="Rectangle" PartOfGroup="Tumor"/);
+    assert.match(xml, /<Group Name="Tumor" PartOfGroup="None" Color="#C80000">/);
+
+    const { items } = importAsap(xml);
+    assert.equal(items.length, 2);
+    assert.equal(items[0].className, 'Tumor');
+    assert.equal(items[0].label, 'invasive front');
+    assert.equal(items[1].className, null);
+    assert.equal(items[1].label, null);
+  });
+
+  it('reads ASAP files with point sets and unknown types', () => {
+    const xml = `<?xml version="1.0"?>
+<ASAP_Annotations><Annotations>
+  <Annotation Name="p" Type="PointSet" PartOfGroup="None" Color="#F4FA58"><Coordinates>
+    <Coordinate Order="1" X="3" Y="4"/><Coordinate Order="0" X="1" Y="2"/>
+  </Coordinates></Annotation>
+  <Annotation Name="x" Type="Unknown" Color="#000000"><Coordinates/></Annotation>
+</Annotations></ASAP_Annotations>`;
+    const { items, skipped } = importAsap(xml);
+    assert.deepStrictEqual(simplify(items), [{ type: 'point', geometry: { x: 1, y: 2 } }, { type: 'point', geometry: { x: 3, y: 4 } }]);
+    assert.equal(skipped, 1);
+  });
+
+  it('rejects other XML', () => {
+    assert.throws(() => importAsap('<Annotations/>'), /ASAP/);
+  });
+});
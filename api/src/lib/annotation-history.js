@@ -0,0 +1,57 @@
+/**
+ * Annotation history helpers
+ *
+ * Turns annotation_revisions rows into the history returned by
+ * GET /v1/annotations/:annotationId/history, with the fields each revision
+ * changed compared to the previous one.
+ */
+
+// Revision column -> API field compared between revisions
+const REVISION_FIELDS = {
+  type: 'type',
+  geometry: 'geometry',
+  style: 'style',
+  class_id: 'classId',
+  label: 'label',
+  properties: 'properties',
+  deleted: 'deleted',
+};
+
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (a === null || b === null || a === undefined || b === undefined) return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * API fields that differ between two revisions rows. The first revision of
+ * the history (no previous one) has no changes to report: null.
+ */
+export function revisionChanges(previous, revision) {
+  if (!previous) return null;
+  return Object.entries(REVISION_FIELDS)
+    .filter(([column]) => !sameValue(previous[column], revision[column]))
+    .map(([, field]) => field);
+}
+
+/**
+ * History entries of revisions rows (oldest first)
+ */
+export function formatHistory(revisions) {
+  return revisions.map((revision, index) => ({
+    version: revision.version,
+    op: revision.op,
+    source: revision.source,
+    type: revision.type,
+    geometry: revision.geometry,
+    style: revision.style,
+    classId: revision.class_id,
+    label: revision.label,
+    properties: revision.properties,
+    deleted: revision.deleted,
+    changedBy: revision.changed_by,
+    details: revision.details,
+    createdAt: revision.created_at,
+    changes: revisionChanges(revisions[index - 1], revision),
+  }));
+}
@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { revisionChanges, formatHistory } from './annotation-history.js';
+
+const base = {
+  annotation_id: 'a1',
+  version: 1,
+  op: 'create',
+  source: 'local',
+  type: 'rectangle',
+  geometry: { x: 0, y: 0, width: 10, height: 10 },
+  style: { strokeColor: '#ff0000' },
+  class_id: null,
+  label: null,
+  properties: null,
+  deleted: false,
+  changed_by: 'u1',
+  details: null,
+  created_at: new Date('2026-01-01T00:00:00Z'),
+};
+
+describe('revisionChanges', () => {
+  it('reports nothing for the first revision', () => {
+    assert.equal(revisionChanges(undefined, base), null);
+  });
+
+  it('lists the fields that differ', () => {
+    const next = { ...base, version: 2, geometry: { x: 5, y: 0, width: 10, height: 10 }, label: 'margin' };
+    assert.deepStrictEqual(revisionChanges(base, next), ['geometry', 'label']);
+  });
+
+  it('reports deletes and restores as the deleted field', () => {
+    const deleted = { ...base, version: 2, op: 'delete', deleted: true };
+    assert.deepStrictEqual(revisionChanges(base, deleted), ['deleted']);
+    assert.deepStrictEqual(revisionChanges(deleted, { ...deleted, version: 3, deleted: false }), ['deleted']);
+  });
+});
+
+describe('formatHistory', () => {
+  it('maps rows to camelCase entries with their changes', () => {
+    const history = formatHistory([base, { ...base, version: 2, op: 'update', class_id: 'c1' }]);
+    assert.equal(history.length, 2);
+    assert.equal(history[0].changes, null);
+    assert.equal(history[1].classId, 'c1');
+    assert.deepStrictEqual(history[1].changes, ['classId']);
+    assert.equal(history[1].changedBy, 'u1');
+  });
+});
@@ -0,0 +1,262 @@
+/**
+ * Annotation measurements
+ *
+ * Area, perimeter, length and bounding box of an annotation, in image
+ * pixels and, when the slide has a calibration (slides.mpp, microns per
+ * pixel, square pixels assumed), in µm / mm.
+ *
+ * Per type:
+ *   rectangle          area, perimeter
+ *   ellipse            area (π·rx·ry), perimeter (Ramanujan approximation)
+ *   polygon, freehand  area (shoelace), perimeter of the closed ring
+ *   line               length of the polyline
+ *   point              bounding box only
+ *
+ * Self-intersecting freehand paths are measured as drawn: crossing lobes
+ * partly cancel out in the area.
+ */
+
+import { toNativeGeometry } from './annotation-formats.js';
+
+export const SUMMARY_GROUPS = ['class', 'type'];
+
+/**
+ * Usable microns-per-pixel of a slide, or null when uncalibrated
+ */
+export function slideMpp(slide) {
+  const mpp = parseFloat(slide?.mpp);
+  return Number.isFinite(mpp) && mpp > 0 ? mpp : null;
+}
+
+function round(value, digits) {
+  if (value === null) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function distance(a, b) {
+  return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+function pathLength(points, closed) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) length += distance(points[i - 1], points[i]);
+  if (closed && points.length > 2) length += distance(points[points.length - 1], points[0]);
+  return length;
+}
+
+function ringArea(points) {
+  let twice = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    twice += a.x * b.y - b.x * a.y;
+  }
+  return Math.abs(twice) / 2;
+}
+
+function pointsBounds(points) {
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  return { x: minX, y: minY, width: Math.max(...xs) - minX, height: Math.max(...ys) - minY };
+}
+
+/**
+ * Pixel measurements of a native shape: { boundingBox, area, perimeter, length }
+ * (null where a measure does not apply to the type)
+ */
+function measureShape(type, shape) {
+  switch (type) {
+    case 'rectangle':
+      return {
+        boundingBox: {
+          x: Math.min(shape.x, shape.x + shape.width),
+          y: Math.min(shape.y, shape.y + shape.height),
+          width: Math.abs(shape.width),
+          height: Math.abs(shape.height),
+        },
+        area: Math.abs(shape.width * shape.height),
+        perimeter: 2 * (Math.abs(shape.width) + Math.abs(shape.height)),
+        length: null,
+      };
+    case 'ellipse': {
+      const a = Math.abs(shape.rx);
+      const b = Math.abs(shape.ry);
+      const h = ((a - b) ** 2) / ((a + b) ** 2 || 1);
+      return {
+        boundingBox: { x: shape.cx - a, y: shape.cy - b, width: 2 * a, height: 2 * b },
+        area: Math.PI * a * b,
+        perimeter: Math.PI * (a + b) * (1 + (3 * h) / (10 + Math.sqrt(4 - 3 * h))),
+        length: null,
+      };
+    }
+    case 'polygon':
+    case 'freehand':
+      return {
+        boundingBox: pointsBounds(shape.points),
+        area: ringArea(shape.points),
+        perimeter: pathLength(shape.points, true),
+        length: null,
+      };
+    case 'line':
+      return {
+        boundingBox: pointsBounds(shape.points),
+        area: null,
+        perimeter: null,
+        length: pathLength(shape.points, false),
+      };
+    case 'point':
+      return {
+        boundingBox: { x: shape.x, y: shape.y, width: 0, height: 0 },
+        area: null,
+        perimeter: null,
+        length: null,
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Unrounded measurements of an annotation (pixels and µm), or null when its
+ * geometry cannot be read
+ */
+function rawMeasurements(type, geometry, mpp) {
+  const shape = toNativeGeometry(type, geometry);
+  const px = shape && measureShape(type, shape);
+  if (!px) return null;
+
+  const um = value => (value === null || mpp === null ? null : value * mpp);
+  return {
+    ...px,
+    areaUm2: px.area === null || mpp === null ? null : px.area * mpp * mpp,
+    perimeterUm: um(px.perimeter),
+    lengthUm: um(px.length),
+  };
+}
+
+/**
+ * Measurements of an annotation for API responses.
+ *
+ * @param {string} type - Annotation type
+ * @param {object} geometry - Stored geometry (native or GeoJSON)
+ * @param {number|null} mpp - Microns per pixel (slideMpp), null when uncalibrated
+ * @returns {{ boundingBox: object, areaPx2: number|null, perimeterPx: number|null, lengthPx: number|null, areaUm2: number|null, areaMm2: number|null, perimeterUm: number|null, perimeterMm: number|null, lengthUm: number|null, lengthMm: number|null }|null}
+ */
+export function measureAnnotation(type, geometry, mpp) {
+  const m = rawMeasurements(type, geometry, mpp);
+  if (!m) return null;
+
+  const box = m.boundingBox;
+  return {
+    boundingBox: {
+      x: round(box.x, 2),
+      y: round(box.y, 2),
+      width: round(box.width, 2),
+      height: round(box.height, 2),
+    },
+    areaPx2: round(m.area, 2),
+    perimeterPx: round(m.perimeter, 2),
+    lengthPx: round(m.length, 2),
+    areaUm2: round(m.areaUm2, 2),
+    areaMm2: m.areaUm2 === null ? null : round(m.areaUm2 / 1e6, 6),
+    perimeterUm: round(m.perimeterUm, 2),
+    perimeterMm: m.perimeterUm === null ? null : round(m.perimeterUm / 1000, 4),
+    lengthUm: round(m.lengthUm, 2),
+    lengthMm: m.lengthUm === null ? null : round(m.lengthUm / 1000, 4),
+  };
+}
+
+function emptyTotals() {
+  return {
+    count: 0,
+    areaPx2: 0,
+    perimeterPx: 0,
+    lengthPx: 0,
+    areaUm2: 0,
+    perimeterUm: 0,
+    lengthUm: 0,
+    // Longest/shortest line: tumor size and closest margin
+    maxLengthUm: null,
+    minLengthUm: null,
+  };
+}
+
+function addToTotals(totals, m) {
+  totals.count++;
+  totals.areaPx2 += m.area || 0;
+  totals.perimeterPx += m.perimeter || 0;
+  totals.lengthPx += m.length || 0;
+  totals.areaUm2 += m.areaUm2 || 0;
+  totals.perimeterUm += m.perimeterUm || 0;
+  totals.lengthUm += m.lengthUm || 0;
+  if (m.lengthUm !== null) {
+    totals.maxLengthUm = totals.maxLengthUm === null ? m.lengthUm : Math.max(totals.maxLengthUm, m.lengthUm);
+    totals.minLengthUm = totals.minLengthUm === null ? m.lengthUm : Math.min(totals.minLengthUm, m.lengthUm);
+  }
+}
+
+function formatTotals(totals, calibrated) {
+  const um = (value, digits) => (calibrated ? round(value, digits) : null);
+  return {
+    count: totals.count,
+    areaPx2: round(totals.areaPx2, 2),
+    perimeterPx: round(totals.perimeterPx, 2),
+    lengthPx: round(totals.lengthPx, 2),
+    areaUm2: um(totals.areaUm2, 2),
+    areaMm2: calibrated ? round(totals.areaUm2 / 1e6, 6) : null,
+    perimeterUm: um(totals.perimeterUm, 2),
+    lengthUm: um(totals.lengthUm, 2),
+    maxLengthUm: round(totals.maxLengthUm, 2),
+    minLengthUm: round(totals.minLengthUm, 2),
+  };
+}
+
+/**
+ * Totals of a slide's annotations, overall and per class or type.
+ *
+ * @param {object[]} rows - annotations rows
+ * @param {{ mpp: number|null, groupBy?: 'class'|'type', classes?: Map<string, object> }} options
+ *   classes: annotation_classes rows by class_id, for names and colors
+ * @returns {{ calibrated: boolean, total: object, groups: object[], unmeasured: number }}
+ */
+export function summarizeMeasurements(rows, { mpp, groupBy = 'class', classes = new Map() }) {
+  const total = emptyTotals();
+  const groups = new Map();
+  let unmeasured = 0;
+
+  for (const row of rows) {
+    const m = rawMeasurements(row.type, row.geometry, mpp);
+    if (!m) {
+      unmeasured++;
+      continue;
+    }
+
+    const key = groupBy === 'type' ? row.type : row.class_id || null;
+    if (!groups.has(key)) groups.set(key, emptyTotals());
+    addToTotals(groups.get(key), m);
+    addToTotals(total, m);
+  }
+
+  const calibrated = mpp !== null;
+  const items = [...groups].map(([key, totals]) => {
+    if (groupBy === 'type') return { type: key, ...formatTotals(totals, calibrated) };
+    const cls = key ? classes.get(key) : null;
+    return {
+      classId: key,
+      className: cls?.name || null,
+      color: cls?.color || null,
+      ...formatTotals(totals, calibrated),
+    };
+  });
+
+  // Largest groups first, unclassified last
+  items.sort((a, b) => {
+    if (groupBy === 'class' && (a.classId === null) !== (b.classId === null)) return a.classId === null ? 1 : -1;
+    return b.count - a.count;
+  });
+
+  return { calibrated, total: formatTotals(total, calibrated), groups: items, unmeasured };
+}
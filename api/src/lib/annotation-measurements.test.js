@@ -0,0 +1,107 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { slideMpp, measureAnnotation, summarizeMeasurements } from './annotation-measurements.js';
+
+describe('slideMpp', () => {
+  it('accepts positive calibrations only', () => {
+    assert.equal(slideMpp({ mpp: 0.25 }), 0.25);
+    assert.equal(slideMpp({ mpp: '0.5' }), 0.5);
+    assert.equal(slideMpp({ mpp: 0 }), null);
+    assert.equal(slideMpp({ mpp: null }), null);
+    assert.equal(slideMpp(null), null);
+  });
+});
+
+describe('measureAnnotation', () => {
+  it('measures rectangles in pixels, µm and mm', () => {
+    const m = measureAnnotation('rectangle', { x: 10, y: 20, width: 4000, height: 2000 }, 0.5);
+    assert.deepStrictEqual(m.boundingBox, { x: 10, y: 20, width: 4000, height: 2000 });
+    assert.equal(m.areaPx2, 8000000);
+    assert.equal(m.areaUm2, 2000000);
+    assert.equal(m.areaMm2, 2);
+    assert.equal(m.perimeterUm, 6000);
+    assert.equal(m.perimeterMm, 6);
+    assert.equal(m.lengthUm, null);
+  });
+
+  it('measures ellipses', () => {
+    const circle = measureAnnotation('ellipse', { cx: 100, cy: 100, rx: 50, ry: 50 }, 1);
+    assert.equal(circle.areaUm2, 7853.98);
+    assert.equal(circle.perimeterUm, 314.16);
+    assert.deepStrictEqual(circle.boundingBox, { x: 50, y: 50, width: 100, height: 100 });
+
+    // Ramanujan: 2a=20, 2b=10 → ≈ 48.442
+    assert.equal(measureAnnotation('ellipse', { cx: 0, cy: 0, rx: 10, ry: 5 }, 1).perimeterPx, 48.44);
+  });
+
+  it('measures polygons, freehand paths and GeoJSON-stored rings', () => {
+    const triangle = { points: [{ x: 0, y: 0 }, { x: 30, y: 0 }, { x: 0, y: 40 }] };
+    const m = measureAnnotation('polygon', triangle, 2);
+    assert.equal(m.areaPx2, 600);
+    assert.equal(m.areaUm2, 2400);
+    assert.equal(m.perimeterPx, 120);
+
+    const geo = { type: 'Polygon', coordinates: [[[0, 0], [30, 0], [0, 40], [0, 0]]] };
+    assert.equal(measureAnnotation('freehand', geo, null).areaPx2, 600);
+  });
+
+  it('measures line length and leaves points at their position', () => {
+    const line = measureAnnotation('line', { points: [{ x: 0, y: 0 }, { x: 3, y: 4 }, { x: 3, y: 10 }] }, 0.25);
+    assert.equal(line.lengthPx, 11);
+    assert.equal(line.lengthUm, 2.75);
+    assert.equal(line.lengthMm, 0.0028);
+    assert.equal(line.areaUm2, null);
+
+    const point = measureAnnotation('point', { x: 7, y: 8 }, 0.25);
+    assert.deepStrictEqual(point.boundingBox, { x: 7, y: 8, width: 0, height: 0 });
+    assert.equal(point.areaPx2, null);
+  });
+
+  it('keeps pixel values and nulls physical ones without calibration', () => {
+    const m = measureAnnotation('rectangle', { x: 0, y: 0, width: 10, height: 10 }, null);
+    assert.equal(m.areaPx2, 100);
+    assert.equal(m.areaUm2, null);
+    assert.equal(m.areaMm2, null);
+  });
+
+  it('returns null for unreadable geometry', () => {
+    assert.equal(measureAnnotation('polygon', { points: [] }, 1), null);
+  });
+});
+
+describe('summarizeMeasurements', () => {
+  const rows = [
+    { type: 'rectangle', class_id: 'tumor', geometry: { x: 0, y: 0, width: 1000, height: 1000 } },
+    { type: 'rectangle', class_id: 'tumor', geometry: { x: 0, y: 0, width: 2000, height: 1000 } },
+    { type: 'line', class_id: 'margin', geometry: { points: [{ x: 0, y: 0 }, { x: 0, y: 400 }] } },
+    { type: 'line', class_id: 'margin', geometry: { points: [{ x: 0, y: 0 }, { x: 0, y: 100 }] } },
+    { type: 'point', class_id: null, geometry: { x: 1, y: 1 } },
+    { type: 'polygon', class_id: null, geometry: { points: [] } },
+  ];
+  const classes = new Map([['tumor', { class_id: 'tumor', name: 'Tumor', color: '#c80000' }]]);
+
+  it('totals per class, unclassified last', () => {
+    const summary = summarizeMeasurements(rows, { mpp: 0.5, classes });
+    assert.equal(summary.calibrated, true);
+    assert.equal(summary.unmeasured, 1);
+    assert.equal(summary.total.count, 5);
+    assert.deepStrictEqual(summary.groups.map(g => g.classId), ['tumor', 'margin', null]);
+
+    const [tumor, margin] = summary.groups;
+    assert.equal(tumor.className, 'Tumor');
+    assert.equal(tumor.areaMm2, 0.75);
+    assert.equal(margin.className, null);
+    assert.equal(margin.lengthUm, 250);
+    assert.equal(margin.maxLengthUm, 200);
+    assert.equal(margin.minLengthUm, 50);
+  });
+
+  it('totals per type', () => {
+    const summary = summarizeMeasurements(rows, { mpp: null, groupBy: 'type' });
+    assert.equal(summary.calibrated, false);
+    const rect = summary.groups.find(g => g.type === 'rectangle');
+    assert.equal(rect.count, 2);
+    assert.equal(rect.areaPx2, 3000000);
+    assert.equal(rect.areaUm2, null);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Annotation spatial helpers
+ *
+ * Bounding boxes stored in annotations.bbox (GiST indexed) for viewport
+ * queries, and the pyramid-level math used to cluster dense point sets:
+ *   GET /v1/slides/:slideId/annotations?bbox=x1,y1,x2,y2&level=z
+ *
+ * Levels follow the tile pyramid: max_level is full resolution, each level
+ * below halves it.
+ */
+
+// Point annotations in the viewport above which a downsampled view gets
+// clusters instead of individual points
+export const CLUSTER_MIN_POINTS = 500;
+
+// Cluster grid cell, in screen pixels at the requested level
+export const CLUSTER_CELL_PX = 64;
+
+function isNum(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function boundsOf(pairs) {
+  if (pairs.length === 0) return null;
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const [x, y] of pairs) {
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  }
+  return { minX, minY, maxX, maxY };
+}
+
+/**
+ * [x, y] pairs of (nested) GeoJSON coordinates
+ */
+function coordinatePairs(value, pairs = []) {
+  if (!Array.isArray(value)) return pairs;
+  if (isNum(value[0]) && isNum(value[1])) {
+    pairs.push([value[0], value[1]]);
+  } else {
+    for (const item of value) coordinatePairs(item, pairs);
+  }
+  return pairs;
+}
+
+/**
+ * Bounding box of a stored geometry (native shape or GeoJSON), whatever the
+ * annotation type, or null when it has no readable coordinates.
+ *
+ * @returns {{ minX: number, minY: number, maxX: number, maxY: number }|null}
+ */
+export function geometryBounds(geometry) {
+  if (!geometry || typeof geometry !== 'object') return null;
+
+  if (Array.isArray(geometry.coordinates)) {
+    return boundsOf(coordinatePairs(geometry.coordinates));
+  }
+  if (['x', 'y', 'width', 'height'].every(k => isNum(geometry[k]))) {
+    return boundsOf([[geometry.x, geometry.y], [geometry.x + geometry.width, geometry.y + geometry.height]]);
+  }
+  if (['cx', 'cy', 'rx', 'ry'].every(k => isNum(geometry[k]))) {
+    const rx = Math.abs(geometry.rx);
+    const ry = Math.abs(geometry.ry);
+    return boundsOf([[geometry.cx - rx, geometry.cy - ry], [geometry.cx + rx, geometry.cy + ry]]);
+  }
+  if (Array.isArray(geometry.points)) {
+    const pairs = geometry.points
+      .filter(p => p && isNum(p.x) && isNum(p.y))
+      .map(p => [p.x, p.y]);
+    return boundsOf(pairs);
+  }
+  if (isNum(geometry.x) && isNum(geometry.y)) {
+    return boundsOf([[geometry.x, geometry.y]]);
+  }
+  return null;
+}
+
+/**
+ * Parse a "x1,y1,x2,y2" viewport (full-resolution pixels, corners in any
+ * order), or null when malformed.
+ *
+ * @returns {{ minX: number, minY: number, maxX: number, maxY: number }|null}
+ */
+export function parseBbox(text) {
+  if (typeof text !== 'string') return null;
+  const values = text.split(',').map(part => (part.trim() === '' ? NaN : Number(part)));
+  if (values.length !== 4 || !values.every(Number.isFinite)) return null;
+  const [x1, y1, x2, y2] = values;
+  return boundsOf([[x1, y1], [x2, y2]]);
+}
+
+/**
+ * Full-resolution pixels per screen pixel at a pyramid level (1 at the
+ * slide's max level, doubling per level below)
+ */
+export function levelDownsample(slide, level) {
+  let maxLevel = slide?.max_level;
+  if (!Number.isInteger(maxLevel)) {
+    const size = Math.max(slide?.width || 0, slide?.height || 0);
+    maxLevel = size > 1 ? Math.ceil(Math.log2(size)) : 0;
+  }
+  return level >= maxLevel ? 1 : 2 ** (maxLevel - level);
+}
+
+/**
+ * Cluster grid cell (full-resolution pixels) for a pyramid level, or null
+ * when the level is full resolution and points are never clustered
+ */
+export function clusterCellSize(slide, level) {
+  const downsample = levelDownsample(slide, level);
+  return downsample > 1 ? CLUSTER_CELL_PX * downsample : null;
+}
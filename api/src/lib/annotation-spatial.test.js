@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { geometryBounds, parseBbox, levelDownsample, clusterCellSize, CLUSTER_CELL_PX } from './annotation-spatial.js';
+
+describe('geometryBounds', () => {
+  it('bounds native shapes', () => {
+    assert.deepStrictEqual(geometryBounds({ x: 10, y: 20, width: 30, height: 40 }), { minX: 10, minY: 20, maxX: 40, maxY: 60 });
+    assert.deepStrictEqual(geometryBounds({ x: 10, y: 20, width: -5, height: 5 }), { minX: 5, minY: 20, maxX: 10, maxY: 25 });
+    assert.deepStrictEqual(geometryBounds({ cx: 100, cy: 50, rx: 20, ry: 10 }), { minX: 80, minY: 40, maxX: 120, maxY: 60 });
+    assert.deepStrictEqual(geometryBounds({ points: [{ x: 3, y: 9 }, { x: -1, y: 4 }, { x: 7, y: 5 }] }), { minX: -1, minY: 4, maxX: 7, maxY: 9 });
+    assert.deepStrictEqual(geometryBounds({ x: 7, y: 8 }), { minX: 7, minY: 8, maxX: 7, maxY: 8 });
+  });
+
+  it('bounds GeoJSON geometries', () => {
+    const polygon = { type: 'Polygon', coordinates: [[[0, 0], [10, 0], [10, 5], [0, 0]]] };
+    assert.deepStrictEqual(geometryBounds(polygon), { minX: 0, minY: 0, maxX: 10, maxY: 5 });
+    assert.deepStrictEqual(geometryBounds({ type: 'Point', coordinates: [4, 2] }), { minX: 4, minY: 2, maxX: 4, maxY: 2 });
+  });
+
+  it('returns null without coordinates', () => {
+    assert.equal(geometryBounds(null), null);
+    assert.equal(geometryBounds({ points: [] }), null);
+    assert.equal(geometryBounds({ foo: 1 }), null);
+  });
+});
+
+describe('parseBbox', () => {
+  it('parses and orders corners', () => {
+    assert.deepStrictEqual(parseBbox('100,200,0,50'), { minX: 0, minY: 50, maxX: 100, maxY: 200 });
+    assert.deepStrictEqual(parseBbox(' 1.5, 2 ,3,4'), { minX: 1.5, minY: 2, maxX: 3, maxY: 4 });
+  });
+
+  it('rejects malformed viewports', () => {
+    assert.equal(parseBbox('1,2,3'), null);
+    assert.equal(parseBbox('1,2,,4'), null);
+    assert.equal(parseBbox('a,b,c,d'), null);
+    assert.equal(parseBbox(undefined), null);
+  });
+});
+
+describe('levels', () => {
+  const slide = { max_level: 17, width: 100000, height: 80000 };
+
+  it('halves resolution per level below the max', () => {
+    assert.equal(levelDownsample(slide, 17), 1);
+    assert.equal(levelDownsample(slide, 20), 1);
+    assert.equal(levelDownsample(slide, 14), 8);
+  });
+
+  it('derives the max level from the slide size when missing', () => {
+    assert.equal(levelDownsample({ max_level: null, width: 1024, height: 512 }, 8), 4);
+  });
+
+  it('clusters only below full resolution', () => {
+    assert.equal(clusterCellSize(slide, 17), null);
+    assert.equal(clusterCellSize(slide, 15), CLUSTER_CELL_PX * 4);
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * Audit helpers
+ *
+ * Which requests end up in audit_log (plugins/audit.js), under which action
+ * name, and the CSV export of GET /v1/audit.
+ */
+
+// Route prefixes audited; everything else (health, jobs, sync, events) is not
+export const AUDITED_PREFIXES = [
+  '/v1/slides',
+  '/v1/cases',
+  '/v1/worklist',
+  '/v1/case-packages',
+  '/iiif/',
+  '/v1/annotations',
+  '/v1/annotation-classes',
+  '/v1/threads',
+  '/v1/messages',
+  '/v1/admin',
+  '/v1/users',
+  '/v1/audit',
+  '/static/',
+];
+
+// Tile reads are aggregated per session by services/audit.js
+export const TILE_READ = 'slide.tiles.view';
+
+/**
+ * Action per route, keyed by "<METHOD> <route url>" like ROUTE_PERMISSIONS.
+ * null skips the route: status polling that exposes no clinical data.
+ * Audited routes not listed are logged as "<resource>.<method>".
+ */
+export const ROUTE_ACTIONS = {
+  'GET /v1/slides': 'slide.list',
+  'GET /v1/slides/unlinked': 'slide.list',
+  'GET /v1/slides/by-filename/:filename': null,
+  'GET /v1/slides/:slideId/availability': null,
+  'GET /v1/slides/:slideId': 'slide.info.view',
+  'GET /v1/slides/:slideId/manifest': 'slide.view',
+  'GET /v1/slides/:slideId/properties': 'slide.info.view',
+  'GET /v1/slides/:slideId/thumb': 'slide.thumb.view',
+  'GET /v1/slides/:slideId/associated/:name': 'slide.associated.view',
+  'GET /v1/slides/:slideId/tiles/:z/:x/:y.jpg': TILE_READ,
+  'GET /v1/slides/:slideId.dzi': 'slide.view',
+  'GET /v1/slides/:slideId/region': 'slide.region.export',
+  'GET /v1/slides/:slideId(^[0-9a-f]+)_files/:z/:x(^\\d+)_:y(^\\d+).jpg': TILE_READ,
+  'POST /v1/slides/upload': 'slide.upload',
+  'POST /v1/slides/:slideId/link-to-case': 'case.slide.link',
+  'PATCH /v1/slides/:slideId': 'slide.update',
+  'POST /v1/slides/:slideId/tags': 'slide.tags.add',
+  'DELETE /v1/slides/:slideId/tags/:tag': 'slide.tags.remove',
+  'DELETE /v1/slides/:slideId': 'slide.delete',
+  // IIIF routes, also under /iiif/token/:accessToken (iiif/index.js)
+  ...Object.fromEntries(['/iiif', '/iiif/token/:accessToken'].flatMap(prefix => [
+    [`GET ${prefix}/:slideId`, null],
+    [`GET ${prefix}/:slideId/info.json`, 'slide.view'],
+    [`GET ${prefix}/:slideId/manifest.json`, 'slide.view'],
+    [`GET ${prefix}/:slideId/:region/:size/:rotation/:file`, TILE_READ],
+    [`GET ${prefix}/cases/:caseId/manifest.json`, 'case.view'],
+  ])),
+
+  'GET /v1/cases': 'case.list',
+  'GET /v1/cases/by-ref/:caseBase': 'case.view',
+  'GET /v1/cases/:caseId': 'case.view',
+  'POST /v1/cases': 'case.create',
+  'PATCH /v1/cases/:caseId': 'case.update',
+  'POST /v1/cases/:caseId/start-review': 'case.review.start',
+  'POST /v1/cases/:caseId/request-ihc': 'case.ihc.request',
+  'POST /v1/cases/:caseId/sign-out': 'case.sign_out',
+  'POST /v1/cases/:caseId/reopen': 'case.reopen',
+  'GET /v1/cases/:caseId/sign-outs': 'case.signouts.view',
+  'GET /v1/cases/:caseId/transitions': 'case.transitions.view',
+  'GET /v1/worklist': 'worklist.view',
+  'GET /v1/worklist/turnaround': 'worklist.turnaround.view',
+  'POST /v1/cases/:caseId/slides': 'case.slide.link',
+  'PATCH /v1/cases/:caseId/slides/:slideId': 'case.slide.update',
+  'DELETE /v1/cases/:caseId/slides/:slideId': 'case.slide.unlink',
+  'POST /v1/cases/:caseId/export': 'case_package.export',
+  'GET /v1/cases/:caseId/exports': 'case_package.list',
+  'POST /v1/cases/import': 'case_package.import',
+  'GET /v1/case-packages/:packageId': 'case_package.view',
+  'GET /v1/case-packages/:packageId/download': 'case_package.download',
+  'DELETE /v1/case-packages/:packageId': 'case_package.delete',
+
+  'GET /v1/slides/:slideId/annotations': 'annotation.list',
+  'POST /v1/slides/:slideId/annotations': 'annotation.create',
+  'GET /v1/slides/:slideId/annotations/summary': 'annotation.summary',
+  'GET /v1/slides/:slideId/annotations/export': 'annotation.export',
+  'POST /v1/slides/:slideId/annotations/import': 'annotation.import',
+  'PATCH /v1/annotations/:annotationId': 'annotation.update',
+  'DELETE /v1/annotations/:annotationId': 'annotation.delete',
+  'GET /v1/annotations/:annotationId/history': 'annotation.history.view',
+  'POST /v1/annotations/:annotationId/revert': 'annotation.revert',
+  'POST /v1/annotations/:annotationId/restore': 'annotation.restore',
+
+  'GET /v1/annotation-classes': null,
+  'POST /v1/annotation-classes': 'annotation_class.create',
+  'PATCH /v1/annotation-classes/:classId': 'annotation_class.update',
+  'DELETE /v1/annotation-classes/:classId': 'annotation_class.delete',
+
+  'GET /v1/slides/:slideId/threads': 'thread.list',
+  'POST /v1/slides/:slideId/threads': 'thread.create',
+  'POST /v1/threads/:threadId/resolve': 'thread.resolve',
+  'POST /v1/threads/:threadId/reopen': 'thread.reopen',
+  'GET /v1/threads/:threadId/messages': 'message.list',
+  'POST /v1/threads/:threadId/messages': 'message.create',
+  'PATCH /v1/messages/:messageId': 'message.update',
+  'DELETE /v1/messages/:messageId': 'message.delete',
+  'GET /v1/messages/:messageId/history': 'message.history.view',
+  'GET /v1/messages/:messageId/attachments/:n': 'message.attachment.view',
+
+  'GET /v1/admin/config': 'admin.config.view',
+  'POST /v1/admin/config': 'admin.config.update',
+  'GET /v1/admin/scanner/detect': 'admin.scanner.detect',
+
+  'GET /v1/users': 'user.list',
+  'POST /v1/users': 'user.create',
+  'PATCH /v1/users/:userId': 'user.update',
+
+  'GET /v1/audit': 'audit.view',
+  'GET /static/*': TILE_READ,
+};
+
+// Route param holding the id of each resource type
+const RESOURCE_PARAMS = {
+  slide: 'slideId',
+  case: 'caseId',
+  case_package: 'packageId',
+  annotation: 'annotationId',
+  annotation_class: 'classId',
+  thread: 'threadId',
+  message: 'messageId',
+  user: 'userId',
+};
+
+function defaultAction(method, routeUrl) {
+  const segment = routeUrl.split('/')[2] || 'request';
+  const resource = segment.replace(/s$/, '');
+  return `${resource}.${method.toLowerCase()}`;
+}
+
+/**
+ * Audit description of a request, or null when it is not audited.
+ *
+ * @param {{ method: string, routeUrl?: string, params?: object }} request
+ * @returns {{ action: string, resourceType: string|null, resourceId: string|null, slideId: string|null, caseId: string|null }|null}
+ */
+export function describeRequest({ method, routeUrl, params = {} }) {
+  if (!routeUrl || method === 'OPTIONS') return null;
+  if (!AUDITED_PREFIXES.some(prefix => routeUrl.startsWith(prefix))) return null;
+
+  // HEAD routes are generated from their GET route
+  const verb = method === 'HEAD' ? 'GET' : method;
+  const key = `${verb} ${routeUrl}`;
+  const action = key in ROUTE_ACTIONS ? ROUTE_ACTIONS[key] : defaultAction(verb, routeUrl);
+  if (!action) return null;
+
+  let slideId = params.slideId || null;
+  // /static/<slideId>/... serves derived files (tiles, thumbs) of one slide
+  if (routeUrl === '/static/*' && params['*']) {
+    slideId = params['*'].split('/')[0] || null;
+  }
+
+  const resourceType = action.split('.')[0];
+  const idParam = RESOURCE_PARAMS[resourceType];
+  const resourceId = resourceType === 'slide' ? slideId : (idParam && params[idParam]) || null;
+
+  return {
+    action,
+    resourceType: resourceType in RESOURCE_PARAMS ? resourceType : null,
+    resourceId,
+    slideId,
+    caseId: params.caseId || null,
+  };
+}
+
+/**
+ * Key grouping tile reads into one viewing session: same user (or client
+ * address when anonymous) on the same slide.
+ */
+export function tileSessionKey({ userId, ip, slideId }) {
+  return `${userId || `ip:${ip}`}|${slideId}`;
+}
+
+/**
+ * Quote a CSV cell. Cells that spreadsheets would evaluate as formulas are
+ * prefixed with a quote.
+ */
+export function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === 'object') text = JSON.stringify(value);
+  else text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render rows as CSV (header line + one line per row, CRLF separated).
+ *
+ * @param {string[]} columns - Keys of each row, also used as the header
+ * @param {object[]} rows
+ */
+export function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvCell(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
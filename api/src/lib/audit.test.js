@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TILE_READ, describeRequest, tileSessionKey, csvCell, toCsv } from './audit.js';
+
+describe('describeRequest', () => {
+  it('maps audited routes to actions and resources', () => {
+    assert.deepStrictEqual(
+      describeRequest({ method: 'DELETE', routeUrl: '/v1/cases/:caseId/slides/:slideId', params: { caseId: 'c1', slideId: 's1' } }),
+      { action: 'case.slide.unlink', resourceType: 'case', resourceId: 'c1', slideId: 's1', caseId: 'c1' }
+    );
+    assert.deepStrictEqual(
+      describeRequest({ method: 'PATCH', routeUrl: '/v1/annotations/:annotationId', params: { annotationId: 'a1' } }),
+      { action: 'annotation.update', resourceType: 'annotation', resourceId: 'a1', slideId: null, caseId: null }
+    );
+    assert.deepStrictEqual(
+      describeRequest({ method: 'PATCH', routeUrl: '/v1/annotation-classes/:classId', params: { classId: 'c1' } }),
+      { action: 'annotation_class.update', resourceType: 'annotation_class', resourceId: 'c1', slideId: null, caseId: null }
+    );
+  });
+
+  it('skips routes outside the audited prefixes and status polling', () => {
+    assert.equal(describeRequest({ method: 'GET', routeUrl: '/v1/health' }), null);
+    assert.equal(describeRequest({ method: 'GET', routeUrl: '/v1/jobs' }), null);
+    assert.equal(describeRequest({ method: 'GET', routeUrl: '/v1/slides/:slideId/availability', params: { slideId: 's1' } }), null);
+    assert.equal(describeRequest({ method: 'GET', routeUrl: undefined }), null);
+  });
+
+  it('treats tiles and static files as tile reads of their slide', () => {
+    const tile = describeRequest({ method: 'GET', routeUrl: '/v1/slides/:slideId/tiles/:z/:x/:y.jpg', params: { slideId: 's1', z: '3' } });
+    assert.equal(tile.action, TILE_READ);
+    assert.equal(tile.slideId, 's1');
+
+    const dzi = describeRequest({ method: 'GET', routeUrl: '/v1/slides/:slideId(^[0-9a-f]+)_files/:z/:x(^\\d+)_:y(^\\d+).jpg', params: { slideId: 's1', z: '3' } });
+    assert.equal(dzi.action, TILE_READ);
+    assert.equal(dzi.resourceId, 's1');
+
+    const file = describeRequest({ method: 'GET', routeUrl: '/static/*', params: { '*': 's2/tiles/4/0_0.jpg' } });
+    assert.equal(file.action, TILE_READ);
+    assert.equal(file.resourceId, 's2');
+
+    const iiif = describeRequest({ method: 'GET', routeUrl: '/iiif/:slideId/:region/:size/:rotation/:file', params: { slideId: 's3' } });
+    assert.equal(iiif.action, TILE_READ);
+    assert.equal(iiif.slideId, 's3');
+  });
+
+  it('logs unlisted routes under an audited prefix', () => {
+    assert.equal(describeRequest({ method: 'POST', routeUrl: '/v1/slides/:slideId/reprocess', params: { slideId: 's1' } }).action, 'slide.post');
+  });
+
+  it('groups tile sessions by user, or by address when anonymous', () => {
+    assert.equal(tileSessionKey({ userId: 'u1', ip: '10.0.0.1', slideId: 's1' }), 'u1|s1');
+    assert.equal(tileSessionKey({ userId: null, ip: '10.0.0.1', slideId: 's1' }), 'ip:10.0.0.1|s1');
+  });
+});
+
+describe('CSV export', () => {
+  it('quotes separators and neutralizes formulas', () => {
+    assert.equal(csvCell('a,b'), '"a,b"');
+    assert.equal(csvCell('say "hi"'), '"say ""hi"""');
+    assert.equal(csvCell('=HYPERLINK("x")'), `"'=HYPERLINK(""x"")"`);
+    assert.equal(csvCell(null), '');
+    assert.equal(csvCell({ tiles: 2 }), '"{""tiles"":2}"');
+  });
+
+  it('renders a header and one line per row', () => {
+    assert.equal(toCsv(['a', 'b'], [{ a: 1, b: 'x' }, { a: 2 }]), 'a,b\r\n1,x\r\n2,\r\n');
+  });
+});
@@ -0,0 +1,296 @@
+/**
+ * Authentication helpers
+ *
+ * Password hashing (scrypt), opaque API tokens, the role/permission
+ * table enforced by plugins/auth.js, login throttling and the CORS origins.
+ */
+
+import { randomBytes, scryptSync, createHash, timingSafeEqual } from 'crypto';
+
+export const ROLES = ['pathologist', 'technician', 'admin'];
+
+// Route needs no authentication at all
+export const PUBLIC = 'public';
+// Route needs a logged-in user, whatever the role
+export const AUTHENTICATED = 'authenticated';
+
+const ROLE_PERMISSIONS = {
+  pathologist: ['read', 'slides:tag', 'cases:write', 'cases:sign_out', 'annotations:write', 'threads:write'],
+  technician: ['read', 'slides:write', 'slides:tag', 'cases:write', 'jobs:manage'],
+  admin: ['*'],
+};
+
+/**
+ * Permission required per route, keyed by "<METHOD> <route url>".
+ * Routes not listed need "read" for GET/HEAD and "admin" for anything else,
+ * so a new write route stays admin-only until it is added here.
+ */
+export const ROUTE_PERMISSIONS = {
+  'GET /v1/health': PUBLIC,
+  'GET /v1/capabilities': PUBLIC,
+  'POST /v1/auth/login': PUBLIC,
+  'POST /v1/auth/logout': AUTHENTICATED,
+  'GET /v1/auth/me': AUTHENTICATED,
+  'POST /v1/auth/password': AUTHENTICATED,
+
+  // Local viewer page and its scripts; the slide data it loads needs a token
+  'GET /viewer/:slideId': PUBLIC,
+  'GET /viewer/assets/*': PUBLIC,
+  'GET /viewer/openseadragon/*': PUBLIC,
+
+  'POST /v1/slides/upload': 'slides:write',
+  'POST /v1/slides/:slideId/link-to-case': 'cases:write',
+  'PATCH /v1/slides/:slideId': 'slides:tag',
+  'POST /v1/slides/:slideId/tags': 'slides:tag',
+  'DELETE /v1/slides/:slideId/tags/:tag': 'slides:tag',
+  'DELETE /v1/slides/:slideId': 'slides:delete',
+
+  'POST /v1/cases': 'cases:write',
+  'PATCH /v1/cases/:caseId': 'cases:write',
+  'POST /v1/cases/:caseId/start-review': 'cases:write',
+  'POST /v1/cases/:caseId/request-ihc': 'cases:write',
+  'POST /v1/cases/:caseId/sign-out': 'cases:sign_out',
+  'POST /v1/cases/:caseId/reopen': 'cases:sign_out',
+  'POST /v1/cases/:caseId/slides': 'cases:write',
+  'PATCH /v1/cases/:caseId/slides/:slideId': 'cases:write',
+  'DELETE /v1/cases/:caseId/slides/:slideId': 'cases:write',
+  'POST /v1/cases/:caseId/export': 'cases:write',
+  'POST /v1/cases/import': 'cases:write',
+  'DELETE /v1/case-packages/:packageId': 'cases:write',
+
+  'POST /v1/slides/:slideId/annotations': 'annotations:write',
+  'POST /v1/slides/:slideId/annotations/import': 'annotations:write',
+  'PATCH /v1/annotations/:annotationId': 'annotations:write',
+  'DELETE /v1/annotations/:annotationId': 'annotations:write',
+  'POST /v1/annotations/:annotationId/revert': 'annotations:write',
+  'POST /v1/annotations/:annotationId/restore': 'annotations:write',
+
+  'POST /v1/annotation-classes': 'annotation-classes:manage',
+  'PATCH /v1/annotation-classes/:classId': 'annotation-classes:manage',
+  'DELETE /v1/annotation-classes/:classId': 'annotation-classes:manage',
+
+  'POST /v1/slides/:slideId/threads': 'threads:write',
+  'POST /v1/threads/:threadId/resolve': 'threads:write',
+  'POST /v1/threads/:threadId/reopen': 'threads:write',
+  'POST /v1/threads/:threadId/messages': 'threads:write',
+  'PATCH /v1/messages/:messageId': 'threads:write',
+  'DELETE /v1/messages/:messageId': 'threads:write',
+
+  'POST /v1/jobs/:jobId/retry': 'jobs:manage',
+  'DELETE /v1/jobs/:jobId': 'jobs:manage',
+
+  'GET /v1/admin/config': 'admin:config',
+  'POST /v1/admin/config': 'admin:config',
+  'GET /v1/admin/scanner/detect': 'admin:config',
+
+  'GET /v1/users': 'users:manage',
+  'POST /v1/users': 'users:manage',
+  'PATCH /v1/users/:userId': 'users:manage',
+
+  'GET /v1/audit': 'audit:read',
+
+  // Raw outbox payloads (attachments included) and rejection details
+  'GET /v1/sync/pending': 'sync:manage',
+  'GET /v1/sync/events/:eventId': 'sync:manage',
+  'GET /v1/sync/dead-letter': 'sync:manage',
+};
+
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const SCRYPT_KEYLEN = 64;
+
+/**
+ * Hash a password for storage ("scrypt$N$r$p$salt$hash", base64 parts).
+ */
+export function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = scryptSync(password, salt, SCRYPT_KEYLEN, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+  return ['scrypt', SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against a stored hash. Malformed hashes never match.
+ */
+export function verifyPassword(password, stored) {
+  const parts = typeof stored === 'string' ? stored.split('$') : [];
+  if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+
+  const [, n, r, p, saltB64, hashB64] = parts;
+  const expected = Buffer.from(hashB64, 'base64');
+  if (expected.length === 0) return false;
+
+  try {
+    const actual = scryptSync(password, Buffer.from(saltB64, 'base64'), expected.length, {
+      N: parseInt(n, 10),
+      r: parseInt(r, 10),
+      p: parseInt(p, 10),
+    });
+    return timingSafeEqual(actual, expected);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * New opaque API token (returned to the client once, stored hashed).
+ */
+export function generateToken() {
+  return randomBytes(32).toString('base64url');
+}
+
+export function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Constant-time string comparison.
+ */
+export function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Token sent with a request: "Authorization: Bearer <token>", or on GET the
+ * access_token query parameter (EventSource and <img> cannot set headers) or
+ * the :accessToken path parameter of /iiif/token/ (IIIF viewers drop queries).
+ *
+ * @param {{ method: string, headers: object, query?: object, params?: object }} request
+ * @returns {string|null}
+ */
+export function extractToken(request) {
+  const header = request.headers?.authorization;
+  if (typeof header === 'string') {
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    if (match) return match[1];
+  }
+
+  if (request.method === 'GET' || request.method === 'HEAD') {
+    if (typeof request.query?.access_token === 'string') return request.query.access_token || null;
+    if (typeof request.params?.accessToken === 'string') return request.params.accessToken || null;
+  }
+
+  return null;
+}
+
+/**
+ * Permission a route requires (see ROUTE_PERMISSIONS).
+ *
+ * @param {string} method - HTTP method
+ * @param {string|undefined} routeUrl - Route pattern (request.routeOptions.url)
+ */
+export function getRoutePermission(method, routeUrl) {
+  // HEAD routes are generated from their GET route
+  const verb = method === 'HEAD' ? 'GET' : method;
+  const permission = routeUrl ? ROUTE_PERMISSIONS[`${verb} ${routeUrl}`] : undefined;
+  if (permission) return permission;
+  return verb === 'GET' ? 'read' : 'admin';
+}
+
+export function hasPermission(role, permission) {
+  if (permission === PUBLIC) return true;
+  const granted = ROLE_PERMISSIONS[role];
+  if (!granted) return false;
+  if (permission === AUTHENTICATED) return true;
+  return granted.includes('*') || granted.includes(permission);
+}
+
+/**
+ * Author id recorded on annotations and messages for a user: the cloud
+ * identity when the user is linked to one, so synced authorship matches.
+ */
+export function getAuthorId(user) {
+  return user.cloudUserId || user.userId;
+}
+
+/**
+ * Replace the access_token query parameter and the /iiif/token/ path token
+ * in a URL (for request logs).
+ */
+export function redactToken(url) {
+  if (typeof url !== 'string') return url;
+  return url
+    .replace(/([?&]access_token=)[^&]*/g, '$1[redacted]')
+    .replace(/(\/iiif\/token\/)[^/?]*/, '$1[redacted]');
+}
+
+/**
+ * Failed login attempts per username and per client IP within a sliding
+ * window; past the limit, logins are refused until the oldest failure
+ * leaves the window. A successful login clears the username's failures.
+ *
+ * @param {{ maxPerUser?: number, maxPerIp?: number, windowMs?: number, now?: () => number }} options
+ */
+export function createLoginThrottle({ maxPerUser = 5, maxPerIp = 20, windowMs = 15 * 60 * 1000, now = Date.now } = {}) {
+  const failures = new Map();
+
+  const userKey = (username) => `user:${String(username).toLowerCase()}`;
+  const keysOf = (username, ip) => [[userKey(username), maxPerUser], [`ip:${ip}`, maxPerIp]];
+
+  const recent = (key) => {
+    const since = now() - windowMs;
+    const times = (failures.get(key) || []).filter(t => t > since);
+    if (times.length > 0) failures.set(key, times);
+    else failures.delete(key);
+    return times;
+  };
+
+  return {
+    /**
+     * Seconds until a login may be tried again, 0 when allowed
+     */
+    retryAfter(username, ip) {
+      let waitMs = 0;
+      for (const [key, max] of keysOf(username, ip)) {
+        const times = recent(key);
+        if (times.length >= max) {
+          waitMs = Math.max(waitMs, times[times.length - max] + windowMs - now());
+        }
+      }
+      return Math.ceil(waitMs / 1000);
+    },
+
+    recordFailure(username, ip) {
+      // Drop expired keys once in a while, so random usernames cannot grow the map
+      if (failures.size > 10000) {
+        for (const key of [...failures.keys()]) recent(key);
+      }
+      for (const [key] of keysOf(username, ip)) {
+        failures.set(key, [...recent(key), now()]);
+      }
+    },
+
+    recordSuccess(username) {
+      failures.delete(userKey(username));
+    },
+  };
+}
+
+/**
+ * Origins allowed by CORS (the @fastify/cors origin option): CORS_ORIGINS
+ * is a comma-separated list, "*" allowing any origin; unset allows only the
+ * cloud app serving the tunnel (CLOUD_TUNNEL_URL). The edge's own pages are
+ * same-origin and need no CORS.
+ *
+ * @param {{ CORS_ORIGINS?: string, CLOUD_TUNNEL_URL?: string }} env
+ * @returns {true|string[]}
+ */
+export function corsOrigins({ CORS_ORIGINS, CLOUD_TUNNEL_URL } = {}) {
+  const listed = (CORS_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+  if (listed.includes('*')) return true;
+  if (listed.length > 0) return listed;
+
+  if (!CLOUD_TUNNEL_URL) return [];
+  try {
+    const url = new URL(CLOUD_TUNNEL_URL);
+    url.protocol = url.protocol === 'ws:' ? 'http:' : 'https:';
+    return [url.origin];
+  } catch {
+    return [];
+  }
+}
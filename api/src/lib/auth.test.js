@@ -0,0 +1,164 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PUBLIC,
+  AUTHENTICATED,
+  hashPassword,
+  verifyPassword,
+  generateToken,
+  hashToken,
+  extractToken,
+  getRoutePermission,
+  hasPermission,
+  getAuthorId,
+  redactToken,
+  createLoginThrottle,
+  corsOrigins,
+} from './auth.js';
+
+describe('passwords', () => {
+  it('verifies the password it hashed', () => {
+    const stored = hashPassword('correct horse');
+    assert.match(stored, /^scrypt\$16384\$8\$1\$/);
+    assert.equal(verifyPassword('correct horse', stored), true);
+    assert.equal(verifyPassword('wrong horse', stored), false);
+  });
+
+  it('salts every hash', () => {
+    assert.notEqual(hashPassword('same'), hashPassword('same'));
+  });
+
+  it('rejects malformed hashes', () => {
+    assert.equal(verifyPassword('x', null), false);
+    assert.equal(verifyPassword('x', 'plain'), false);
+    assert.equal(verifyPassword('x', 'scrypt$16384$8$1$c2FsdA==$'), false);
+  });
+});
+
+describe('tokens', () => {
+  it('generates distinct tokens and hashes them deterministically', () => {
+    const token = generateToken();
+    assert.notEqual(token, generateToken());
+    assert.equal(hashToken(token), hashToken(token));
+    assert.equal(hashToken(token).length, 64);
+  });
+
+  it('reads the bearer header', () => {
+    assert.equal(extractToken({ method: 'POST', headers: { authorization: 'Bearer abc' } }), 'abc');
+    assert.equal(extractToken({ method: 'POST', headers: { authorization: 'Basic abc' } }), null);
+  });
+
+  it('accepts access_token only on GET', () => {
+    assert.equal(extractToken({ method: 'GET', headers: {}, query: { access_token: 'abc' } }), 'abc');
+    assert.equal(extractToken({ method: 'DELETE', headers: {}, query: { access_token: 'abc' } }), null);
+  });
+
+  it('accepts the IIIF path token only on GET', () => {
+    assert.equal(extractToken({ method: 'GET', headers: {}, query: {}, params: { accessToken: 'abc' } }), 'abc');
+    assert.equal(extractToken({ method: 'POST', headers: {}, query: {}, params: { accessToken: 'abc' } }), null);
+  });
+
+  it('redacts access_token in logged urls', () => {
+    assert.equal(redactToken('/v1/events?x=1&access_token=abc'), '/v1/events?x=1&access_token=[redacted]');
+    assert.equal(redactToken('/iiif/token/abc/s1/full/max/0/default.jpg'), '/iiif/token/[redacted]/s1/full/max/0/default.jpg');
+  });
+});
+
+describe('permissions', () => {
+  it('maps routes to permissions with read/admin defaults', () => {
+    assert.equal(getRoutePermission('GET', '/v1/health'), PUBLIC);
+    assert.equal(getRoutePermission('HEAD', '/v1/health'), PUBLIC);
+    assert.equal(getRoutePermission('GET', '/viewer/:slideId'), PUBLIC);
+    assert.equal(getRoutePermission('DELETE', '/v1/slides/:slideId'), 'slides:delete');
+    assert.equal(getRoutePermission('GET', '/v1/slides'), 'read');
+    assert.equal(getRoutePermission('GET', undefined), 'read');
+    assert.equal(getRoutePermission('POST', '/v1/sync/dead-letter/replay'), 'admin');
+    assert.equal(getRoutePermission('GET', '/v1/sync/status'), 'read');
+  });
+
+  it('keeps raw outbox events to admins', () => {
+    for (const route of ['/v1/sync/pending', '/v1/sync/events/:eventId', '/v1/sync/dead-letter']) {
+      const permission = getRoutePermission('GET', route);
+      assert.equal(permission, 'sync:manage');
+      assert.equal(hasPermission('admin', permission), true);
+      assert.equal(hasPermission('pathologist', permission), false);
+      assert.equal(hasPermission('technician', permission), false);
+    }
+  });
+
+  it('grants permissions per role', () => {
+    assert.equal(hasPermission('pathologist', 'annotations:write'), true);
+    assert.equal(hasPermission('pathologist', 'slides:delete'), false);
+    assert.equal(hasPermission('technician', 'slides:write'), true);
+    assert.equal(hasPermission('pathologist', 'slides:tag'), true);
+    assert.equal(hasPermission('pathologist', 'slides:write'), false);
+    assert.equal(hasPermission('technician', 'admin:config'), false);
+    assert.equal(hasPermission('pathologist', 'cases:sign_out'), true);
+    assert.equal(hasPermission('technician', 'cases:sign_out'), false);
+    assert.equal(hasPermission('admin', 'admin:config'), true);
+    assert.equal(hasPermission('technician', AUTHENTICATED), true);
+    assert.equal(hasPermission('unknown', 'read'), false);
+  });
+
+  it('prefers the linked cloud identity as author', () => {
+    assert.equal(getAuthorId({ userId: 'u1', cloudUserId: 'c1' }), 'c1');
+    assert.equal(getAuthorId({ userId: 'u1', cloudUserId: null }), 'u1');
+  });
+});
+
+describe('login throttle', () => {
+  const clock = () => {
+    let t = 1_000_000;
+    return { now: () => t, advance: (ms) => { t += ms; } };
+  };
+
+  it('refuses a username after too many failures until the window passes', () => {
+    const c = clock();
+    const throttle = createLoginThrottle({ maxPerUser: 3, maxPerIp: 100, windowMs: 60000, now: c.now });
+    for (let i = 0; i < 3; i++) {
+      assert.equal(throttle.retryAfter('Admin', '10.0.0.1'), 0);
+      throttle.recordFailure('Admin', '10.0.0.1');
+      c.advance(1000);
+    }
+    // Usernames are case-insensitive, and another IP does not help
+    assert.equal(throttle.retryAfter('admin', '10.0.0.2'), 57);
+    assert.equal(throttle.retryAfter('other', '10.0.0.1'), 0);
+
+    c.advance(57000);
+    assert.equal(throttle.retryAfter('admin', '10.0.0.1'), 0);
+  });
+
+  it('refuses an IP trying many usernames', () => {
+    const c = clock();
+    const throttle = createLoginThrottle({ maxPerUser: 3, maxPerIp: 5, windowMs: 60000, now: c.now });
+    for (let i = 0; i < 5; i++) throttle.recordFailure(`user${i}`, '10.0.0.1');
+    assert.equal(throttle.retryAfter('someone', '10.0.0.1'), 60);
+    assert.equal(throttle.retryAfter('someone', '10.0.0.2'), 0);
+  });
+
+  it('clears a username on success', () => {
+    const c = clock();
+    const throttle = createLoginThrottle({ maxPerUser: 2, maxPerIp: 100, windowMs: 60000, now: c.now });
+    throttle.recordFailure('admin', '10.0.0.1');
+    throttle.recordSuccess('ADMIN');
+    throttle.recordFailure('admin', '10.0.0.1');
+    assert.equal(throttle.retryAfter('admin', '10.0.0.1'), 0);
+  });
+});
+
+describe('CORS origins', () => {
+  it('allows only the cloud app when unset', () => {
+    assert.deepEqual(corsOrigins({ CLOUD_TUNNEL_URL: 'wss://app.supernavi.app/edge/connect' }), ['https://app.supernavi.app']);
+    assert.deepEqual(corsOrigins({ CLOUD_TUNNEL_URL: 'ws://localhost:4000/edge/connect' }), ['http://localhost:4000']);
+    assert.deepEqual(corsOrigins({}), []);
+    assert.deepEqual(corsOrigins({ CORS_ORIGINS: ' ', CLOUD_TUNNEL_URL: 'not a url' }), []);
+  });
+
+  it('uses the configured list, or any origin only with *', () => {
+    assert.deepEqual(
+      corsOrigins({ CORS_ORIGINS: 'https://a.example, https://b.example', CLOUD_TUNNEL_URL: 'wss://app.supernavi.app/x' }),
+      ['https://a.example', 'https://b.example']
+    );
+    assert.equal(corsOrigins({ CORS_ORIGINS: '*' }), true);
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * Case packages
+ *
+ * A case package is a tar archive of a case for a second opinion on another
+ * edge:
+ *
+ *   manifest.json                      format, case metadata, slides
+ *   annotations.json                   annotations (not deleted) of the slides
+ *   threads.json                       threads with their messages (not deleted)
+ *   slides/<slideId>/<filename>        raw slide file (content "raw")
+ *   slides/<slideId>/derived/...       tile pyramid, manifest and thumb (content "derived")
+ *   attachments/<messageId>_<n>.jpg    region snapshots of messages
+ *
+ * Slide ids are the SHA-256 of the raw file and are kept on import, so an
+ * edge that already has a slide skips it. Everything else gets new ids on
+ * import (thread anchors follow their annotations).
+ */
+
+import { basename } from 'path';
+import { ANNOTATION_TYPES, toNativeGeometry } from './annotation-formats.js';
+
+export const PACKAGE_FORMAT = 'supernavi-case-package';
+export const PACKAGE_VERSION = 1;
+
+export const PACKAGE_CONTENTS = ['raw', 'derived'];
+
+const SLIDE_ID_REGEX = /^[0-9a-f]{64}$/;
+const ENTRY_ID_REGEX = /^[A-Za-z0-9-]{1,64}$/;
+
+// Imported file names end up in raw_path and in vips/OpenSlide command
+// lines: letters, digits and a few separators only, no quotes, $, `, [ or
+// path characters
+const FILENAME_REGEX = /^[\p{L}\p{N}][\p{L}\p{N} ._()+,-]{0,199}$/u;
+
+const ATTACHMENT_INT_FIELDS = ['n', 'x', 'y', 'width', 'height', 'level', 'imageWidth', 'imageHeight', 'bytes'];
+
+/**
+ * What to package for a slide: the requested content when available, else
+ * the other one.
+ *
+ * @param {'raw'|'derived'} requested
+ * @param {{ hasRaw: boolean, hasPyramid: boolean }} available - raw file on
+ *   disk; complete tile pyramid (TILEGEN done, or all levels of an image)
+ * @returns {'raw'|'derived'|null} null when the slide has neither
+ */
+export function slideContent(requested, { hasRaw, hasPyramid }) {
+  if (requested === 'derived' && hasPyramid) return 'derived';
+  if (hasRaw) return 'raw';
+  return hasPyramid ? 'derived' : null;
+}
+
+/**
+ * Path of a raw slide file in the package
+ */
+export function rawEntryPath(slideId, originalFilename) {
+  return `slides/${slideId}/${basename(originalFilename)}`;
+}
+
+/**
+ * Path of a message attachment in the package, null when the message id or
+ * number cannot make a safe path (imported packages are untrusted)
+ */
+export function attachmentEntryPath(messageId, n) {
+  if (typeof messageId !== 'string' || !ENTRY_ID_REGEX.test(messageId) || !Number.isInteger(n)) return null;
+  return `attachments/${messageId}_${n}.jpg`;
+}
+
+/**
+ * Manifest entry of a slide of the case
+ *
+ * @param {object} slide - slides row
+ * @param {object} link - case_slides columns of the slide (getCase() slides)
+ * @param {'raw'|'derived'} content
+ */
+export function slideEntry(slide, link, content) {
+  return {
+    slideId: slide.id,
+    originalFilename: slide.original_filename,
+    format: slide.format,
+    content,
+    file: content === 'raw' ? rawEntryPath(slide.id, slide.original_filename) : null,
+    width: slide.width,
+    height: slide.height,
+    maxLevel: slide.max_level,
+    tileSize: slide.tile_size,
+    appMag: slide.app_mag,
+    mpp: slide.mpp,
+    externalCaseId: slide.external_case_id,
+    externalCaseBase: slide.external_case_base,
+    externalSlideLabel: slide.external_slide_label,
+    scannerBarcode: slide.scanner_barcode,
+    stain: slide.stain_type
+      ? { type: slide.stain_type, marker: slide.stain_marker, source: slide.stain_source, confidence: slide.stain_confidence }
+      : null,
+    tags: slide.tags || [],
+    // OpenSlide properties; raw slides get them again from P0
+    properties: slide.properties ?? null,
+    specimen: link.hierarchy_source === 'manual' ? link.specimen : null,
+    block: link.hierarchy_source === 'manual' ? link.block : null,
+    hierarchySource: link.hierarchy_source
+  };
+}
+
+export function annotationEntry(a) {
+  return {
+    annotationId: a.annotation_id,
+    slideId: a.slide_id,
+    type: a.type,
+    geometry: a.geometry,
+    style: a.style,
+    classId: a.class_id,
+    label: a.label,
+    properties: a.properties,
+    authorId: a.author_id,
+    createdAt: a.created_at
+  };
+}
+
+/**
+ * @param {object} t - threads row
+ * @param {object[]} messages - messages rows (not deleted) of the thread
+ * @param {Map<string, object[]>} attachments - message_attachments rows by message id
+ */
+export function threadEntry(t, messages, attachments) {
+  return {
+    threadId: t.thread_id,
+    slideId: t.slide_id,
+    title: t.title,
+    anchorType: t.anchor_type,
+    anchorId: t.anchor_id,
+    status: t.status,
+    resolvedBy: t.resolved_by,
+    createdAt: t.created_at,
+    messages: messages.map(m => ({
+      messageId: m.message_id,
+      authorId: m.author_id,
+      text: m.text,
+      createdAt: m.created_at,
+      attachments: (attachments.get(m.message_id) || []).map(a => ({
+        n: a.n,
+        x: a.x,
+        y: a.y,
+        width: a.width,
+        height: a.height,
+        level: a.level,
+        imageWidth: a.image_width,
+        imageHeight: a.image_height,
+        bytes: a.bytes,
+        file: attachmentEntryPath(m.message_id, a.n)
+      }))
+    }))
+  };
+}
+
+/**
+ * Check the manifest of a package to import.
+ *
+ * @returns {string[]} errors (empty when valid)
+ */
+export function validateManifest(manifest) {
+  const errors = [];
+  if (!manifest || typeof manifest !== 'object') return ['manifest.json is not an object'];
+
+  if (manifest.format !== PACKAGE_FORMAT) errors.push(`format must be "${PACKAGE_FORMAT}"`);
+  if (manifest.version !== PACKAGE_VERSION) errors.push(`version ${manifest.version} is not supported`);
+
+  if (!manifest.case || typeof manifest.case.title !== 'string' || !manifest.case.title.trim()) {
+    errors.push('case.title must be a non-empty string');
+  }
+
+  if (!Array.isArray(manifest.slides)) {
+    errors.push('slides must be an array');
+    return errors;
+  }
+
+  const seen = new Set();
+  manifest.slides.forEach((s, i) => {
+    if (!s || !SLIDE_ID_REGEX.test(s.slideId)) {
+      errors.push(`slides[${i}].slideId must be a SHA-256 hex digest`);
+      return;
+    }
+    if (seen.has(s.slideId)) errors.push(`slides[${i}]: duplicate slide ${s.slideId}`);
+    seen.add(s.slideId);
+
+    if (!PACKAGE_CONTENTS.includes(s.content)) errors.push(`slides[${i}].content must be raw or derived`);
+    const name = s.originalFilename;
+    if (typeof name !== 'string' || !FILENAME_REGEX.test(name)) {
+      errors.push(`slides[${i}].originalFilename must be a file name of letters, digits, spaces and . _ ( ) + , -`);
+    } else if (s.content === 'raw' && s.file !== rawEntryPath(s.slideId, s.originalFilename)) {
+      errors.push(`slides[${i}].file must be ${rawEntryPath(s.slideId, s.originalFilename)}`);
+    }
+
+    // A derived slide is ready on import, with the dimensions of its pyramid
+    if (s.content === 'derived') {
+      for (const field of ['width', 'height', 'maxLevel']) {
+        if (!Number.isInteger(s[field]) || s[field] < 0) errors.push(`slides[${i}].${field} must be an integer`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+function isOptionalString(value) {
+  return value === undefined || value === null || typeof value === 'string';
+}
+
+function isOptionalObject(value) {
+  return value === undefined || value === null || (typeof value === 'object' && !Array.isArray(value));
+}
+
+/**
+ * Check annotations.json and threads.json of a package to import, so a bad
+ * entry fails the import before anything is written.
+ *
+ * @param {*} annotations - parsed annotations.json
+ * @param {*} threads - parsed threads.json
+ * @param {Set<string>} slideIds - slides of the manifest
+ * @returns {string[]} errors (empty when valid)
+ */
+export function validateCollaboration(annotations, threads, slideIds) {
+  const errors = [];
+  if (!Array.isArray(annotations)) errors.push('annotations.json must be an array');
+  if (!Array.isArray(threads)) errors.push('threads.json must be an array');
+  if (errors.length > 0) return errors;
+
+  annotations.forEach((a, i) => {
+    const at = `annotations[${i}]`;
+    if (!a || typeof a !== 'object') {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+    if (!slideIds.has(a.slideId)) errors.push(`${at}.slideId is not a slide of the package`);
+    if (!ANNOTATION_TYPES.includes(a.type)) {
+      errors.push(`${at}.type must be one of ${ANNOTATION_TYPES.join(', ')}`);
+    } else if (!toNativeGeometry(a.type, a.geometry)) {
+      errors.push(`${at}.geometry is not a valid ${a.type}`);
+    }
+    if (!isOptionalString(a.label)) errors.push(`${at}.label must be a string`);
+    if (!isOptionalString(a.authorId)) errors.push(`${at}.authorId must be a string`);
+    if (!isOptionalObject(a.style)) errors.push(`${at}.style must be an object`);
+    if (!isOptionalObject(a.properties)) errors.push(`${at}.properties must be an object`);
+  });
+
+  threads.forEach((t, i) => {
+    const at = `threads[${i}]`;
+    if (!t || typeof t !== 'object') {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+    if (!slideIds.has(t.slideId)) errors.push(`${at}.slideId is not a slide of the package`);
+    if (!isOptionalString(t.title)) errors.push(`${at}.title must be a string`);
+    if (!isOptionalString(t.anchorType) || !isOptionalString(t.anchorId)) errors.push(`${at}: anchorType and anchorId must be strings`);
+    if (t.messages === undefined) return;
+    if (!Array.isArray(t.messages)) {
+      errors.push(`${at}.messages must be an array`);
+      return;
+    }
+
+    t.messages.forEach((m, j) => {
+      const mt = `${at}.messages[${j}]`;
+      if (!m || typeof m !== 'object' || typeof m.text !== 'string') {
+        errors.push(`${mt}.text must be a string`);
+        return;
+      }
+      if (!isOptionalString(m.authorId)) errors.push(`${mt}.authorId must be a string`);
+      if (m.attachments === undefined) return;
+      if (!Array.isArray(m.attachments)) {
+        errors.push(`${mt}.attachments must be an array`);
+        return;
+      }
+      m.attachments.forEach((a, k) => {
+        if (!a || ATTACHMENT_INT_FIELDS.some(field => !Number.isInteger(a[field]))) {
+          errors.push(`${mt}.attachments[${k}]: ${ATTACHMENT_INT_FIELDS.join(', ')} must be integers`);
+        }
+      });
+    });
+  });
+
+  return errors;
+}
@@ -0,0 +1,148 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PACKAGE_FORMAT,
+  PACKAGE_VERSION,
+  slideContent,
+  rawEntryPath,
+  attachmentEntryPath,
+  slideEntry,
+  validateManifest,
+  validateCollaboration
+} from './case-package.js';
+
+const ID = 'a'.repeat(64);
+
+function manifest(slides) {
+  return { format: PACKAGE_FORMAT, version: PACKAGE_VERSION, case: { title: 'AP-1' }, slides };
+}
+
+describe('slideContent', () => {
+  it('uses the requested content when available, else the other one', () => {
+    assert.equal(slideContent('raw', { hasRaw: true, hasPyramid: true }), 'raw');
+    assert.equal(slideContent('derived', { hasRaw: true, hasPyramid: true }), 'derived');
+    assert.equal(slideContent('derived', { hasRaw: true, hasPyramid: false }), 'raw');
+    assert.equal(slideContent('raw', { hasRaw: false, hasPyramid: true }), 'derived');
+    assert.equal(slideContent('raw', { hasRaw: false, hasPyramid: false }), null);
+  });
+});
+
+describe('entry paths', () => {
+  it('keeps only the file name of raw slides', () => {
+    assert.equal(rawEntryPath(ID, 'x.svs'), `slides/${ID}/x.svs`);
+    assert.equal(rawEntryPath(ID, '../../x.svs'), `slides/${ID}/x.svs`);
+  });
+
+  it('refuses attachment ids that could leave the attachments directory', () => {
+    assert.equal(attachmentEntryPath('0b6d-41', 2), 'attachments/0b6d-41_2.jpg');
+    assert.equal(attachmentEntryPath('../x', 1), null);
+    assert.equal(attachmentEntryPath('m1', '1'), null);
+  });
+});
+
+describe('slideEntry', () => {
+  it('includes the specimen and block only when set by hand', () => {
+    const slide = { id: ID, original_filename: 'x.svs', format: 'svs', stain_type: 'ihc', stain_marker: 'Ki-67', stain_source: 'ocr', tags: ['teaching'] };
+    const manual = slideEntry(slide, { specimen: 'A', block: '1', hierarchy_source: 'manual' }, 'raw');
+    assert.equal(manual.file, `slides/${ID}/x.svs`);
+    assert.equal(manual.specimen, 'A');
+    assert.deepStrictEqual(manual.stain, { type: 'ihc', marker: 'Ki-67', source: 'ocr', confidence: undefined });
+    assert.equal(manual.properties, null);
+
+    const auto = slideEntry(slide, { specimen: 'A', block: '1', hierarchy_source: 'label' }, 'derived');
+    assert.equal(auto.file, null);
+    assert.equal(auto.specimen, null);
+  });
+});
+
+describe('validateManifest', () => {
+  it('accepts a well-formed manifest', () => {
+    assert.deepStrictEqual(validateManifest(manifest([
+      { slideId: ID, content: 'raw', originalFilename: 'x.svs', file: `slides/${ID}/x.svs` },
+      { slideId: 'b'.repeat(64), content: 'derived', originalFilename: 'y.jpg', width: 100, height: 80, maxLevel: 7 }
+    ])), []);
+  });
+
+  it('rejects other formats and versions', () => {
+    const errors = validateManifest({ ...manifest([]), format: 'zip', version: 2 });
+    assert.equal(errors.length, 2);
+  });
+
+  it('rejects bad slide ids, duplicates and unsafe file names', () => {
+    const errors = validateManifest(manifest([
+      { slideId: 'abc', content: 'raw' },
+      { slideId: ID, content: 'raw', originalFilename: '../x.svs', file: `slides/${ID}/x.svs` },
+      { slideId: ID, content: 'raw', originalFilename: 'x.svs', file: 'x.svs' }
+    ]));
+    assert.equal(errors.length, 4);
+    assert.match(errors[0], /SHA-256/);
+    assert.match(errors[1], /file name/);
+    assert.match(errors.join('\n'), /duplicate/);
+  });
+
+  it('rejects file names that could reach a shell', () => {
+    for (const name of ['x$(reboot).svs', 'a"b.svs', 'a`id`.svs', 'x.svs[level=1]', '.hidden.svs', '..']) {
+      const errors = validateManifest(manifest([{ slideId: ID, content: 'raw', originalFilename: name, file: `slides/${ID}/${name}` }]));
+      assert.match(errors.join('\n'), /originalFilename/, name);
+    }
+    assert.deepStrictEqual(validateManifest(manifest([
+      { slideId: ID, content: 'raw', originalFilename: 'Biópsia AP-1 (2).svs', file: `slides/${ID}/Biópsia AP-1 (2).svs` }
+    ])), []);
+  });
+
+  it('requires the dimensions of derived slides', () => {
+    const errors = validateManifest(manifest([{ slideId: ID, content: 'derived', originalFilename: 'x.jpg', width: 10, height: '8' }]));
+    assert.deepStrictEqual(errors, ['slides[0].height must be an integer', 'slides[0].maxLevel must be an integer']);
+  });
+});
+
+describe('validateCollaboration', () => {
+  const slides = new Set([ID]);
+
+  it('accepts annotations and threads of the package slides', () => {
+    const annotations = [
+      { annotationId: 'a1', slideId: ID, type: 'rectangle', geometry: { x: 1, y: 2, width: 3, height: 4 }, style: null },
+      { annotationId: 'a2', slideId: ID, type: 'polygon', geometry: { type: 'Polygon', coordinates: [[[0, 0], [4, 0], [4, 4], [0, 0]]] } }
+    ];
+    const threads = [{
+      slideId: ID,
+      anchorType: 'annotation',
+      anchorId: 'a1',
+      messages: [{ messageId: 'm1', text: 'ok', attachments: [{ n: 1, x: 0, y: 0, width: 8, height: 8, level: 3, imageWidth: 8, imageHeight: 8, bytes: 100 }] }]
+    }];
+    assert.deepStrictEqual(validateCollaboration(annotations, threads, slides), []);
+  });
+
+  it('requires arrays', () => {
+    assert.deepStrictEqual(validateCollaboration({}, null, slides), [
+      'annotations.json must be an array',
+      'threads.json must be an array'
+    ]);
+  });
+
+  it('rejects unknown types, bad geometries and other slides', () => {
+    const errors = validateCollaboration([
+      { slideId: ID, type: 'circle', geometry: {} },
+      { slideId: ID, type: 'ellipse', geometry: { cx: 1, cy: 1 } },
+      { slideId: 'b'.repeat(64), type: 'point', geometry: { x: 1, y: 1 } },
+      null
+    ], [], slides);
+    assert.deepStrictEqual(errors, [
+      'annotations[0].type must be one of polygon, rectangle, ellipse, point, line, freehand',
+      'annotations[1].geometry is not a valid ellipse',
+      'annotations[2].slideId is not a slide of the package',
+      'annotations[3] must be an object'
+    ]);
+  });
+
+  it('rejects messages without text and malformed attachments', () => {
+    const errors = validateCollaboration([], [
+      { slideId: ID, messages: [{ text: 1 }, { text: 'x', attachments: [{ n: 1, x: '0' }] }] },
+      { slideId: ID, messages: 'hi' }
+    ], slides);
+    assert.equal(errors.length, 3);
+    assert.match(errors[0], /messages\[0\]\.text/);
+    assert.match(errors[1], /attachments\[0\]/);
+    assert.match(errors[2], /threads\[1\]\.messages must be an array/);
+  });
+});
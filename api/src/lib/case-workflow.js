@@ -0,0 +1,168 @@
+/**
+ * Case workflow
+ *
+ * Statuses a case moves through, the transitions allowed between them and
+ * turnaround-time statistics computed from the transition log
+ * (case_transitions rows).
+ *
+ *   received ──► in_review ──► signed_out
+ *                  ▲   │  ▲          │
+ *                  │   ▼  └──────────┘ reopen (amendment, needs a reason)
+ *               awaiting_ihc
+ *
+ * Signing out freezes the annotations and threads of the case's slides; the
+ * sign-out records a hash of the annotations (annotationsHash) so later
+ * changes can be detected.
+ */
+
+import { createHash } from 'crypto';
+
+export const CASE_STATUSES = ['received', 'in_review', 'awaiting_ihc', 'signed_out'];
+
+// Most urgent first (worklist order)
+export const CASE_PRIORITIES = ['stat', 'urgent', 'routine'];
+
+// Statuses reachable from each status
+export const CASE_TRANSITIONS = {
+  received: ['in_review'],
+  in_review: ['awaiting_ihc', 'signed_out'],
+  awaiting_ihc: ['in_review'],
+  signed_out: [],
+};
+
+export function canTransition(from, to) {
+  return (CASE_TRANSITIONS[from] || []).includes(to);
+}
+
+// JSON with object keys sorted, so equal content always hashes the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * SHA-256 (hex) of the content of a set of annotations (annotations rows,
+ * any order): id, slide, version, type, geometry, style, class, label and
+ * properties. Timestamps and authorship are left out.
+ */
+export function annotationsHash(annotations) {
+  const content = annotations
+    .map(a => ({
+      annotationId: a.annotation_id,
+      slideId: a.slide_id,
+      version: a.version,
+      type: a.type,
+      geometry: a.geometry,
+      style: a.style,
+      classId: a.class_id,
+      label: a.label,
+      properties: a.properties
+    }))
+    .sort((a, b) => (a.annotationId < b.annotationId ? -1 : a.annotationId > b.annotationId ? 1 : 0));
+
+  return createHash('sha256').update(canonicalJson(content)).digest('hex');
+}
+
+/**
+ * Body of the 423 returned for changes to a slide of a signed-out case
+ *
+ * @param {object} lock - getSlideLock() row
+ */
+export function slideLockedError(lock) {
+  return {
+    error: 'Slide belongs to a signed-out case; reopen the case to change it',
+    caseId: lock.case_id,
+    signedOutBy: lock.signed_out_by,
+    signedOutAt: lock.signed_out_at
+  };
+}
+
+const HOUR_MS = 3600 * 1000;
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
+
+function distribution(values) {
+  if (values.length === 0) {
+    return { mean: null, median: null, p90: null, min: null, max: null };
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    mean: round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length),
+    median: round(percentile(sorted, 50)),
+    p90: round(percentile(sorted, 90)),
+    min: round(sorted[0]),
+    max: round(sorted[sorted.length - 1]),
+  };
+}
+
+/**
+ * Turnaround of one case from its transitions (oldest first): hours from
+ * the first transition (reception) to the first sign-out, and hours spent
+ * in each status until then. null when the case was never signed out.
+ */
+export function caseTurnaround(transitions) {
+  const signOut = transitions.findIndex(t => t.to_status === 'signed_out');
+  if (signOut < 1) return null;
+
+  const statusHours = {};
+  for (let i = 0; i < signOut; i++) {
+    const status = transitions[i].to_status;
+    const hours = (new Date(transitions[i + 1].changed_at) - new Date(transitions[i].changed_at)) / HOUR_MS;
+    statusHours[status] = (statusHours[status] || 0) + hours;
+  }
+
+  const totalHours = (new Date(transitions[signOut].changed_at) - new Date(transitions[0].changed_at)) / HOUR_MS;
+  return { totalHours, statusHours, signedOutAt: transitions[signOut].changed_at };
+}
+
+/**
+ * Turnaround statistics over signed-out cases.
+ *
+ * @param {object[]} transitions - case_transitions rows, any order
+ * @returns {{ cases: number, turnaroundHours: object, statusHours: object }}
+ *   turnaroundHours: mean/median/p90/min/max of reception → first sign-out;
+ *   statusHours: per status, mean hours a case spent in it before sign-out
+ */
+export function turnaroundStats(transitions) {
+  const byCase = new Map();
+  for (const t of transitions) {
+    if (!byCase.has(t.case_id)) byCase.set(t.case_id, []);
+    byCase.get(t.case_id).push(t);
+  }
+
+  const totals = [];
+  const perStatus = {};
+  for (const caseTransitions of byCase.values()) {
+    caseTransitions.sort((a, b) => new Date(a.changed_at) - new Date(b.changed_at));
+    const tat = caseTurnaround(caseTransitions);
+    if (!tat) continue;
+
+    totals.push(tat.totalHours);
+    for (const [status, hours] of Object.entries(tat.statusHours)) {
+      (perStatus[status] ||= []).push(hours);
+    }
+  }
+
+  const statusHours = {};
+  for (const status of CASE_STATUSES) {
+    if (status === 'signed_out') continue;
+    const values = perStatus[status] || [];
+    // Cases that never entered a status count as 0 hours in it
+    const sum = values.reduce((total, v) => total + v, 0);
+    statusHours[status] = totals.length === 0 ? null : round(sum / totals.length);
+  }
+
+  return { cases: totals.length, turnaroundHours: distribution(totals), statusHours };
+}
@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { canTransition, caseTurnaround, turnaroundStats, annotationsHash } from './case-workflow.js';
+
+function at(hours) {
+  return new Date(Date.UTC(2026, 0, 1) + hours * 3600 * 1000).toISOString();
+}
+
+function log(caseId, steps) {
+  return steps.map(([to, hours], i) => ({
+    case_id: caseId,
+    from_status: i === 0 ? null : steps[i - 1][0],
+    to_status: to,
+    changed_at: at(hours),
+  }));
+}
+
+describe('canTransition', () => {
+  it('allows the workflow steps', () => {
+    assert.equal(canTransition('received', 'in_review'), true);
+    assert.equal(canTransition('in_review', 'awaiting_ihc'), true);
+    assert.equal(canTransition('awaiting_ihc', 'in_review'), true);
+    assert.equal(canTransition('in_review', 'signed_out'), true);
+  });
+
+  it('rejects skipped or backward steps', () => {
+    assert.equal(canTransition('received', 'signed_out'), false);
+    assert.equal(canTransition('awaiting_ihc', 'signed_out'), false);
+    assert.equal(canTransition('signed_out', 'in_review'), false);
+    assert.equal(canTransition('unknown', 'in_review'), false);
+  });
+});
+
+describe('caseTurnaround', () => {
+  it('measures reception to first sign-out and time per status', () => {
+    const tat = caseTurnaround(log('c1', [
+      ['received', 0], ['in_review', 2], ['awaiting_ihc', 5], ['in_review', 29], ['signed_out', 30],
+    ]));
+    assert.equal(tat.totalHours, 30);
+    assert.deepStrictEqual(tat.statusHours, { received: 2, in_review: 4, awaiting_ihc: 24 });
+  });
+
+  it('is null for cases not signed out', () => {
+    assert.equal(caseTurnaround(log('c1', [['received', 0], ['in_review', 2]])), null);
+  });
+});
+
+describe('turnaroundStats', () => {
+  it('aggregates signed-out cases only', () => {
+    const transitions = [
+      ...log('c1', [['received', 0], ['in_review', 2], ['signed_out', 10]]),
+      ...log('c2', [['received', 0], ['in_review', 4], ['awaiting_ihc', 6], ['in_review', 26], ['signed_out', 30]]),
+      ...log('c3', [['received', 0], ['in_review', 1]]),
+    ].reverse();
+
+    const stats = turnaroundStats(transitions);
+    assert.equal(stats.cases, 2);
+    assert.equal(stats.turnaroundHours.mean, 20);
+    assert.equal(stats.turnaroundHours.min, 10);
+    assert.equal(stats.turnaroundHours.max, 30);
+    assert.deepStrictEqual(stats.statusHours, { received: 3, in_review: 7, awaiting_ihc: 10 });
+  });
+
+  it('reports nulls without signed-out cases', () => {
+    const stats = turnaroundStats([]);
+    assert.equal(stats.cases, 0);
+    assert.equal(stats.turnaroundHours.mean, null);
+    assert.equal(stats.statusHours.received, null);
+  });
+});
+
+describe('annotationsHash', () => {
+  const a1 = { annotation_id: 'a1', slide_id: 's1', version: 2, type: 'point', geometry: { type: 'Point', coordinates: [10, 20] }, style: null, class_id: null, label: 'x', properties: { grade: 2, site: 'A' } };
+  const a2 = { annotation_id: 'a2', slide_id: 's1', version: 1, type: 'rectangle', geometry: { x: 0, y: 0, width: 5, height: 5 }, style: { color: '#f00' }, class_id: 'c1', label: null, properties: null };
+
+  it('ignores row order, key order and timestamps', () => {
+    const reordered = { ...a1, properties: { site: 'A', grade: 2 }, updated_at: '2026-01-02T00:00:00Z' };
+    assert.equal(annotationsHash([a1, a2]), annotationsHash([a2, reordered]));
+    assert.match(annotationsHash([]), /^[0-9a-f]{64}$/);
+  });
+
+  it('changes when an annotation moves or is removed', () => {
+    const moved = { ...a1, geometry: { type: 'Point', coordinates: [11, 20] } };
+    assert.notEqual(annotationsHash([a1, a2]), annotationsHash([moved, a2]));
+    assert.notEqual(annotationsHash([a1, a2]), annotationsHash([a2]));
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Access to the derived files of a slide (DERIVED_DIR/<slideId>/...)
+ *
+ * /static/ serves the tile pyramid, thumbnail and manifest straight from
+ * disk. Associated images, message attachments and region exports are only
+ * served by their /v1 routes, which hide label images, refuse deleted
+ * messages and record what was read.
+ */
+
+import { posix } from 'path';
+
+// Associated images that show the slide label (the macro photo is of the
+// whole glass, label included)
+export const LABEL_BEARING_IMAGES = ['label', 'macro'];
+
+const ROUTE_ONLY_ENTRIES = ['associated', 'attachments', 'regions'];
+
+/**
+ * Whether an associated image is hidden by the edge config
+ *
+ * @param {string} name - Associated image name (label, macro...)
+ * @param {{ suppressLabelImage?: boolean }} config - Edge config
+ */
+export function isSuppressedImage(name, config) {
+  return !!config.suppressLabelImage && LABEL_BEARING_IMAGES.includes(name);
+}
+
+/**
+ * Whether /static/ may serve a path of DERIVED_DIR. With label suppression
+ * on, manifests are only served by /v1/slides/:slideId/manifest, which
+ * leaves the hidden images out.
+ *
+ * @param {string} pathname - Path under /static/ ('/<slideId>/tiles/...')
+ * @param {{ suppressLabelImage?: boolean }} config - Edge config
+ */
+export function isStaticPathAllowed(pathname, config) {
+  const [, entry] = posix.normalize(`/${pathname}`).split('/').filter(Boolean);
+  if (ROUTE_ONLY_ENTRIES.includes(entry)) return false;
+  if (entry === 'manifest.json' && config.suppressLabelImage) return false;
+  return true;
+}
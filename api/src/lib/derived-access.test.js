@@ -0,0 +1,34 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isSuppressedImage, isStaticPathAllowed } from './derived-access.js';
+
+const ID = 'ab'.repeat(32);
+
+describe('isSuppressedImage', () => {
+  it('hides the label and macro images only when suppression is on', () => {
+    assert.equal(isSuppressedImage('label', { suppressLabelImage: true }), true);
+    assert.equal(isSuppressedImage('macro', { suppressLabelImage: true }), true);
+    assert.equal(isSuppressedImage('thumbnail', { suppressLabelImage: true }), false);
+    assert.equal(isSuppressedImage('label', { suppressLabelImage: false }), false);
+  });
+});
+
+describe('isStaticPathAllowed', () => {
+  it('serves tiles and thumbnails', () => {
+    assert.equal(isStaticPathAllowed(`/${ID}/tiles/10/0_0.jpg`, {}), true);
+    assert.equal(isStaticPathAllowed(`/${ID}/thumb.jpg`, { suppressLabelImage: true }), true);
+    assert.equal(isStaticPathAllowed(`/${ID}/manifest.json`, {}), true);
+  });
+
+  it('leaves associated images, attachments and regions to their routes', () => {
+    assert.equal(isStaticPathAllowed(`/${ID}/associated/label.jpg`, {}), false);
+    assert.equal(isStaticPathAllowed(`/${ID}/attachments/m1_1.jpg`, {}), false);
+    assert.equal(isStaticPathAllowed(`/${ID}/regions/abc.png`, {}), false);
+    assert.equal(isStaticPathAllowed(`/${ID}/tiles/../associated/label.jpg`, {}), false);
+    assert.equal(isStaticPathAllowed(`//${ID}//attachments/m1_1.jpg`, {}), false);
+  });
+
+  it('hides manifests while label images are suppressed', () => {
+    assert.equal(isStaticPathAllowed(`/${ID}/manifest.json`, { suppressLabelImage: true }), false);
+  });
+});
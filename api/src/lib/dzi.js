@@ -0,0 +1,26 @@
+/**
+ * Deep Zoom Image (DZI) descriptor
+ *
+ * The pyramids are DeepZoom pyramids already (level 0 = 1x1, level
+ * ceil(log2(max dimension)) = full resolution, 256px tiles without overlap),
+ * so the descriptor only states their size. Viewers fetch the tiles next to
+ * it, at <name>_files/<level>/<x>_<y>.jpg (routes/slides.js).
+ */
+
+export const DZI_NAMESPACE = 'http://schemas.microsoft.com/deepzoom/2008';
+
+/**
+ * XML descriptor of a pyramid
+ *
+ * @param {{ width: number, height: number, tileSize: number }} pyramid
+ * @returns {string}
+ */
+export function dziDescriptor({ width, height, tileSize }) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<Image xmlns="${DZI_NAMESPACE}" Format="jpg" Overlap="0" TileSize="${tileSize}">`,
+    `  <Size Width="${width}" Height="${height}"/>`,
+    '</Image>',
+    ''
+  ].join('\n');
+}
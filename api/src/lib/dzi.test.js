@@ -0,0 +1,12 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DZI_NAMESPACE, dziDescriptor } from './dzi.js';
+
+describe('dziDescriptor', () => {
+  it('describes the size and tiles of the pyramid', () => {
+    const xml = dziDescriptor({ width: 1000, height: 600, tileSize: 256 });
+    assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n/);
+    assert.ok(xml.includes(`<Image xmlns="${DZI_NAMESPACE}" Format="jpg" Overlap="0" TileSize="256">`));
+    assert.ok(xml.includes('<Size Width="1000" Height="600"/>'));
+  });
+});
@@ -23,6 +23,8 @@ const DEFAULTS = {
   derivedDirContainer: '/data/derived',
   stableSeconds: 15,
   caseBaseRegex: '^(AP\\d{6,12})',
+  // De-identified views: never serve the label and macro photos
+  suppressLabelImage: false,
 };
 
 /**
@@ -132,6 +134,14 @@ export function validateConfig(raw) {
     }
   }
 
+  if (raw.suppressLabelImage !== undefined) {
+    if (typeof raw.suppressLabelImage !== 'boolean') {
+      errors.push('suppressLabelImage must be true or false');
+    } else {
+      config.suppressLabelImage = raw.suppressLabelImage;
+    }
+  }
+
   // Timestamps
   if (raw.createdAt) config.createdAt = raw.createdAt;
   if (raw.updatedAt) config.updatedAt = raw.updatedAt;
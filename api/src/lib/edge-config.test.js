@@ -99,6 +99,14 @@ describe('edge-config', () => {
       const { valid } = validateConfig({ caseBaseRegex: '^(AP\\d+)' });
       assert.ok(valid);
     });
+
+    it('validates suppressLabelImage as a boolean', () => {
+      assert.equal(validateConfig({}).config.suppressLabelImage, false);
+      assert.equal(validateConfig({ suppressLabelImage: true }).config.suppressLabelImage, true);
+      const { valid, errors } = validateConfig({ suppressLabelImage: 'yes' });
+      assert.ok(!valid);
+      assert.ok(errors.some(e => e.includes('suppressLabelImage')));
+    });
   });
 
   describe('saveConfig + loadConfig', () => {
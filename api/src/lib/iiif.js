@@ -0,0 +1,278 @@
+/**
+ * IIIF Image API 3.0 and Presentation API 3.0
+ *
+ * Slides are served as IIIF image services (iiif/index.js) on top of their
+ * DeepZoom pyramid: the pyramid levels are the scale factors of info.json,
+ * so a viewer asking for tiles gets the tile files themselves; any other
+ * region/size is rendered from the nearest level (services/region-render.js).
+ *
+ * Compliance level 1 (region by pixels or square, size by w, h or w,h) plus
+ * region and size by percent and confined sizes ("!w,h"). Only rotation 0,
+ * default/color quality and JPEG are supported.
+ *
+ * Cases are Presentation manifests with one canvas per slide.
+ */
+
+export const IMAGE_CONTEXT = 'http://iiif.io/api/image/3/context.json';
+export const PRESENTATION_CONTEXT = 'http://iiif.io/api/presentation/3/context.json';
+
+const INTEGER = '\\d+';
+const DECIMAL = '\\d+(?:\\.\\d+)?';
+const REGION_PX_REGEX = new RegExp(`^(${INTEGER}),(${INTEGER}),(${INTEGER}),(${INTEGER})$`);
+const REGION_PCT_REGEX = new RegExp(`^pct:(${DECIMAL}),(${DECIMAL}),(${DECIMAL}),(${DECIMAL})$`);
+const SIZE_WH_REGEX = new RegExp(`^(!)?(${INTEGER})?,(${INTEGER})?$`);
+const SIZE_PCT_REGEX = new RegExp(`^pct:(${DECIMAL})$`);
+
+/**
+ * Pyramid of a slide as IIIF sees it
+ *
+ * @param {object} slide - slides row (processed: width, height, max_level)
+ * @returns {{ width: number, height: number, levelMax: number, tileSize: number }}
+ */
+export function slidePyramid(slide) {
+  return {
+    width: slide.width,
+    height: slide.height,
+    levelMax: slide.max_level,
+    tileSize: slide.tile_size || 256
+  };
+}
+
+/**
+ * info.json of a slide's image service
+ *
+ * @param {{ width: number, height: number, levelMax: number, tileSize: number }} pyramid
+ * @param {string} id - Base URI of the image service
+ * @param {{ maxPx: number }} options - Largest width/height rendered
+ */
+export function imageInfo(pyramid, id, { maxPx }) {
+  const scaleFactors = [];
+  const sizes = [];
+  for (let level = pyramid.levelMax; level >= 0; level--) {
+    const scale = 2 ** (pyramid.levelMax - level);
+    scaleFactors.push(scale);
+    const width = Math.ceil(pyramid.width / scale);
+    const height = Math.ceil(pyramid.height / scale);
+    if (width <= maxPx && height <= maxPx) sizes.unshift({ width, height });
+  }
+
+  return {
+    '@context': IMAGE_CONTEXT,
+    id,
+    type: 'ImageService3',
+    protocol: 'http://iiif.io/api/image',
+    profile: 'level1',
+    width: pyramid.width,
+    height: pyramid.height,
+    maxWidth: Math.min(maxPx, pyramid.width),
+    maxHeight: Math.min(maxPx, pyramid.height),
+    sizes,
+    tiles: [{ width: pyramid.tileSize, scaleFactors }],
+    extraFeatures: ['regionByPct', 'sizeByPct', 'sizeByConfinedWh']
+  };
+}
+
+function parseRegion(region, { width, height }) {
+  if (region === 'full') return { x: 0, y: 0, width, height };
+  if (region === 'square') {
+    const side = Math.min(width, height);
+    return { x: Math.floor((width - side) / 2), y: Math.floor((height - side) / 2), width: side, height: side };
+  }
+
+  let x, y, w, h;
+  const px = region.match(REGION_PX_REGEX);
+  const pct = region.match(REGION_PCT_REGEX);
+  if (px) {
+    [x, y, w, h] = px.slice(1).map(Number);
+  } else if (pct) {
+    const [px0, py0, pw, ph] = pct.slice(1).map(Number);
+    x = Math.round(px0 * width / 100);
+    y = Math.round(py0 * height / 100);
+    w = Math.round(pw * width / 100);
+    h = Math.round(ph * height / 100);
+  } else {
+    return null;
+  }
+
+  if (w === 0 || h === 0 || x >= width || y >= height) return null;
+  return { x, y, width: Math.min(w, width - x), height: Math.min(h, height - y) };
+}
+
+function parseSize(size, region, maxPx) {
+  const upscale = size.startsWith('^');
+  const spec = upscale ? size.slice(1) : size;
+  const aspect = region.width / region.height;
+
+  let width, height;
+  if (spec === 'max') {
+    const scale = Math.min(1, maxPx / region.width, maxPx / region.height);
+    width = Math.max(1, Math.round(region.width * scale));
+    height = Math.max(1, Math.round(region.height * scale));
+  } else if (SIZE_PCT_REGEX.test(spec)) {
+    const pct = Number(spec.slice(4));
+    width = Math.round(region.width * pct / 100);
+    height = Math.round(region.height * pct / 100);
+  } else {
+    const match = spec.match(SIZE_WH_REGEX);
+    if (!match || (!match[2] && !match[3])) return { error: `Invalid size: ${size}` };
+    const confined = Boolean(match[1]);
+    const w = match[2] ? Number(match[2]) : null;
+    const h = match[3] ? Number(match[3]) : null;
+
+    if (confined) {
+      if (w === null || h === null) return { error: `Invalid size: ${size}` };
+      const scale = Math.min(w / region.width, h / region.height);
+      width = Math.round(region.width * scale);
+      height = Math.round(region.height * scale);
+    } else {
+      width = w ?? Math.round(h * aspect);
+      height = h ?? Math.round(w / aspect);
+    }
+  }
+
+  if (width < 1 || height < 1) return { error: `Invalid size: ${size}` };
+  if (width > region.width || height > region.height) return { error: 'Upscaling is not supported' };
+  if (width > maxPx || height > maxPx) return { error: `Size exceeds the maximum of ${maxPx} pixels` };
+  return { width, height };
+}
+
+/**
+ * Parse the path of an image request.
+ *
+ * @param {{ region: string, size: string, rotation: string, quality: string, format: string }} params
+ * @param {{ width: number, height: number }} pyramid
+ * @param {{ maxPx: number }} options
+ * @returns {{ request: { region: object, width: number, height: number }|null, error: string|null, status?: number }}
+ *   status 400 for invalid requests, 501 for features not supported
+ */
+export function parseImageRequest(params, pyramid, { maxPx }) {
+  const region = parseRegion(params.region, pyramid);
+  if (!region) return { request: null, error: `Invalid region: ${params.region}`, status: 400 };
+
+  if (!/^!?\d+(\.\d+)?$/.test(params.rotation)) {
+    return { request: null, error: `Invalid rotation: ${params.rotation}`, status: 400 };
+  }
+  if (params.rotation !== '0') return { request: null, error: 'Only rotation 0 is supported', status: 501 };
+
+  if (!['default', 'color', 'gray', 'bitonal'].includes(params.quality)) {
+    return { request: null, error: `Invalid quality: ${params.quality}`, status: 400 };
+  }
+  if (!['default', 'color'].includes(params.quality)) {
+    return { request: null, error: `Quality ${params.quality} is not supported`, status: 501 };
+  }
+  if (params.format !== 'jpg') return { request: null, error: `Format ${params.format} is not supported`, status: 501 };
+
+  const size = parseSize(params.size, region, maxPx);
+  if (size.error) return { request: null, error: size.error, status: 400 };
+
+  return { request: { region, width: size.width, height: size.height }, error: null };
+}
+
+/**
+ * Pyramid level to render a request from: the smallest one still at least
+ * as detailed as the requested size, no higher than `levelReadyMax`
+ */
+export function requestLevel(pyramid, request, levelReadyMax = pyramid.levelMax) {
+  const downscale = Math.min(request.region.width / request.width, request.region.height / request.height);
+  const steps = Math.max(0, Math.floor(Math.log2(downscale) + 1e-9));
+  return Math.max(0, Math.min(levelReadyMax, pyramid.levelMax - steps));
+}
+
+/**
+ * The pyramid tile a request is for, when it asks for exactly one tile at
+ * its level (what viewers do with the tiles of info.json), else null
+ *
+ * @returns {{ z: number, x: number, y: number }|null}
+ */
+export function requestTile(pyramid, request, level) {
+  const scale = 2 ** (pyramid.levelMax - level);
+  const span = pyramid.tileSize * scale;
+  const { region } = request;
+  if (region.x % span !== 0 || region.y % span !== 0) return null;
+  if (region.width !== Math.min(span, pyramid.width - region.x)) return null;
+  if (region.height !== Math.min(span, pyramid.height - region.y)) return null;
+
+  // Sizes are given as "w," or "w,h"; heights may round either way
+  if (request.width !== Math.ceil(region.width / scale)) return null;
+  if (Math.abs(request.height - Math.ceil(region.height / scale)) > 1) return null;
+
+  return { z: level, x: region.x / span, y: region.y / span };
+}
+
+function languageMap(value) {
+  return { none: [String(value)] };
+}
+
+function metadataEntry(label, value) {
+  return { label: { en: [label] }, value: languageMap(value) };
+}
+
+/**
+ * Canvas of a slide, painted with its image service
+ *
+ * @param {string} canvasId
+ * @param {object} slide - slides row (processed)
+ * @param {string} serviceId - Base URI of the slide's image service
+ * @param {string|null} label
+ */
+export function slideCanvas(canvasId, slide, serviceId, label) {
+  const metadata = [metadataEntry('Slide', slide.id)];
+  if (slide.format) metadata.push(metadataEntry('Format', slide.format));
+  if (slide.app_mag) metadata.push(metadataEntry('Magnification', `${slide.app_mag}x`));
+  if (slide.mpp) metadata.push(metadataEntry('Microns per pixel', slide.mpp));
+  if (slide.stain_type) metadata.push(metadataEntry('Stain', slide.stain_marker || slide.stain_type));
+
+  return {
+    id: canvasId,
+    type: 'Canvas',
+    label: languageMap(label || slide.original_filename),
+    width: slide.width,
+    height: slide.height,
+    metadata,
+    thumbnail: [{
+      id: `${serviceId}/full/!256,256/0/default.jpg`,
+      type: 'Image',
+      format: 'image/jpeg',
+      service: [{ id: serviceId, type: 'ImageService3', profile: 'level1' }]
+    }],
+    items: [{
+      id: `${canvasId}/page`,
+      type: 'AnnotationPage',
+      items: [{
+        id: `${canvasId}/page/image`,
+        type: 'Annotation',
+        motivation: 'painting',
+        target: canvasId,
+        body: {
+          id: `${serviceId}/full/max/0/default.jpg`,
+          type: 'Image',
+          format: 'image/jpeg',
+          width: slide.width,
+          height: slide.height,
+          service: [{ id: serviceId, type: 'ImageService3', profile: 'level1' }]
+        }
+      }]
+    }]
+  };
+}
+
+/**
+ * Presentation manifest
+ *
+ * @param {string} id
+ * @param {string} label
+ * @param {object[]} canvases - slideCanvas() results, in order
+ * @param {Array<[string, *]>} [metadata] - label/value pairs (empty values left out)
+ */
+export function presentationManifest(id, label, canvases, metadata = []) {
+  return {
+    '@context': PRESENTATION_CONTEXT,
+    id,
+    type: 'Manifest',
+    label: languageMap(label),
+    metadata: metadata
+      .filter(([, value]) => value !== null && value !== undefined && value !== '')
+      .map(([key, value]) => metadataEntry(key, value)),
+    items: canvases
+  };
+}
@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  imageInfo,
+  parseImageRequest,
+  requestLevel,
+  requestTile,
+  slideCanvas,
+  presentationManifest
+} from './iiif.js';
+
+// 1000 x 600 slide: levels 0..10, level 10 is full resolution
+const PYRAMID = { width: 1000, height: 600, levelMax: 10, tileSize: 256 };
+const OPTIONS = { maxPx: 512 };
+
+function parse(region, size, file = 'default.jpg', rotation = '0') {
+  const [quality, format] = file.split('.');
+  return parseImageRequest({ region, size, rotation, quality, format }, PYRAMID, OPTIONS);
+}
+
+describe('imageInfo', () => {
+  it('describes the pyramid levels as tile scale factors', () => {
+    const info = imageInfo(PYRAMID, 'https://edge/v1/iiif/s1', OPTIONS);
+    assert.equal(info.type, 'ImageService3');
+    assert.equal(info.profile, 'level1');
+    assert.deepStrictEqual(info.tiles, [{ width: 256, scaleFactors: [1, 2, 4, 8, 16, 32, 64, 128, 256, 512, 1024] }]);
+    assert.equal(info.maxWidth, 512);
+    assert.deepStrictEqual(info.sizes.at(-1), { width: 500, height: 300 });
+    assert.deepStrictEqual(info.sizes[0], { width: 1, height: 1 });
+  });
+});
+
+describe('parseImageRequest', () => {
+  it('parses regions in pixels, percent, full and square', () => {
+    assert.deepStrictEqual(parse('10,20,100,50', 'max').request, { region: { x: 10, y: 20, width: 100, height: 50 }, width: 100, height: 50 });
+    assert.deepStrictEqual(parse('pct:50,50,50,50', '250,').request.region, { x: 500, y: 300, width: 500, height: 300 });
+    assert.deepStrictEqual(parse('square', '100,').request.region, { x: 200, y: 0, width: 600, height: 600 });
+    assert.deepStrictEqual(parse('900,500,500,500', 'max').request.region, { x: 900, y: 500, width: 100, height: 100 });
+  });
+
+  it('parses sizes keeping or confining the aspect ratio', () => {
+    assert.deepStrictEqual(parse('full', '250,').request, { region: { x: 0, y: 0, width: 1000, height: 600 }, width: 250, height: 150 });
+    assert.equal(parse('full', ',300').request.width, 500);
+    assert.deepStrictEqual(parse('full', '!200,200').request, { region: { x: 0, y: 0, width: 1000, height: 600 }, width: 200, height: 120 });
+    assert.equal(parse('full', 'pct:10').request.width, 100);
+    assert.deepStrictEqual(parse('full', 'max').request, { region: { x: 0, y: 0, width: 1000, height: 600 }, width: 512, height: 307 });
+  });
+
+  it('rejects invalid requests with 400 and unsupported features with 501', () => {
+    assert.equal(parse('1000,0,10,10', 'max').status, 400);
+    assert.equal(parse('0,0,0,10', 'max').status, 400);
+    assert.equal(parse('full', '2000,').error, 'Upscaling is not supported');
+    assert.equal(parse('0,0,1000,600', '600,').status, 400);
+    assert.equal(parse('full', 'big').status, 400);
+    assert.equal(parse('full', 'max', 'default.jpg', '90').status, 501);
+    assert.equal(parse('full', 'max', 'default.jpg', 'x').status, 400);
+    assert.equal(parse('full', 'max', 'gray.jpg').status, 501);
+    assert.equal(parse('full', 'max', 'default.png').status, 501);
+  });
+});
+
+describe('requestLevel and requestTile', () => {
+  it('finds the pyramid tile a viewer asks for', () => {
+    const full = parse('256,0,256,256', '256,').request;
+    assert.equal(requestLevel(PYRAMID, full), 10);
+    assert.deepStrictEqual(requestTile(PYRAMID, full, 10), { z: 10, x: 1, y: 0 });
+
+    // Edge tile at scale 2: 512 wide region of which 488 remain
+    const edge = parse('512,512,488,88', '244,44').request;
+    assert.equal(requestLevel(PYRAMID, edge), 9);
+    assert.deepStrictEqual(requestTile(PYRAMID, edge, 9), { z: 9, x: 1, y: 1 });
+  });
+
+  it('renders anything else from the nearest more detailed level', () => {
+    const thumb = parse('full', '!200,200').request;
+    assert.equal(requestLevel(PYRAMID, thumb), 8);
+    assert.equal(requestTile(PYRAMID, thumb, 8), null);
+    assert.equal(requestLevel(PYRAMID, parse('0,0,256,256', '256,').request, 6), 6);
+    assert.equal(requestTile(PYRAMID, parse('10,0,256,256', '256,').request, 10), null);
+  });
+});
+
+describe('presentationManifest', () => {
+  it('paints one canvas per slide with its image service', () => {
+    const slide = { id: 's1', original_filename: 's1.svs', format: 'svs', width: 1000, height: 600, app_mag: 40, mpp: null };
+    const canvas = slideCanvas('https://edge/c/s1', slide, 'https://edge/v1/iiif/s1', 'A1');
+    const manifest = presentationManifest('https://edge/m', 'AP 1', [canvas], [['External reference', 'AP1'], ['Priority', null]]);
+
+    assert.equal(manifest.type, 'Manifest');
+    assert.deepStrictEqual(manifest.label, { none: ['AP 1'] });
+    assert.equal(manifest.metadata.length, 1);
+    assert.deepStrictEqual(canvas.label, { none: ['A1'] });
+    const body = manifest.items[0].items[0].items[0].body;
+    assert.equal(body.service[0].id, 'https://edge/v1/iiif/s1');
+    assert.equal(body.width, 1000);
+    assert.equal(manifest.items[0].items[0].items[0].target, 'https://edge/c/s1');
+  });
+});
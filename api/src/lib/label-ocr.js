@@ -13,10 +13,14 @@
  *   IM = Imuno-histoquímico
  *
  * Pattern: [AP|PA|C|IM][6-8 digits][letter][optional digit(s)]
+ *
+ * IHC and special stain slides also carry the printed marker or stain name
+ * (Ki-67, HER2, PAS...), returned as a second "STAIN:" line of the response.
  */
 
 import { readFile } from 'fs/promises';
 import Anthropic from '@anthropic-ai/sdk';
+import { stainFromText } from './stains.js';
 
 const OCR_RESPONSE_REGEX = /^((?:AP|PA|IM|C)\d{6,12})([A-Z]\d*)?$/i;
 
@@ -24,6 +28,8 @@ const OCR_RESPONSE_REGEX = /^((?:AP|PA|IM|C)\d{6,12})([A-Z]\d*)?$/i;
 // The underscore replaces suppressed zeros: 26_388 → 26000388
 const ABBREVIATED_REGEX = /^(\d{2})[_](\d{1,6})([A-Z]\d*)?$/i;
 
+const STAIN_LINE_REGEX = /^STAIN:\s*(.+)$/im;
+
 let client = null;
 
 function getClient() {
@@ -37,13 +43,13 @@ function getClient() {
  * Parse the raw OCR text response into structured data.
  * Exported for testing.
  *
- * @param {string|null} text - Raw text from OCR
+ * @param {string|null} text - Raw text from OCR (identifier on the first line)
  * @returns {{ fullName: string, caseBase: string, slideLabel: string } | null}
  */
 export function parseOcrResponse(text) {
   if (!text || typeof text !== 'string') return null;
 
-  const trimmed = text.trim().toUpperCase();
+  const trimmed = text.trim().split('\n')[0].trim().toUpperCase();
   if (!trimmed) return null;
 
   // First try abbreviated format: 26_388A → AP26000388A
@@ -78,10 +84,28 @@ export function parseOcrResponse(text) {
 }
 
 /**
- * OCR a label image and extract the case identifier.
+ * Parse the stain line of the raw OCR text response.
+ * Exported for testing.
+ *
+ * @param {string|null} text - Raw text from OCR
+ * @returns {{ type: string, marker: string|null } | null} null when there is
+ *   no stain line or the name is not a known stain (see lib/stains.js)
+ */
+export function parseOcrStain(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  const match = text.match(STAIN_LINE_REGEX);
+  if (!match || match[1].trim().toUpperCase() === 'NONE') return null;
+
+  return stainFromText(match[1].trim());
+}
+
+/**
+ * OCR a label image and extract the case identifier and, when printed, the
+ * stain.
  *
  * @param {string} imagePath - Path to label.jpg
- * @returns {Promise<{ fullName: string, caseBase: string, slideLabel: string } | null>}
+ * @returns {Promise<{ fullName: string, caseBase: string, slideLabel: string, stain: object|null } | null>}
  */
 export async function ocrLabel(imagePath) {
   const imageData = await readFile(imagePath);
@@ -115,10 +139,13 @@ Examples of identifiers you may see:
   Full: AP26000388A1, AP26000388B, PA26000019, C26000588A, IM26000100A2
   Abbreviated: 26_388A, 26_388B2, 26_100A (write exactly as seen, e.g. "26_388A")
 
-Ignore any other text on the label such as patient names, doctor names, "urgente", or other annotations. Only extract the case identifier.
+Immunohistochemistry and special stain labels also have a PRINTED marker or stain name, e.g. Ki-67, HER2, RE, RP, p53, CK7, CD20, PAS, Giemsa, Tricrômico, Reticulina, Ziehl-Neelsen, or "HE" for hematoxylin-eosin.
+
+Ignore any other text on the label such as patient names, doctor names, "urgente", or other annotations.
 
-Reply with ONLY the identifier as you read it (e.g., "AP26000388A1" or "26_388A"). No other text.
-If you cannot read the label, reply with UNREADABLE.`,
+Reply with ONLY the identifier as you read it (e.g., "AP26000388A1" or "26_388A") on the first line.
+If a marker or stain name is printed, add a second line "STAIN: <name as printed>" (e.g., "STAIN: Ki-67"). No other text.
+If you cannot read the identifier, reply with UNREADABLE.`,
           },
         ],
       },
@@ -130,7 +157,10 @@ If you cannot read the label, reply with UNREADABLE.`,
 
   if (rawText.trim().toUpperCase() === 'UNREADABLE') return null;
 
-  return parseOcrResponse(rawText);
+  const parsed = parseOcrResponse(rawText);
+  if (!parsed) return null;
+
+  return { ...parsed, stain: parseOcrStain(rawText) };
 }
 
 /**
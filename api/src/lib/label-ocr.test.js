@@ -1,6 +1,6 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { parseOcrResponse } from './label-ocr.js';
+import { parseOcrResponse, parseOcrStain } from './label-ocr.js';
 
 describe('parseOcrResponse', () => {
   it('parses a clean AP response', () => {
@@ -135,4 +135,27 @@ describe('parseOcrResponse', () => {
       slideLabel: 'A',
     });
   });
+
+  it('reads the identifier from the first line only', () => {
+    const result = parseOcrResponse('IM26000100A2\nSTAIN: Ki-67');
+    assert.deepStrictEqual(result, {
+      fullName: 'IM26000100A2',
+      caseBase: 'IM26000100',
+      slideLabel: 'A2',
+    });
+  });
+});
+
+describe('parseOcrStain', () => {
+  it('parses a printed marker', () => {
+    assert.deepStrictEqual(parseOcrStain('IM26000100A2\nSTAIN: KI 67'), { type: 'ihc', marker: 'Ki-67' });
+    assert.deepStrictEqual(parseOcrStain('AP26000388A1\nstain: PAS'), { type: 'special', marker: 'PAS' });
+  });
+
+  it('returns null without a stain line or for unknown names', () => {
+    assert.strictEqual(parseOcrStain('AP26000388A1'), null);
+    assert.strictEqual(parseOcrStain('AP26000388A1\nSTAIN: NONE'), null);
+    assert.strictEqual(parseOcrStain('AP26000388A1\nSTAIN: Dr. Silva'), null);
+    assert.strictEqual(parseOcrStain(null), null);
+  });
 });
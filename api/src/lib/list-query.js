@@ -0,0 +1,122 @@
+/**
+ * List queries
+ *
+ * Helpers of the searchable lists (GET /v1/slides, GET /v1/cases): sort
+ * parameters, search terms and opaque cursors.
+ *
+ * Pages are keyset-paginated: a cursor carries the sort key and id of the
+ * last row of a page, and the next page continues strictly after that
+ * (sort key, id) pair, so rows added or removed meanwhile never shift or
+ * repeat a page. Sort keys travel as PostgreSQL text (timestamps keep their
+ * microseconds) and are cast back to the column type in the condition.
+ */
+
+// Longest search: terms beyond this are ignored
+const MAX_SEARCH_TERMS = 8;
+
+/**
+ * Parse a sort parameter: "<field>" ascending, "-<field>" descending.
+ *
+ * @param {string} value
+ * @param {Object<string, { column: string, type: string }>} fields - sortable
+ *   fields: SQL column (or expression) and its type, for the cursor cast
+ * @returns {{ name: string, field: string, column: string, type: string, descending: boolean }|null}
+ *   null for an unknown field
+ */
+export function parseSort(value, fields) {
+  const descending = value.startsWith('-');
+  const field = descending ? value.slice(1) : value;
+  if (!Object.hasOwn(fields, field)) return null;
+  return { name: value, field, ...fields[field], descending };
+}
+
+/**
+ * Search terms of a query string: lowercased, split on whitespace, deduped
+ */
+export function searchTerms(q) {
+  if (!q) return [];
+  const terms = q.toLowerCase().split(/\s+/).filter(Boolean);
+  return [...new Set(terms)].slice(0, MAX_SEARCH_TERMS);
+}
+
+/**
+ * LIKE pattern matching a term anywhere, with LIKE wildcards escaped
+ */
+export function likePattern(term) {
+  return `%${term.replace(/[\\%_]/g, ch => `\\${ch}`)}%`;
+}
+
+// PostgreSQL timestamptz as text: "2026-01-02 10:00:00.123456+00" (or ISO)
+const TIMESTAMPTZ_REGEX = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})(\.\d{1,6})?(Z|[+-]\d{2}(:?\d{2}){0,2})$/;
+
+/**
+ * Whether a real date and time (no month 13 or February 30)
+ */
+function isTimestamptz(text) {
+  const match = TIMESTAMPTZ_REGEX.exec(text);
+  if (!match) return false;
+  const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day &&
+    date.getUTCHours() === hour && date.getUTCMinutes() === minute && date.getUTCSeconds() === second;
+}
+
+// Cursor keys the keyset condition can cast to each sort type
+const KEY_VALIDATORS = {
+  timestamptz: isTimestamptz,
+  text: () => true
+};
+
+/**
+ * Opaque cursor after a row (base64url JSON of the sort, its key and the id)
+ *
+ * @param {{ name: string }} sort - parseSort() result
+ * @param {string} key - sort key of the row, as text
+ * @param {string} id
+ */
+export function encodeCursor(sort, key, id) {
+  return Buffer.from(JSON.stringify({ s: sort.name, k: key, i: id })).toString('base64url');
+}
+
+/**
+ * Decode a cursor made by encodeCursor for the same sort.
+ *
+ * @returns {{ key: string, id: string }|null} null when malformed, made
+ *   for another sort or carrying a key the sort's column type cannot take
+ */
+export function decodeCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (!decoded || decoded.s !== sort.name) return null;
+  if (typeof decoded.k !== 'string' || typeof decoded.i !== 'string') return null;
+  // PostgreSQL text cannot hold NUL
+  if (decoded.k.includes('\0') || decoded.i.includes('\0')) return null;
+  const validKey = KEY_VALIDATORS[sort.type];
+  if (!validKey || !validKey(decoded.k)) return null;
+  return { key: decoded.k, id: decoded.i };
+}
+
+/**
+ * SQL condition selecting the rows after a cursor, in sort order
+ *
+ * @param {object} sort - parseSort() result
+ * @param {string} idColumn - unique tiebreaker column
+ * @param {number} keyParam - placeholder number of the cursor key
+ * @param {number} idParam - placeholder number of the cursor id
+ */
+export function keysetCondition(sort, idColumn, keyParam, idParam) {
+  const op = sort.descending ? '<' : '>';
+  return `(${sort.column}, ${idColumn}) ${op} ($${keyParam}::${sort.type}, $${idParam})`;
+}
+
+/**
+ * ORDER BY clause of a sort, with the id as tiebreaker
+ */
+export function orderBy(sort, idColumn) {
+  const direction = sort.descending ? 'DESC' : 'ASC';
+  return `ORDER BY ${sort.column} ${direction}, ${idColumn} ${direction}`;
+}
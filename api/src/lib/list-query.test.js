@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseSort,
+  searchTerms,
+  likePattern,
+  encodeCursor,
+  decodeCursor,
+  keysetCondition,
+  orderBy
+} from './list-query.js';
+
+const FIELDS = {
+  createdAt: { column: 's.created_at', type: 'timestamptz' },
+  filename: { column: 's.original_filename', type: 'text' }
+};
+
+describe('parseSort', () => {
+  it('reads the field and direction', () => {
+    assert.deepStrictEqual(parseSort('-createdAt', FIELDS), {
+      name: '-createdAt', field: 'createdAt', column: 's.created_at', type: 'timestamptz', descending: true
+    });
+    assert.equal(parseSort('filename', FIELDS).descending, false);
+  });
+
+  it('rejects unknown fields', () => {
+    assert.equal(parseSort('raw_path', FIELDS), null);
+    assert.equal(parseSort('-toString', FIELDS), null);
+  });
+});
+
+describe('searchTerms', () => {
+  it('splits, lowercases and dedupes', () => {
+    assert.deepStrictEqual(searchTerms('  AP24-1234  a1 ap24-1234 '), ['ap24-1234', 'a1']);
+    assert.deepStrictEqual(searchTerms(''), []);
+    assert.deepStrictEqual(searchTerms(undefined), []);
+  });
+});
+
+describe('likePattern', () => {
+  it('escapes LIKE wildcards', () => {
+    assert.equal(likePattern('ap24'), '%ap24%');
+    assert.equal(likePattern('50%_a\\b'), '%50\\%\\_a\\\\b%');
+  });
+});
+
+describe('cursors', () => {
+  const sort = parseSort('-createdAt', FIELDS);
+
+  it('round-trip for the same sort', () => {
+    const cursor = encodeCursor(sort, '2026-01-02 10:00:00.123456+00', 'abc');
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+    assert.deepStrictEqual(decodeCursor(cursor, sort), { key: '2026-01-02 10:00:00.123456+00', id: 'abc' });
+  });
+
+  it('reject other sorts and garbage', () => {
+    const cursor = encodeCursor(sort, '2026-01-02 10:00:00+00', 'abc');
+    assert.equal(decodeCursor(cursor, parseSort('createdAt', FIELDS)), null);
+    assert.equal(decodeCursor('not-a-cursor', sort), null);
+    assert.equal(decodeCursor(Buffer.from('{"s":"-createdAt","k":1}').toString('base64url'), sort), null);
+  });
+
+  it('reject keys the sort column cannot take', () => {
+    for (const key of ['x', '2026-13-01 10:00:00+00', '2026-02-30 10:00:00+00', '2026-01-02 25:00:00+00', '2026-01-02', "2026-01-02 10:00:00+00'; --"]) {
+      assert.equal(decodeCursor(encodeCursor(sort, key, 'abc'), sort), null, key);
+    }
+    for (const key of ['2026-01-02T10:00:00.5Z', '2026-01-02 10:00:00-03', '2026-01-02 10:00:00+05:30']) {
+      assert.deepStrictEqual(decodeCursor(encodeCursor(sort, key, 'abc'), sort), { key, id: 'abc' });
+    }
+
+    const byName = parseSort('filename', FIELDS);
+    assert.deepStrictEqual(decodeCursor(encodeCursor(byName, 'any name', 'abc'), byName), { key: 'any name', id: 'abc' });
+    assert.equal(decodeCursor(encodeCursor(byName, 'a\0b', 'abc'), byName), null);
+  });
+});
+
+describe('keysetCondition / orderBy', () => {
+  it('compares (key, id) in the sort direction', () => {
+    assert.equal(
+      keysetCondition(parseSort('-createdAt', FIELDS), 's.id', 3, 4),
+      '(s.created_at, s.id) < ($3::timestamptz, $4)'
+    );
+    assert.equal(
+      keysetCondition(parseSort('filename', FIELDS), 's.id', 1, 2),
+      '(s.original_filename, s.id) > ($1::text, $2)'
+    );
+    assert.equal(orderBy(parseSort('-createdAt', FIELDS), 's.id'), 'ORDER BY s.created_at DESC, s.id DESC');
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * Message mentions
+ *
+ * "@<authorId>" tokens in thread message text, stored in messages.mentions
+ * so viewers can notify the users mentioned. Author ids are the ones
+ * recorded on messages (getAuthorId: cloud user id or local user id).
+ *
+ * An "@" preceded by a letter, digit or dot is not a mention (e-mail
+ * addresses); trailing punctuation is not part of the id:
+ *   "@dr-silva, can you check?"  -> ["dr-silva"]
+ *   "see lab@example.org"        -> []
+ */
+
+const MENTION_PATTERN = /(?<![\w.@])@([A-Za-z0-9][\w.:-]*)/g;
+
+// Sentence punctuation glued to the end of a mention
+const TRAILING_PUNCTUATION = /[.:-]+$/;
+
+/**
+ * Author ids mentioned in a message, in order of first appearance, without
+ * duplicates.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseMentions(text) {
+  if (typeof text !== 'string') return [];
+
+  const mentions = [];
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const id = match[1].replace(TRAILING_PUNCTUATION, '');
+    if (id && !mentions.includes(id)) mentions.push(id);
+  }
+  return mentions;
+}
@@ -0,0 +1,30 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMentions } from './mentions.js';
+
+describe('parseMentions', () => {
+  it('finds author ids after @', () => {
+    assert.deepStrictEqual(parseMentions('@dr-silva can you check? cc @u_42'), ['dr-silva', 'u_42']);
+  });
+
+  it('keeps uuids and cloud ids whole', () => {
+    const text = 'ping @3f2b9c1e-8a7d-4c2e-9f1a-0b6d5e4c3a21 and @cloud:user.7';
+    assert.deepStrictEqual(parseMentions(text), ['3f2b9c1e-8a7d-4c2e-9f1a-0b6d5e4c3a21', 'cloud:user.7']);
+  });
+
+  it('drops trailing punctuation', () => {
+    assert.deepStrictEqual(parseMentions('Thanks @dr-silva. Agreed, @rui: margin is clear'), ['dr-silva', 'rui']);
+  });
+
+  it('deduplicates in order of appearance', () => {
+    assert.deepStrictEqual(parseMentions('@b @a @b'), ['b', 'a']);
+  });
+
+  it('ignores e-mail addresses and bare @', () => {
+    assert.deepStrictEqual(parseMentions('mail lab@example.org or @ nobody @@x'), []);
+  });
+
+  it('returns an empty list for non-strings', () => {
+    assert.deepStrictEqual(parseMentions(null), []);
+  });
+});
@@ -1,4 +1,15 @@
 import { createClient } from 'redis';
+import { query } from '../db/index.js';
+
+// One Redis lane per job type, claimed by the processor in this order
+// (see processor/src/job-queue.js).
+export const JOB_TYPES = ['P0', 'P1', 'CLEANUP', 'TILEGEN'];
+
+const DELAYED_KEY = 'jobs:delayed';
+const WORKERS_KEY = 'processor:workers';
+
+// Processors refresh their status every 5s; older snapshots are stale
+const WORKER_STALE_MS = 30000;
 
 let client = null;
 
@@ -13,12 +24,102 @@ export async function getRedisClient() {
   return client;
 }
 
+export function getLaneKey(type) {
+  return `jobs:pending:${type}`;
+}
+
+/**
+ * Rebuild the queue message for a jobs row. The processor has the same
+ * function (processor/src/job-queue.js), checked by queue.test.js.
+ * Rows created before the persistent queue have no stored payload; they are
+ * rebuilt from the slide, except P1 whose start level is unknown. Only
+ * CLEANUP can run once its slide is deleted.
+ *
+ * @param {object} job - jobs row
+ * @param {object|null} slide - slides row (null once the slide is deleted)
+ * @returns {object|null} Queue message, or null if it cannot be rebuilt
+ */
+export function buildJobPayload(job, slide) {
+  if (job.type === 'CLEANUP') return { jobId: job.id, slideId: job.slide_id, type: 'CLEANUP' };
+  if (!slide) return null;
+  if (job.payload) return { ...job.payload, jobId: job.id };
+  if (job.type === 'P1') return null;
+
+  const payload = {
+    jobId: job.id,
+    slideId: job.slide_id,
+    type: job.type,
+    rawPath: slide.raw_path,
+    format: slide.format
+  };
+  if (job.type === 'TILEGEN') payload.maxLevel = slide.max_level;
+  return payload;
+}
+
 export async function enqueueJob(jobData) {
   const redis = await getRedisClient();
-  await redis.lPush('jobs:pending', JSON.stringify(jobData));
+  // Persist the payload so the job can be re-queued from the DB
+  if (jobData.jobId) {
+    await query(
+      'UPDATE jobs SET payload = $1, next_attempt_at = NULL WHERE id = $2',
+      [JSON.stringify(jobData), jobData.jobId]
+    );
+  }
+  await redis.lPush(getLaneKey(jobData.type), JSON.stringify(jobData));
   console.log(`Enqueued job: ${jobData.type} for slide ${jobData.slideId}`);
 }
 
+/**
+ * Remove a job that has not been claimed yet from its lane and the retry set.
+ *
+ * @returns {Promise<number>} Number of queue entries removed
+ */
+export async function removeQueuedJob(jobId, type) {
+  const redis = await getRedisClient();
+  const matches = raw => {
+    try {
+      return JSON.parse(raw).jobId === jobId;
+    } catch {
+      return false;
+    }
+  };
+
+  let removed = 0;
+  const laneKey = getLaneKey(type);
+  for (const raw of (await redis.lRange(laneKey, 0, -1)).filter(matches)) {
+    removed += await redis.lRem(laneKey, 0, raw);
+  }
+  for (const raw of (await redis.zRange(DELAYED_KEY, 0, -1)).filter(matches)) {
+    removed += await redis.zRem(DELAYED_KEY, raw);
+  }
+  return removed;
+}
+
+/**
+ * Slot status published by each processor worker.
+ * Workers that stopped reporting (crashed without cleanup) are flagged stale.
+ */
+export async function getWorkerStatuses() {
+  const redis = await getRedisClient();
+  const entries = await redis.hGetAll(WORKERS_KEY);
+  const now = Date.now();
+
+  return Object.values(entries)
+    .map(raw => {
+      try {
+        return JSON.parse(raw);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .map(worker => ({
+      ...worker,
+      stale: now - new Date(worker.updatedAt).getTime() > WORKER_STALE_MS
+    }))
+    .sort((a, b) => a.workerId.localeCompare(b.workerId));
+}
+
 export async function closeRedis() {
   if (client) {
     await client.quit();
@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { JOB_TYPES, getLaneKey, buildJobPayload } from './queue.js';
+import { JOB_TYPES as PROCESSOR_JOB_TYPES, buildJobPayload as buildProcessorJobPayload } from '../../../processor/src/job-queue.js';
+
+const slide = { id: 'slide-1', raw_path: '/data/raw/slide-1.svs', format: 'svs', max_level: 17 };
+
+describe('getLaneKey', () => {
+  it('uses one lane per job type, P0 first', () => {
+    assert.equal(JOB_TYPES[0], 'P0');
+    assert.equal(getLaneKey('TILEGEN'), 'jobs:pending:TILEGEN');
+  });
+});
+
+describe('buildJobPayload', () => {
+  it('reuses the stored payload', () => {
+    const job = { id: 'job-1', slide_id: 'slide-1', type: 'P1', payload: { slideId: 'slide-1', type: 'P1', startLevel: 9 } };
+    assert.deepStrictEqual(buildJobPayload(job, slide), { slideId: 'slide-1', type: 'P1', startLevel: 9, jobId: 'job-1' });
+  });
+
+  it('rebuilds P0 and TILEGEN from the slide', () => {
+    const p0 = buildJobPayload({ id: 'job-2', slide_id: 'slide-1', type: 'P0' }, slide);
+    assert.deepStrictEqual(p0, { jobId: 'job-2', slideId: 'slide-1', type: 'P0', rawPath: '/data/raw/slide-1.svs', format: 'svs' });
+
+    const tilegen = buildJobPayload({ id: 'job-3', slide_id: 'slide-1', type: 'TILEGEN' }, slide);
+    assert.equal(tilegen.maxLevel, 17);
+  });
+
+  it('cannot rebuild P1 without a stored payload', () => {
+    assert.equal(buildJobPayload({ id: 'job-4', slide_id: 'slide-1', type: 'P1' }, slide), null);
+  });
+
+  it('only rebuilds CLEANUP once the slide is gone', () => {
+    assert.equal(buildJobPayload({ id: 'job-5', slide_id: 'slide-1', type: 'P0' }, null), null);
+    assert.deepStrictEqual(
+      buildJobPayload({ id: 'job-6', slide_id: 'slide-1', type: 'CLEANUP' }, null),
+      { jobId: 'job-6', slideId: 'slide-1', type: 'CLEANUP' }
+    );
+  });
+
+  it('matches the processor, which rebuilds jobs lost from Redis', () => {
+    assert.deepStrictEqual([...PROCESSOR_JOB_TYPES].sort(), [...JOB_TYPES].sort());
+    const stored = { slideId: 'slide-1', type: 'P1', startLevel: 9 };
+    for (const type of JOB_TYPES) {
+      for (const job of [{ id: 'j', slide_id: 'slide-1', type }, { id: 'j', slide_id: 'slide-1', type, payload: stored }]) {
+        for (const row of [slide, null]) {
+          assert.deepStrictEqual(buildProcessorJobPayload(job, row), buildJobPayload(job, row), `${type} ${job.payload ? 'stored' : 'rebuilt'} ${row ? 'with' : 'without'} slide`);
+        }
+      }
+    }
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Region extraction math
+ *
+ * GET /v1/slides/:slideId/region reads a region straight from the raw slide
+ * (services/region-render.js extractRegion) at a physical resolution: a
+ * target mpp, or a DeepZoom level like the tile API. This plans the output
+ * size (clamped to a maximum), the scanner pyramid level to read it from,
+ * and the overlay burnt into it (annotations, scale bar) as an SVG of the
+ * output size.
+ *
+ * Regions are in full-resolution slide pixels (like annotation geometry);
+ * downsample is how many of them one output pixel covers.
+ */
+
+import { createHash } from 'crypto';
+
+const DEFAULT_COLOR = '#e94560';
+const COLOR_REGEX = /^#[0-9a-fA-F]{3,8}$/;
+
+/**
+ * Plan an extraction: the part of the region inside the slide, the output
+ * resolution and size. Output larger than maxPx is scaled down to fit
+ * (clamped: true) instead of refused.
+ *
+ * @param {{ width: number, height: number, levelMax: number, mpp: number|null }} slide
+ * @param {{ x: number, y: number, width: number, height: number }} region
+ * @param {{ mpp?: number, level?: number, maxPx: number }} options - mpp or level; neither is full resolution
+ * @returns {{ plan: object|null, error: string|null }}
+ *   error: 'no_mpp' | 'finer_than_scan' | 'invalid_level' | 'outside_slide'
+ */
+export function planExtraction(slide, region, { mpp = null, level = null, maxPx }) {
+  let downsample = 1;
+  if (mpp !== null) {
+    if (!slide.mpp) return { plan: null, error: 'no_mpp' };
+    downsample = mpp / slide.mpp;
+    if (downsample < 1 - 1e-9) return { plan: null, error: 'finer_than_scan' };
+    downsample = Math.max(1, downsample);
+  } else if (level !== null) {
+    if (!Number.isInteger(level) || level < 0 || level > slide.levelMax) {
+      return { plan: null, error: 'invalid_level' };
+    }
+    downsample = 2 ** (slide.levelMax - level);
+  }
+
+  // Part of the region inside the slide
+  const x0 = Math.max(0, Math.floor(region.x));
+  const y0 = Math.max(0, Math.floor(region.y));
+  const x1 = Math.min(slide.width, Math.ceil(region.x + region.width));
+  const y1 = Math.min(slide.height, Math.ceil(region.y + region.height));
+  if (x1 <= x0 || y1 <= y0) return { plan: null, error: 'outside_slide' };
+
+  const inside = { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+  let clamped = false;
+  if (Math.max(inside.width, inside.height) / downsample > maxPx) {
+    downsample = Math.max(inside.width, inside.height) / maxPx;
+    clamped = true;
+  }
+
+  return {
+    plan: {
+      region: inside,
+      downsample,
+      width: Math.max(1, Math.round(inside.width / downsample)),
+      height: Math.max(1, Math.round(inside.height / downsample)),
+      mpp: slide.mpp ? slide.mpp * downsample : null,
+      clamped
+    },
+    error: null
+  };
+}
+
+/**
+ * Where to read a planned region from: the least detailed level of the raw
+ * slide still at least as detailed as the output, the region in that
+ * level's pixels and the resize from there to the output size.
+ *
+ * @param {Array<{ level: number, width: number, height: number, downsample: number }>} levels
+ *   Levels of the raw slide (OpenSlide), level 0 first
+ * @param {object} plan - planExtraction() plan
+ */
+export function sourceCrop(levels, plan) {
+  let source = levels[0];
+  for (const level of levels) {
+    if (level.downsample <= plan.downsample + 1e-9 && level.downsample > source.downsample) source = level;
+  }
+
+  const { region } = plan;
+  const left = Math.floor(region.x / source.downsample);
+  const top = Math.floor(region.y / source.downsample);
+  const right = Math.min(source.width, Math.max(left + 1, Math.ceil((region.x + region.width) / source.downsample)));
+  const bottom = Math.min(source.height, Math.max(top + 1, Math.ceil((region.y + region.height) / source.downsample)));
+  const width = right - left;
+  const height = bottom - top;
+
+  return {
+    level: source.level,
+    left,
+    top,
+    width,
+    height,
+    hscale: plan.width / width,
+    vscale: plan.height / height
+  };
+}
+
+/**
+ * Longest round length (1, 2 or 5 x 10^n microns) up to maxUm
+ */
+export function scaleBarLength(maxUm) {
+  const magnitude = 10 ** Math.floor(Math.log10(maxUm));
+  const length = [5, 2, 1].map(m => m * magnitude).find(l => l <= maxUm);
+  return Number(length.toPrecision(1));
+}
+
+export function formatLength(um) {
+  return um >= 1000 ? `${um / 1000} mm` : `${um} µm`;
+}
+
+function color(value, fallback) {
+  return typeof value === 'string' && COLOR_REGEX.test(value) ? value : fallback;
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function annotationSvg(annotation, plan, classColors, lineScale) {
+  const { region, downsample } = plan;
+  const at = p => ({ x: round((p.x - region.x) / downsample), y: round((p.y - region.y) / downsample) });
+  const points = list => list.map(at).map(p => `${p.x},${p.y}`).join(' ');
+  const g = annotation.geometry || {};
+  const style = annotation.style || {};
+  const stroke = color(style.strokeColor, color(classColors[annotation.class_id], DEFAULT_COLOR));
+  const fill = color(style.fillColor, `${stroke}33`);
+  const width = round((Number(style.strokeWidth) || 2) * lineScale);
+  const paint = `stroke="${stroke}" stroke-width="${width}" fill="${fill}"`;
+
+  switch (annotation.type) {
+    case 'rectangle': {
+      const { x, y } = at(g);
+      return `<rect x="${x}" y="${y}" width="${round(g.width / downsample)}" height="${round(g.height / downsample)}" ${paint}/>`;
+    }
+    case 'ellipse': {
+      const { x, y } = at({ x: g.cx, y: g.cy });
+      return `<ellipse cx="${x}" cy="${y}" rx="${round(g.rx / downsample)}" ry="${round(g.ry / downsample)}" ${paint}/>`;
+    }
+    case 'polygon':
+    case 'freehand':
+      return `<polygon points="${points(g.points)}" ${paint}/>`;
+    case 'line':
+      return `<polyline points="${points(g.points)}" stroke="${stroke}" stroke-width="${width}" fill="none"/>`;
+    case 'point': {
+      const { x, y } = at(g);
+      return `<circle cx="${x}" cy="${y}" r="${round(5 * lineScale)}" fill="${stroke}"/>`;
+    }
+    default:
+      return '';
+  }
+}
+
+function scaleBarSvg(plan) {
+  const lengthUm = scaleBarLength(plan.width * 0.25 * plan.mpp);
+  const barPx = round(lengthUm / plan.mpp);
+  const fontSize = Math.max(12, Math.round(Math.min(plan.width, plan.height) / 30));
+  const pad = Math.round(fontSize / 2);
+  const x = pad * 2;
+  const y = plan.height - pad * 2;
+  const boxHeight = fontSize + pad * 3;
+
+  return [
+    `<rect x="${x - pad}" y="${y - boxHeight + pad}" width="${barPx + pad * 2}" height="${boxHeight}" fill="#ffffff" fill-opacity="0.8"/>`,
+    `<rect x="${x}" y="${y - pad}" width="${barPx}" height="${pad}" fill="#000000"/>`,
+    `<text x="${x}" y="${y - pad * 2}" font-family="sans-serif" font-size="${fontSize}" fill="#000000">${formatLength(lengthUm)}</text>`
+  ].join('');
+}
+
+/**
+ * Overlay of an extraction as an SVG of the output size, or null when there
+ * is nothing to draw (the scale bar needs a calibrated slide)
+ *
+ * @param {object} plan - planExtraction() plan
+ * @param {{ annotations?: object[], classColors?: object, scaleBar?: boolean }} options
+ *   annotations: annotations rows inside the region; classColors: class_id → color
+ */
+export function regionOverlaySvg(plan, { annotations = [], classColors = {}, scaleBar = false }) {
+  // Lines stay visible on large exports
+  const lineScale = Math.max(1, Math.max(plan.width, plan.height) / 1000);
+  const shapes = annotations.map(a => annotationSvg(a, plan, classColors, lineScale)).filter(Boolean);
+  if (scaleBar && plan.mpp) shapes.push(scaleBarSvg(plan));
+  if (shapes.length === 0) return null;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${plan.width}" height="${plan.height}" ` +
+    `viewBox="0 0 ${plan.width} ${plan.height}">${shapes.join('')}</svg>`;
+}
+
+/**
+ * Cache key of an extraction: same plan, format and overlay, same image
+ */
+export function regionCacheKey(plan, format, overlay) {
+  return createHash('sha256')
+    .update(JSON.stringify([plan.region, plan.width, plan.height, format, overlay]))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+/**
+ * Cached exports to remove: unused for longer than maxAgeMs, then the least
+ * recently used ones once the more recent use up maxBytes
+ *
+ * @param {{ path: string, bytes: number, usedAt: number }[]} files - usedAt in ms
+ * @param {{ maxBytes: number, maxAgeMs: number, now: number }} limits
+ * @returns {string[]} paths to remove
+ */
+export function regionCacheEvictions(files, { maxBytes, maxAgeMs, now }) {
+  const evicted = [];
+  let total = 0;
+  let full = false;
+  for (const file of [...files].sort((a, b) => b.usedAt - a.usedAt)) {
+    if (!full && total + file.bytes > maxBytes) full = true;
+    if (full || now - file.usedAt > maxAgeMs) {
+      evicted.push(file.path);
+    } else {
+      total += file.bytes;
+    }
+  }
+  return evicted;
+}
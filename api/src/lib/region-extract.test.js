@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  planExtraction,
+  sourceCrop,
+  scaleBarLength,
+  formatLength,
+  regionOverlaySvg,
+  regionCacheKey,
+  regionCacheEvictions
+} from './region-extract.js';
+
+// 40000 x 30000 slide scanned at 0.25 um/px: levels 0..16
+const SLIDE = { width: 40000, height: 30000, levelMax: 16, mpp: 0.25 };
+const REGION = { x: 1000, y: 2000, width: 4000, height: 2000 };
+const OPTIONS = { maxPx: 4096 };
+
+// Levels of the raw SVS (OpenSlide)
+const LEVELS = [
+  { level: 0, width: 40000, height: 30000, downsample: 1 },
+  { level: 1, width: 10000, height: 7500, downsample: 4 },
+  { level: 2, width: 2500, height: 1875, downsample: 16 }
+];
+
+describe('planExtraction', () => {
+  it('sizes the output for a target mpp or a pyramid level', () => {
+    const byMpp = planExtraction(SLIDE, REGION, { ...OPTIONS, mpp: 1 }).plan;
+    assert.equal(byMpp.downsample, 4);
+    assert.equal(byMpp.width, 1000);
+    assert.equal(byMpp.height, 500);
+    assert.equal(byMpp.mpp, 1);
+    assert.equal(byMpp.clamped, false);
+
+    const byLevel = planExtraction(SLIDE, REGION, { ...OPTIONS, level: 15 }).plan;
+    assert.equal(byLevel.downsample, 2);
+    assert.equal(byLevel.width, 2000);
+
+    assert.equal(planExtraction(SLIDE, REGION, OPTIONS).plan.width, 4000);
+  });
+
+  it('clips the region to the slide and clamps the output size', () => {
+    const { plan } = planExtraction(SLIDE, { x: 38000, y: 29000, width: 4000, height: 4000 }, OPTIONS);
+    assert.deepStrictEqual(plan.region, { x: 38000, y: 29000, width: 2000, height: 1000 });
+
+    const big = planExtraction(SLIDE, { x: 0, y: 0, width: 20000, height: 10000 }, OPTIONS).plan;
+    assert.equal(big.clamped, true);
+    assert.equal(big.width, 4096);
+    assert.equal(big.height, 2048);
+    assert.ok(Math.abs(big.mpp - 0.25 * 20000 / 4096) < 1e-9);
+  });
+
+  it('refuses what cannot be extracted', () => {
+    assert.equal(planExtraction({ ...SLIDE, mpp: null }, REGION, { ...OPTIONS, mpp: 1 }).error, 'no_mpp');
+    assert.equal(planExtraction(SLIDE, REGION, { ...OPTIONS, mpp: 0.1 }).error, 'finer_than_scan');
+    assert.equal(planExtraction(SLIDE, REGION, { ...OPTIONS, level: 17 }).error, 'invalid_level');
+    assert.equal(planExtraction(SLIDE, { x: 50000, y: 0, width: 10, height: 10 }, OPTIONS).error, 'outside_slide');
+  });
+});
+
+describe('sourceCrop', () => {
+  it('reads from the least detailed level that is detailed enough', () => {
+    const plan = planExtraction(SLIDE, REGION, { ...OPTIONS, mpp: 2 }).plan;
+    assert.deepStrictEqual(sourceCrop(LEVELS, plan), {
+      level: 1, left: 250, top: 500, width: 1000, height: 500, hscale: 0.5, vscale: 0.5
+    });
+
+    const full = planExtraction(SLIDE, REGION, OPTIONS).plan;
+    assert.equal(sourceCrop(LEVELS, full).level, 0);
+    assert.equal(sourceCrop([LEVELS[0]], plan).level, 0);
+  });
+});
+
+describe('scale bar', () => {
+  it('picks a round length', () => {
+    assert.equal(scaleBarLength(730), 500);
+    assert.equal(scaleBarLength(199), 100);
+    assert.equal(scaleBarLength(0.3), 0.2);
+    assert.equal(formatLength(2000), '2 mm');
+    assert.equal(formatLength(50), '50 µm');
+  });
+});
+
+describe('regionOverlaySvg', () => {
+  const plan = planExtraction(SLIDE, REGION, { ...OPTIONS, mpp: 1 }).plan;
+
+  it('draws annotations in output pixels with their colors', () => {
+    const svg = regionOverlaySvg(plan, {
+      annotations: [
+        { type: 'rectangle', geometry: { x: 1400, y: 2400, width: 400, height: 200 }, style: {}, class_id: 'c1' },
+        { type: 'line', geometry: { points: [{ x: 1000, y: 2000 }, { x: 5000, y: 4000 }] }, style: { strokeColor: 'red"/><script>' } }
+      ],
+      classColors: { c1: '#00ff00' }
+    });
+    assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="1000" height="500"/);
+    assert.ok(svg.includes('<rect x="100" y="100" width="100" height="50" stroke="#00ff00"'));
+    assert.ok(svg.includes('<polyline points="0,0 1000,500" stroke="#e94560"'));
+    assert.ok(!svg.includes('script'));
+  });
+
+  it('adds a scale bar only to calibrated slides', () => {
+    assert.match(regionOverlaySvg(plan, { scaleBar: true }), /<text [^>]+>200 µm<\/text>/);
+    const uncalibrated = planExtraction({ ...SLIDE, mpp: null }, REGION, OPTIONS).plan;
+    assert.equal(regionOverlaySvg(uncalibrated, { scaleBar: true }), null);
+  });
+});
+
+describe('regionCacheKey', () => {
+  it('changes with the output, format and overlay', () => {
+    const plan = planExtraction(SLIDE, REGION, { ...OPTIONS, mpp: 1 }).plan;
+    const key = regionCacheKey(plan, 'jpeg', null);
+    assert.match(key, /^[0-9a-f]{32}$/);
+    assert.equal(regionCacheKey(plan, 'jpeg', null), key);
+    assert.notEqual(regionCacheKey(plan, 'png', null), key);
+    assert.notEqual(regionCacheKey(plan, 'jpeg', '<svg/>'), key);
+  });
+});
+
+describe('regionCacheEvictions', () => {
+  const HOUR = 3600 * 1000;
+  const now = 100 * HOUR;
+  const files = [
+    { path: 'old', bytes: 10, usedAt: now - 50 * HOUR },
+    { path: 'a', bytes: 40, usedAt: now - 3 * HOUR },
+    { path: 'b', bytes: 40, usedAt: now - 1 * HOUR },
+    { path: 'c', bytes: 40, usedAt: now - 2 * HOUR },
+    { path: 'd', bytes: 5, usedAt: now - 4 * HOUR }
+  ];
+
+  it('keeps everything within budget and age', () => {
+    assert.deepStrictEqual(regionCacheEvictions(files, { maxBytes: 1000, maxAgeMs: 100 * HOUR, now }), []);
+  });
+
+  it('evicts expired exports', () => {
+    assert.deepStrictEqual(regionCacheEvictions(files, { maxBytes: 1000, maxAgeMs: 24 * HOUR, now }), ['old']);
+  });
+
+  it('evicts the least recently used beyond the budget', () => {
+    // b and c fit; a does not, and nothing older is kept either
+    assert.deepStrictEqual(regionCacheEvictions(files, { maxBytes: 100, maxAgeMs: 100 * HOUR, now }), ['a', 'd', 'old']);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Region tile math
+ *
+ * Which tiles of a slide's DeepZoom pyramid cover a region, and where the
+ * region sits in the mosaic of those tiles, for rendering a region to a
+ * single image (services/region-render.js).
+ *
+ * Regions are in full-resolution slide pixels (like annotation geometry);
+ * level is the pyramid level to render at (levelMax is full resolution,
+ * each level below halves it). Pyramids are written without tile overlap.
+ */
+
+/**
+ * Size of a pyramid level in pixels
+ */
+export function levelSize(manifest, level) {
+  const scale = 2 ** (manifest.levelMax - level);
+  return {
+    width: Math.ceil(manifest.width / scale),
+    height: Math.ceil(manifest.height / scale),
+  };
+}
+
+/**
+ * Plan the rendering of a region: the part of it inside the slide, the
+ * output size, the tiles to join (row-major) and the crop in their mosaic.
+ *
+ * @param {{ width: number, height: number, levelMax: number, tileSize?: number }} manifest
+ * @param {{ x: number, y: number, width: number, height: number, level: number }} region
+ * @param {{ maxPx: number }} options - Largest output width/height allowed
+ * @returns {{ plan: object|null, error: string|null }}
+ *   error: 'invalid_level' | 'outside_slide' | 'too_large'
+ */
+export function planRegion(manifest, region, { maxPx }) {
+  const { level } = region;
+  if (!Number.isInteger(level) || level < 0 || level > manifest.levelMax) {
+    return { plan: null, error: 'invalid_level' };
+  }
+
+  // Part of the region inside the slide
+  const x0 = Math.max(0, Math.floor(region.x));
+  const y0 = Math.max(0, Math.floor(region.y));
+  const x1 = Math.min(manifest.width, Math.ceil(region.x + region.width));
+  const y1 = Math.min(manifest.height, Math.ceil(region.y + region.height));
+  if (x1 <= x0 || y1 <= y0) {
+    return { plan: null, error: 'outside_slide' };
+  }
+
+  // Same region in level pixels
+  const scale = 2 ** (manifest.levelMax - level);
+  const size = levelSize(manifest, level);
+  const left = Math.floor(x0 / scale);
+  const top = Math.floor(y0 / scale);
+  const right = Math.min(size.width, Math.max(left + 1, Math.ceil(x1 / scale)));
+  const bottom = Math.min(size.height, Math.max(top + 1, Math.ceil(y1 / scale)));
+
+  const width = right - left;
+  const height = bottom - top;
+  if (width > maxPx || height > maxPx) {
+    return { plan: null, error: 'too_large' };
+  }
+
+  const tileSize = manifest.tileSize || 256;
+  const firstColumn = Math.floor(left / tileSize);
+  const lastColumn = Math.floor((right - 1) / tileSize);
+  const firstRow = Math.floor(top / tileSize);
+  const lastRow = Math.floor((bottom - 1) / tileSize);
+
+  const tiles = [];
+  for (let row = firstRow; row <= lastRow; row++) {
+    for (let column = firstColumn; column <= lastColumn; column++) {
+      tiles.push({ x: column, y: row });
+    }
+  }
+
+  return {
+    plan: {
+      level,
+      region: { x: x0, y: y0, width: x1 - x0, height: y1 - y0 },
+      width,
+      height,
+      tiles,
+      across: lastColumn - firstColumn + 1,
+      crop: { x: left - firstColumn * tileSize, y: top - firstRow * tileSize },
+    },
+    error: null,
+  };
+}
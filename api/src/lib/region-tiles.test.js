@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { levelSize, planRegion } from './region-tiles.js';
+
+// 10000 x 6000 slide: levelMax 14 (2^14 >= 10000)
+const manifest = { width: 10000, height: 6000, levelMax: 14, tileSize: 256 };
+
+describe('levelSize', () => {
+  it('halves per level below the max', () => {
+    assert.deepStrictEqual(levelSize(manifest, 14), { width: 10000, height: 6000 });
+    assert.deepStrictEqual(levelSize(manifest, 12), { width: 2500, height: 1500 });
+    assert.deepStrictEqual(levelSize(manifest, 0), { width: 1, height: 1 });
+  });
+});
+
+describe('planRegion', () => {
+  it('plans a full-resolution region within one tile', () => {
+    const { plan, error } = planRegion(manifest, { x: 10, y: 20, width: 100, height: 50, level: 14 }, { maxPx: 2048 });
+    assert.equal(error, null);
+    assert.deepStrictEqual(plan.tiles, [{ x: 0, y: 0 }]);
+    assert.equal(plan.across, 1);
+    assert.deepStrictEqual(plan.crop, { x: 10, y: 20 });
+    assert.equal(plan.width, 100);
+    assert.equal(plan.height, 50);
+  });
+
+  it('joins the tiles a region spans, row by row', () => {
+    const { plan } = planRegion(manifest, { x: 200, y: 250, width: 400, height: 100, level: 14 }, { maxPx: 2048 });
+    assert.deepStrictEqual(plan.tiles, [
+      { x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 },
+      { x: 0, y: 1 }, { x: 1, y: 1 }, { x: 2, y: 1 },
+    ]);
+    assert.equal(plan.across, 3);
+    assert.deepStrictEqual(plan.crop, { x: 200, y: 250 });
+  });
+
+  it('scales the region to a lower level', () => {
+    const { plan } = planRegion(manifest, { x: 4000, y: 2000, width: 2000, height: 1000, level: 12 }, { maxPx: 2048 });
+    assert.equal(plan.width, 500);
+    assert.equal(plan.height, 250);
+    // Level 12 pixels 1000..1500 x 500..750
+    assert.deepStrictEqual(plan.crop, { x: 1000 - 3 * 256, y: 500 - 256 });
+    assert.equal(plan.across, 3);
+  });
+
+  it('clips the region to the slide', () => {
+    const { plan } = planRegion(manifest, { x: 9900, y: -50, width: 500, height: 100, level: 14 }, { maxPx: 2048 });
+    assert.deepStrictEqual(plan.region, { x: 9900, y: 0, width: 100, height: 50 });
+    assert.equal(plan.width, 100);
+  });
+
+  it('rejects regions outside the slide, bad levels and oversized output', () => {
+    assert.equal(planRegion(manifest, { x: 20000, y: 0, width: 10, height: 10, level: 14 }, { maxPx: 2048 }).error, 'outside_slide');
+    assert.equal(planRegion(manifest, { x: 0, y: 0, width: 10, height: 10, level: 15 }, { maxPx: 2048 }).error, 'invalid_level');
+    assert.equal(planRegion(manifest, { x: 0, y: 0, width: 5000, height: 10, level: 14 }, { maxPx: 2048 }).error, 'too_large');
+    assert.equal(planRegion(manifest, { x: 0, y: 0, width: 4000, height: 10, level: 13 }, { maxPx: 2048 }).error, null);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Specimen hierarchy
+ *
+ * Slide labels such as "A2" encode the specimen (part: A, B, ...) and the
+ * block (1, 2, ...) a slide was cut from; anything after the block (level,
+ * stain) is kept as the remainder. Cases group their slides as
+ * case → specimen → block → slides, from the slide label (filename parser or
+ * label OCR) unless set by hand on the case link (case_slides).
+ *
+ *   "A2"            → { specimen: 'A', block: '2', rest: null }
+ *   "AP26000230B10" → { specimen: 'B', block: '10', rest: null }
+ *   "A2-L3"         → { specimen: 'A', block: '2', rest: 'L3' }
+ *   "1"             → { specimen: null, block: '1', rest: null }
+ */
+
+import { parsePathologyFilename } from './filename-parser.js';
+
+// Case number prefixed to labels by the scanner adapter and OCR (same
+// prefixes as lib/label-ocr.js)
+const CASE_PREFIX_REGEX = /^(?:AP|PA|IM|C)[\s\-_.]*\d{6,12}/;
+
+const LABEL_REGEX = /^([A-Z]{1,2})?[\s\-_.]*(\d{1,4})?[\s\-_.]*(.*)$/;
+
+/**
+ * Specimen and block encoded in a slide label.
+ *
+ * @param {string|null} label - external_slide_label, with or without the case number
+ * @param {string|null} [caseBase] - external_case_base: stripped exactly when
+ *   known, as digits after it belong to the label ("AP260002301" is block 1)
+ * @returns {{ specimen: string|null, block: string|null, rest: string|null }|null}
+ *   null when the label encodes neither
+ */
+export function parseSlideLabel(label, caseBase = null) {
+  if (!label || typeof label !== 'string') return null;
+
+  let trimmed = label.trim().toUpperCase();
+  const base = caseBase ? caseBase.toUpperCase() : null;
+  trimmed = base && trimmed.startsWith(base) ? trimmed.slice(base.length) : trimmed.replace(CASE_PREFIX_REGEX, '');
+  trimmed = trimmed.replace(/^[\s\-_.]+/, '');
+  const match = trimmed.match(LABEL_REGEX);
+  if (!match || (!match[1] && !match[2])) return null;
+
+  return {
+    specimen: match[1] || null,
+    block: match[2] ? String(parseInt(match[2], 10)) : null,
+    rest: match[3].replace(/[\s\-_.]+$/, '') || null
+  };
+}
+
+/**
+ * Specimen and block of a linked slide: set by hand, else parsed from the
+ * slide label (OCR or filename parser), else from the filename itself
+ *
+ * @param {object} s - slides row joined with its case_slides columns
+ * @returns {{ specimen: string|null, block: string|null, source: 'manual'|'label'|'filename'|null }}
+ */
+export function slideHierarchy(s) {
+  if (s.hierarchy_source === 'manual') {
+    return { specimen: s.specimen, block: s.block, source: 'manual' };
+  }
+  const fromLabel = parseSlideLabel(s.external_slide_label, s.external_case_base);
+  if (fromLabel) return { specimen: fromLabel.specimen, block: fromLabel.block, source: 'label' };
+
+  const parsed = parsePathologyFilename(s.original_filename);
+  const fromFilename = parsed ? parseSlideLabel(parsed.label) : null;
+  if (fromFilename) return { specimen: fromFilename.specimen, block: fromFilename.block, source: 'filename' };
+
+  return { specimen: null, block: null, source: null };
+}
+
+/**
+ * Natural order of strings: digit runs compare by value ("A2" < "A10");
+ * null and empty strings go last
+ */
+export function naturalCompare(a, b) {
+  if (!a || !b) return (a ? 0 : 1) - (b ? 0 : 1);
+
+  const left = a.match(/\d+|\D+/g);
+  const right = b.match(/\d+|\D+/g);
+  for (let i = 0; i < Math.min(left.length, right.length); i++) {
+    const x = left[i];
+    const y = right[i];
+    if (x === y) continue;
+    const numeric = /^\d/.test(x) && /^\d/.test(y);
+    if (numeric && Number(x) !== Number(y)) return Number(x) - Number(y);
+    return x < y ? -1 : 1;
+  }
+  return left.length - right.length;
+}
+
+/**
+ * Order of slides in a case: specimen, block, then label, naturally
+ *
+ * @param {{ specimen: string|null, block: string|null, label: string|null }} a
+ * @param {{ specimen: string|null, block: string|null, label: string|null }} b
+ */
+export function compareSlides(a, b) {
+  return naturalCompare(a.specimen, b.specimen)
+    || naturalCompare(a.block, b.block)
+    || naturalCompare(a.label, b.label);
+}
+
+/**
+ * Nest slides as specimen → block → slides, each level in natural order.
+ * Slides without a specimen (or block) are grouped under null, last.
+ *
+ * @param {Array<{ specimen: string|null, block: string|null, label: string|null }>} slides
+ * @returns {Array<{ specimen: string|null, blocks: Array<{ block: string|null, slides: object[] }> }>}
+ */
+export function buildSpecimenTree(slides) {
+  const specimens = new Map();
+  for (const slide of [...slides].sort(compareSlides)) {
+    if (!specimens.has(slide.specimen)) specimens.set(slide.specimen, new Map());
+    const blocks = specimens.get(slide.specimen);
+    if (!blocks.has(slide.block)) blocks.set(slide.block, []);
+    blocks.get(slide.block).push(slide);
+  }
+
+  return [...specimens].map(([specimen, blocks]) => ({
+    specimen,
+    blocks: [...blocks].map(([block, blockSlides]) => ({ block, slides: blockSlides }))
+  }));
+}
@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSlideLabel, naturalCompare, compareSlides, buildSpecimenTree } from './specimen-hierarchy.js';
+
+describe('parseSlideLabel', () => {
+  it('reads specimen and block', () => {
+    assert.deepStrictEqual(parseSlideLabel('A2'), { specimen: 'A', block: '2', rest: null });
+    assert.deepStrictEqual(parseSlideLabel('b10'), { specimen: 'B', block: '10', rest: null });
+    assert.deepStrictEqual(parseSlideLabel('A'), { specimen: 'A', block: null, rest: null });
+    assert.deepStrictEqual(parseSlideLabel('1'), { specimen: null, block: '1', rest: null });
+    assert.deepStrictEqual(parseSlideLabel('A02-L3'), { specimen: 'A', block: '2', rest: 'L3' });
+  });
+
+  it('strips the case number of scanner and OCR labels', () => {
+    assert.deepStrictEqual(parseSlideLabel('AP26000230B1'), { specimen: 'B', block: '1', rest: null });
+    assert.deepStrictEqual(parseSlideLabel('AP260002301', 'AP26000230'), { specimen: null, block: '1', rest: null });
+    assert.deepStrictEqual(parseSlideLabel('AP26000230_A2', 'AP26000230'), { specimen: 'A', block: '2', rest: null });
+    assert.deepStrictEqual(parseSlideLabel('C26000588A'), { specimen: 'A', block: null, rest: null });
+    assert.deepStrictEqual(parseSlideLabel('IM26000588B3'), { specimen: 'B', block: '3', rest: null });
+  });
+
+  it('returns null without specimen or block', () => {
+    assert.equal(parseSlideLabel(null), null);
+    assert.equal(parseSlideLabel(''), null);
+    assert.equal(parseSlideLabel('AP26000230', 'AP26000230'), null);
+    assert.equal(parseSlideLabel('-'), null);
+  });
+});
+
+describe('naturalCompare', () => {
+  it('orders digit runs by value, empty last', () => {
+    const labels = ['B1', 'A10', null, 'A2', 'A1', ''];
+    assert.deepStrictEqual([...labels].sort(naturalCompare), ['A1', 'A2', 'A10', 'B1', null, '']);
+  });
+});
+
+describe('compareSlides / buildSpecimenTree', () => {
+  const slides = [
+    { id: 's1', specimen: 'B', block: '1', label: 'B1' },
+    { id: 's2', specimen: 'A', block: '10', label: 'A10' },
+    { id: 's3', specimen: 'A', block: '2', label: 'A2-L2' },
+    { id: 's4', specimen: null, block: null, label: null },
+    { id: 's5', specimen: 'A', block: '2', label: 'A2' },
+    { id: 's6', specimen: 'A', block: null, label: 'A' }
+  ];
+
+  it('sorts by specimen, block, then label', () => {
+    assert.deepStrictEqual([...slides].sort(compareSlides).map(s => s.id), ['s5', 's3', 's2', 's6', 's1', 's4']);
+  });
+
+  it('nests specimen → block → slides', () => {
+    const tree = buildSpecimenTree(slides);
+    assert.deepStrictEqual(tree.map(s => s.specimen), ['A', 'B', null]);
+    assert.deepStrictEqual(tree[0].blocks.map(b => [b.block, b.slides.map(s => s.id)]), [
+      ['2', ['s5', 's3']], ['10', ['s2']], [null, ['s6']]
+    ]);
+    assert.deepStrictEqual(tree[2].blocks, [{ block: null, slides: [slides[3]] }]);
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Stains and tags of slides
+ *
+ * A slide's stain is a type plus, for IHC and special stains, the marker or
+ * stain name:
+ *
+ *   { type: 'he' }                          H&E
+ *   { type: 'ihc', marker: 'Ki-67' }        IHC (marker NULL: DAB, unknown marker)
+ *   { type: 'special', marker: 'PAS' }      special stain
+ *   { type: 'other', marker: 'FISH' }       anything else, set by hand
+ *
+ * It is filled by, in increasing precedence: the color classifier of the
+ * processor (H&E vs DAB-IHC, from the P0 thumbnail), the label OCR (printed
+ * marker names, see STAIN_CATALOG) and users. A source never overwrites a
+ * stronger one.
+ */
+
+export const STAIN_TYPES = ['he', 'ihc', 'special', 'other'];
+
+export const STAIN_SOURCES = ['classifier', 'ocr', 'manual'];
+
+const MAX_TAGS = 32;
+const MAX_TAG_LENGTH = 50;
+
+// Known stains: canonical name and the spellings found on labels
+// (Portuguese and English). Spellings are compared by stainKey().
+const STAIN_CATALOG = [
+  { type: 'he', marker: null, aliases: ['HE', 'H&E', 'HEMATOXILINA E EOSINA', 'HEMATOXYLIN EOSIN', 'HEMATOXYLIN AND EOSIN'] },
+
+  { type: 'ihc', marker: 'Ki-67', aliases: ['KI67', 'MIB1'] },
+  { type: 'ihc', marker: 'HER2', aliases: ['HER2NEU', 'CERBB2'] },
+  { type: 'ihc', marker: 'ER', aliases: ['RE', 'ESTROGENO', 'RECEPTOR DE ESTROGENO', 'ESTROGEN RECEPTOR'] },
+  { type: 'ihc', marker: 'PR', aliases: ['RP', 'PGR', 'PROGESTERONA', 'RECEPTOR DE PROGESTERONA', 'PROGESTERONE RECEPTOR'] },
+  { type: 'ihc', marker: 'p53', aliases: [] },
+  { type: 'ihc', marker: 'p16', aliases: [] },
+  { type: 'ihc', marker: 'p40', aliases: [] },
+  { type: 'ihc', marker: 'p63', aliases: [] },
+  { type: 'ihc', marker: 'CK7', aliases: [] },
+  { type: 'ihc', marker: 'CK20', aliases: [] },
+  { type: 'ihc', marker: 'CK5/6', aliases: [] },
+  { type: 'ihc', marker: 'AE1/AE3', aliases: ['AE1AE3', 'PANCK', 'PANCITOQUERATINA', 'PANCYTOKERATIN'] },
+  { type: 'ihc', marker: 'CD3', aliases: [] },
+  { type: 'ihc', marker: 'CD4', aliases: [] },
+  { type: 'ihc', marker: 'CD8', aliases: [] },
+  { type: 'ihc', marker: 'CD10', aliases: [] },
+  { type: 'ihc', marker: 'CD20', aliases: [] },
+  { type: 'ihc', marker: 'CD30', aliases: [] },
+  { type: 'ihc', marker: 'CD34', aliases: [] },
+  { type: 'ihc', marker: 'CD45', aliases: ['LCA'] },
+  { type: 'ihc', marker: 'CD56', aliases: [] },
+  { type: 'ihc', marker: 'CD68', aliases: [] },
+  { type: 'ihc', marker: 'CD117', aliases: ['CKIT'] },
+  { type: 'ihc', marker: 'TTF-1', aliases: [] },
+  { type: 'ihc', marker: 'GATA3', aliases: [] },
+  { type: 'ihc', marker: 'PD-L1', aliases: [] },
+  { type: 'ihc', marker: 'S100', aliases: [] },
+  { type: 'ihc', marker: 'SOX10', aliases: [] },
+  { type: 'ihc', marker: 'Melan-A', aliases: ['MART1'] },
+  { type: 'ihc', marker: 'HMB-45', aliases: [] },
+  { type: 'ihc', marker: 'Desmin', aliases: ['DESMINA'] },
+  { type: 'ihc', marker: 'SMA', aliases: ['AML', 'ACTINA', 'ACTINA DE MUSCULO LISO'] },
+  { type: 'ihc', marker: 'Vimentin', aliases: ['VIMENTINA'] },
+  { type: 'ihc', marker: 'Synaptophysin', aliases: ['SINAPTOFISINA'] },
+  { type: 'ihc', marker: 'Chromogranin', aliases: ['CROMOGRANINA'] },
+  { type: 'ihc', marker: 'CDX2', aliases: [] },
+  { type: 'ihc', marker: 'PAX8', aliases: [] },
+  { type: 'ihc', marker: 'WT1', aliases: [] },
+  { type: 'ihc', marker: 'Calretinin', aliases: ['CALRETININA'] },
+  { type: 'ihc', marker: 'E-cadherin', aliases: ['ECADERINA'] },
+  { type: 'ihc', marker: 'Bcl-2', aliases: [] },
+  { type: 'ihc', marker: 'Bcl-6', aliases: [] },
+  { type: 'ihc', marker: 'Cyclin D1', aliases: ['CICLINA D1'] },
+  { type: 'ihc', marker: 'ALK', aliases: [] },
+  { type: 'ihc', marker: 'MLH1', aliases: [] },
+  { type: 'ihc', marker: 'MSH2', aliases: [] },
+  { type: 'ihc', marker: 'MSH6', aliases: [] },
+  { type: 'ihc', marker: 'PMS2', aliases: [] },
+
+  { type: 'special', marker: 'PAS', aliases: [] },
+  { type: 'special', marker: 'PAS-D', aliases: ['PAS DIASTASE'] },
+  { type: 'special', marker: 'Giemsa', aliases: [] },
+  { type: 'special', marker: 'Masson trichrome', aliases: ['MASSON', 'TRICROMICO', 'TRICROMICO DE MASSON', 'TRICHROME'] },
+  { type: 'special', marker: 'Reticulin', aliases: ['RETICULINA'] },
+  { type: 'special', marker: 'Ziehl-Neelsen', aliases: ['ZN', 'ZIEHL'] },
+  { type: 'special', marker: 'Grocott', aliases: ['GMS', 'GROCOTT GOMORI'] },
+  { type: 'special', marker: 'Alcian blue', aliases: ['ALCIAN', 'AZUL ALCIAN', 'AZUL DE ALCIAN'] },
+  { type: 'special', marker: 'Congo red', aliases: ['CONGO', 'VERMELHO CONGO', 'VERMELHO DO CONGO'] },
+  { type: 'special', marker: 'Perls', aliases: ['FERRO', 'IRON', 'PRUSSIAN BLUE', 'AZUL DA PRUSSIA'] },
+  { type: 'special', marker: 'Mucicarmine', aliases: ['MUCICARMIM'] },
+  { type: 'special', marker: 'Van Gieson', aliases: ['VG', 'EVG', 'VERHOEFF'] },
+  { type: 'special', marker: 'Gram', aliases: [] },
+  { type: 'special', marker: 'Fontana-Masson', aliases: ['FONTANA'] },
+  { type: 'special', marker: 'Warthin-Starry', aliases: [] }
+];
+
+/**
+ * Comparison key of a stain spelling: uppercase letters and digits only,
+ * accents removed ("Ki-67" → "KI67", "Tricrômico" → "TRICROMICO")
+ */
+function stainKey(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+const CATALOG_BY_KEY = new Map(
+  STAIN_CATALOG.flatMap(entry => [entry.marker, ...entry.aliases]
+    .filter(Boolean)
+    .map(spelling => [stainKey(spelling), entry]))
+);
+
+/**
+ * Known stain matching a name as printed or typed.
+ *
+ * @param {string|null} text - e.g. "KI 67", "H&E", "Tricrômico de Masson"
+ * @returns {{ type: string, marker: string|null }|null} null when unknown
+ */
+export function stainFromText(text) {
+  if (!text || typeof text !== 'string') return null;
+  const entry = CATALOG_BY_KEY.get(stainKey(text));
+  return entry ? { type: entry.type, marker: entry.marker } : null;
+}
+
+/**
+ * Stain set by hand: known markers take their canonical name (and type,
+ * when none is given); unknown ones are kept as typed.
+ *
+ * @param {{ type?: string|null, marker?: string|null }} stain
+ * @returns {{ type: string, marker: string|null }|null} null when neither
+ *   a type is given nor the marker is known
+ */
+export function normalizeStain({ type = null, marker = null }) {
+  const name = marker ? marker.trim().replace(/\s+/g, ' ') : '';
+  const known = name ? stainFromText(name) : null;
+
+  if (known && (!type || type === known.type)) return known;
+  if (!type) return null;
+  return { type, marker: type === 'he' ? null : name || null };
+}
+
+/**
+ * Whether a stain from `source` may replace one set by `current`
+ * (classifier < ocr < manual; nothing set: always)
+ */
+export function canSetStain(current, source) {
+  if (!current) return true;
+  return STAIN_SOURCES.indexOf(source) >= STAIN_SOURCES.indexOf(current);
+}
+
+/**
+ * Normalize free-form tags: trimmed, inner whitespace collapsed, lowercase,
+ * deduped, in the given order.
+ *
+ * @param {string[]} tags
+ * @returns {string[]}
+ * @throws {Error} when a tag is empty or too long, or there are too many
+ */
+export function normalizeTags(tags) {
+  const normalized = [...new Set(tags.map(tag => tag.trim().replace(/\s+/g, ' ').toLowerCase()))];
+  if (normalized.some(tag => !tag)) throw new Error('Tags must not be blank');
+  if (normalized.some(tag => tag.length > MAX_TAG_LENGTH)) {
+    throw new Error(`Tags must be at most ${MAX_TAG_LENGTH} characters`);
+  }
+  if (normalized.length > MAX_TAGS) throw new Error(`A slide has at most ${MAX_TAGS} tags`);
+  return normalized;
+}
@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { stainFromText, normalizeStain, canSetStain, normalizeTags } from './stains.js';
+
+describe('stainFromText', () => {
+  it('matches markers regardless of case, separators and accents', () => {
+    assert.deepStrictEqual(stainFromText('KI 67'), { type: 'ihc', marker: 'Ki-67' });
+    assert.deepStrictEqual(stainFromText('her-2/neu'), { type: 'ihc', marker: 'HER2' });
+    assert.deepStrictEqual(stainFromText('RE'), { type: 'ihc', marker: 'ER' });
+    assert.deepStrictEqual(stainFromText('Tricrômico de Masson'), { type: 'special', marker: 'Masson trichrome' });
+    assert.deepStrictEqual(stainFromText('H&E'), { type: 'he', marker: null });
+    assert.deepStrictEqual(stainFromText('HE'), { type: 'he', marker: null });
+  });
+
+  it('returns null for unknown names', () => {
+    assert.equal(stainFromText('URGENTE'), null);
+    assert.equal(stainFromText(''), null);
+    assert.equal(stainFromText(null), null);
+  });
+});
+
+describe('normalizeStain', () => {
+  it('canonicalizes known markers and infers their type', () => {
+    assert.deepStrictEqual(normalizeStain({ marker: ' ki67 ' }), { type: 'ihc', marker: 'Ki-67' });
+    assert.deepStrictEqual(normalizeStain({ type: 'ihc', marker: 'cd20' }), { type: 'ihc', marker: 'CD20' });
+  });
+
+  it('keeps unknown markers as typed when a type is given', () => {
+    assert.deepStrictEqual(normalizeStain({ type: 'other', marker: ' FISH  HER2 ' }), { type: 'other', marker: 'FISH HER2' });
+    assert.deepStrictEqual(normalizeStain({ type: 'ihc' }), { type: 'ihc', marker: null });
+    assert.deepStrictEqual(normalizeStain({ type: 'he', marker: 'whatever' }), { type: 'he', marker: null });
+    assert.equal(normalizeStain({ marker: 'FISH' }), null);
+  });
+});
+
+describe('canSetStain', () => {
+  it('never lets a weaker source overwrite a stronger one', () => {
+    assert.equal(canSetStain(null, 'classifier'), true);
+    assert.equal(canSetStain('classifier', 'classifier'), true);
+    assert.equal(canSetStain('classifier', 'ocr'), true);
+    assert.equal(canSetStain('ocr', 'classifier'), false);
+    assert.equal(canSetStain('manual', 'ocr'), false);
+    assert.equal(canSetStain('ocr', 'manual'), true);
+  });
+});
+
+describe('normalizeTags', () => {
+  it('trims, lowercases and dedupes', () => {
+    assert.deepStrictEqual(normalizeTags([' Teaching ', 'second  opinion', 'teaching']), ['teaching', 'second opinion']);
+  });
+
+  it('rejects blank and oversized tags', () => {
+    assert.throws(() => normalizeTags(['  ']), /blank/);
+    assert.throws(() => normalizeTags(['x'.repeat(51)]), /at most 50/);
+    assert.throws(() => normalizeTags(Array.from({ length: 33 }, (_, i) => `t${i}`)), /at most 32/);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Sync pull merge rules.
+ *
+ * Normalizes changes pulled from the cloud and decides how they apply
+ * against local rows. Pure functions, no DB access.
+ *
+ * Pulled changes use the same envelope the edge pushes:
+ *   { eventId, entityType, entityId, op, agentId, createdAt, payload }
+ *
+ * Payloads are DB rows (snake_case), except annotation and message deletes
+ * which carry { annotationId|messageId, version, deletedAt } — both shapes
+ * are accepted.
+ *
+ * Annotation, thread status and message edit conflicts are resolved by
+ * version (higher version wins):
+ *   remote.version >  local.version -> apply remote
+ *   remote.version <= local.version -> keep local (it will be pushed)
+ *
+ * Slides of a signed-out case are locked: changes that would apply to them
+ * are skipped (reason 'slide_locked') and recorded by the pull service.
+ */
+
+/**
+ * Value of a payload field that may be absent (undefined), as opposed to null
+ */
+function optionalField(p, snakeKey, camelKey) {
+  if (snakeKey in p) return p[snakeKey];
+  if (camelKey in p) return p[camelKey];
+  return undefined;
+}
+
+/**
+ * Normalize a pulled annotation change into a flat object.
+ *
+ * style, classId, label and properties are undefined when the payload does
+ * not carry them (deletes never do), so applying the change keeps the local
+ * values.
+ *
+ * @param {object} change - Pulled change envelope
+ * @returns {{ annotationId: string, slideId: string|null, type: string|null, geometry: object|null, style: object|null|undefined, classId: string|null|undefined, label: string|null|undefined, properties: object|null|undefined, authorId: string|null, version: number, idempotencyKey: string|null, deleted: boolean }}
+ */
+export function normalizeRemoteAnnotation(change) {
+  const p = change.payload || {};
+  const deleted = change.op === 'delete' || !!(p.deleted_at || p.deletedAt);
+
+  return {
+    annotationId: p.annotation_id || p.annotationId || change.entityId,
+    slideId: p.slide_id || p.slideId || null,
+    type: p.type || null,
+    geometry: p.geometry || null,
+    style: optionalField(p, 'style', 'style'),
+    classId: optionalField(p, 'class_id', 'classId'),
+    label: optionalField(p, 'label', 'label'),
+    properties: optionalField(p, 'properties', 'properties'),
+    authorId: p.author_id || p.authorId || null,
+    version: parseInt(p.version || '1', 10),
+    idempotencyKey: p.idempotency_key || p.idempotencyKey || null,
+    deleted,
+  };
+}
+
+/**
+ * Normalize a pulled thread change. status is undefined when the payload
+ * does not carry it (clouds that do not know thread resolution).
+ *
+ * @param {object} change
+ * @returns {{ threadId: string, slideId: string|null, title: string|null, anchorType: string|null, anchorId: string|null, status: string|undefined, resolvedBy: string|null, resolvedAt: string|null, version: number }}
+ */
+export function normalizeRemoteThread(change) {
+  const p = change.payload || {};
+  return {
+    threadId: p.thread_id || p.threadId || change.entityId,
+    slideId: p.slide_id || p.slideId || null,
+    title: p.title || null,
+    anchorType: p.anchor_type || p.anchorType || null,
+    anchorId: p.anchor_id || p.anchorId || null,
+    status: optionalField(p, 'status', 'status'),
+    resolvedBy: p.resolved_by || p.resolvedBy || null,
+    resolvedAt: p.resolved_at || p.resolvedAt || null,
+    version: parseInt(p.version || '1', 10),
+  };
+}
+
+/**
+ * Normalize a pulled message change. Deletes carry
+ * { messageId, threadId, version, deletedAt, deletedBy } instead of the row.
+ *
+ * @param {object} change
+ * @returns {{ messageId: string, threadId: string|null, authorId: string|null, text: string|null, idempotencyKey: string|null, version: number, deleted: boolean, deletedBy: string|null }}
+ */
+export function normalizeRemoteMessage(change) {
+  const p = change.payload || {};
+  return {
+    messageId: p.message_id || p.messageId || change.entityId,
+    threadId: p.thread_id || p.threadId || null,
+    authorId: p.author_id || p.authorId || null,
+    text: p.text || null,
+    idempotencyKey: p.idempotency_key || p.idempotencyKey || null,
+    version: parseInt(p.version || '1', 10),
+    deleted: change.op === 'delete' || !!(p.deleted_at || p.deletedAt),
+    deletedBy: p.deleted_by || p.deletedBy || null,
+  };
+}
+
+function annotationAction(local, remote) {
+  if (!local) {
+    if (remote.deleted) return { action: 'skip', reason: 'deleted_remotely' };
+    if (!remote.slideId || !remote.type || !remote.geometry || !remote.authorId) {
+      return { action: 'skip', reason: 'incomplete_payload' };
+    }
+    return { action: 'create' };
+  }
+
+  if (remote.version <= local.version) {
+    return { action: 'skip', reason: 'local_is_newer' };
+  }
+
+  if (remote.deleted) {
+    return local.deleted_at ? { action: 'skip', reason: 'already_deleted' } : { action: 'delete' };
+  }
+
+  // A newer live version of an annotation deleted here was restored remotely
+  if (local.deleted_at) {
+    return { action: 'restore' };
+  }
+
+  return { action: 'update' };
+}
+
+/**
+ * Decide how a remote annotation applies against the local row.
+ *
+ * @param {object|null} local - Local annotations row (or null if absent)
+ * @param {object} remote - Output of normalizeRemoteAnnotation
+ * @param {object|null} [lock] - getSlideLock() row of the annotation's slide
+ * @returns {{ action: 'create'|'update'|'delete'|'restore'|'skip', reason?: string }}
+ */
+export function resolveAnnotationChange(local, remote, lock = null) {
+  const result = annotationAction(local, remote);
+  if (lock && result.action !== 'skip') return { action: 'skip', reason: 'slide_locked' };
+  return result;
+}
@@ -0,0 +1,174 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeRemoteAnnotation,
+  normalizeRemoteThread,
+  normalizeRemoteMessage,
+  resolveAnnotationChange,
+} from './sync-merge.js';
+
+const remoteRow = {
+  annotation_id: 'ann-1',
+  slide_id: 'slide-1',
+  type: 'polygon',
+  geometry: { points: [[0, 0], [10, 0], [10, 10]] },
+  style: { color: '#ff0000' },
+  author_id: 'dr-cloud',
+  version: 3,
+  idempotency_key: 'key-1',
+};
+
+describe('normalizeRemoteAnnotation', () => {
+  it('reads snake_case DB rows', () => {
+    const r = normalizeRemoteAnnotation({ entityId: 'ann-1', op: 'update', payload: remoteRow });
+    assert.equal(r.annotationId, 'ann-1');
+    assert.equal(r.slideId, 'slide-1');
+    assert.equal(r.authorId, 'dr-cloud');
+    assert.equal(r.version, 3);
+    assert.equal(r.idempotencyKey, 'key-1');
+    assert.equal(r.deleted, false);
+  });
+
+  it('reads class, label and properties', () => {
+    const r = normalizeRemoteAnnotation({
+      entityId: 'ann-1',
+      op: 'update',
+      payload: { ...remoteRow, class_id: 'cls-tumor', label: 'margin', properties: { mitoses: 3 } },
+    });
+    assert.equal(r.classId, 'cls-tumor');
+    assert.equal(r.label, 'margin');
+    assert.deepStrictEqual(r.properties, { mitoses: 3 });
+  });
+
+  it('keeps style undefined when absent, so deletes keep the local style', () => {
+    const del = normalizeRemoteAnnotation({
+      entityId: 'ann-1',
+      op: 'delete',
+      payload: { annotationId: 'ann-1', version: 4, deletedAt: '2026-01-01T00:00:00Z' },
+    });
+    assert.equal(del.style, undefined);
+    assert.equal(normalizeRemoteAnnotation({ entityId: 'ann-1', op: 'update', payload: { ...remoteRow, style: null } }).style, null);
+  });
+
+  it('keeps class, label and properties undefined when absent, null when cleared', () => {
+    const absent = normalizeRemoteAnnotation({ entityId: 'ann-1', op: 'update', payload: remoteRow });
+    assert.equal(absent.classId, undefined);
+    assert.equal(absent.label, undefined);
+    assert.equal(absent.properties, undefined);
+
+    const cleared = normalizeRemoteAnnotation({
+      entityId: 'ann-1',
+      op: 'update',
+      payload: { ...remoteRow, classId: null, label: null },
+    });
+    assert.equal(cleared.classId, null);
+    assert.equal(cleared.label, null);
+  });
+
+  it('reads camelCase delete payloads', () => {
+    const r = normalizeRemoteAnnotation({
+      entityId: 'ann-2',
+      op: 'delete',
+      payload: { annotationId: 'ann-2', version: 4, deletedAt: '2026-01-01T00:00:00Z' },
+    });
+    assert.equal(r.annotationId, 'ann-2');
+    assert.equal(r.version, 4);
+    assert.equal(r.deleted, true);
+  });
+
+  it('falls back to entityId when payload has no id', () => {
+    const r = normalizeRemoteAnnotation({ entityId: 'ann-3', op: 'create', payload: {} });
+    assert.equal(r.annotationId, 'ann-3');
+    assert.equal(r.version, 1);
+  });
+});
+
+describe('normalizeRemoteThread / normalizeRemoteMessage', () => {
+  it('normalizes a thread row', () => {
+    const t = normalizeRemoteThread({ entityId: 't-1', payload: { thread_id: 't-1', slide_id: 's-1', title: 'Margins' } });
+    assert.deepStrictEqual(t, {
+      threadId: 't-1', slideId: 's-1', title: 'Margins', anchorType: null, anchorId: null,
+      status: undefined, resolvedBy: null, resolvedAt: null, version: 1,
+    });
+  });
+
+  it('reads the resolution of a thread update', () => {
+    const t = normalizeRemoteThread({
+      entityId: 't-1',
+      op: 'update',
+      payload: { thread_id: 't-1', status: 'resolved', resolved_by: 'dr', resolved_at: '2026-01-01T00:00:00Z', version: 2 },
+    });
+    assert.equal(t.status, 'resolved');
+    assert.equal(t.resolvedBy, 'dr');
+    assert.equal(t.version, 2);
+  });
+
+  it('normalizes a message row', () => {
+    const m = normalizeRemoteMessage({ entityId: 'm-1', payload: { thread_id: 't-1', author_id: 'dr', text: 'ok' } });
+    assert.deepStrictEqual(m, {
+      messageId: 'm-1', threadId: 't-1', authorId: 'dr', text: 'ok', idempotencyKey: null,
+      version: 1, deleted: false, deletedBy: null,
+    });
+  });
+
+  it('normalizes a message delete payload', () => {
+    const m = normalizeRemoteMessage({
+      entityId: 'm-1',
+      op: 'delete',
+      payload: { messageId: 'm-1', threadId: 't-1', version: 3, deletedAt: '2026-01-01T00:00:00Z', deletedBy: 'dr' },
+    });
+    assert.equal(m.deleted, true);
+    assert.equal(m.version, 3);
+    assert.equal(m.deletedBy, 'dr');
+    assert.equal(m.text, null);
+  });
+});
+
+describe('resolveAnnotationChange', () => {
+  const remote = normalizeRemoteAnnotation({ entityId: 'ann-1', op: 'update', payload: remoteRow });
+
+  it('creates when no local row exists', () => {
+    assert.deepStrictEqual(resolveAnnotationChange(null, remote), { action: 'create' });
+  });
+
+  it('skips remote deletes of unknown annotations', () => {
+    const del = { ...remote, deleted: true };
+    assert.equal(resolveAnnotationChange(null, del).action, 'skip');
+  });
+
+  it('skips incomplete create payloads', () => {
+    const partial = { ...remote, geometry: null };
+    assert.deepStrictEqual(resolveAnnotationChange(null, partial), { action: 'skip', reason: 'incomplete_payload' });
+  });
+
+  it('applies a higher remote version', () => {
+    assert.equal(resolveAnnotationChange({ version: 2, deleted_at: null }, remote).action, 'update');
+  });
+
+  it('keeps local when versions are equal or local is newer', () => {
+    assert.equal(resolveAnnotationChange({ version: 3, deleted_at: null }, remote).reason, 'local_is_newer');
+    assert.equal(resolveAnnotationChange({ version: 5, deleted_at: null }, remote).reason, 'local_is_newer');
+  });
+
+  it('deletes when remote delete is newer', () => {
+    const del = { ...remote, deleted: true };
+    assert.equal(resolveAnnotationChange({ version: 2, deleted_at: null }, del).action, 'delete');
+    assert.equal(resolveAnnotationChange({ version: 2, deleted_at: new Date() }, del).action, 'skip');
+  });
+
+  it('restores when a newer live version arrives for a deleted annotation', () => {
+    assert.equal(resolveAnnotationChange({ version: 2, deleted_at: new Date() }, remote).action, 'restore');
+  });
+
+  it('skips changes to slides of a signed-out case', () => {
+    const lock = { case_id: 'case-1', signed_out_by: 'dr-a', signed_out_at: new Date() };
+    assert.deepStrictEqual(
+      resolveAnnotationChange({ version: 2, deleted_at: null }, remote, lock),
+      { action: 'skip', reason: 'slide_locked' }
+    );
+    assert.equal(resolveAnnotationChange(null, remote, lock).reason, 'slide_locked');
+    assert.equal(resolveAnnotationChange({ version: 2, deleted_at: null }, { ...remote, deleted: true }, lock).reason, 'slide_locked');
+    // Nothing to reject when the change would not apply anyway
+    assert.equal(resolveAnnotationChange({ version: 5, deleted_at: null }, remote, lock).reason, 'local_is_newer');
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Audit Plugin
+ *
+ * onResponse hook recording slides, cases, annotations (and their class
+ * catalog), threads, admin and users requests in audit_log (see lib/audit.js for the action names),
+ * including requests proxied by the cloud tunnel. Denied requests are
+ * recorded too, with their 401/403 status.
+ *
+ * Handlers can add what the URL does not carry (ids created by the request,
+ * the slide of an annotation) by setting request.audit, e.g.
+ *   request.audit = { resourceId: annotation.annotation_id, slideId }
+ */
+
+import fp from 'fastify-plugin';
+import { TILE_READ, describeRequest } from '../lib/audit.js';
+import { writeAudit, recordTileRead } from '../services/audit.js';
+
+function tileLevel(request) {
+  if (request.params.z !== undefined) return request.params.z;
+  // /static/<slideId>/tiles/<level>/<x>_<y>.jpg
+  const parts = (request.params['*'] || '').split('/');
+  return parts[1] === 'tiles' ? parts[2] : null;
+}
+
+async function auditPlugin(fastify) {
+  fastify.decorateRequest('audit', null);
+
+  fastify.addHook('onResponse', async (request, reply) => {
+    const described = describeRequest({
+      method: request.method,
+      routeUrl: request.routeOptions.url,
+      params: request.params || {}
+    });
+    if (!described) return;
+
+    const user = request.user;
+    const entry = {
+      userId: user?.userId,
+      username: user?.username,
+      role: user?.role,
+      source: user?.source,
+      ip: request.ip,
+      method: request.method,
+      route: request.routeOptions.url,
+      statusCode: reply.statusCode,
+      ...described,
+      ...request.audit
+    };
+
+    if (described.action === TILE_READ) {
+      recordTileRead(entry, tileLevel(request));
+      return;
+    }
+
+    await writeAudit(entry);
+  });
+}
+
+export default fp(auditPlugin, { name: 'supernavi-audit', dependencies: ['supernavi-auth'] });
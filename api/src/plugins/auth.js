@@ -0,0 +1,47 @@
+/**
+ * Auth Plugin
+ *
+ * onRequest hook enforcing the per-route permissions of lib/auth.js on every
+ * request (routes under /v1, /static/, /iiif/ and /viewer/). Sets request.user:
+ *   { userId, username, displayName, role, cloudUserId, source: 'token' | 'tunnel' }
+ *
+ * Disabled with AUTH_ENABLED=false (request.user stays null).
+ */
+
+import fp from 'fastify-plugin';
+import { PUBLIC, extractToken, getRoutePermission, hasPermission } from '../lib/auth.js';
+import { AUTH_ENABLED, authenticateToken, authenticateTunnel, isTunnelRequest } from '../services/auth.js';
+
+async function authPlugin(fastify) {
+  fastify.decorateRequest('user', null);
+
+  fastify.addHook('onRequest', async (request, reply) => {
+    // CORS preflight carries no credentials
+    if (!AUTH_ENABLED || request.method === 'OPTIONS') return;
+
+    const permission = getRoutePermission(request.method, request.routeOptions.url);
+    if (permission === PUBLIC) return;
+
+    let user = null;
+    if (isTunnelRequest(request.headers)) {
+      user = await authenticateTunnel(request.headers);
+    } else {
+      const token = extractToken(request);
+      if (token) user = await authenticateToken(token);
+    }
+
+    if (!user) {
+      reply.code(401);
+      return reply.send({ error: 'Authentication required' });
+    }
+
+    request.user = user;
+
+    if (!hasPermission(user.role, permission)) {
+      reply.code(403);
+      return reply.send({ error: `Role ${user.role} is not allowed to do this (requires ${permission})` });
+    }
+  });
+}
+
+export default fp(authPlugin, { name: 'supernavi-auth' });
@@ -0,0 +1,165 @@
+/**
+ * Annotation Classes Routes
+ * Lab-level catalog of annotation classes (tumor, necrosis, mitosis...)
+ *
+ * GET    /v1/annotation-classes           → list classes (?includeArchived=true)
+ * POST   /v1/annotation-classes           → create a class
+ * PATCH  /v1/annotation-classes/:classId  → rename, recolor, recode or archive
+ * DELETE /v1/annotation-classes/:classId  → delete an unused class
+ */
+
+import {
+  createAnnotationClass,
+  getAnnotationClass,
+  getAnnotationClassByName,
+  getAnnotationClassByCode,
+  listAnnotationClasses,
+  updateAnnotationClass,
+  deleteAnnotationClass,
+  countAnnotationsOfClass
+} from '../db/annotation-classes.js';
+
+const COLOR_PATTERN = '^#[0-9a-fA-F]{6}$';
+
+function formatAnnotationClass(row) {
+  return {
+    classId: row.class_id,
+    name: row.name,
+    color: row.color,
+    code: row.code,
+    description: row.description,
+    archived: row.archived_at !== null,
+    archivedAt: row.archived_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+export default async function annotationClassesRoutes(fastify) {
+  // GET /v1/annotation-classes - List the catalog
+  fastify.get('/annotation-classes', {
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          includeArchived: { type: 'boolean', default: false }
+        }
+      }
+    }
+  }, async (request) => {
+    const classes = await listAnnotationClasses({ includeArchived: request.query.includeArchived });
+    return { items: classes.map(formatAnnotationClass) };
+  });
+
+  // POST /v1/annotation-classes - Create a class
+  fastify.post('/annotation-classes', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['name', 'color'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 100 },
+          color: { type: 'string', pattern: COLOR_PATTERN },
+          code: { type: 'string', minLength: 1, maxLength: 100 },
+          description: { type: 'string', maxLength: 1000 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { color, code, description } = request.body;
+    const name = request.body.name.trim();
+
+    if (await getAnnotationClassByName(name)) {
+      reply.code(409);
+      return { error: 'Annotation class name already exists' };
+    }
+    if (code && await getAnnotationClassByCode(code)) {
+      reply.code(409);
+      return { error: 'Annotation class code already exists' };
+    }
+
+    const cls = await createAnnotationClass({ name, color, code, description });
+    request.audit = { resourceId: cls.class_id, details: { name: cls.name } };
+
+    reply.code(201);
+    return formatAnnotationClass(cls);
+  });
+
+  // PATCH /v1/annotation-classes/:classId - Update a class
+  fastify.patch('/annotation-classes/:classId', {
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 100 },
+          color: { type: 'string', pattern: COLOR_PATTERN },
+          code: { type: ['string', 'null'], minLength: 1, maxLength: 100 },
+          description: { type: ['string', 'null'], maxLength: 1000 },
+          archived: { type: 'boolean' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { classId } = request.params;
+    const { color, code, description, archived } = request.body || {};
+    const name = request.body?.name?.trim();
+
+    const cls = await getAnnotationClass(classId);
+    if (!cls) {
+      reply.code(404);
+      return { error: 'Annotation class not found' };
+    }
+
+    if (name) {
+      const named = await getAnnotationClassByName(name);
+      if (named && named.class_id !== classId) {
+        reply.code(409);
+        return { error: 'Annotation class name already exists' };
+      }
+    }
+    if (code) {
+      const coded = await getAnnotationClassByCode(code);
+      if (coded && coded.class_id !== classId) {
+        reply.code(409);
+        return { error: 'Annotation class code already exists' };
+      }
+    }
+
+    const updates = {};
+    if (name) updates.name = name;
+    if (color !== undefined) updates.color = color;
+    if (code !== undefined) updates.code = code;
+    if (description !== undefined) updates.description = description;
+    if (archived !== undefined) updates.archivedAt = archived ? (cls.archived_at || new Date()) : null;
+
+    const updated = await updateAnnotationClass(classId, updates);
+    request.audit = { details: updates };
+
+    return formatAnnotationClass(updated);
+  });
+
+  // DELETE /v1/annotation-classes/:classId - Delete a class no annotation uses
+  fastify.delete('/annotation-classes/:classId', async (request, reply) => {
+    const { classId } = request.params;
+
+    const cls = await getAnnotationClass(classId);
+    if (!cls) {
+      reply.code(404);
+      return { error: 'Annotation class not found' };
+    }
+
+    const inUse = await countAnnotationsOfClass(classId);
+    if (inUse > 0) {
+      reply.code(409);
+      return {
+        error: 'Annotation class is in use; archive it instead',
+        annotations: inUse
+      };
+    }
+
+    await deleteAnnotationClass(classId);
+    request.audit = { details: { name: cls.name } };
+
+    return reply.code(204).send();
+  });
+}
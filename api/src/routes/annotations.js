@@ -1,17 +1,172 @@
 /**
  * Annotations API Routes
  * Local-first annotations with optimistic locking
+ *
+ * Annotations may reference a class of the lab catalog (classId, see
+ * routes/annotation-classes.js) and carry a free-text label and free-form
+ * properties.
+ *
+ * The list can be limited to a viewport (?bbox=x1,y1,x2,y2, full-resolution
+ * pixels); with ?level=z below full resolution, dense point sets come back
+ * as clusters (see lib/annotation-spatial.js).
+ *
+ * Annotation responses carry measurements (area, perimeter, length, bounding
+ * box) computed from the geometry and the slide's mpp, see
+ * lib/annotation-measurements.js.
+ * GET  /v1/slides/:slideId/annotations/summary?groupBy=class|type
+ *
+ * Every create, update, delete, restore and revert is kept in
+ * annotation_revisions:
+ * GET  /v1/annotations/:annotationId/history
+ * POST /v1/annotations/:annotationId/revert   { version, expectedVersion }
+ * POST /v1/annotations/:annotationId/restore  { expectedVersion }
+ *
+ * Export/import (see lib/annotation-formats.js):
+ * GET  /v1/slides/:slideId/annotations/export?format=geojson|qupath|asap
+ * POST /v1/slides/:slideId/annotations/import?format=geojson|qupath|asap
+ *
+ * Annotations of a slide belonging to a signed-out case are frozen: every
+ * write returns 423 until the case is reopened (routes/cases.js).
  */
 
+import { createHash } from 'crypto';
+
 import {
   createAnnotation,
   getAnnotations,
+  countAnnotations,
+  getPointClusters,
   getAnnotation,
   updateAnnotation,
-  deleteAnnotation
+  deleteAnnotation,
+  restoreAnnotation,
+  revertAnnotation,
+  getAnnotationRevisions,
+  getSlideLock,
+  writeUnlessSlideLocked
 } from '../db/collaboration.js';
+import { getAnnotationClass, listAnnotationClasses } from '../db/annotation-classes.js';
 import { getSlide } from '../db/slides.js';
 import { eventBus } from '../services/events.js';
+import { getAuthorId } from '../lib/auth.js';
+import {
+  EXPORT_FORMATS,
+  ANNOTATION_TYPES,
+  exportGeoJson,
+  exportQuPath,
+  exportAsap,
+  importGeoJson,
+  importAsap
+} from '../lib/annotation-formats.js';
+import {
+  SUMMARY_GROUPS,
+  slideMpp,
+  measureAnnotation,
+  summarizeMeasurements
+} from '../lib/annotation-measurements.js';
+import { formatHistory } from '../lib/annotation-history.js';
+import { CLUSTER_MIN_POINTS, parseBbox, clusterCellSize } from '../lib/annotation-spatial.js';
+import { slideLockedError } from '../lib/case-workflow.js';
+
+const MAX_IMPORT_ANNOTATIONS = 5000;
+const IMPORT_BODY_LIMIT = 50 * 1024 * 1024;
+
+// Class, label and properties fields shared by create and update
+const CLASSIFICATION_PROPERTIES = {
+  classId: { type: ['string', 'null'], minLength: 1 },
+  label: { type: ['string', 'null'], maxLength: 1000 },
+  properties: { type: ['object', 'null'] }
+};
+
+/**
+ * API shape of an annotation row; mpp is the slide's calibration (slideMpp)
+ */
+function formatAnnotation(a, mpp) {
+  return {
+    annotationId: a.annotation_id,
+    slideId: a.slide_id,
+    type: a.type,
+    geometry: a.geometry,
+    style: a.style,
+    classId: a.class_id,
+    label: a.label,
+    properties: a.properties,
+    authorId: a.author_id,
+    version: a.version,
+    measurements: measureAnnotation(a.type, a.geometry, mpp),
+    createdAt: a.created_at,
+    updatedAt: a.updated_at
+  };
+}
+
+function formatCluster(c) {
+  const round = value => Math.round(value * 100) / 100;
+  return {
+    x: round(c.x),
+    y: round(c.y),
+    count: c.count,
+    classId: c.class_id,
+    annotationId: c.annotation_id,
+    bbox: {
+      x: round(c.min_x),
+      y: round(c.min_y),
+      width: round(c.max_x - c.min_x),
+      height: round(c.max_y - c.min_y)
+    }
+  };
+}
+
+/**
+ * Who made a change, for the revision history (null with auth disabled)
+ */
+function changedByOf(request) {
+  return request.user ? getAuthorId(request.user) : null;
+}
+
+/**
+ * Run a write to an annotation unless a signed-out case locks its slide
+ * (writeUnlessSlideLocked); an unknown annotation is left to the write,
+ * which reports it
+ */
+async function annotationWrite(annotationId, write) {
+  const annotation = await getAnnotation(annotationId);
+  if (!annotation) return { lock: null, result: await write() };
+  return writeUnlessSlideLocked(annotation.slide_id, write);
+}
+
+/**
+ * Error message when classId cannot be assigned to an annotation, else null
+ */
+async function checkClassId(classId) {
+  if (!classId) return null;
+  const cls = await getAnnotationClass(classId);
+  if (!cls) return 'Unknown annotation class';
+  if (cls.archived_at) return 'Annotation class is archived';
+  return null;
+}
+
+/**
+ * Resolve the class of an imported annotation against the catalog: by id
+ * (our own export from this edge), else by case-insensitive name
+ */
+function resolveImportedClass(item, catalog) {
+  if (item.classId && catalog.byId.has(item.classId)) return item.classId;
+  if (item.className) return catalog.byName.get(item.className.toLowerCase())?.class_id || null;
+  return null;
+}
+
+/**
+ * Idempotency key of an imported annotation: importing the same file twice
+ * does not duplicate its shapes, while identical shapes at other positions
+ * of a file, or with another class or label, stay distinct
+ */
+function importKey(slideId, item, index) {
+  const digest = createHash('sha256')
+    .update(JSON.stringify([index, item.type, item.geometry, item.classId, item.className, item.label]))
+    .digest('hex')
+    .slice(0, 32);
+  return `import:${slideId}:${digest}`;
+}
 
 export default async function annotationsRoutes(fastify) {
   // Get annotations for a slide
@@ -20,13 +175,16 @@ export default async function annotationsRoutes(fastify) {
       querystring: {
         type: 'object',
         properties: {
-          since: { type: 'string', format: 'date-time' }
+          since: { type: 'string', format: 'date-time' },
+          classId: { type: 'string', minLength: 1 },
+          bbox: { type: 'string' },
+          level: { type: 'integer', minimum: 0 }
         }
       }
     }
   }, async (request, reply) => {
     const { slideId } = request.params;
-    const { since } = request.query;
+    const { since, classId, bbox, level } = request.query;
 
     // Verify slide exists
     const slide = await getSlide(slideId);
@@ -35,20 +193,67 @@ export default async function annotationsRoutes(fastify) {
       return { error: 'Slide not found' };
     }
 
-    const annotations = await getAnnotations(slideId, since || null);
+    const viewport = bbox !== undefined ? parseBbox(bbox) : null;
+    if (bbox !== undefined && !viewport) {
+      reply.code(400);
+      return { error: 'bbox must be x1,y1,x2,y2' };
+    }
+
+    const filters = { classId, bbox: viewport };
+    const cellSize = level !== undefined ? clusterCellSize(slide, level) : null;
+
+    // Downsampled view of a dense point set: clusters instead of points
+    let annotations;
+    let clusters = [];
+    if (cellSize && await countAnnotations(slideId, since || null, { ...filters, type: 'point' }) > CLUSTER_MIN_POINTS) {
+      annotations = await getAnnotations(slideId, since || null, { ...filters, excludeType: 'point' });
+      clusters = (await getPointClusters(slideId, since || null, { ...filters, cellSize })).map(formatCluster);
+    } else {
+      annotations = await getAnnotations(slideId, since || null, filters);
+    }
+
+    const mpp = slideMpp(slide);
+
+    return {
+      mpp,
+      clustered: clusters.length > 0,
+      cellSize: clusters.length > 0 ? cellSize : null,
+      items: annotations.map(a => formatAnnotation(a, mpp)),
+      clusters
+    };
+  });
+
+  // Measurement totals of a slide, per class or per type
+  fastify.get('/slides/:slideId/annotations/summary', {
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          groupBy: { type: 'string', enum: SUMMARY_GROUPS, default: 'class' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { slideId } = request.params;
+    const { groupBy } = request.query;
+
+    const slide = await getSlide(slideId);
+    if (!slide) {
+      reply.code(404);
+      return { error: 'Slide not found' };
+    }
+
+    const annotations = await getAnnotations(slideId);
+    const classes = new Map(
+      (await listAnnotationClasses({ includeArchived: true })).map(cls => [cls.class_id, cls])
+    );
+    const mpp = slideMpp(slide);
 
     return {
-      items: annotations.map(a => ({
-        annotationId: a.annotation_id,
-        slideId: a.slide_id,
-        type: a.type,
-        geometry: a.geometry,
-        style: a.style,
-        authorId: a.author_id,
-        version: a.version,
-        createdAt: a.created_at,
-        updatedAt: a.updated_at
-      }))
+      slideId,
+      mpp,
+      groupBy,
+      ...summarizeMeasurements(annotations, { mpp, groupBy, classes })
     };
   });
 
@@ -57,11 +262,12 @@ export default async function annotationsRoutes(fastify) {
     schema: {
       body: {
         type: 'object',
-        required: ['type', 'geometry', 'authorId'],
+        required: ['type', 'geometry'],
         properties: {
-          type: { type: 'string', enum: ['polygon', 'rectangle', 'ellipse', 'point', 'line', 'freehand'] },
+          type: { type: 'string', enum: ANNOTATION_TYPES },
           geometry: { type: 'object' },
           style: { type: 'object' },
+          ...CLASSIFICATION_PROPERTIES,
           authorId: { type: 'string' },
           idempotencyKey: { type: 'string' }
         }
@@ -69,7 +275,14 @@ export default async function annotationsRoutes(fastify) {
     }
   }, async (request, reply) => {
     const { slideId } = request.params;
-    const { type, geometry, style, authorId, idempotencyKey } = request.body;
+    const { type, geometry, style, classId, label, properties, idempotencyKey } = request.body;
+
+    // The authenticated user is the author; the body's authorId only counts with auth disabled
+    const authorId = request.user ? getAuthorId(request.user) : request.body.authorId;
+    if (!authorId) {
+      reply.code(400);
+      return { error: 'authorId is required' };
+    }
 
     // Verify slide exists
     const slide = await getSlide(slideId);
@@ -78,14 +291,29 @@ export default async function annotationsRoutes(fastify) {
       return { error: 'Slide not found' };
     }
 
-    const { annotation, created } = await createAnnotation({
+    const classError = await checkClassId(classId);
+    if (classError) {
+      reply.code(400);
+      return { error: classError };
+    }
+
+    const { lock, result } = await writeUnlessSlideLocked(slideId, () => createAnnotation({
       slideId,
       type,
       geometry,
       style,
+      classId,
+      label,
+      properties,
       authorId,
       idempotencyKey
-    });
+    }));
+    if (lock) {
+      reply.code(423);
+      return slideLockedError(lock);
+    }
+    const { annotation, created } = result;
+    request.audit = { resourceId: annotation.annotation_id };
 
     // Emit SSE event only if actually created
     if (created) {
@@ -95,6 +323,7 @@ export default async function annotationsRoutes(fastify) {
           annotationId: annotation.annotation_id,
           slideId,
           type,
+          classId: annotation.class_id,
           authorId,
           timestamp: Date.now()
         }
@@ -102,17 +331,168 @@ export default async function annotationsRoutes(fastify) {
     }
 
     reply.code(created ? 201 : 200);
-    return {
-      annotationId: annotation.annotation_id,
-      slideId: annotation.slide_id,
-      type: annotation.type,
-      geometry: annotation.geometry,
-      style: annotation.style,
-      authorId: annotation.author_id,
-      version: annotation.version,
-      createdAt: annotation.created_at,
-      created
+    return { ...formatAnnotation(annotation, slideMpp(slide)), created };
+  });
+
+  // Export annotations of a slide
+  fastify.get('/slides/:slideId/annotations/export', {
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          format: { type: 'string', enum: EXPORT_FORMATS, default: 'geojson' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { slideId } = request.params;
+    const { format } = request.query;
+
+    const slide = await getSlide(slideId);
+    if (!slide) {
+      reply.code(404);
+      return { error: 'Slide not found' };
+    }
+
+    const annotations = await getAnnotations(slideId);
+    const classes = new Map(
+      (await listAnnotationClasses({ includeArchived: true })).map(cls => [cls.class_id, cls])
+    );
+    request.audit = { details: { format, count: annotations.length } };
+
+    const basename = `${slideId}-annotations`;
+    if (format === 'asap') {
+      reply
+        .header('Content-Type', 'application/xml; charset=utf-8')
+        .header('Content-Disposition', `attachment; filename="${basename}.xml"`);
+      return exportAsap(annotations, { classes });
+    }
+
+    reply
+      .header('Content-Type', 'application/geo+json; charset=utf-8')
+      .header('Content-Disposition', `attachment; filename="${basename}.geojson"`);
+    return format === 'qupath'
+      ? exportQuPath(annotations, { classes })
+      : exportGeoJson(annotations, { slideId, classes });
+  });
+
+  // Import annotations into a slide (GeoJSON/QuPath as JSON body, ASAP as XML body)
+  fastify.post('/slides/:slideId/annotations/import', {
+    bodyLimit: IMPORT_BODY_LIMIT,
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          format: { type: 'string', enum: EXPORT_FORMATS },
+          authorId: { type: 'string' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { slideId } = request.params;
+    const body = request.body;
+    const format = request.query.format || (typeof body === 'string' ? 'asap' : 'geojson');
+
+    // The authenticated user is the author; the query's authorId only counts with auth disabled
+    const authorId = request.user ? getAuthorId(request.user) : request.query.authorId;
+    if (!authorId) {
+      reply.code(400);
+      return { error: 'authorId is required' };
+    }
+
+    const slide = await getSlide(slideId);
+    if (!slide) {
+      reply.code(404);
+      return { error: 'Slide not found' };
+    }
+
+    const lock = await getSlideLock(slideId);
+    if (lock) {
+      reply.code(423);
+      return slideLockedError(lock);
+    }
+
+    let parsed;
+    try {
+      parsed = format === 'asap'
+        ? importAsap(body)
+        : importGeoJson(typeof body === 'string' ? JSON.parse(body) : body);
+    } catch (err) {
+      reply.code(400);
+      return { error: `Invalid ${format} document: ${err.message}` };
+    }
+
+    if (parsed.items.length > MAX_IMPORT_ANNOTATIONS) {
+      reply.code(400);
+      return { error: `Too many annotations (${parsed.items.length}, max ${MAX_IMPORT_ANNOTATIONS})` };
+    }
+
+    const activeClasses = await listAnnotationClasses();
+    const catalog = {
+      byId: new Map(activeClasses.map(cls => [cls.class_id, cls])),
+      byName: new Map(activeClasses.map(cls => [cls.name.toLowerCase(), cls]))
     };
+    const unknownClasses = new Set();
+
+    // All or nothing, checked against the lock in the same transaction
+    const { lock: importLock, result: written } = await writeUnlessSlideLocked(slideId, async () => {
+      const rows = [];
+      for (const [index, item] of parsed.items.entries()) {
+        const classId = resolveImportedClass(item, catalog);
+        if (!classId && item.className) unknownClasses.add(item.className);
+
+        rows.push(await createAnnotation({
+          slideId,
+          type: item.type,
+          geometry: item.geometry,
+          style: item.style,
+          classId,
+          label: item.label,
+          properties: item.properties,
+          authorId,
+          idempotencyKey: importKey(slideId, item, index)
+        }));
+      }
+      return rows;
+    });
+    if (importLock) {
+      reply.code(423);
+      return slideLockedError(importLock);
+    }
+
+    const items = [];
+    for (const { annotation, created } of written) {
+      if (created) {
+        eventBus.emit('sse', {
+          event: 'annotation.created',
+          data: {
+            annotationId: annotation.annotation_id,
+            slideId,
+            type: annotation.type,
+            classId: annotation.class_id,
+            authorId,
+            timestamp: Date.now()
+          }
+        });
+      }
+
+      items.push({ annotationId: annotation.annotation_id, type: annotation.type, classId: annotation.class_id, created });
+    }
+
+    const created = items.filter(i => i.created).length;
+    const result = {
+      format,
+      created,
+      existing: items.length - created,
+      skipped: parsed.skipped,
+      // Class names of the file missing from the catalog, imported unclassified
+      unknownClasses: [...unknownClasses],
+      items
+    };
+    request.audit = { details: { format, created, existing: result.existing, skipped: parsed.skipped } };
+
+    reply.code(created > 0 ? 201 : 200);
+    return result;
   });
 
   // Update an annotation (with optimistic locking)
@@ -123,27 +503,42 @@ export default async function annotationsRoutes(fastify) {
         required: ['expectedVersion'],
         properties: {
           expectedVersion: { type: 'integer', minimum: 1 },
-          type: { type: 'string', enum: ['polygon', 'rectangle', 'ellipse', 'point', 'line', 'freehand'] },
+          type: { type: 'string', enum: ANNOTATION_TYPES },
           geometry: { type: 'object' },
-          style: { type: 'object' }
+          style: { type: 'object' },
+          ...CLASSIFICATION_PROPERTIES
         }
       }
     }
   }, async (request, reply) => {
     const { annotationId } = request.params;
-    const { expectedVersion, type, geometry, style } = request.body;
+    const { expectedVersion, type, geometry, style, classId, label, properties } = request.body;
 
     const updates = {};
     if (type !== undefined) updates.type = type;
     if (geometry !== undefined) updates.geometry = geometry;
     if (style !== undefined) updates.style = style;
+    if (classId !== undefined) updates.classId = classId;
+    if (label !== undefined) updates.label = label;
+    if (properties !== undefined) updates.properties = properties;
 
     if (Object.keys(updates).length === 0) {
       reply.code(400);
       return { error: 'No updates provided' };
     }
 
-    const result = await updateAnnotation(annotationId, expectedVersion, updates);
+    const classError = await checkClassId(classId);
+    if (classError) {
+      reply.code(400);
+      return { error: classError };
+    }
+
+    const { lock, result } = await annotationWrite(annotationId,
+      () => updateAnnotation(annotationId, expectedVersion, updates, { changedBy: changedByOf(request) }));
+    if (lock) {
+      reply.code(423);
+      return slideLockedError(lock);
+    }
 
     if (result.error) {
       if (result.error === 'not_found') {
@@ -165,6 +560,7 @@ export default async function annotationsRoutes(fastify) {
     }
 
     const annotation = result.annotation;
+    request.audit = { slideId: annotation.slide_id, details: { version: annotation.version } };
 
     // Emit SSE event
     eventBus.emit('sse', {
@@ -177,18 +573,153 @@ export default async function annotationsRoutes(fastify) {
       }
     });
 
+    const slide = await getSlide(annotation.slide_id);
+    return formatAnnotation(annotation, slideMpp(slide));
+  });
+
+  // Revision history of an annotation (deleted ones included)
+  fastify.get('/annotations/:annotationId/history', async (request, reply) => {
+    const { annotationId } = request.params;
+
+    const annotation = await getAnnotation(annotationId);
+    if (!annotation) {
+      reply.code(404);
+      return { error: 'Annotation not found' };
+    }
+    request.audit = { slideId: annotation.slide_id };
+
+    const revisions = await getAnnotationRevisions(annotationId);
     return {
-      annotationId: annotation.annotation_id,
+      annotationId,
       slideId: annotation.slide_id,
-      type: annotation.type,
-      geometry: annotation.geometry,
-      style: annotation.style,
-      authorId: annotation.author_id,
-      version: annotation.version,
-      updatedAt: annotation.updated_at
+      currentVersion: annotation.version,
+      deleted: annotation.deleted_at !== null,
+      items: formatHistory(revisions)
     };
   });
 
+  // Revert an annotation to the content of an earlier version
+  fastify.post('/annotations/:annotationId/revert', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['version', 'expectedVersion'],
+        properties: {
+          version: { type: 'integer', minimum: 1 },
+          expectedVersion: { type: 'integer', minimum: 1 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { annotationId } = request.params;
+    const { version, expectedVersion } = request.body;
+
+    const { lock, result } = await annotationWrite(annotationId,
+      () => revertAnnotation(annotationId, expectedVersion, version, { changedBy: changedByOf(request) }));
+    if (lock) {
+      reply.code(423);
+      return slideLockedError(lock);
+    }
+
+    if (result.error) {
+      if (result.error === 'not_found') {
+        reply.code(404);
+        return { error: 'Annotation not found' };
+      }
+      if (result.error === 'revision_not_found') {
+        reply.code(404);
+        return { error: `Version ${version} not found in the annotation history` };
+      }
+      if (result.error === 'deleted') {
+        reply.code(410);
+        return { error: 'Annotation has been deleted; restore it first' };
+      }
+      if (result.error === 'version_conflict') {
+        reply.code(409);
+        return {
+          error: 'Version conflict',
+          expectedVersion,
+          currentVersion: result.currentVersion
+        };
+      }
+    }
+
+    const annotation = result.annotation;
+    request.audit = { slideId: annotation.slide_id, details: { version: annotation.version, revertedTo: version } };
+
+    eventBus.emit('sse', {
+      event: 'annotation.updated',
+      data: {
+        annotationId: annotation.annotation_id,
+        slideId: annotation.slide_id,
+        version: annotation.version,
+        revertedTo: version,
+        timestamp: Date.now()
+      }
+    });
+
+    const slide = await getSlide(annotation.slide_id);
+    return formatAnnotation(annotation, slideMpp(slide));
+  });
+
+  // Restore a soft-deleted annotation (with optimistic locking)
+  fastify.post('/annotations/:annotationId/restore', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['expectedVersion'],
+        properties: {
+          expectedVersion: { type: 'integer', minimum: 1 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { annotationId } = request.params;
+    const { expectedVersion } = request.body;
+
+    const { lock, result } = await annotationWrite(annotationId,
+      () => restoreAnnotation(annotationId, expectedVersion, { changedBy: changedByOf(request) }));
+    if (lock) {
+      reply.code(423);
+      return slideLockedError(lock);
+    }
+
+    if (result.error) {
+      if (result.error === 'not_found') {
+        reply.code(404);
+        return { error: 'Annotation not found' };
+      }
+      if (result.error === 'not_deleted') {
+        reply.code(409);
+        return { error: 'Annotation is not deleted' };
+      }
+      if (result.error === 'version_conflict') {
+        reply.code(409);
+        return {
+          error: 'Version conflict',
+          expectedVersion,
+          currentVersion: result.currentVersion
+        };
+      }
+    }
+
+    const annotation = result.annotation;
+    request.audit = { slideId: annotation.slide_id, details: { version: annotation.version } };
+
+    eventBus.emit('sse', {
+      event: 'annotation.restored',
+      data: {
+        annotationId: annotation.annotation_id,
+        slideId: annotation.slide_id,
+        version: annotation.version,
+        timestamp: Date.now()
+      }
+    });
+
+    const slide = await getSlide(annotation.slide_id);
+    return formatAnnotation(annotation, slideMpp(slide));
+  });
+
   // Delete an annotation (soft delete with optimistic locking)
   fastify.delete('/annotations/:annotationId', {
     schema: {
@@ -204,7 +735,12 @@ export default async function annotationsRoutes(fastify) {
     const { annotationId } = request.params;
     const { expectedVersion } = request.query;
 
-    const result = await deleteAnnotation(annotationId, expectedVersion);
+    const { lock, result } = await annotationWrite(annotationId,
+      () => deleteAnnotation(annotationId, expectedVersion, { changedBy: changedByOf(request) }));
+    if (lock) {
+      reply.code(423);
+      return slideLockedError(lock);
+    }
 
     if (!result.success) {
       if (result.error === 'not_found') {
@@ -225,6 +761,8 @@ export default async function annotationsRoutes(fastify) {
       }
     }
 
+    request.audit = { slideId: result.annotation.slide_id };
+
     // Emit SSE event
     eventBus.emit('sse', {
       event: 'annotation.deleted',
@@ -0,0 +1,84 @@
+/**
+ * Audit Routes (admin only)
+ *
+ * GET /v1/audit             → audit_log entries, newest first (filters below)
+ * GET /v1/audit?format=csv  → same filters, as a CSV download
+ */
+
+import { listAuditEntries } from '../db/audit.js';
+import { toCsv } from '../lib/audit.js';
+
+const CSV_COLUMNS = [
+  'auditId', 'occurredAt', 'userId', 'username', 'role', 'source', 'ip',
+  'action', 'method', 'route', 'statusCode', 'resourceType', 'resourceId',
+  'slideId', 'caseId', 'details'
+];
+
+/**
+ * Map an audit_log row to the API shape
+ */
+function formatEntry(row) {
+  return {
+    auditId: Number(row.audit_id),
+    occurredAt: row.occurred_at,
+    userId: row.user_id,
+    username: row.username,
+    role: row.role,
+    source: row.source,
+    ip: row.ip,
+    action: row.action,
+    method: row.method,
+    route: row.route,
+    statusCode: row.status_code,
+    resourceType: row.resource_type,
+    resourceId: row.resource_id,
+    slideId: row.slide_id,
+    caseId: row.case_id,
+    details: row.details
+  };
+}
+
+export default async function auditRoutes(fastify) {
+  // GET /v1/audit - List or export audit entries
+  fastify.get('/audit', {
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          userId: { type: 'string' },
+          action: { type: 'string' },
+          resourceType: { type: 'string' },
+          resourceId: { type: 'string' },
+          slideId: { type: 'string' },
+          caseId: { type: 'string' },
+          source: { type: 'string', enum: ['token', 'tunnel'] },
+          from: { type: 'string', format: 'date-time' },
+          to: { type: 'string', format: 'date-time' },
+          format: { type: 'string', enum: ['json', 'csv'], default: 'json' },
+          limit: { type: 'integer', minimum: 1, maximum: 10000, default: 100 },
+          offset: { type: 'integer', minimum: 0, default: 0 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { format, limit, offset, ...filters } = request.query;
+    const { total, entries } = await listAuditEntries({ ...filters, limit, offset });
+    const items = entries.map(formatEntry);
+
+    if (format === 'csv') {
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      reply
+        .header('Content-Type', 'text/csv; charset=utf-8')
+        .header('Content-Disposition', `attachment; filename="audit-${stamp}.csv"`)
+        .header('X-Total-Count', String(total));
+      return toCsv(CSV_COLUMNS, items);
+    }
+
+    return {
+      total,
+      limit,
+      offset,
+      items
+    };
+  });
+}
@@ -0,0 +1,108 @@
+/**
+ * Auth Routes
+ *
+ * POST /v1/auth/login     → exchange username/password for a bearer token
+ * POST /v1/auth/logout    → revoke the token used for this request
+ * GET  /v1/auth/me        → the authenticated user
+ * POST /v1/auth/password  → change the caller's own password
+ *
+ * Failed logins are throttled per username and per client IP (429 with
+ * Retry-After once LOGIN_MAX_FAILURES / LOGIN_MAX_FAILURES_PER_IP fail
+ * within LOGIN_FAILURE_WINDOW_MS).
+ */
+
+import { hashPassword, verifyPassword, extractToken, createLoginThrottle } from '../lib/auth.js';
+import { getUser, updateUser, revokeUserTokens } from '../db/users.js';
+import { AUTH_ENABLED, login, logout, clearAuthCache } from '../services/auth.js';
+
+const loginThrottle = createLoginThrottle({
+  maxPerUser: parseInt(process.env.LOGIN_MAX_FAILURES || '5', 10),
+  maxPerIp: parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP || '20', 10),
+  windowMs: parseInt(process.env.LOGIN_FAILURE_WINDOW_MS || String(15 * 60 * 1000), 10)
+});
+
+export default async function authRoutes(fastify) {
+  // POST /v1/auth/login - Issue a token
+  fastify.post('/auth/login', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['username', 'password'],
+        properties: {
+          username: { type: 'string', minLength: 1 },
+          password: { type: 'string', minLength: 1 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { username, password } = request.body;
+
+    const retryAfter = loginThrottle.retryAfter(username, request.ip);
+    if (retryAfter > 0) {
+      reply.code(429).header('Retry-After', String(retryAfter));
+      return { error: 'Too many failed logins; retry later' };
+    }
+
+    const session = await login(username, password);
+    if (!session) {
+      loginThrottle.recordFailure(username, request.ip);
+      reply.code(401);
+      return { error: 'Invalid username or password' };
+    }
+    loginThrottle.recordSuccess(username);
+
+    return {
+      token: session.token,
+      tokenType: 'Bearer',
+      expiresAt: session.expiresAt.toISOString(),
+      user: session.user
+    };
+  });
+
+  // POST /v1/auth/logout - Revoke the current token
+  fastify.post('/auth/logout', async (request, reply) => {
+    const token = request.user?.source === 'token' ? extractToken(request) : null;
+    if (token) await logout(token);
+    return reply.code(204).send();
+  });
+
+  // GET /v1/auth/me - Current user
+  fastify.get('/auth/me', async (request) => {
+    return {
+      authEnabled: AUTH_ENABLED,
+      user: request.user
+    };
+  });
+
+  // POST /v1/auth/password - Change own password (revokes every token of the user)
+  fastify.post('/auth/password', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['currentPassword', 'newPassword'],
+        properties: {
+          currentPassword: { type: 'string' },
+          newPassword: { type: 'string', minLength: 8 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    if (request.user?.source !== 'token') {
+      reply.code(400);
+      return { error: 'Only local users can change their password' };
+    }
+
+    const { currentPassword, newPassword } = request.body;
+    const row = await getUser(request.user.userId);
+    if (!row || !verifyPassword(currentPassword, row.password_hash)) {
+      reply.code(401);
+      return { error: 'Current password is incorrect' };
+    }
+
+    await updateUser(row.user_id, { passwordHash: hashPassword(newPassword) });
+    await revokeUserTokens(row.user_id);
+    clearAuthCache();
+
+    return reply.code(204).send();
+  });
+}
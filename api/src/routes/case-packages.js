@@ -0,0 +1,182 @@
+/**
+ * Case Package API Routes
+ * Export a case to another edge for a second opinion, and import it there
+ *
+ * POST   /v1/cases/:caseId/export              → build a package in the background ({ content: raw|derived })
+ * GET    /v1/cases/:caseId/exports             → packages built for a case
+ * POST   /v1/cases/import                      → import a package (tar body) as a new case, in the background
+ * GET    /v1/case-packages/:packageId          → status, summary and, once imported, the new case
+ * GET    /v1/case-packages/:packageId/download → archive of a finished export
+ * DELETE /v1/case-packages/:packageId          → remove a finished package and its archive
+ *
+ * Packages are processed one at a time by services/case-package.js (layout
+ * in lib/case-package.js); clients follow them with the SSE event
+ * case.package_updated.
+ */
+
+import { createReadStream, createWriteStream } from 'fs';
+import { mkdir, rm } from 'fs/promises';
+import { dirname } from 'path';
+import { pipeline } from 'stream/promises';
+import { getCase } from '../db/collaboration.js';
+import { createCasePackage, getCasePackage, listCaseExports, updateCasePackage, deleteCasePackage } from '../db/case-packages.js';
+import { archivePath, runCasePackage, removePackageFiles } from '../services/case-package.js';
+import { PACKAGE_CONTENTS } from '../lib/case-package.js';
+
+function formatPackage(p) {
+  return {
+    packageId: p.package_id,
+    direction: p.direction,
+    caseId: p.case_id,
+    content: p.content,
+    status: p.status,
+    bytes: p.bytes !== null ? Number(p.bytes) : null,
+    summary: p.summary,
+    error: p.error,
+    createdBy: p.created_by,
+    createdAt: p.created_at,
+    finishedAt: p.finished_at,
+    downloadUrl: p.direction === 'export' && p.status === 'done'
+      ? `/v1/case-packages/${p.package_id}/download`
+      : null
+  };
+}
+
+function queuePackage(packageId) {
+  runCasePackage(packageId).catch(err => {
+    console.error(`Case package ${packageId} crashed:`, err.message);
+  });
+}
+
+export default async function casePackageRoutes(fastify) {
+  fastify.post('/cases/:caseId/export', {
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          content: { type: 'string', enum: PACKAGE_CONTENTS }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { caseId } = request.params;
+    const content = request.body?.content || 'raw';
+
+    const caseRecord = await getCase(caseId);
+    if (!caseRecord) {
+      reply.code(404);
+      return { error: 'Case not found' };
+    }
+    if (caseRecord.slides.length === 0) {
+      reply.code(409);
+      return { error: 'Case has no slides to export' };
+    }
+
+    const pkg = await createCasePackage({
+      direction: 'export',
+      caseId,
+      content,
+      createdBy: request.user?.userId || null
+    });
+    request.audit = { resourceId: pkg.package_id, caseId, details: { content } };
+
+    queuePackage(pkg.package_id);
+
+    reply.code(202);
+    return formatPackage(pkg);
+  });
+
+  fastify.get('/cases/:caseId/exports', async (request, reply) => {
+    const { caseId } = request.params;
+
+    const caseRecord = await getCase(caseId);
+    if (!caseRecord) {
+      reply.code(404);
+      return { error: 'Case not found' };
+    }
+
+    const packages = await listCaseExports(caseId);
+    return { items: packages.map(formatPackage) };
+  });
+
+  // Body: the archive, streamed to disk (Content-Type application/x-tar or
+  // application/octet-stream)
+  fastify.post('/cases/import', async (request, reply) => {
+    if (!request.body || typeof request.body.pipe !== 'function') {
+      reply.code(400);
+      return { error: 'Request body must be a case package archive' };
+    }
+
+    const pkg = await createCasePackage({
+      direction: 'import',
+      createdBy: request.user?.userId || null
+    });
+    request.audit = { resourceId: pkg.package_id };
+
+    const path = archivePath(pkg.package_id);
+    try {
+      await mkdir(dirname(path), { recursive: true });
+      await pipeline(request.body, createWriteStream(path));
+    } catch (err) {
+      console.error(`Case package upload failed for ${pkg.package_id}:`, err.message);
+      await rm(path, { force: true });
+      await updateCasePackage(pkg.package_id, { status: 'failed', error: 'Upload failed' });
+      reply.code(500);
+      return { error: 'Failed to save uploaded package' };
+    }
+
+    queuePackage(pkg.package_id);
+
+    reply.code(202);
+    return formatPackage(pkg);
+  });
+
+  fastify.get('/case-packages/:packageId', async (request, reply) => {
+    const pkg = await getCasePackage(request.params.packageId);
+    if (!pkg) {
+      reply.code(404);
+      return { error: 'Package not found' };
+    }
+
+    request.audit = { resourceId: pkg.package_id, caseId: pkg.case_id };
+    return formatPackage(pkg);
+  });
+
+  fastify.get('/case-packages/:packageId/download', async (request, reply) => {
+    const pkg = await getCasePackage(request.params.packageId);
+    if (!pkg || pkg.direction !== 'export') {
+      reply.code(404);
+      return { error: 'Package not found' };
+    }
+    if (pkg.status !== 'done' || !pkg.path) {
+      reply.code(409);
+      return { error: `Package is ${pkg.status}` };
+    }
+
+    request.audit = { resourceId: pkg.package_id, caseId: pkg.case_id };
+
+    reply.header('Content-Type', 'application/x-tar');
+    reply.header('Content-Length', Number(pkg.bytes));
+    reply.header('Content-Disposition', `attachment; filename="case-package-${pkg.package_id}.tar"`);
+    return reply.send(createReadStream(pkg.path));
+  });
+
+  fastify.delete('/case-packages/:packageId', async (request, reply) => {
+    const pkg = await getCasePackage(request.params.packageId);
+    if (!pkg) {
+      reply.code(404);
+      return { error: 'Package not found' };
+    }
+    if (pkg.status === 'queued' || pkg.status === 'running') {
+      reply.code(409);
+      return { error: `Package is ${pkg.status}` };
+    }
+
+    await removePackageFiles(pkg.package_id);
+    await deleteCasePackage(pkg.package_id);
+    request.audit = { resourceId: pkg.package_id, caseId: pkg.case_id };
+
+    reply.code(204);
+    return reply.send();
+  });
+}
@@ -1,18 +1,234 @@
 /**
  * Cases API Routes
  * Local-first case management
+ *
+ * GET   /v1/cases                        → search (?q=), filters, sort and cursor pagination
+ * GET   /v1/cases/:caseId                → case with its slides, flat and as a specimen → block tree
+ * PATCH /v1/cases/:caseId/slides/:slideId → set a slide's specimen/block by hand ({ auto: true } undoes it)
+ *
+ * Workflow (statuses and allowed transitions in lib/case-workflow.js):
+ * PATCH /v1/cases/:caseId                → title, assigned pathologist, priority, due date
+ * POST  /v1/cases/:caseId/start-review   → received|awaiting_ihc → in_review
+ * POST  /v1/cases/:caseId/request-ihc    → in_review → awaiting_ihc
+ * POST  /v1/cases/:caseId/sign-out       → in_review → signed_out (locks the case's slides)
+ * POST  /v1/cases/:caseId/reopen         → signed_out → in_review, for an amendment ({ reason })
+ * GET   /v1/cases/:caseId/sign-outs      → sign-outs and amendments, with an integrity check
+ * GET   /v1/cases/:caseId/transitions    → status transition log
+ * GET   /v1/worklist                     → open cases, most urgent first (?assignee=&status=)
+ * GET   /v1/worklist/turnaround          → turnaround-time statistics (?since=&until=&assignee=)
+ *
+ * Signing out records the signer and a hash of the annotations on the case's
+ * slides; until the case is reopened, annotation and thread writes on those
+ * slides return 423 (routes/annotations.js, routes/threads.js) and its
+ * slides cannot be linked, unlinked or deleted.
  */
 
 import {
   createCase,
   getCase,
   listCases,
+  CASE_SORTS,
+  updateCase,
+  transitionCase,
+  signOutCase,
+  lockCase,
+  reopenCase,
+  getCaseAnnotations,
+  getCaseSignouts,
+  getCaseTransitions,
+  getWorklist,
+  getSignedOutTransitions,
   linkSlideToCase,
+  setCaseSlideHierarchy,
   unlinkSlideFromCase,
   findCaseByExternalRef
 } from '../db/collaboration.js';
+import { transaction } from '../db/index.js';
 import { getSlide } from '../db/slides.js';
+import { getUser } from '../db/users.js';
 import { eventBus } from '../services/events.js';
+import {
+  CASE_STATUSES,
+  CASE_PRIORITIES,
+  CASE_TRANSITIONS,
+  canTransition,
+  turnaroundStats,
+  annotationsHash
+} from '../lib/case-workflow.js';
+import { parseSort, searchTerms, encodeCursor, decodeCursor } from '../lib/list-query.js';
+import { slideHierarchy, compareSlides, buildSpecimenTree } from '../lib/specimen-hierarchy.js';
+
+// Default window of GET /v1/worklist/turnaround
+const TURNAROUND_DEFAULT_DAYS = 30;
+
+function formatCase(c) {
+  const overdue = c.due_at !== null && c.status !== 'signed_out' && new Date(c.due_at) < new Date();
+  return {
+    caseId: c.case_id,
+    title: c.title,
+    externalRef: c.external_ref,
+    status: c.status,
+    statusChangedAt: c.status_changed_at,
+    assignedTo: c.assigned_to,
+    assigneeName: c.assigned_to ? (c.assignee_display_name || c.assignee_username || null) : null,
+    priority: c.priority,
+    dueAt: c.due_at,
+    overdue,
+    signedOutBy: c.signed_out_by,
+    signedOutAt: c.signed_out_at,
+    annotationsHash: c.annotations_hash,
+    locked: c.status === 'signed_out',
+    createdAt: c.created_at,
+    updatedAt: c.updated_at
+  };
+}
+
+function formatTransition(t) {
+  return {
+    from: t.from_status,
+    to: t.to_status,
+    changedBy: t.changed_by,
+    note: t.note,
+    changedAt: t.changed_at
+  };
+}
+
+function formatCaseSlide(s) {
+  const { specimen, block, source } = slideHierarchy(s);
+  return {
+    slideId: s.id,
+    originalFilename: s.original_filename,
+    status: s.status,
+    width: s.width,
+    height: s.height,
+    format: s.format,
+    label: s.external_slide_label,
+    specimen,
+    block,
+    hierarchySource: source,
+    linkedAt: s.linked_at
+  };
+}
+
+function formatSignout(s) {
+  return {
+    amendment: s.amendment,
+    signedBy: s.signed_by,
+    signedAt: s.signed_at,
+    annotationsHash: s.annotations_hash,
+    annotationCount: s.annotation_count,
+    slideIds: s.slide_ids,
+    note: s.note,
+    reopenedBy: s.reopened_by,
+    reopenedAt: s.reopened_at,
+    reopenReason: s.reopen_reason
+  };
+}
+
+/**
+ * Case filter of an ?assignee= parameter: a user id, "me" or "unassigned"
+ * (null); undefined when absent
+ */
+function assigneeFilter(request) {
+  const { assignee } = request.query;
+  if (assignee === 'me') {
+    if (!request.user) return { error: 'assignee=me needs an authenticated user' };
+    return { assignee: request.user.userId };
+  }
+  if (assignee === 'unassigned') return { assignee: null };
+  return { assignee };
+}
+
+/**
+ * Error message when userId cannot be assigned a case, else null
+ */
+async function checkAssignee(userId) {
+  if (!userId) return null;
+  const user = await getUser(userId);
+  if (!user || user.disabled_at) return `Unknown user: ${userId}`;
+  if (user.role !== 'pathologist' && user.role !== 'admin') {
+    return 'Cases can only be assigned to pathologists';
+  }
+  return null;
+}
+
+/**
+ * Move a case to status `to`: shared by the transition routes
+ */
+async function changeCaseStatus(request, reply, to) {
+  const { caseId } = request.params;
+  const note = request.body?.note || null;
+
+  const caseRecord = await getCase(caseId);
+  if (!caseRecord) {
+    reply.code(404);
+    return { error: 'Case not found' };
+  }
+
+  const from = caseRecord.status;
+  if (!canTransition(from, to)) {
+    reply.code(409);
+    return {
+      error: `Cannot move a case from ${from} to ${to}`,
+      status: from,
+      allowed: CASE_TRANSITIONS[from]
+    };
+  }
+
+  const changedBy = request.user?.userId || null;
+  let result;
+  if (to === 'signed_out') {
+    // Hash and status flip in one transaction, with the case row locked
+    // from before the annotations are read until the sign-out commits
+    result = await transaction(async () => {
+      await lockCase(caseId);
+      const annotations = await getCaseAnnotations(caseId);
+      const slides = (await getCase(caseId))?.slides || [];
+      return signOutCase(caseId, {
+        signedBy: changedBy,
+        annotationsHash: annotationsHash(annotations),
+        annotationCount: annotations.length,
+        slideIds: slides.map(s => s.id),
+        note
+      });
+    });
+  } else {
+    result = await transitionCase(caseId, from, to, { changedBy, note });
+  }
+  const { caseRow, error, currentStatus } = result;
+  if (error === 'not_found') {
+    reply.code(404);
+    return { error: 'Case not found' };
+  }
+  if (error === 'status_conflict') {
+    reply.code(409);
+    return { error: 'Case status changed concurrently', status: currentStatus };
+  }
+
+  request.audit = {
+    details: to === 'signed_out' ? { from, to, annotationsHash: caseRow.annotations_hash } : { from, to }
+  };
+
+  eventBus.emit('sse', {
+    event: 'case.status_changed',
+    data: {
+      caseId,
+      from,
+      to,
+      changedBy,
+      timestamp: Date.now()
+    }
+  });
+
+  return formatCase(caseRow);
+}
+
+const TRANSITION_BODY = {
+  type: ['object', 'null'],
+  properties: {
+    note: { type: 'string', maxLength: 2000 }
+  }
+};
 
 export default async function casesRoutes(fastify) {
   // Create a new case
@@ -23,14 +239,32 @@ export default async function casesRoutes(fastify) {
         required: ['title'],
         properties: {
           title: { type: 'string', minLength: 1 },
-          externalRef: { type: 'string' }
+          externalRef: { type: 'string' },
+          assignedTo: { type: 'string' },
+          priority: { type: 'string', enum: CASE_PRIORITIES },
+          dueAt: { type: 'string', format: 'date-time' }
         }
       }
     }
   }, async (request, reply) => {
-    const { title, externalRef } = request.body;
+    const { title, externalRef, assignedTo, priority, dueAt } = request.body;
+
+    const assigneeError = await checkAssignee(assignedTo);
+    if (assigneeError) {
+      reply.code(400);
+      return { error: assigneeError };
+    }
 
-    const caseRecord = await createCase({ title, externalRef });
+    const created = await createCase({
+      title,
+      externalRef,
+      assignedTo: assignedTo || null,
+      priority,
+      dueAt: dueAt || null,
+      changedBy: request.user?.userId || null
+    });
+    const caseRecord = await getCase(created.case_id);
+    request.audit = { resourceId: caseRecord.case_id, caseId: caseRecord.case_id };
 
     // Emit SSE event
     eventBus.emit('sse', {
@@ -43,29 +277,133 @@ export default async function casesRoutes(fastify) {
     });
 
     reply.code(201);
+    return formatCase(caseRecord);
+  });
+
+  // Search cases
+  fastify.get('/cases', {
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          q: { type: 'string', maxLength: 200 },
+          status: { type: 'string', enum: CASE_STATUSES },
+          priority: { type: 'string', enum: CASE_PRIORITIES },
+          // A user id, "me" or "unassigned"
+          assignee: { type: 'string', minLength: 1 },
+          from: { type: 'string', format: 'date-time' },
+          to: { type: 'string', format: 'date-time' },
+          linked: { type: 'boolean' },
+          sort: { type: 'string', enum: Object.keys(CASE_SORTS).flatMap(f => [f, `-${f}`]), default: '-createdAt' },
+          cursor: { type: 'string' },
+          limit: { type: 'integer', minimum: 1, maximum: 200, default: 50 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { q, status, priority, from, to, linked, cursor, limit } = request.query;
+
+    const { assignee, error } = assigneeFilter(request);
+    if (error) {
+      reply.code(400);
+      return { error };
+    }
+
+    const sort = parseSort(request.query.sort, CASE_SORTS);
+    const after = cursor ? decodeCursor(cursor, sort) : null;
+    if (cursor && !after) {
+      reply.code(400);
+      return { error: 'Invalid cursor for this sort' };
+    }
+
+    const { total, cases, hasMore } = await listCases({
+      terms: searchTerms(q),
+      status,
+      priority,
+      assignee,
+      from,
+      to,
+      linked,
+      sort,
+      after,
+      limit
+    });
+    const last = cases[cases.length - 1];
+
     return {
-      caseId: caseRecord.case_id,
-      title: caseRecord.title,
-      externalRef: caseRecord.external_ref,
-      createdAt: caseRecord.created_at
+      total,
+      limit,
+      sort: sort.name,
+      nextCursor: hasMore ? encodeCursor(sort, last.sort_key, last.case_id) : null,
+      items: cases.map(c => ({
+        ...formatCase(c),
+        slideCount: parseInt(c.slide_count, 10)
+      }))
     };
   });
 
-  // List all cases
-  fastify.get('/cases', async () => {
-    const cases = await listCases();
+  // Open cases, most urgent first
+  fastify.get('/worklist', {
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          // A user id, "me" or "unassigned"
+          assignee: { type: 'string', minLength: 1 },
+          status: { type: 'string', enum: CASE_STATUSES }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { status } = request.query;
+
+    const { assignee, error } = assigneeFilter(request);
+    if (error) {
+      reply.code(400);
+      return { error };
+    }
+
+    // Signed-out cases only when asked for
+    const statuses = status ? [status] : CASE_STATUSES.filter(s => s !== 'signed_out');
+    const cases = await getWorklist({ statuses, assignee });
+
     return {
       items: cases.map(c => ({
-        caseId: c.case_id,
-        title: c.title,
-        externalRef: c.external_ref,
-        slideCount: parseInt(c.slide_count, 10),
-        createdAt: c.created_at,
-        updatedAt: c.updated_at
+        ...formatCase(c),
+        slideCount: parseInt(c.slide_count, 10)
       }))
     };
   });
 
+  // Turnaround times of the cases signed out in a period
+  fastify.get('/worklist/turnaround', {
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          since: { type: 'string', format: 'date-time' },
+          until: { type: 'string', format: 'date-time' },
+          assignee: { type: 'string', minLength: 1 }
+        }
+      }
+    }
+  }, async (request) => {
+    const until = request.query.until ? new Date(request.query.until) : new Date();
+    const since = request.query.since
+      ? new Date(request.query.since)
+      : new Date(until.getTime() - TURNAROUND_DEFAULT_DAYS * 24 * 3600 * 1000);
+    const assignee = request.query.assignee || null;
+
+    const transitions = await getSignedOutTransitions({ since, until, assignee });
+
+    return {
+      since: since.toISOString(),
+      until: until.toISOString(),
+      assignee,
+      ...turnaroundStats(transitions)
+    };
+  });
+
   // Get a case by external reference (AP number)
   fastify.get('/cases/by-ref/:caseBase', async (request, reply) => {
     const { caseBase } = request.params;
@@ -104,21 +442,177 @@ export default async function casesRoutes(fastify) {
       return { error: 'Case not found' };
     }
 
+    // Natural order (A1, A2, A10, B1); unlabeled slides last
+    const slides = caseRecord.slides.map(formatCaseSlide).sort(compareSlides);
+
     return {
-      caseId: caseRecord.case_id,
-      title: caseRecord.title,
-      externalRef: caseRecord.external_ref,
-      createdAt: caseRecord.created_at,
-      updatedAt: caseRecord.updated_at,
-      slides: caseRecord.slides.map(s => ({
-        slideId: s.id,
-        originalFilename: s.original_filename,
-        status: s.status,
-        width: s.width,
-        height: s.height,
-        format: s.format,
-        linkedAt: s.linked_at
-      }))
+      ...formatCase(caseRecord),
+      slides,
+      specimens: buildSpecimenTree(slides)
+    };
+  });
+
+  // Update title, assignment, priority or due date
+  fastify.patch('/cases/:caseId', {
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', minLength: 1 },
+          assignedTo: { type: ['string', 'null'] },
+          priority: { type: 'string', enum: CASE_PRIORITIES },
+          dueAt: { type: ['string', 'null'], format: 'date-time' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { caseId } = request.params;
+    const { title, assignedTo, priority, dueAt } = request.body || {};
+
+    const caseRecord = await getCase(caseId);
+    if (!caseRecord) {
+      reply.code(404);
+      return { error: 'Case not found' };
+    }
+
+    const assigneeError = await checkAssignee(assignedTo);
+    if (assigneeError) {
+      reply.code(400);
+      return { error: assigneeError };
+    }
+
+    const updates = {};
+    if (title !== undefined) updates.title = title;
+    if (assignedTo !== undefined) updates.assignedTo = assignedTo || null;
+    if (priority !== undefined) updates.priority = priority;
+    if (dueAt !== undefined) updates.dueAt = dueAt;
+
+    const updated = await updateCase(caseId, updates);
+    request.audit = { details: updates };
+
+    eventBus.emit('sse', {
+      event: 'case.updated',
+      data: {
+        caseId,
+        changes: Object.keys(updates),
+        assignedTo: updated.assigned_to,
+        priority: updated.priority,
+        dueAt: updated.due_at,
+        timestamp: Date.now()
+      }
+    });
+
+    return formatCase(updated);
+  });
+
+  // Start (or resume, after IHC) the review of a case
+  fastify.post('/cases/:caseId/start-review', { schema: { body: TRANSITION_BODY } }, async (request, reply) => {
+    return changeCaseStatus(request, reply, 'in_review');
+  });
+
+  // Put a case on hold for immunohistochemistry
+  fastify.post('/cases/:caseId/request-ihc', { schema: { body: TRANSITION_BODY } }, async (request, reply) => {
+    return changeCaseStatus(request, reply, 'awaiting_ihc');
+  });
+
+  // Sign out a reviewed case
+  fastify.post('/cases/:caseId/sign-out', { schema: { body: TRANSITION_BODY } }, async (request, reply) => {
+    return changeCaseStatus(request, reply, 'signed_out');
+  });
+
+  // Reopen a signed-out case to amend it
+  fastify.post('/cases/:caseId/reopen', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['reason'],
+        properties: {
+          reason: { type: 'string', minLength: 1, maxLength: 2000 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { caseId } = request.params;
+    const reason = request.body.reason.trim();
+    if (!reason) {
+      reply.code(400);
+      return { error: 'A reason is required to reopen a signed-out case' };
+    }
+
+    const reopenedBy = request.user?.userId || null;
+    const { caseRow, signout, error, currentStatus } = await reopenCase(caseId, { reopenedBy, reason });
+    if (error === 'not_found') {
+      reply.code(404);
+      return { error: 'Case not found' };
+    }
+    if (error === 'status_conflict') {
+      reply.code(409);
+      return { error: 'Only signed-out cases can be reopened', status: currentStatus };
+    }
+
+    request.audit = { details: { reason, amendment: signout ? signout.amendment : null } };
+
+    eventBus.emit('sse', {
+      event: 'case.status_changed',
+      data: {
+        caseId,
+        from: 'signed_out',
+        to: caseRow.status,
+        changedBy: reopenedBy,
+        reason,
+        timestamp: Date.now()
+      }
+    });
+
+    return formatCase(caseRow);
+  });
+
+  // Sign-outs of a case; intact tells whether the annotations still match
+  // the hash of the current sign-out
+  fastify.get('/cases/:caseId/sign-outs', async (request, reply) => {
+    const { caseId } = request.params;
+
+    const caseRecord = await getCase(caseId);
+    if (!caseRecord) {
+      reply.code(404);
+      return { error: 'Case not found' };
+    }
+
+    const signouts = await getCaseSignouts(caseId);
+
+    let currentHash = null;
+    let intact = null;
+    if (caseRecord.status === 'signed_out' && caseRecord.annotations_hash) {
+      currentHash = annotationsHash(await getCaseAnnotations(caseId));
+      intact = currentHash === caseRecord.annotations_hash;
+    }
+
+    return {
+      caseId,
+      status: caseRecord.status,
+      locked: caseRecord.status === 'signed_out',
+      annotationsHash: caseRecord.annotations_hash,
+      currentHash,
+      intact,
+      items: signouts.map(formatSignout)
+    };
+  });
+
+  // Status transition log of a case
+  fastify.get('/cases/:caseId/transitions', async (request, reply) => {
+    const { caseId } = request.params;
+
+    const caseRecord = await getCase(caseId);
+    if (!caseRecord) {
+      reply.code(404);
+      return { error: 'Case not found' };
+    }
+
+    const transitions = await getCaseTransitions(caseId);
+    return {
+      caseId,
+      status: caseRecord.status,
+      items: transitions.map(formatTransition)
     };
   });
 
@@ -136,6 +630,7 @@ export default async function casesRoutes(fastify) {
   }, async (request, reply) => {
     const { caseId } = request.params;
     const { slideId } = request.body;
+    request.audit = { slideId };
 
     // Verify case exists
     const caseRecord = await getCase(caseId);
@@ -143,6 +638,10 @@ export default async function casesRoutes(fastify) {
       reply.code(404);
       return { error: 'Case not found' };
     }
+    if (caseRecord.status === 'signed_out') {
+      reply.code(423);
+      return { error: 'Case is signed out; reopen it to change its slides' };
+    }
 
     // Verify slide exists
     const slide = await getSlide(slideId);
@@ -176,6 +675,74 @@ export default async function casesRoutes(fastify) {
     };
   });
 
+  // Set the specimen and block of a slide in the case by hand
+  fastify.patch('/cases/:caseId/slides/:slideId', {
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          specimen: { type: ['string', 'null'], pattern: '^[A-Za-z]{1,2}$' },
+          block: { type: ['string', 'null'], pattern: '^[0-9]{1,4}$' },
+          // Back to the specimen/block parsed from the slide label
+          auto: { type: 'boolean' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { caseId, slideId } = request.params;
+    const { specimen, block, auto } = request.body || {};
+
+    if (!auto && specimen === undefined && block === undefined) {
+      reply.code(400);
+      return { error: 'Provide specimen, block or auto' };
+    }
+
+    const caseRecord = await getCase(caseId);
+    if (!caseRecord) {
+      reply.code(404);
+      return { error: 'Case not found' };
+    }
+    if (caseRecord.status === 'signed_out') {
+      reply.code(423);
+      return { error: 'Case is signed out; reopen it to change its slides' };
+    }
+
+    const linked = caseRecord.slides.find(s => s.id === slideId);
+    if (!linked) {
+      reply.code(404);
+      return { error: 'Slide not linked to this case' };
+    }
+
+    // A partial edit keeps the other level as currently shown
+    const current = slideHierarchy(linked);
+    const link = await setCaseSlideHierarchy(caseId, slideId, auto
+      ? { manual: false }
+      : {
+        specimen: specimen === undefined ? current.specimen : specimen && specimen.toUpperCase(),
+        block: block === undefined ? current.block : block && String(parseInt(block, 10))
+      });
+    if (!link) {
+      reply.code(404);
+      return { error: 'Slide not linked to this case' };
+    }
+
+    const slide = formatCaseSlide({ ...linked, ...link });
+    request.audit = { slideId, details: { specimen: slide.specimen, block: slide.block, source: slide.hierarchySource } };
+
+    eventBus.emit('sse', {
+      event: 'case.slide_updated',
+      data: {
+        caseId,
+        slideId,
+        specimen: slide.specimen,
+        block: slide.block,
+        timestamp: Date.now()
+      }
+    });
+
+    return slide;
+  });
+
   // Unlink a slide from a case
   fastify.delete('/cases/:caseId/slides/:slideId', async (request, reply) => {
     const { caseId, slideId } = request.params;
@@ -186,6 +753,10 @@ export default async function casesRoutes(fastify) {
       reply.code(404);
       return { error: 'Case not found' };
     }
+    if (caseRecord.status === 'signed_out') {
+      reply.code(423);
+      return { error: 'Case is signed out; reopen it to change its slides' };
+    }
 
     const unlinked = await unlinkSlideFromCase(caseId, slideId);
     if (!unlinked) {
@@ -0,0 +1,160 @@
+/**
+ * Jobs Routes
+ *
+ * GET    /v1/jobs                 → list jobs (filters: status, type, slideId)
+ * GET    /v1/jobs/slots           → processor slots and the job each one is running
+ * GET    /v1/jobs/:jobId          → inspect one job (attempts, payload, timing)
+ * POST   /v1/jobs/:jobId/retry    → re-queue a failed job with a fresh attempt budget
+ * DELETE /v1/jobs/:jobId          → remove a job that is not running
+ */
+
+import { getJob, listJobs, resetJobForRetry, deleteJob, getSlide, updateSlide } from '../db/slides.js';
+import { JOB_TYPES, buildJobPayload, enqueueJob, removeQueuedJob, getWorkerStatuses } from '../lib/queue.js';
+
+const JOB_STATUSES = ['queued', 'running', 'done', 'failed'];
+
+const jobIdParams = {
+  type: 'object',
+  properties: {
+    jobId: { type: 'string', format: 'uuid' }
+  }
+};
+
+/**
+ * Map a jobs row to the API shape
+ */
+function formatJob(row) {
+  return {
+    jobId: row.id,
+    slideId: row.slide_id,
+    type: row.type,
+    status: row.status,
+    error: row.error,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    nextAttemptAt: row.next_attempt_at,
+    progress: row.progress,
+    payload: row.payload,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at
+  };
+}
+
+export default async function jobsRoutes(fastify) {
+  // GET /v1/jobs - List jobs
+  fastify.get('/jobs', {
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: JOB_STATUSES },
+          type: { type: 'string', enum: JOB_TYPES },
+          slideId: { type: 'string' },
+          limit: { type: 'integer', minimum: 1, maximum: 200, default: 50 },
+          offset: { type: 'integer', minimum: 0, default: 0 }
+        }
+      }
+    }
+  }, async (request) => {
+    const { status, type, slideId, limit, offset } = request.query;
+    const { total, jobs } = await listJobs({ status, type, slideId, limit, offset });
+
+    return {
+      total,
+      limit,
+      offset,
+      items: jobs.map(formatJob)
+    };
+  });
+
+  // GET /v1/jobs/slots - What each processor slot is doing
+  fastify.get('/jobs/slots', async () => {
+    const workers = await getWorkerStatuses();
+
+    const summary = {};
+    for (const type of JOB_TYPES) {
+      summary[type] = { slots: 0, busy: 0 };
+    }
+    for (const worker of workers.filter(w => !w.stale)) {
+      for (const slot of worker.slots) {
+        if (!summary[slot.type]) continue;
+        summary[slot.type].slots++;
+        if (slot.state === 'busy') summary[slot.type].busy++;
+      }
+    }
+
+    return { summary, items: workers };
+  });
+
+  // GET /v1/jobs/:jobId - Inspect a single job
+  fastify.get('/jobs/:jobId', {
+    schema: { params: jobIdParams }
+  }, async (request, reply) => {
+    const job = await getJob(request.params.jobId);
+    if (!job) {
+      reply.code(404);
+      return { error: 'Job not found' };
+    }
+    return formatJob(job);
+  });
+
+  // POST /v1/jobs/:jobId/retry - Re-queue a failed job
+  fastify.post('/jobs/:jobId/retry', {
+    schema: { params: jobIdParams }
+  }, async (request, reply) => {
+    const job = await getJob(request.params.jobId);
+    if (!job) {
+      reply.code(404);
+      return { error: 'Job not found' };
+    }
+
+    if (job.status !== 'failed') {
+      reply.code(409);
+      return { error: `Only failed jobs can be retried (job is ${job.status})` };
+    }
+
+    const slide = await getSlide(job.slide_id);
+    const payload = buildJobPayload(job, slide);
+    if (!payload) {
+      reply.code(409);
+      return { error: 'Job cannot be re-queued: slide or job payload is missing' };
+    }
+
+    const reset = await resetJobForRetry(job.id);
+    if (!reset) {
+      reply.code(409);
+      return { error: 'Job is no longer failed' };
+    }
+
+    if (job.type === 'TILEGEN') {
+      await updateSlide(job.slide_id, { tilegenStatus: 'queued' });
+    }
+    await enqueueJob(payload);
+
+    return formatJob(await getJob(job.id));
+  });
+
+  // DELETE /v1/jobs/:jobId - Remove a job that is not running
+  fastify.delete('/jobs/:jobId', {
+    schema: { params: jobIdParams }
+  }, async (request, reply) => {
+    const job = await getJob(request.params.jobId);
+    if (!job) {
+      reply.code(404);
+      return { error: 'Job not found' };
+    }
+
+    // Row first: a worker claiming the job concurrently drops it once the row is gone
+    const deleted = await deleteJob(job.id);
+    if (!deleted) {
+      reply.code(409);
+      return { error: 'Job is running and cannot be deleted' };
+    }
+
+    await removeQueuedJob(job.id, job.type);
+
+    return reply.code(204).send();
+  });
+}
@@ -2,28 +2,74 @@ import { createReadStream, createWriteStream } from 'fs';
 import { access, readFile, readdir, mkdir, rm } from 'fs/promises';
 import { join, extname } from 'path';
 import { pipeline } from 'stream/promises';
-import { listSlides, listUnlinkedSlides, getSlide, updateLevelReadyMax, findSlideByFilename, deleteSlide } from '../db/slides.js';
-import { findCaseByExternalRef, createCase, linkSlideToCase } from '../db/collaboration.js';
+import { listSlides, SLIDE_SORTS, listUnlinkedSlides, getSlide, updateLevelReadyMax, findSlideByFilename, deleteSlide, createJob, getLatestJob, setSlideStain, setSlideTags } from '../db/slides.js';
+import { findCaseByExternalRef, createCase, linkSlideToCase, getAnnotations, writeUnlessSlideLocked } from '../db/collaboration.js';
+import { listAnnotationClasses } from '../db/annotation-classes.js';
 import { query } from '../db/index.js';
-import { generateTile, getPendingCount } from '../services/tilegen-svs.js';
+import { generateTile, getPendingCount, isWSIFormat } from '../services/tilegen-svs.js';
 import { enqueueJob } from '../lib/queue.js';
+import { parseSort, searchTerms, encodeCursor, decodeCursor } from '../lib/list-query.js';
+import { STAIN_TYPES, normalizeStain, normalizeTags } from '../lib/stains.js';
+import { eventBus } from '../services/events.js';
+import { slidePyramid } from '../lib/iiif.js';
+import { dziDescriptor } from '../lib/dzi.js';
+import { slideMpp } from '../lib/annotation-measurements.js';
+import { planExtraction, regionOverlaySvg, regionCacheKey } from '../lib/region-extract.js';
+import { EXPORT_FORMATS, extractRegion } from '../services/region-render.js';
+import { getConfig } from '../lib/edge-config.js';
+import { isSuppressedImage } from '../lib/derived-access.js';
+import { slideLockedError } from '../lib/case-workflow.js';
 
 const DERIVED_DIR = process.env.DERIVED_DIR || '/data/derived';
 const TILES_HOT_DIR = process.env.TILES_HOT_DIR || '/data/tiles_hot';
 const INGEST_DIR = process.env.INGEST_DIR || '/data/inbox';
 const RAW_DIR = process.env.RAW_DIR || '/data/raw';
 
+// Largest width/height of a region export; larger ones are scaled down
+const REGION_MAX_PX = parseInt(process.env.REGION_MAX_PX || '8192', 10);
+
+const REGION_ERRORS = {
+  no_mpp: [400, 'Slide has no mpp calibration; use level instead'],
+  finer_than_scan: [400, 'Requested mpp is finer than the scan resolution'],
+  invalid_level: [400, 'Level is beyond the slide pyramid'],
+  outside_slide: [400, 'Region is outside the slide'],
+  no_raw: [409, 'Raw slide is not available on this edge'],
+  busy: [429, 'Too many region exports running; retry later']
+};
+
 // Supported upload formats
 const SUPPORTED_EXTENSIONS = ['.svs', '.tif', '.tiff', '.ndpi', '.mrxs', '.jpg', '.jpeg', '.png'];
 
-// WSI formats that use on-demand tile generation
-const WSI_FORMATS = ['svs', 'tiff', 'ndpi', 'mrxs'];
+// Values of the filterable status columns (see the migrations adding them)
+const SLIDE_STATUSES = ['queued', 'processing', 'ready', 'failed'];
+const TILEGEN_STATUSES = ['queued', 'running', 'done', 'failed'];
+const CLOUD_UPLOAD_STATUSES = ['uploading', 'done', 'failed'];
+const OCR_STATUSES = ['pending', 'done'];
 
 /**
- * Check if format is a WSI format (on-demand tiles)
+ * Stain of a slide row (see lib/stains.js), null when unknown
  */
-function isWSIFormat(format) {
-  return WSI_FORMATS.includes(format?.toLowerCase());
+function formatStain(s) {
+  if (!s.stain_type) return null;
+  return {
+    type: s.stain_type,
+    marker: s.stain_marker,
+    source: s.stain_source,
+    confidence: s.stain_confidence
+  };
+}
+
+function emitSlideUpdated(slide, changedBy) {
+  eventBus.emit('sse', {
+    event: 'slide.updated',
+    data: {
+      slideId: slide.id,
+      stain: formatStain(slide),
+      tags: slide.tags,
+      changedBy,
+      timestamp: Date.now()
+    }
+  });
 }
 
 /**
@@ -61,11 +107,145 @@ async function countTilesOnDisk(slideId) {
   return total;
 }
 
+/**
+ * Associated images the edge config lets through: label and macro photos
+ * are hidden for de-identified views
+ */
+function visibleAssociatedImages(images) {
+  const config = getConfig();
+  return images.filter(image => !isSuppressedImage(image.name, config));
+}
+
+/**
+ * Tile of a pyramid: hot cache, then persistent tiles, else generated on
+ * demand for WSI formats
+ */
+async function sendTile(request, reply) {
+  const { slideId, z, x, y } = request.params;
+  const hotTilePath = join(TILES_HOT_DIR, slideId, 'tiles', z, `${x}_${y}.jpg`);
+  const tilePath = join(DERIVED_DIR, slideId, 'tiles', z, `${x}_${y}.jpg`);
+
+  // Check hot tiles first (tmpfs, RAM-backed, fastest)
+  try {
+    await access(hotTilePath);
+    reply.header('Content-Type', 'image/jpeg');
+    reply.header('Cache-Control', 'public, max-age=31536000, immutable');
+    return createReadStream(hotTilePath);
+  } catch {
+    // Not in hot cache
+  }
+
+  // Check persistent tiles (bind mount)
+  try {
+    await access(tilePath);
+    reply.header('Content-Type', 'image/jpeg');
+    reply.header('Cache-Control', 'public, max-age=31536000, immutable');
+    return createReadStream(tilePath);
+  } catch {
+    // Tile doesn't exist - check if WSI format for on-demand generation
+  }
+
+  // Get slide info to check format
+  const slide = await getSlide(slideId);
+  if (!slide) {
+    reply.code(404);
+    return reply.send();
+  }
+
+  // Only generate on-demand for WSI formats
+  if (!isWSIFormat(slide.format)) {
+    reply.code(404);
+    return reply.send();
+  }
+
+  // Generate tile on-demand
+  try {
+    const result = await generateTile(slideId, parseInt(z), parseInt(x), parseInt(y));
+
+    if (result.exists || result.generated) {
+      reply.header('Content-Type', 'image/jpeg');
+      reply.header('Cache-Control', 'public, max-age=31536000, immutable');
+      return createReadStream(result.path);
+    }
+  } catch (err) {
+    console.error(`Tile generation failed: ${slideId}/${z}/${x}/${y}`, err.message);
+    reply.code(404);
+    return reply.send();
+  }
+
+  reply.code(404);
+  return reply.send();
+}
+
 export default async function slidesRoutes(fastify) {
-  // List all slides
-  fastify.get('/slides', async () => {
-    const slides = await listSlides();
+  // Search slides
+  fastify.get('/slides', {
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          q: { type: 'string', maxLength: 200 },
+          status: { type: 'string', enum: SLIDE_STATUSES },
+          format: { type: 'string' },
+          // "none" matches slides without one
+          tilegenStatus: { type: 'string', enum: [...TILEGEN_STATUSES, 'none'] },
+          cloudStatus: { type: 'string', enum: [...CLOUD_UPLOAD_STATUSES, 'none'] },
+          ocrStatus: { type: 'string', enum: [...OCR_STATUSES, 'none'] },
+          stain: { type: 'string', enum: [...STAIN_TYPES, 'none'] },
+          marker: { type: 'string', maxLength: 100 },
+          // Comma-separated; slides must have every tag
+          tag: { type: 'string', maxLength: 500 },
+          from: { type: 'string', format: 'date-time' },
+          to: { type: 'string', format: 'date-time' },
+          linked: { type: 'boolean' },
+          sort: { type: 'string', enum: Object.keys(SLIDE_SORTS).flatMap(f => [f, `-${f}`]), default: '-createdAt' },
+          cursor: { type: 'string' },
+          limit: { type: 'integer', minimum: 1, maximum: 200, default: 50 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { q, status, format, tilegenStatus, cloudStatus, ocrStatus, stain, marker, tag, from, to, linked, cursor, limit } = request.query;
+
+    let tags = [];
+    try {
+      tags = tag ? normalizeTags(tag.split(',')) : [];
+    } catch (err) {
+      reply.code(400);
+      return { error: err.message };
+    }
+
+    const sort = parseSort(request.query.sort, SLIDE_SORTS);
+    const after = cursor ? decodeCursor(cursor, sort) : null;
+    if (cursor && !after) {
+      reply.code(400);
+      return { error: 'Invalid cursor for this sort' };
+    }
+
+    const { total, slides, hasMore } = await listSlides({
+      terms: searchTerms(q),
+      status,
+      format,
+      tilegenStatus,
+      cloudUploadStatus: cloudStatus,
+      ocrStatus,
+      stain,
+      marker,
+      tags,
+      from,
+      to,
+      linked,
+      sort,
+      after,
+      limit
+    });
+    const last = slides[slides.length - 1];
+
     return {
+      total,
+      limit,
+      sort: sort.name,
+      nextCursor: hasMore ? encodeCursor(sort, last.sort_key, last.id) : null,
       items: slides.map(s => ({
         slideId: s.id,
         originalFilename: s.original_filename,
@@ -79,6 +259,15 @@ export default async function slidesRoutes(fastify) {
         onDemand: isWSIFormat(s.format),
         appMag: s.app_mag || null,    // Native scan magnification
         mpp: s.mpp || null,            // Microns per pixel
+        externalCaseBase: s.external_case_base,
+        slideLabel: s.external_slide_label,
+        barcode: s.scanner_barcode,
+        tilegenStatus: s.tilegen_status,
+        cloudStatus: s.cloud_upload_status,
+        ocrStatus: s.ocr_status,
+        stain: formatStain(s),
+        tags: s.tags,
+        linked: s.linked,
         createdAt: s.created_at
       }))
     };
@@ -130,10 +319,14 @@ export default async function slidesRoutes(fastify) {
       caseRecord = await createCase({ title, externalRef: normalizedBase });
       // createCase returns a flat row, wrap slides
       caseRecord = { ...caseRecord, slides: [] };
+    } else if (caseRecord.status === 'signed_out') {
+      reply.code(423);
+      return { error: 'Case is signed out; reopen it to change its slides', caseId: caseRecord.case_id };
     }
 
     // Link slide to case
     await linkSlideToCase(caseRecord.case_id, slideId);
+    request.audit = { resourceId: caseRecord.case_id, caseId: caseRecord.case_id };
 
     // Update slide external fields
     await query(
@@ -175,15 +368,32 @@ export default async function slidesRoutes(fastify) {
       previewPublished = false;
     }
 
-    // Determine processing stage
+    // Determine processing stage. progress is the measured completion of the
+    // current stage (TILEGEN tiles, upload bytes/tiles), null when not measurable.
+    const tilegenJob = await getLatestJob(slide.id, 'TILEGEN');
+    const tilegenProgress = tilegenJob?.progress?.tilegen || null;
+    const uploadProgress = tilegenJob?.progress?.upload || null;
+
     let stage = 'queued';
     let message = 'Na fila de processamento...';
-    let progress = 10;
+    let progress = 0;
 
-    if (slide.status === 'processing') {
+    if (slide.status === 'failed') {
+      stage = 'failed';
+      message = 'Erro no processamento';
+      progress = 0;
+    } else if (slide.tilegen_status === 'running') {
+      stage = 'tilegen';
+      message = 'Gerando pirâmide de tiles...';
+      progress = tilegenProgress?.percent ?? null;
+    } else if (slide.cloud_upload_status === 'uploading') {
+      stage = 'uploading';
+      message = 'Enviando tiles para a nuvem...';
+      progress = uploadProgress?.percent ?? null;
+    } else if (slide.status === 'processing') {
       stage = 'processing';
       message = 'Extraindo metadados e gerando thumbnail...';
-      progress = 50;
+      progress = null;
     } else if (slide.status === 'ready') {
       if (previewPublished) {
         stage = 'ready';
@@ -193,12 +403,8 @@ export default async function slidesRoutes(fastify) {
         // Slide is ready but preview not yet published
         stage = 'publishing';
         message = 'Publicando preview remoto...';
-        progress = 80;
+        progress = null;
       }
-    } else if (slide.status === 'failed') {
-      stage = 'failed';
-      message = 'Erro no processamento';
-      progress = 0;
     }
 
     return {
@@ -209,6 +415,23 @@ export default async function slidesRoutes(fastify) {
       stage,
       message,
       progress,
+      tilegen: tilegenJob ? {
+        status: slide.tilegen_status,
+        percent: tilegenProgress?.percent ?? null,
+        tilesDone: tilegenProgress?.tilesDone ?? null,
+        tilesTotal: tilegenProgress?.tilesTotal ?? null,
+        updatedAt: tilegenProgress?.updatedAt ?? null
+      } : null,
+      upload: uploadProgress ? {
+        status: slide.cloud_upload_status,
+        mode: uploadProgress.mode,
+        percent: uploadProgress.percent ?? null,
+        bytesDone: uploadProgress.bytesDone ?? null,
+        bytesTotal: uploadProgress.bytesTotal ?? null,
+        tilesDone: uploadProgress.tilesDone ?? null,
+        tilesTotal: uploadProgress.tilesTotal ?? null,
+        updatedAt: uploadProgress.updatedAt ?? null
+      } : null,
       width: slide.width || 0,
       height: slide.height || 0,
       format: slide.format,
@@ -232,6 +455,8 @@ export default async function slidesRoutes(fastify) {
       return { error: `Unsupported file format: ${ext}. Supported: ${SUPPORTED_EXTENSIONS.join(', ')}` };
     }
 
+    request.audit = { details: { filename } };
+
     // Ensure inbox directory exists
     await mkdir(INGEST_DIR, { recursive: true });
 
@@ -260,8 +485,8 @@ export default async function slidesRoutes(fastify) {
     const manifestPath = join(DERIVED_DIR, slideId, 'manifest.json');
 
     try {
-      await access(manifestPath);
-      const manifest = await readFile(manifestPath, 'utf8');
+      const manifest = JSON.parse(await readFile(manifestPath, 'utf8'));
+      if (manifest.associatedImages) manifest.associatedImages = visibleAssociatedImages(manifest.associatedImages);
       reply.header('Content-Type', 'application/json');
       reply.header('Cache-Control', 'public, max-age=3600');
       return manifest;
@@ -287,63 +512,88 @@ export default async function slidesRoutes(fastify) {
     }
   });
 
-  // Get tile (with on-demand generation for WSI formats)
-  fastify.get('/slides/:slideId/tiles/:z/:x/:y.jpg', async (request, reply) => {
-    const { slideId, z, x, y } = request.params;
-    const hotTilePath = join(TILES_HOT_DIR, slideId, 'tiles', z, `${x}_${y}.jpg`);
-    const tilePath = join(DERIVED_DIR, slideId, 'tiles', z, `${x}_${y}.jpg`);
+  // Get the properties OpenSlide read from the slide at P0 (scanner, scan
+  // date, objective, focus, levels and every vendor key under raw)
+  fastify.get('/slides/:slideId/properties', async (request, reply) => {
+    const { slideId } = request.params;
+    const slide = await getSlide(slideId);
+
+    if (!slide) {
+      reply.code(404);
+      return { error: 'Slide not found' };
+    }
+    if (!slide.properties) {
+      reply.code(404);
+      return { error: 'No properties for this slide (not a WSI, or processed before they were stored)' };
+    }
+
+    return { slideId: slide.id, ...slide.properties };
+  });
 
-    // Check hot tiles first (tmpfs, RAM-backed, fastest)
+  // Get an associated image (label, macro...) extracted at P0
+  fastify.get('/slides/:slideId/associated/:name', {
+    schema: {
+      params: {
+        type: 'object',
+        properties: {
+          slideId: { type: 'string' },
+          name: { type: 'string', pattern: '^[A-Za-z0-9_-]+$' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { slideId, name } = request.params;
+    request.audit = { details: { name } };
+
+    let path = null;
     try {
-      await access(hotTilePath);
-      reply.header('Content-Type', 'image/jpeg');
-      reply.header('Cache-Control', 'public, max-age=31536000, immutable');
-      return createReadStream(hotTilePath);
+      const manifest = JSON.parse(await readFile(join(DERIVED_DIR, slideId, 'manifest.json'), 'utf8'));
+      if (visibleAssociatedImages(manifest.associatedImages || []).some(image => image.name === name)) {
+        path = join(DERIVED_DIR, slideId, 'associated', `${name}.jpg`);
+      }
     } catch {
-      // Not in hot cache
+      // Not processed yet
+    }
+
+    // Motic scanners keep the label photo next to the slide (.dsmeta)
+    if (!path && name === 'label' && !isSuppressedImage(name, getConfig())) {
+      const slide = await getSlide(slideId);
+      if (slide?.dsmeta_path) path = join(slide.dsmeta_path, 'label.jpg');
     }
 
-    // Check persistent tiles (bind mount)
     try {
-      await access(tilePath);
+      await access(path);
       reply.header('Content-Type', 'image/jpeg');
-      reply.header('Cache-Control', 'public, max-age=31536000, immutable');
-      return createReadStream(tilePath);
+      reply.header('Cache-Control', 'private, max-age=3600');
+      return createReadStream(path);
     } catch {
-      // Tile doesn't exist - check if WSI format for on-demand generation
+      reply.code(404);
+      return { error: 'Associated image not found' };
     }
+  });
 
-    // Get slide info to check format
-    const slide = await getSlide(slideId);
+  // DZI descriptor (OpenSeadragon and other DeepZoom viewers)
+  fastify.get('/slides/:slideId.dzi', async (request, reply) => {
+    const slide = await getSlide(request.params.slideId);
     if (!slide) {
       reply.code(404);
-      return reply.send();
+      return { error: 'Slide not found' };
     }
-
-    // Only generate on-demand for WSI formats
-    if (!isWSIFormat(slide.format)) {
+    if (slide.status !== 'ready' || slide.width === null || slide.max_level === null) {
       reply.code(404);
-      return reply.send();
+      return { error: 'Slide is not processed yet' };
     }
 
-    // Generate tile on-demand
-    try {
-      const result = await generateTile(slideId, parseInt(z), parseInt(x), parseInt(y));
+    reply.header('Content-Type', 'application/xml; charset=utf-8');
+    reply.header('Cache-Control', 'public, max-age=3600');
+    return dziDescriptor(slidePyramid(slide));
+  });
 
-      if (result.exists || result.generated) {
-        reply.header('Content-Type', 'image/jpeg');
-        reply.header('Cache-Control', 'public, max-age=31536000, immutable');
-        return createReadStream(result.path);
-      }
-    } catch (err) {
-      console.error(`Tile generation failed: ${slideId}/${z}/${x}/${y}`, err.message);
-      reply.code(404);
-      return reply.send();
-    }
+  // Get tile (with on-demand generation for WSI formats)
+  fastify.get('/slides/:slideId/tiles/:z/:x/:y.jpg', sendTile);
 
-    reply.code(404);
-    return reply.send();
-  });
+  // Same tiles at the path DZI viewers derive from the .dzi URL
+  fastify.get('/slides/:slideId(^[0-9a-f]+)_files/:z/:x(^\\d+)_:y(^\\d+).jpg', sendTile);
 
   // Get slide info
   fastify.get('/slides/:slideId', async (request, reply) => {
@@ -366,11 +616,234 @@ export default async function slidesRoutes(fastify) {
       levelMax: slide.max_level,
       levelReadyMax: slide.level_ready_max || 0,
       tileSize: slide.tile_size,
+      mpp: slideMpp(slide),
+      scanner: slide.properties?.scanner ?? null,
       onDemand: isWSIFormat(slide.format),
+      stain: formatStain(slide),
+      tags: slide.tags,
       createdAt: slide.created_at
     };
   });
 
+  // Set the stain (by hand: overrides classifier and OCR) and/or replace the tags
+  fastify.patch('/slides/:slideId', {
+    schema: {
+      body: {
+        type: 'object',
+        minProperties: 1,
+        additionalProperties: false,
+        properties: {
+          // null clears it
+          stain: {
+            type: ['object', 'null'],
+            additionalProperties: false,
+            properties: {
+              type: { type: 'string', enum: STAIN_TYPES },
+              marker: { type: ['string', 'null'], maxLength: 100 }
+            }
+          },
+          tags: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { slideId } = request.params;
+    const { stain, tags } = request.body;
+
+    let normalizedStain = null;
+    let normalizedTags;
+    try {
+      normalizedTags = tags !== undefined ? normalizeTags(tags) : undefined;
+    } catch (err) {
+      reply.code(400);
+      return { error: err.message };
+    }
+    if (stain) {
+      normalizedStain = normalizeStain(stain);
+      if (!normalizedStain) {
+        reply.code(400);
+        return { error: stain.marker ? `Unknown marker "${stain.marker}"; give its stain type` : 'Stain needs a type or a known marker' };
+      }
+    }
+
+    let slide = await getSlide(slideId);
+    if (!slide) {
+      reply.code(404);
+      return { error: 'Slide not found' };
+    }
+
+    if (stain !== undefined) {
+      slide = await setSlideStain(slideId, {
+        type: normalizedStain ? normalizedStain.type : null,
+        marker: normalizedStain?.marker,
+        source: 'manual'
+      });
+    }
+    if (normalizedTags !== undefined) {
+      slide = await setSlideTags(slideId, normalizedTags);
+    }
+
+    const details = {};
+    if (stain !== undefined) details.stain = normalizedStain;
+    if (normalizedTags !== undefined) details.tags = normalizedTags;
+    request.audit = { resourceId: slideId, slideId, details };
+    emitSlideUpdated(slide, request.user?.userId || null);
+
+    return { slideId, stain: formatStain(slide), tags: slide.tags };
+  });
+
+  // Add tags to a slide
+  fastify.post('/slides/:slideId/tags', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['tags'],
+        properties: {
+          tags: { type: 'array', minItems: 1, items: { type: 'string' } }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { slideId } = request.params;
+
+    const slide = await getSlide(slideId);
+    if (!slide) {
+      reply.code(404);
+      return { error: 'Slide not found' };
+    }
+
+    let tags;
+    try {
+      tags = normalizeTags([...slide.tags, ...request.body.tags]);
+    } catch (err) {
+      reply.code(400);
+      return { error: err.message };
+    }
+
+    const updated = await setSlideTags(slideId, tags);
+    request.audit = { resourceId: slideId, slideId, details: { tags: request.body.tags } };
+    emitSlideUpdated(updated, request.user?.userId || null);
+
+    return { slideId, tags: updated.tags };
+  });
+
+  // Remove a tag from a slide
+  fastify.delete('/slides/:slideId/tags/:tag', async (request, reply) => {
+    const { slideId } = request.params;
+    const tag = request.params.tag.trim().replace(/\s+/g, ' ').toLowerCase();
+
+    const slide = await getSlide(slideId);
+    if (!slide) {
+      reply.code(404);
+      return { error: 'Slide not found' };
+    }
+    if (!slide.tags.includes(tag)) {
+      reply.code(404);
+      return { error: 'Tag not found' };
+    }
+
+    const updated = await setSlideTags(slideId, slide.tags.filter(t => t !== tag));
+    request.audit = { resourceId: slideId, slideId, details: { tag } };
+    emitSlideUpdated(updated, request.user?.userId || null);
+
+    return { slideId, tags: updated.tags };
+  });
+
+  // Export a region at a physical resolution, read from the raw slide
+  fastify.get('/slides/:slideId/region', {
+    schema: {
+      querystring: {
+        type: 'object',
+        required: ['x', 'y', 'w', 'h'],
+        properties: {
+          // Full-resolution pixels, like annotation geometry
+          x: { type: 'integer', minimum: 0 },
+          y: { type: 'integer', minimum: 0 },
+          w: { type: 'integer', minimum: 1 },
+          h: { type: 'integer', minimum: 1 },
+          // Target resolution, or a pyramid level like the tile API; neither is full resolution
+          mpp: { type: 'number', exclusiveMinimum: 0 },
+          level: { type: 'integer', minimum: 0 },
+          format: { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'jpeg' },
+          annotations: { type: 'boolean', default: false },
+          scaleBar: { type: 'boolean', default: false }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { slideId } = request.params;
+    const { x, y, w, h, mpp, level, format, annotations, scaleBar } = request.query;
+    if (mpp !== undefined && level !== undefined) {
+      reply.code(400);
+      return { error: 'Use either mpp or level' };
+    }
+
+    const slide = await getSlide(slideId);
+    if (!slide) {
+      reply.code(404);
+      return { error: 'Slide not found' };
+    }
+    if (slide.status !== 'ready' || slide.width === null || slide.max_level === null) {
+      reply.code(404);
+      return { error: 'Slide is not processed yet' };
+    }
+
+    const { plan, error } = planExtraction(
+      { width: slide.width, height: slide.height, levelMax: slide.max_level, mpp: slideMpp(slide) },
+      { x, y, width: w, height: h },
+      { mpp: mpp ?? null, level: level ?? null, maxPx: REGION_MAX_PX }
+    );
+    if (error) {
+      const [code, message] = REGION_ERRORS[error];
+      reply.code(code);
+      return { error: message };
+    }
+
+    let overlay = null;
+    if (annotations || scaleBar) {
+      const { region } = plan;
+      const inside = annotations
+        ? await getAnnotations(slideId, null, {
+          bbox: { minX: region.x, minY: region.y, maxX: region.x + region.width, maxY: region.y + region.height }
+        })
+        : [];
+      const classes = inside.length > 0 ? await listAnnotationClasses({ includeArchived: true }) : [];
+      overlay = regionOverlaySvg(plan, {
+        annotations: inside,
+        classColors: Object.fromEntries(classes.map(c => [c.class_id, c.color])),
+        scaleBar
+      });
+    }
+
+    const { extension, contentType } = EXPORT_FORMATS[format];
+    const path = join(DERIVED_DIR, slideId, 'regions', `${regionCacheKey(plan, format, overlay)}.${extension}`);
+    request.audit = {
+      details: { ...plan.region, mpp: plan.mpp, format, annotations, scaleBar }
+    };
+
+    try {
+      const exported = await extractRegion(slide, plan, path, { format, overlay });
+      if (exported.error) {
+        const [code, message] = REGION_ERRORS[exported.error];
+        if (exported.error === 'busy') reply.header('Retry-After', '5');
+        reply.code(code);
+        return { error: message };
+      }
+    } catch (err) {
+      console.error(`Region export failed: ${slideId}`, err.message);
+      reply.code(500);
+      return { error: 'Failed to export region' };
+    }
+
+    const { region } = plan;
+    reply.header('Content-Type', contentType);
+    reply.header('Content-Disposition',
+      `inline; filename="${slideId.slice(0, 12)}_${region.x}_${region.y}_${region.width}x${region.height}.${extension}"`);
+    reply.header('X-Region-Downsample', String(plan.downsample));
+    if (plan.mpp) reply.header('X-Region-Mpp', String(plan.mpp));
+    return createReadStream(path);
+  });
+
   // Get slide availability (tile readiness info)
   fastify.get('/slides/:slideId/availability', async (request, reply) => {
     const { slideId } = request.params;
@@ -420,8 +893,12 @@ export default async function slidesRoutes(fastify) {
   fastify.delete('/slides/:slideId', async (request, reply) => {
     const { slideId } = request.params;
 
-    // Delete from database first
-    const result = await deleteSlide(slideId);
+    // Delete from database first; a slide of a signed-out case stays
+    const { lock, result } = await writeUnlessSlideLocked(slideId, () => deleteSlide(slideId));
+    if (lock) {
+      reply.code(423);
+      return slideLockedError(lock);
+    }
 
     if (!result.deleted) {
       reply.code(404);
@@ -452,7 +929,10 @@ export default async function slidesRoutes(fastify) {
     // Queue Wasabi cleanup job (async, non-blocking)
     const queueCleanup = async () => {
       try {
+        const job = await createJob({ slideId, type: 'CLEANUP' });
+        if (!job) return;
         await enqueueJob({
+          jobId: job.id,
           type: 'CLEANUP',
           slideId: slideId
         });
@@ -1,8 +1,18 @@
 /**
  * Sync Status Routes
+ *
+ * GET    /v1/sync/status                          → push/pull status and outbox counts
+ * GET    /v1/sync/pending                         → pending outbox events
+ * GET    /v1/sync/events/:eventId                 → inspect one outbox event (retry state included)
+ * GET    /v1/sync/dead-letter                     → dead-lettered events
+ * POST   /v1/sync/dead-letter/replay              → replay all (or body.eventIds) dead-lettered events
+ * POST   /v1/sync/dead-letter/:eventId/replay     → replay one dead-lettered event
+ * DELETE /v1/sync/dead-letter/:eventId            → discard one dead-lettered event
  */
 
 import { getPool } from '../db/index.js';
+import { listSyncCursors } from '../db/collaboration.js';
+import { getSyncPullState } from '../services/sync-pull.js';
 
 const CLOUD_SYNC_URL = process.env.CLOUD_SYNC_URL || 'http://mock-cloud:4000';
 
@@ -14,10 +24,16 @@ async function getSyncStatus() {
 
   // Get pending count
   const pendingResult = await pool.query(
-    'SELECT COUNT(*) as count FROM outbox_events WHERE synced_at IS NULL'
+    'SELECT COUNT(*) as count FROM outbox_events WHERE synced_at IS NULL AND dead_lettered_at IS NULL'
   );
   const pendingCount = parseInt(pendingResult.rows[0].count, 10);
 
+  // Get dead-letter count
+  const deadLetterResult = await pool.query(
+    'SELECT COUNT(*) as count FROM outbox_events WHERE dead_lettered_at IS NOT NULL'
+  );
+  const deadLetterCount = parseInt(deadLetterResult.rows[0].count, 10);
+
   // Get synced count
   const syncedResult = await pool.query(
     'SELECT COUNT(*) as count FROM outbox_events WHERE synced_at IS NOT NULL'
@@ -32,7 +48,7 @@ async function getSyncStatus() {
 
   // Get oldest pending event
   const oldestPendingResult = await pool.query(
-    'SELECT created_at FROM outbox_events WHERE synced_at IS NULL ORDER BY created_at ASC LIMIT 1'
+    'SELECT created_at FROM outbox_events WHERE synced_at IS NULL AND dead_lettered_at IS NULL ORDER BY created_at ASC LIMIT 1'
   );
   const oldestPendingAt = oldestPendingResult.rows[0]?.created_at || null;
 
@@ -48,14 +64,47 @@ async function getSyncStatus() {
     cloudReachable = false;
   }
 
+  // Pull side (cloud -> edge)
+  const cursors = await listSyncCursors();
+
   return {
     cloudReachable,
     cloudUrl: CLOUD_SYNC_URL,
     pendingCount,
     syncedCount,
-    totalCount: pendingCount + syncedCount,
+    deadLetterCount,
+    totalCount: pendingCount + syncedCount + deadLetterCount,
     lastSyncedAt,
-    oldestPendingAt
+    oldestPendingAt,
+    pull: {
+      ...getSyncPullState(),
+      cursors: cursors.map(c => ({
+        entityType: c.entity_type,
+        since: c.since,
+        pulledCount: c.pulled_count,
+        updatedAt: c.updated_at
+      }))
+    }
+  };
+}
+
+/**
+ * Map an outbox row to the API shape
+ */
+function formatEvent(row) {
+  return {
+    eventId: row.event_id,
+    entityType: row.entity_type,
+    entityId: row.entity_id,
+    op: row.op,
+    payload: row.payload,
+    createdAt: row.created_at,
+    syncedAt: row.synced_at,
+    attempts: row.attempts,
+    lastError: row.last_error,
+    lastAttemptAt: row.last_attempt_at,
+    nextAttemptAt: row.next_attempt_at,
+    deadLetteredAt: row.dead_lettered_at
   };
 }
 
@@ -66,22 +115,91 @@ async function getPendingEvents(limit = 50, offset = 0) {
   const pool = getPool();
 
   const result = await pool.query(
-    `SELECT event_id, entity_type, entity_id, op, payload, created_at
+    `SELECT *
      FROM outbox_events
-     WHERE synced_at IS NULL
+     WHERE synced_at IS NULL AND dead_lettered_at IS NULL
      ORDER BY created_at ASC
      LIMIT $1 OFFSET $2`,
     [limit, offset]
   );
 
-  return result.rows.map(row => ({
-    eventId: row.event_id,
-    entityType: row.entity_type,
-    entityId: row.entity_id,
-    op: row.op,
-    payload: row.payload,
-    createdAt: row.created_at
-  }));
+  return result.rows.map(formatEvent);
+}
+
+/**
+ * Get dead-lettered outbox events (optionally filtered by entity type)
+ */
+async function getDeadLetterEvents(limit = 50, offset = 0, entityType = null) {
+  const pool = getPool();
+
+  const params = [limit, offset];
+  let filter = '';
+  if (entityType) {
+    params.push(entityType);
+    filter = 'AND entity_type = $3';
+  }
+
+  const result = await pool.query(
+    `SELECT *
+     FROM outbox_events
+     WHERE dead_lettered_at IS NOT NULL ${filter}
+     ORDER BY dead_lettered_at DESC
+     LIMIT $1 OFFSET $2`,
+    params
+  );
+
+  const countResult = await pool.query(
+    `SELECT COUNT(*) as count FROM outbox_events
+     WHERE dead_lettered_at IS NOT NULL ${entityType ? 'AND entity_type = $1' : ''}`,
+    entityType ? [entityType] : []
+  );
+
+  return {
+    total: parseInt(countResult.rows[0].count, 10),
+    items: result.rows.map(formatEvent)
+  };
+}
+
+/**
+ * Get a single outbox event
+ */
+async function getEvent(eventId) {
+  const result = await getPool().query(
+    'SELECT * FROM outbox_events WHERE event_id = $1',
+    [eventId]
+  );
+  return result.rows[0] ? formatEvent(result.rows[0]) : null;
+}
+
+/**
+ * Put dead-lettered events back in the pending queue with a fresh attempt
+ * budget. With no eventIds, replays every dead-lettered event.
+ */
+async function replayDeadLetterEvents(eventIds = null) {
+  const result = await getPool().query(
+    `UPDATE outbox_events
+     SET dead_lettered_at = NULL,
+         attempts = 0,
+         next_attempt_at = NULL
+     WHERE dead_lettered_at IS NOT NULL
+       AND ($1::TEXT[] IS NULL OR event_id = ANY($1))
+     RETURNING event_id`,
+    [eventIds]
+  );
+  return result.rows.map(r => r.event_id);
+}
+
+/**
+ * Permanently discard a dead-lettered event
+ */
+async function discardDeadLetterEvent(eventId) {
+  const result = await getPool().query(
+    `DELETE FROM outbox_events
+     WHERE event_id = $1 AND dead_lettered_at IS NOT NULL
+     RETURNING event_id`,
+    [eventId]
+  );
+  return result.rows.length > 0;
 }
 
 export default async function syncRoutes(app) {
@@ -116,4 +234,65 @@ export default async function syncRoutes(app) {
       return reply.code(500).send({ error: 'Failed to list pending events' });
     }
   });
+
+  // GET /v1/sync/events/:eventId - Inspect a single outbox event
+  app.get('/sync/events/:eventId', async (request, reply) => {
+    const event = await getEvent(request.params.eventId);
+    if (!event) {
+      return reply.code(404).send({ error: 'Event not found' });
+    }
+    return event;
+  });
+
+  // GET /v1/sync/dead-letter - List dead-lettered events
+  app.get('/sync/dead-letter', async (request, reply) => {
+    try {
+      const limit = Math.min(parseInt(request.query.limit) || 50, 200);
+      const offset = parseInt(request.query.offset) || 0;
+      const entityType = request.query.entityType || null;
+
+      const { total, items } = await getDeadLetterEvents(limit, offset, entityType);
+
+      return { total, limit, offset, items };
+    } catch (err) {
+      request.log.error({ err }, 'Failed to list dead-lettered events');
+      return reply.code(500).send({ error: 'Failed to list dead-lettered events' });
+    }
+  });
+
+  // POST /v1/sync/dead-letter/replay - Replay all (or selected) dead-lettered events
+  app.post('/sync/dead-letter/replay', {
+    schema: {
+      body: {
+        type: 'object',
+        nullable: true,
+        properties: {
+          eventIds: { type: 'array', items: { type: 'string' }, minItems: 1 }
+        }
+      }
+    }
+  }, async (request) => {
+    const eventIds = request.body?.eventIds || null;
+    const replayed = await replayDeadLetterEvents(eventIds);
+    return { replayed: replayed.length, eventIds: replayed };
+  });
+
+  // POST /v1/sync/dead-letter/:eventId/replay - Replay one dead-lettered event
+  app.post('/sync/dead-letter/:eventId/replay', async (request, reply) => {
+    const { eventId } = request.params;
+    const replayed = await replayDeadLetterEvents([eventId]);
+    if (replayed.length === 0) {
+      return reply.code(404).send({ error: 'Dead-lettered event not found' });
+    }
+    return getEvent(eventId);
+  });
+
+  // DELETE /v1/sync/dead-letter/:eventId - Discard one dead-lettered event
+  app.delete('/sync/dead-letter/:eventId', async (request, reply) => {
+    const discarded = await discardDeadLetterEvent(request.params.eventId);
+    if (!discarded) {
+      return reply.code(404).send({ error: 'Dead-lettered event not found' });
+    }
+    return reply.code(204).send();
+  });
 }
@@ -1,22 +1,236 @@
 /**
  * Threads & Messages API Routes
  * Local-first discussion threads
+ *
+ * GET    /v1/slides/:slideId/threads         → list threads (?status=open|resolved)
+ * POST   /v1/slides/:slideId/threads         → create a thread
+ * POST   /v1/threads/:threadId/resolve       → mark a thread resolved
+ * POST   /v1/threads/:threadId/reopen        → reopen a resolved thread
+ * GET    /v1/threads/:threadId/messages      → list messages (?since=)
+ * POST   /v1/threads/:threadId/messages      → post a message
+ * PATCH  /v1/messages/:messageId             → edit a message's text
+ * DELETE /v1/messages/:messageId             → soft delete a message
+ * GET    /v1/messages/:messageId/history     → previous texts of a message
+ * GET    /v1/messages/:messageId/attachments/:n → region snapshot (JPEG)
+ *
+ * Messages can only be edited or deleted by their author (or an admin).
+ * "@<authorId>" in a message's text is stored in its mentions.
+ *
+ * A message can carry an `attachment` region of the thread's slide
+ * ({ x, y, width, height } in full-resolution pixels, plus the pyramid
+ * level): it is rendered from the tiles when the message is posted
+ * (services/region-render.js) and stored under the slide's derived dir.
+ *
+ * Threads of a slide belonging to a signed-out case are frozen: creating,
+ * resolving or reopening threads and posting, editing or deleting messages
+ * return 423 until the case is reopened (routes/cases.js).
  */
 
+import { createReadStream } from 'fs';
+import { access, readFile, rm } from 'fs/promises';
+import { join } from 'path';
+import { randomUUID } from 'crypto';
+
 import {
   createThread,
   getThreads,
   getThread,
+  setThreadStatus,
   createMessage,
-  getMessages
+  getMessage,
+  getMessages,
+  findMessageByIdempotencyKey,
+  updateMessage,
+  deleteMessage,
+  getMessageEdits,
+  getMessageAttachments,
+  getMessageAttachment,
+  getSlideLock,
+  writeUnlessSlideLocked
 } from '../db/collaboration.js';
 import { getSlide } from '../db/slides.js';
 import { eventBus } from '../services/events.js';
+import { renderRegion } from '../services/region-render.js';
+import { getAuthorId } from '../lib/auth.js';
+import { slideLockedError } from '../lib/case-workflow.js';
+
+const DERIVED_DIR = process.env.DERIVED_DIR || '/data/derived';
+
+// Largest width/height of a rendered attachment, in pixels at its level
+const ATTACHMENT_MAX_PX = parseInt(process.env.MESSAGE_ATTACHMENT_MAX_PX || '2048', 10);
+
+const ATTACHMENT_ERRORS = {
+  no_manifest: [409, 'Slide tiles are not available yet'],
+  invalid_level: [400, 'Invalid attachment level for this slide'],
+  outside_slide: [400, 'Attachment region is outside the slide'],
+  too_large: [400, `Attachment is larger than ${ATTACHMENT_MAX_PX}px at this level; use a lower level`]
+};
+
+function formatThread(t) {
+  return {
+    threadId: t.thread_id,
+    slideId: t.slide_id,
+    title: t.title,
+    anchorType: t.anchor_type,
+    anchorId: t.anchor_id,
+    status: t.status,
+    resolvedBy: t.resolved_by,
+    resolvedAt: t.resolved_at,
+    createdAt: t.created_at,
+    updatedAt: t.updated_at
+  };
+}
+
+function formatAttachment(a) {
+  return {
+    n: a.n,
+    url: `/v1/messages/${a.message_id}/attachments/${a.n}`,
+    region: { x: a.x, y: a.y, width: a.width, height: a.height, level: a.level },
+    width: a.image_width,
+    height: a.image_height,
+    bytes: a.bytes
+  };
+}
+
+/**
+ * Deleted messages keep their place in the thread without their text or
+ * attachments
+ */
+function formatMessage(m, attachments = []) {
+  const deleted = m.deleted_at !== null;
+  return {
+    messageId: m.message_id,
+    threadId: m.thread_id,
+    authorId: m.author_id,
+    text: deleted ? null : m.text,
+    mentions: deleted ? [] : m.mentions,
+    attachments: deleted ? [] : attachments.map(formatAttachment),
+    version: m.version,
+    edited: m.edited_at !== null,
+    editedAt: m.edited_at,
+    deleted,
+    deletedAt: m.deleted_at,
+    deletedBy: m.deleted_by,
+    createdAt: m.created_at,
+    updatedAt: m.updated_at
+  };
+}
+
+/**
+ * Who made a change (null with auth disabled)
+ */
+function changedByOf(request) {
+  return request.user ? getAuthorId(request.user) : null;
+}
+
+/**
+ * Only the author of a message (or an admin) may edit or delete it.
+ * With auth disabled there is no identity to check.
+ */
+function canModifyMessage(request, message) {
+  if (!request.user) return true;
+  return request.user.role === 'admin' || getAuthorId(request.user) === message.author_id;
+}
+
+/**
+ * Attachments of one message
+ */
+async function attachmentsOf(message) {
+  const byMessage = await getMessageAttachments([message.message_id]);
+  return byMessage.get(message.message_id) || [];
+}
+
+/**
+ * Render the attachment region of a new message (attachment n) to
+ * <derived>/<slideId>/attachments/<messageId>_<n>.jpg
+ *
+ * @returns {Promise<{ attachment: object|null, error: string|null }>}
+ */
+async function renderAttachment(slide, region, messageId, n) {
+  const path = join(DERIVED_DIR, slide.id, 'attachments', `${messageId}_${n}.jpg`);
+  const rendered = await renderRegion(slide, region, path, { maxPx: ATTACHMENT_MAX_PX });
+  if (rendered.error) return { attachment: null, error: rendered.error };
+
+  return {
+    attachment: {
+      n,
+      slideId: slide.id,
+      ...rendered.region,
+      level: region.level,
+      path,
+      imageWidth: rendered.width,
+      imageHeight: rendered.height,
+      bytes: rendered.bytes,
+      data: await readFile(path)
+    },
+    error: null
+  };
+}
+
+/**
+ * Run a write to a thread unless a signed-out case locks its slide
+ * (writeUnlessSlideLocked); an unknown thread is left to the write, which
+ * reports it
+ */
+async function threadWrite(threadId, write) {
+  const thread = await getThread(threadId);
+  if (!thread) return { lock: null, result: await write() };
+  return writeUnlessSlideLocked(thread.slide_id, write);
+}
+
+/**
+ * Resolve or reopen a thread: shared by the resolve and reopen routes
+ */
+async function changeThreadStatus(request, reply, status) {
+  const { threadId } = request.params;
+
+  const { lock, result } = await threadWrite(threadId,
+    () => setThreadStatus(threadId, status, { changedBy: changedByOf(request) }));
+  if (lock) {
+    reply.code(423);
+    return slideLockedError(lock);
+  }
+
+  const { thread, error } = result;
+  if (error === 'not_found') {
+    reply.code(404);
+    return { error: 'Thread not found' };
+  }
+  if (error === 'unchanged') {
+    reply.code(409);
+    return { error: status === 'resolved' ? 'Thread is already resolved' : 'Thread is not resolved' };
+  }
+
+  request.audit = { slideId: thread.slide_id };
+
+  eventBus.emit('sse', {
+    event: status === 'resolved' ? 'thread.resolved' : 'thread.reopened',
+    data: {
+      threadId,
+      slideId: thread.slide_id,
+      status: thread.status,
+      resolvedBy: thread.resolved_by,
+      timestamp: Date.now()
+    }
+  });
+
+  return formatThread(thread);
+}
 
 export default async function threadsRoutes(fastify) {
   // Get threads for a slide
-  fastify.get('/slides/:slideId/threads', async (request, reply) => {
+  fastify.get('/slides/:slideId/threads', {
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: ['open', 'resolved'] }
+        }
+      }
+    }
+  }, async (request, reply) => {
     const { slideId } = request.params;
+    const { status } = request.query;
 
     // Verify slide exists
     const slide = await getSlide(slideId);
@@ -25,18 +239,12 @@ export default async function threadsRoutes(fastify) {
       return { error: 'Slide not found' };
     }
 
-    const threads = await getThreads(slideId);
+    const threads = await getThreads(slideId, { status });
 
     return {
       items: threads.map(t => ({
-        threadId: t.thread_id,
-        slideId: t.slide_id,
-        title: t.title,
-        anchorType: t.anchor_type,
-        anchorId: t.anchor_id,
-        messageCount: parseInt(t.message_count, 10),
-        createdAt: t.created_at,
-        updatedAt: t.updated_at
+        ...formatThread(t),
+        messageCount: parseInt(t.message_count, 10)
       }))
     };
   });
@@ -69,12 +277,18 @@ export default async function threadsRoutes(fastify) {
       return { error: 'Slide not found' };
     }
 
-    const thread = await createThread({
+    const { lock, result: thread } = await writeUnlessSlideLocked(slideId, () => createThread({
       slideId,
       title,
       anchorType: anchor?.type || null,
       anchorId: anchor?.id || null
-    });
+    }));
+    if (lock) {
+      reply.code(423);
+      return slideLockedError(lock);
+    }
+
+    request.audit = { resourceId: thread.thread_id };
 
     // Emit SSE event
     eventBus.emit('sse', {
@@ -90,14 +304,17 @@ export default async function threadsRoutes(fastify) {
     });
 
     reply.code(201);
-    return {
-      threadId: thread.thread_id,
-      slideId: thread.slide_id,
-      title: thread.title,
-      anchorType: thread.anchor_type,
-      anchorId: thread.anchor_id,
-      createdAt: thread.created_at
-    };
+    return formatThread(thread);
+  });
+
+  // Mark a thread resolved
+  fastify.post('/threads/:threadId/resolve', async (request, reply) => {
+    return changeThreadStatus(request, reply, 'resolved');
+  });
+
+  // Reopen a resolved thread
+  fastify.post('/threads/:threadId/reopen', async (request, reply) => {
+    return changeThreadStatus(request, reply, 'open');
   });
 
   // Get messages for a thread
@@ -122,16 +339,11 @@ export default async function threadsRoutes(fastify) {
     }
 
     const messages = await getMessages(threadId, since || null);
+    const attachments = await getMessageAttachments(messages.map(m => m.message_id));
 
     return {
       threadId,
-      items: messages.map(m => ({
-        messageId: m.message_id,
-        threadId: m.thread_id,
-        authorId: m.author_id,
-        text: m.text,
-        createdAt: m.created_at
-      }))
+      items: messages.map(m => formatMessage(m, attachments.get(m.message_id)))
     };
   });
 
@@ -140,17 +352,35 @@ export default async function threadsRoutes(fastify) {
     schema: {
       body: {
         type: 'object',
-        required: ['authorId', 'text'],
+        required: ['text'],
         properties: {
           authorId: { type: 'string' },
           text: { type: 'string', minLength: 1 },
-          idempotencyKey: { type: 'string' }
+          idempotencyKey: { type: 'string' },
+          attachment: {
+            type: 'object',
+            required: ['x', 'y', 'width', 'height', 'level'],
+            properties: {
+              x: { type: 'number' },
+              y: { type: 'number' },
+              width: { type: 'number', exclusiveMinimum: 0 },
+              height: { type: 'number', exclusiveMinimum: 0 },
+              level: { type: 'integer', minimum: 0 }
+            }
+          }
         }
       }
     }
   }, async (request, reply) => {
     const { threadId } = request.params;
-    const { authorId, text, idempotencyKey } = request.body;
+    const { text, idempotencyKey, attachment } = request.body;
+
+    // The authenticated user is the author; the body's authorId only counts with auth disabled
+    const authorId = request.user ? getAuthorId(request.user) : request.body.authorId;
+    if (!authorId) {
+      reply.code(400);
+      return { error: 'authorId is required' };
+    }
 
     // Verify thread exists
     const thread = await getThread(threadId);
@@ -159,12 +389,51 @@ export default async function threadsRoutes(fastify) {
       return { error: 'Thread not found' };
     }
 
-    const { message, created } = await createMessage({
+    // Checked again with the write below; this one spares the render
+    const lock = await getSlideLock(thread.slide_id);
+    if (lock) {
+      reply.code(423);
+      return slideLockedError(lock);
+    }
+
+    // Render the attachment before creating the message, unless this is a
+    // retry of a message already posted
+    const messageId = randomUUID();
+    const attachments = [];
+    const retried = idempotencyKey ? await findMessageByIdempotencyKey(idempotencyKey) : null;
+    if (attachment && !retried) {
+      const slide = await getSlide(thread.slide_id);
+      try {
+        const rendered = await renderAttachment(slide, attachment, messageId, 1);
+        if (rendered.error) {
+          const [code, error] = ATTACHMENT_ERRORS[rendered.error];
+          reply.code(code);
+          return { error };
+        }
+        attachments.push(rendered.attachment);
+      } catch (err) {
+        console.error(`Attachment render failed: ${thread.slide_id}`, err.message);
+        reply.code(500);
+        return { error: 'Failed to render attachment' };
+      }
+    }
+
+    const { lock: lateLock, result } = await writeUnlessSlideLocked(thread.slide_id, () => createMessage({
       threadId,
       authorId,
       text,
-      idempotencyKey
-    });
+      idempotencyKey,
+      messageId,
+      attachments
+    }));
+    if (lateLock) {
+      // Signed out while the attachment was rendered
+      await Promise.all(attachments.map(a => rm(a.path, { force: true })));
+      reply.code(423);
+      return slideLockedError(lateLock);
+    }
+    const { message, created } = result;
+    request.audit = { resourceId: message.message_id, slideId: thread.slide_id };
 
     // Emit SSE event only if actually created
     if (created) {
@@ -175,6 +444,8 @@ export default async function threadsRoutes(fastify) {
           threadId,
           slideId: thread.slide_id,
           authorId,
+          mentions: message.mentions,
+          attachments: attachments.length,
           timestamp: Date.now()
         }
       });
@@ -182,12 +453,198 @@ export default async function threadsRoutes(fastify) {
 
     reply.code(created ? 201 : 200);
     return {
-      messageId: message.message_id,
-      threadId: message.thread_id,
-      authorId: message.author_id,
-      text: message.text,
-      createdAt: message.created_at,
+      ...formatMessage(message, await attachmentsOf(message)),
       created
     };
   });
+
+  // Edit a message
+  fastify.patch('/messages/:messageId', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['text'],
+        properties: {
+          text: { type: 'string', minLength: 1 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { messageId } = request.params;
+    const { text } = request.body;
+
+    const existing = await getMessage(messageId);
+    if (!existing) {
+      reply.code(404);
+      return { error: 'Message not found' };
+    }
+    if (!canModifyMessage(request, existing)) {
+      reply.code(403);
+      return { error: 'Only the author can edit this message' };
+    }
+
+    const { lock, result } = await threadWrite(existing.thread_id,
+      () => updateMessage(messageId, text, { editedBy: changedByOf(request) }));
+    if (lock) {
+      reply.code(423);
+      return slideLockedError(lock);
+    }
+
+    const { message, error } = result;
+    if (error === 'not_found') {
+      reply.code(404);
+      return { error: 'Message not found' };
+    }
+    if (error === 'deleted') {
+      reply.code(410);
+      return { error: 'Message has been deleted' };
+    }
+    if (error === 'version_conflict') {
+      reply.code(409);
+      return { error: 'Message was changed concurrently, retry' };
+    }
+
+    const thread = await getThread(message.thread_id);
+    request.audit = { slideId: thread.slide_id, details: { version: message.version } };
+
+    if (message.version !== existing.version) {
+      eventBus.emit('sse', {
+        event: 'message.updated',
+        data: {
+          messageId,
+          threadId: message.thread_id,
+          slideId: thread.slide_id,
+          version: message.version,
+          mentions: message.mentions,
+          timestamp: Date.now()
+        }
+      });
+    }
+
+    return formatMessage(message, await attachmentsOf(message));
+  });
+
+  // Soft delete a message
+  fastify.delete('/messages/:messageId', async (request, reply) => {
+    const { messageId } = request.params;
+
+    const existing = await getMessage(messageId);
+    if (!existing) {
+      reply.code(404);
+      return { error: 'Message not found' };
+    }
+    if (!canModifyMessage(request, existing)) {
+      reply.code(403);
+      return { error: 'Only the author can delete this message' };
+    }
+
+    const { lock, result } = await threadWrite(existing.thread_id,
+      () => deleteMessage(messageId, { deletedBy: changedByOf(request) }));
+    if (lock) {
+      reply.code(423);
+      return slideLockedError(lock);
+    }
+
+    const { message, error } = result;
+    if (error === 'not_found') {
+      reply.code(404);
+      return { error: 'Message not found' };
+    }
+    if (error === 'already_deleted') {
+      reply.code(410);
+      return { error: 'Message already deleted' };
+    }
+
+    const thread = await getThread(message.thread_id);
+    request.audit = { slideId: thread.slide_id };
+
+    eventBus.emit('sse', {
+      event: 'message.deleted',
+      data: {
+        messageId,
+        threadId: message.thread_id,
+        slideId: thread.slide_id,
+        version: message.version,
+        timestamp: Date.now()
+      }
+    });
+
+    return reply.code(204).send();
+  });
+
+  // Previous texts of a message
+  fastify.get('/messages/:messageId/history', async (request, reply) => {
+    const { messageId } = request.params;
+
+    const message = await getMessage(messageId);
+    if (!message) {
+      reply.code(404);
+      return { error: 'Message not found' };
+    }
+    if (message.deleted_at) {
+      reply.code(410);
+      return { error: 'Message has been deleted' };
+    }
+
+    const thread = await getThread(message.thread_id);
+    request.audit = { slideId: thread.slide_id };
+
+    const edits = await getMessageEdits(messageId);
+
+    return {
+      messageId,
+      version: message.version,
+      text: message.text,
+      items: edits.map(e => ({
+        version: e.version,
+        text: e.text,
+        editedBy: e.edited_by,
+        editedAt: e.edited_at
+      }))
+    };
+  });
+
+  // Region snapshot attached to a message
+  fastify.get('/messages/:messageId/attachments/:n', {
+    schema: {
+      params: {
+        type: 'object',
+        properties: {
+          messageId: { type: 'string' },
+          n: { type: 'integer', minimum: 1 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { messageId, n } = request.params;
+
+    const message = await getMessage(messageId);
+    if (!message) {
+      reply.code(404);
+      return { error: 'Message not found' };
+    }
+    if (message.deleted_at) {
+      reply.code(410);
+      return { error: 'Message has been deleted' };
+    }
+
+    const attachment = await getMessageAttachment(messageId, n);
+    if (!attachment) {
+      reply.code(404);
+      return { error: 'Attachment not found' };
+    }
+
+    request.audit = { slideId: attachment.slide_id, details: { n } };
+
+    try {
+      await access(attachment.path);
+    } catch {
+      reply.code(404);
+      return { error: 'Attachment file not found' };
+    }
+
+    reply.header('Content-Type', 'image/jpeg');
+    reply.header('Cache-Control', 'private, max-age=86400');
+    return createReadStream(attachment.path);
+  });
 }
@@ -0,0 +1,144 @@
+/**
+ * Users Routes (admin only)
+ *
+ * GET   /v1/users          → list local users
+ * POST  /v1/users          → create a user
+ * PATCH /v1/users/:userId  → change role, name, password, cloud link or disable
+ */
+
+import { ROLES, hashPassword } from '../lib/auth.js';
+import {
+  createUser,
+  getUser,
+  getUserByUsername,
+  getUserByCloudId,
+  listUsers,
+  updateUser,
+  countActiveAdmins,
+  revokeUserTokens
+} from '../db/users.js';
+import { clearAuthCache } from '../services/auth.js';
+
+/**
+ * Map a users row to the API shape (never includes the password hash)
+ */
+function formatUser(row) {
+  return {
+    userId: row.user_id,
+    username: row.username,
+    displayName: row.display_name,
+    role: row.role,
+    cloudUserId: row.cloud_user_id,
+    disabled: row.disabled_at !== null,
+    disabledAt: row.disabled_at,
+    lastLoginAt: row.last_login_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+export default async function usersRoutes(fastify) {
+  // GET /v1/users - List users
+  fastify.get('/users', async () => {
+    const users = await listUsers();
+    return { items: users.map(formatUser) };
+  });
+
+  // POST /v1/users - Create a user
+  fastify.post('/users', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['username', 'password', 'role'],
+        properties: {
+          username: { type: 'string', minLength: 1, maxLength: 100 },
+          password: { type: 'string', minLength: 8 },
+          role: { type: 'string', enum: ROLES },
+          displayName: { type: 'string' },
+          cloudUserId: { type: 'string', minLength: 1 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { username, password, role, displayName, cloudUserId } = request.body;
+
+    if (await getUserByUsername(username)) {
+      reply.code(409);
+      return { error: 'Username already exists' };
+    }
+    if (cloudUserId && await getUserByCloudId(cloudUserId)) {
+      reply.code(409);
+      return { error: 'Cloud user is already linked to another user' };
+    }
+
+    const user = await createUser({
+      username,
+      displayName,
+      role,
+      passwordHash: hashPassword(password),
+      cloudUserId
+    });
+
+    reply.code(201);
+    return formatUser(user);
+  });
+
+  // PATCH /v1/users/:userId - Update a user
+  fastify.patch('/users/:userId', {
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          displayName: { type: ['string', 'null'] },
+          role: { type: 'string', enum: ROLES },
+          password: { type: 'string', minLength: 8 },
+          cloudUserId: { type: ['string', 'null'], minLength: 1 },
+          disabled: { type: 'boolean' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { userId } = request.params;
+    const { displayName, role, password, cloudUserId, disabled } = request.body || {};
+
+    const user = await getUser(userId);
+    if (!user) {
+      reply.code(404);
+      return { error: 'User not found' };
+    }
+
+    // Keep at least one admin able to log in
+    const losesAdmin = user.role === 'admin' && user.disabled_at === null &&
+      ((role !== undefined && role !== 'admin') || disabled === true);
+    if (losesAdmin && await countActiveAdmins() <= 1) {
+      reply.code(409);
+      return { error: 'Cannot demote or disable the last admin' };
+    }
+
+    if (cloudUserId) {
+      const linked = await getUserByCloudId(cloudUserId);
+      if (linked && linked.user_id !== userId) {
+        reply.code(409);
+        return { error: 'Cloud user is already linked to another user' };
+      }
+    }
+
+    const updates = {};
+    if (displayName !== undefined) updates.displayName = displayName;
+    if (role !== undefined) updates.role = role;
+    if (password !== undefined) updates.passwordHash = hashPassword(password);
+    if (cloudUserId !== undefined) updates.cloudUserId = cloudUserId;
+    if (disabled !== undefined) updates.disabledAt = disabled ? (user.disabled_at || new Date()) : null;
+
+    const updated = await updateUser(userId, updates);
+
+    // Existing tokens must not outlive a password change or a disable;
+    // role changes apply to them once the token cache is cleared
+    if (password !== undefined || disabled === true) {
+      await revokeUserTokens(userId);
+    }
+    clearAuthCache();
+
+    return formatUser(updated);
+  });
+}
@@ -6,20 +6,46 @@ import cors from '@fastify/cors';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { runMigrations, closePool } from './db/index.js';
+import { backfillAnnotationBboxes } from './db/collaboration.js';
 import { startWatcher, stopWatcher } from './services/watcher.js';
 import { startScanner, stopScanner } from './services/scanner-adapter.js';
+import { startSyncPull, stopSyncPull } from './services/sync-pull.js';
 import { closeRedis } from './lib/queue.js';
 import { initTunnel, startTunnel, stopTunnel } from './services/tunnel.js';
-import { loadConfig } from './lib/edge-config.js';
+import { loadConfig, getConfig } from './lib/edge-config.js';
+import { isStaticPathAllowed } from './lib/derived-access.js';
+import { redactToken, corsOrigins } from './lib/auth.js';
+import { ensureBootstrapAdmin, startAuthTokenCleanup, stopAuthTokenCleanup } from './services/auth.js';
+import { startAudit, stopAudit } from './services/audit.js';
+import { startRegionCacheSweep, stopRegionCacheSweep } from './services/region-render.js';
+import { recoverInterruptedPackages } from './services/case-package.js';
+import viewerRoutes from './viewer/index.js';
+import iiifRoutes from './iiif/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const DERIVED_DIR = process.env.DERIVED_DIR || '/data/derived';
 
+// Comma-separated allowed origins, "*" for any; unset allows the cloud app only
+const CORS_ORIGINS = corsOrigins(process.env);
+
 async function buildApp() {
   const app = Fastify({
-    logger: true,
+    logger: {
+      serializers: {
+        // Keep ?access_token= out of the logs
+        req(request) {
+          return {
+            method: request.method,
+            url: redactToken(request.url),
+            hostname: request.hostname,
+            remoteAddress: request.ip,
+            remotePort: request.socket?.remotePort
+          };
+        }
+      }
+    },
     // Increase body limit for large slide files (2GB)
     bodyLimit: 2 * 1024 * 1024 * 1024
   });
@@ -27,7 +53,7 @@ async function buildApp() {
   // Register core plugins
   await app.register(sensible);
   await app.register(cors, {
-    origin: true,
+    origin: CORS_ORIGINS,
     credentials: true
   });
 
@@ -37,35 +63,50 @@ async function buildApp() {
     done(null, payload);
   });
 
+  // XML bodies as plain strings (ASAP annotation import)
+  app.addContentTypeParser(['application/xml', 'text/xml'], { parseAs: 'string' }, function (request, body, done) {
+    done(null, body);
+  });
+
   // Catch-all parser for unknown content types (for slide files with exotic MIME types)
   app.addContentTypeParser('*', function (request, payload, done) {
-    // Only pass through raw stream for upload endpoint
-    if (request.url.includes('/slides/upload')) {
+    // Only pass through raw stream for upload endpoints
+    if (request.url.includes('/slides/upload') || request.url.includes('/cases/import')) {
       done(null, payload);
     } else {
       done(null, undefined);
     }
   });
 
-  // Static files for derived content
-  await app.register(fastifyStatic, {
-    root: DERIVED_DIR,
-    prefix: '/static/',
-    decorateReply: false
-  });
-
-  // Auto-load plugins
+  // Auto-load plugins (auth hook applies to everything registered after it)
   await app.register(autoLoad, {
     dir: join(__dirname, 'plugins'),
     options: {}
   });
 
+  // Static files for derived content (associated images, attachments and
+  // region exports only through their /v1 routes)
+  await app.register(fastifyStatic, {
+    root: DERIVED_DIR,
+    prefix: '/static/',
+    decorateReply: false,
+    allowedPath: (pathname) => isStaticPathAllowed(pathname, getConfig())
+  });
+
   // Auto-load routes
   await app.register(autoLoad, {
     dir: join(__dirname, 'routes'),
     options: { prefix: '/v1' }
   });
 
+  // Built-in read-only viewer (outside /v1)
+  await app.register(viewerRoutes);
+
+  // IIIF services and manifests (outside /v1), and again with the token in
+  // the path for viewers that cannot send it
+  await app.register(iiifRoutes, { prefix: '/iiif' });
+  await app.register(iiifRoutes, { prefix: '/iiif/token/:accessToken' });
+
   return app;
 }
 
@@ -90,6 +131,20 @@ async function start() {
     }
   }
 
+  // Create the first admin user if the user store is empty
+  await ensureBootstrapAdmin();
+
+  // Drop old expired/revoked tokens, now and periodically
+  startAuthTokenCleanup();
+
+  // Bounding boxes of annotations created before viewport queries existed
+  const bboxes = await backfillAnnotationBboxes();
+  if (bboxes > 0) console.log(`Filled bounding boxes of ${bboxes} annotations`);
+
+  // Case packages left queued or running by the previous process
+  const interrupted = await recoverInterruptedPackages();
+  if (interrupted > 0) console.log(`Marked ${interrupted} interrupted case packages as failed`);
+
   // Load edge config
   const { config, loaded } = await loadConfig();
   console.log(`Edge config: source=${config.source}, loaded=${loaded}`);
@@ -113,6 +168,20 @@ async function start() {
     console.error('Failed to start scanner adapter:', err);
   }
 
+  // Start sync pull (if enabled)
+  console.log('Starting sync pull...');
+  try {
+    await startSyncPull();
+  } catch (err) {
+    console.error('Failed to start sync pull:', err);
+  }
+
+  // Start audit tile-session flushing
+  startAudit();
+
+  // Start region export cache eviction
+  startRegionCacheSweep();
+
   // Build and start server
   const app = await buildApp();
   const port = process.env.PORT || 3000;
@@ -126,8 +195,12 @@ async function start() {
     console.log('Shutting down...');
     stopWatcher();
     stopScanner();
+    stopSyncPull();
     stopTunnel();
+    stopRegionCacheSweep();
+    stopAuthTokenCleanup();
     await app.close();
+    await stopAudit();
     await closePool();
     await closeRedis();
     process.exit(0);
@@ -0,0 +1,124 @@
+/**
+ * Audit Service
+ *
+ * Writes audit_log entries for plugins/audit.js. A slide viewer fetches
+ * hundreds of tiles per minute, so tile reads are not logged one row each:
+ * they are counted per session (user + slide) and written as a single
+ * 'slide.tiles.view' entry once the session has been idle for
+ * AUDIT_TILE_SESSION_IDLE_MS.
+ */
+
+import { insertAuditEntry } from '../db/audit.js';
+import { TILE_READ, tileSessionKey } from '../lib/audit.js';
+
+const TILE_SESSION_IDLE_MS = parseInt(process.env.AUDIT_TILE_SESSION_IDLE_MS || '300000', 10);
+const FLUSH_INTERVAL_MS = 30000;
+
+// Open tile sessions: sessionKey -> aggregated reads
+const tileSessions = new Map();
+
+let flushTimer = null;
+
+/**
+ * Append an entry. Failures are logged, never thrown: the response was
+ * already sent.
+ */
+export async function writeAudit(entry) {
+  try {
+    await insertAuditEntry(entry);
+  } catch (err) {
+    console.error(`[Audit] Failed to write ${entry.action} entry:`, err.message);
+  }
+}
+
+/**
+ * Count one tile read in its viewing session.
+ *
+ * @param {object} entry - Audit entry of the request (user fields, slideId, statusCode)
+ * @param {string|null} level - Pyramid level of the tile, when known
+ */
+export function recordTileRead(entry, level) {
+  const key = tileSessionKey(entry);
+  const now = new Date();
+
+  let session = tileSessions.get(key);
+  if (!session) {
+    session = {
+      entry,
+      firstAt: now,
+      lastAt: now,
+      tiles: 0,
+      errors: 0,
+      minLevel: null,
+      maxLevel: null,
+    };
+    tileSessions.set(key, session);
+  }
+
+  session.lastAt = now;
+  if (entry.statusCode < 400) {
+    session.tiles++;
+  } else {
+    session.errors++;
+  }
+
+  const levelNum = parseInt(level, 10);
+  if (!Number.isNaN(levelNum)) {
+    session.minLevel = session.minLevel === null ? levelNum : Math.min(session.minLevel, levelNum);
+    session.maxLevel = session.maxLevel === null ? levelNum : Math.max(session.maxLevel, levelNum);
+  }
+}
+
+/**
+ * Write idle tile sessions (all of them with all=true) to audit_log.
+ *
+ * @returns {Promise<number>} Number of sessions written
+ */
+export async function flushTileSessions({ all = false } = {}) {
+  const now = Date.now();
+  const due = [];
+
+  for (const [key, session] of tileSessions) {
+    if (all || now - session.lastAt.getTime() >= TILE_SESSION_IDLE_MS) {
+      tileSessions.delete(key);
+      due.push(session);
+    }
+  }
+
+  for (const session of due) {
+    await writeAudit({
+      ...session.entry,
+      action: TILE_READ,
+      occurredAt: session.firstAt,
+      statusCode: session.tiles > 0 ? 200 : session.entry.statusCode,
+      details: {
+        tiles: session.tiles,
+        errors: session.errors,
+        minLevel: session.minLevel,
+        maxLevel: session.maxLevel,
+        firstAt: session.firstAt.toISOString(),
+        lastAt: session.lastAt.toISOString(),
+      },
+    });
+  }
+
+  return due.length;
+}
+
+export function startAudit() {
+  if (flushTimer) return;
+  flushTimer = setInterval(() => {
+    flushTileSessions().catch(err => console.error('[Audit] Tile session flush failed:', err.message));
+  }, FLUSH_INTERVAL_MS);
+}
+
+/**
+ * Stop the flush loop and write every open tile session.
+ */
+export async function stopAudit() {
+  if (flushTimer) {
+    clearInterval(flushTimer);
+    flushTimer = null;
+  }
+  await flushTileSessions({ all: true });
+}
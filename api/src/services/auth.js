@@ -0,0 +1,253 @@
+/**
+ * Auth Service
+ *
+ * Resolves the user behind a request for plugins/auth.js:
+ *   - local users log in with POST /v1/auth/login and send the token back
+ *     as "Authorization: Bearer <token>"
+ *   - requests proxied by the cloud tunnel carry the identity the cloud
+ *     asserted; services/tunnel.js signs them with a per-process secret so a
+ *     LAN client cannot forge the same headers
+ *
+ * Tile and SSE requests are frequent, so resolved tokens are cached briefly.
+ */
+
+import { randomBytes } from 'crypto';
+import { mkdir, rm, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  generateToken,
+  hashToken,
+  safeEqual,
+} from '../lib/auth.js';
+import {
+  createUser,
+  countUsers,
+  getUserByUsername,
+  getUserByCloudId,
+  touchLastLogin,
+  createAuthToken,
+  getUserByTokenHash,
+  revokeAuthToken,
+  deleteStaleAuthTokens,
+} from '../db/users.js';
+
+export const AUTH_ENABLED = process.env.AUTH_ENABLED !== 'false';
+
+const TOKEN_TTL_HOURS = parseFloat(process.env.AUTH_TOKEN_TTL_HOURS || '12');
+const TOKEN_CACHE_TTL_MS = 30000;
+const TOKEN_CLEANUP_INTERVAL_MS = 6 * 3600 * 1000;
+
+// Generated password of the first admin (readable by the owner only)
+const ADMIN_PASSWORD_FILE = process.env.ADMIN_PASSWORD_FILE || '/data/secrets/admin-password';
+
+export const TUNNEL_SECRET_HEADER = 'x-supernavi-tunnel-secret';
+export const TUNNEL_IDENTITY_HEADER = 'x-supernavi-identity';
+
+// Only this process knows it: headers injected by the tunnel are trusted,
+// the same headers arriving over the network are not.
+const TUNNEL_SECRET = randomBytes(32).toString('hex');
+
+const tokenCache = new Map();
+let tokenCleanupTimer = null;
+
+/**
+ * Shape of request.user
+ */
+function toAuthUser(row, source) {
+  return {
+    userId: row.user_id,
+    username: row.username,
+    displayName: row.display_name,
+    role: row.role,
+    cloudUserId: row.cloud_user_id,
+    source,
+  };
+}
+
+/**
+ * Write a generated password to ADMIN_PASSWORD_FILE, mode 0600. A file left
+ * by an earlier bootstrap is replaced, so the mode is always the new one.
+ */
+async function writePasswordFile(password) {
+  await mkdir(dirname(ADMIN_PASSWORD_FILE), { recursive: true, mode: 0o700 });
+  await rm(ADMIN_PASSWORD_FILE, { force: true });
+  await writeFile(ADMIN_PASSWORD_FILE, `${password}\n`, { mode: 0o600, flag: 'wx' });
+}
+
+/**
+ * Create the first admin when the user store is empty.
+ * Uses ADMIN_USERNAME/ADMIN_PASSWORD, or writes a generated password to
+ * ADMIN_PASSWORD_FILE (never to the log). Fails when that file cannot be
+ * written, rather than create an admin nobody can log in as.
+ */
+export async function ensureBootstrapAdmin() {
+  if (!AUTH_ENABLED) {
+    console.warn('[Auth] AUTH_ENABLED=false: every /v1 route is open');
+    return;
+  }
+
+  if (await countUsers() > 0) return;
+
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  let password = process.env.ADMIN_PASSWORD;
+  const generated = !password;
+  if (generated) {
+    password = randomBytes(12).toString('base64url');
+    try {
+      await writePasswordFile(password);
+    } catch (err) {
+      throw new Error(`Cannot write the admin password to ${ADMIN_PASSWORD_FILE} (${err.message}); set ADMIN_PASSWORD or ADMIN_PASSWORD_FILE`);
+    }
+  }
+
+  await createUser({
+    username,
+    displayName: 'Administrator',
+    role: 'admin',
+    passwordHash: hashPassword(password),
+  });
+
+  if (generated) {
+    console.log(`[Auth] Created admin user "${username}"; its password is in ${ADMIN_PASSWORD_FILE}`);
+    console.log('[Auth] Change it with POST /v1/auth/password, then delete the file');
+  } else {
+    console.log(`[Auth] Created admin user "${username}" from ADMIN_PASSWORD`);
+  }
+}
+
+async function cleanupAuthTokens() {
+  try {
+    const deleted = await deleteStaleAuthTokens();
+    if (deleted > 0) console.log(`[Auth] Deleted ${deleted} expired or revoked tokens`);
+  } catch (err) {
+    console.error('[Auth] Token cleanup failed:', err.message);
+  }
+}
+
+/**
+ * Delete tokens expired or revoked for over a day, now and every
+ * TOKEN_CLEANUP_INTERVAL_MS while the process runs
+ */
+export function startAuthTokenCleanup() {
+  if (tokenCleanupTimer) return;
+  cleanupAuthTokens();
+  tokenCleanupTimer = setInterval(cleanupAuthTokens, TOKEN_CLEANUP_INTERVAL_MS);
+}
+
+export function stopAuthTokenCleanup() {
+  if (tokenCleanupTimer) {
+    clearInterval(tokenCleanupTimer);
+    tokenCleanupTimer = null;
+  }
+}
+
+/**
+ * Check credentials and issue a token.
+ *
+ * @returns {Promise<{ token: string, expiresAt: Date, user: object }|null>}
+ */
+export async function login(username, password) {
+  const row = await getUserByUsername(username);
+  // Hash anyway for unknown users so response time does not reveal usernames
+  const valid = verifyPassword(password, row?.password_hash || hashPassword(''));
+  if (!row || !valid || row.disabled_at) return null;
+
+  const token = generateToken();
+  const expiresAt = new Date(Date.now() + TOKEN_TTL_HOURS * 3600 * 1000);
+  await createAuthToken({ tokenHash: hashToken(token), userId: row.user_id, expiresAt });
+  await touchLastLogin(row.user_id);
+
+  return { token, expiresAt, user: toAuthUser(row, 'token') };
+}
+
+export async function logout(token) {
+  const tokenHash = hashToken(token);
+  tokenCache.delete(tokenHash);
+  await revokeAuthToken(tokenHash);
+}
+
+/**
+ * User behind a bearer token, or null
+ */
+export async function authenticateToken(token) {
+  const tokenHash = hashToken(token);
+  const now = Date.now();
+
+  const cached = tokenCache.get(tokenHash);
+  if (cached && now - cached.cachedAt < TOKEN_CACHE_TTL_MS && now < cached.expiresAt) {
+    return cached.user;
+  }
+
+  const row = await getUserByTokenHash(tokenHash);
+  if (!row) {
+    tokenCache.delete(tokenHash);
+    return null;
+  }
+
+  const user = toAuthUser(row, 'token');
+  tokenCache.set(tokenHash, { user, cachedAt: now, expiresAt: new Date(row.token_expires_at).getTime() });
+  return user;
+}
+
+/**
+ * Forget cached tokens (after users are changed or disabled)
+ */
+export function clearAuthCache() {
+  tokenCache.clear();
+}
+
+/**
+ * Headers services/tunnel.js adds to a proxied request.
+ *
+ * @param {object|null} identity - Identity asserted by the cloud ({ userId, username, displayName, role })
+ */
+export function getTunnelAuthHeaders(identity) {
+  if (!identity?.userId) return {};
+  return {
+    [TUNNEL_SECRET_HEADER]: TUNNEL_SECRET,
+    [TUNNEL_IDENTITY_HEADER]: Buffer.from(JSON.stringify(identity)).toString('base64'),
+  };
+}
+
+/**
+ * User for a request carrying tunnel headers, or null if they are forged or invalid.
+ *
+ * A cloud identity linked to a local user (users.cloud_user_id) gets that
+ * user's role. Unlinked identities keep the role the cloud asserted, except
+ * admin, which always needs a local link.
+ */
+export async function authenticateTunnel(headers) {
+  const secret = headers[TUNNEL_SECRET_HEADER];
+  if (typeof secret !== 'string' || !safeEqual(secret, TUNNEL_SECRET)) return null;
+
+  let identity;
+  try {
+    identity = JSON.parse(Buffer.from(String(headers[TUNNEL_IDENTITY_HEADER] || ''), 'base64').toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (!identity?.userId) return null;
+
+  const linked = await getUserByCloudId(String(identity.userId));
+  if (linked) {
+    return linked.disabled_at ? null : toAuthUser(linked, 'tunnel');
+  }
+
+  if (!ROLES.includes(identity.role) || identity.role === 'admin') return null;
+
+  return {
+    userId: String(identity.userId),
+    username: identity.username || String(identity.userId),
+    displayName: identity.displayName || null,
+    role: identity.role,
+    cloudUserId: String(identity.userId),
+    source: 'tunnel',
+  };
+}
+
+export function isTunnelRequest(headers) {
+  return headers[TUNNEL_SECRET_HEADER] !== undefined;
+}
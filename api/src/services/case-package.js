@@ -0,0 +1,596 @@
+/**
+ * Case Package Service
+ *
+ * Builds and imports case packages (layout in lib/case-package.js) in the
+ * background, one at a time. Progress is kept in case_packages and announced
+ * with the SSE event case.package_updated.
+ *
+ * Export: the files of the case are linked into a staging directory and
+ * archived with tar (-h follows the links). Import: the uploaded archive is
+ * listed (only regular files and directories are accepted), extracted and
+ * checked before anything is written: manifest, annotations and threads are
+ * validated and raw slides must hash to their id. New slides are moved into
+ * RAW_DIR (P0 runs as for the watcher) or DERIVED_DIR (ready as they are),
+ * then their rows and a new case with the annotations, threads and messages
+ * of the package are written in one transaction. A failed import rolls back
+ * and removes the files it moved.
+ *
+ * Env:
+ *   PACKAGES_DIR=/data/packages     archives and staging directories
+ *   PACKAGE_TAR_TIMEOUT_MS=3600000  tar runs longer than this fail
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { copyFile, cp, lstat, mkdir, readFile, rename, rm, stat, symlink, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { randomUUID } from 'crypto';
+import { hashFile } from '../lib/hash.js';
+import { enqueueJob } from '../lib/queue.js';
+import {
+  PACKAGE_FORMAT,
+  PACKAGE_VERSION,
+  slideContent,
+  slideEntry,
+  annotationEntry,
+  threadEntry,
+  attachmentEntryPath,
+  validateManifest,
+  validateCollaboration
+} from '../lib/case-package.js';
+import { CASE_PRIORITIES } from '../lib/case-workflow.js';
+import { STAIN_TYPES, STAIN_SOURCES, normalizeStain, normalizeTags } from '../lib/stains.js';
+import { getSlide, createSlide, updateSlide, createJob, setSlideStain, setSlideTags } from '../db/slides.js';
+import {
+  createCase,
+  getCase,
+  getCaseAnnotations,
+  linkSlideToCase,
+  setCaseSlideHierarchy,
+  getSlideLock,
+  createAnnotation,
+  getThreads,
+  createThread,
+  setThreadStatus,
+  getMessages,
+  getMessageAttachments,
+  createMessage
+} from '../db/collaboration.js';
+import { getCasePackage, updateCasePackage, failInterruptedPackages } from '../db/case-packages.js';
+import { transaction } from '../db/index.js';
+import { isWSIFormat } from './tilegen-svs.js';
+import { eventBus } from './events.js';
+
+const execFileAsync = promisify(execFile);
+
+const PACKAGES_DIR = process.env.PACKAGES_DIR || '/data/packages';
+const RAW_DIR = process.env.RAW_DIR || '/data/raw';
+const DERIVED_DIR = process.env.DERIVED_DIR || '/data/derived';
+const AGENT_ID = process.env.EDGE_AGENT_ID || process.env.AGENT_ID || 'local-agent-001';
+const TAR_TIMEOUT_MS = parseInt(process.env.PACKAGE_TAR_TIMEOUT_MS || '3600000', 10);
+
+const SLIDE_FORMATS = ['jpg', 'png', 'svs', 'tiff', 'ndpi', 'mrxs', 'unknown'];
+
+// Errors of annotations.json/threads.json quoted in the package error
+const MAX_REPORTED_ERRORS = 10;
+
+// Packages run one after the other (tar and hashing are disk-bound)
+let queue = Promise.resolve();
+
+/**
+ * Path of the archive of a package (export result, or upload to import)
+ */
+export function archivePath(packageId) {
+  return join(PACKAGES_DIR, `${packageId}.tar`);
+}
+
+/**
+ * Queue an export or import; the package must already be in case_packages
+ */
+export function runCasePackage(packageId) {
+  queue = queue.then(() => processPackage(packageId));
+  return queue;
+}
+
+async function processPackage(packageId) {
+  const pkg = await getCasePackage(packageId);
+  if (!pkg || pkg.status !== 'queued') return;
+
+  await setStatus(pkg, { status: 'running' });
+  try {
+    const result = pkg.direction === 'export' ? await exportCase(pkg) : await importCase(pkg);
+    await setStatus(pkg, { status: 'done', ...result });
+    console.log(`[package] ${pkg.direction} ${packageId} done`);
+  } catch (err) {
+    console.error(`[package] ${pkg.direction} ${packageId} failed: ${err.message}`);
+    if (pkg.direction === 'export') await rm(archivePath(packageId), { force: true });
+    await setStatus(pkg, { status: 'failed', path: null, error: err.message });
+  }
+}
+
+async function setStatus(pkg, updates) {
+  const updated = await updateCasePackage(pkg.package_id, updates);
+  eventBus.emit('sse', {
+    event: 'case.package_updated',
+    data: {
+      packageId: updated.package_id,
+      direction: updated.direction,
+      caseId: updated.case_id,
+      status: updated.status,
+      error: updated.error,
+      timestamp: Date.now()
+    }
+  });
+}
+
+async function exists(path) {
+  try {
+    await stat(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function tar(args) {
+  await execFileAsync('tar', args, { timeout: TAR_TIMEOUT_MS, maxBuffer: 16 * 1024 * 1024 });
+}
+
+/**
+ * Whether all tiles of a slide are on disk (TILEGEN done for WSI, every
+ * level for images), so the pyramid can stand in for the raw file
+ */
+function hasCompletePyramid(slide) {
+  if (slide.status !== 'ready') return false;
+  if (isWSIFormat(slide.format)) return slide.tilegen_status === 'done';
+  return slide.max_level !== null && slide.level_ready_max >= slide.max_level;
+}
+
+// ============================================================================
+// Export
+// ============================================================================
+
+async function exportCase(pkg) {
+  const caseRow = await getCase(pkg.case_id);
+  if (!caseRow) throw new Error('Case not found');
+
+  const staging = join(PACKAGES_DIR, `${pkg.package_id}.staging`);
+  await rm(staging, { recursive: true, force: true });
+  await mkdir(join(staging, 'attachments'), { recursive: true });
+
+  try {
+    const slides = [];
+    for (const link of caseRow.slides) {
+      const slide = await getSlide(link.id);
+      const hasRaw = Boolean(slide.raw_path) && await exists(slide.raw_path);
+      const content = slideContent(pkg.content, { hasRaw, hasPyramid: hasCompletePyramid(slide) });
+      if (!content) throw new Error(`Slide ${slide.id} has neither a raw file nor a complete tile pyramid`);
+
+      const entry = slideEntry(slide, link, content);
+      await mkdir(join(staging, 'slides', slide.id), { recursive: true });
+      if (content === 'raw') {
+        await symlink(slide.raw_path, join(staging, entry.file));
+      } else {
+        await symlink(join(DERIVED_DIR, slide.id), join(staging, 'slides', slide.id, 'derived'));
+      }
+      slides.push(entry);
+    }
+
+    const annotations = (await getCaseAnnotations(pkg.case_id)).map(annotationEntry);
+
+    const threads = [];
+    let messageCount = 0;
+    for (const slide of slides) {
+      for (const thread of await getThreads(slide.slideId)) {
+        const messages = (await getMessages(thread.thread_id)).filter(m => !m.deleted_at);
+        const attachments = await getMessageAttachments(messages.map(m => m.message_id));
+        for (const rows of attachments.values()) {
+          for (const a of rows) {
+            if (await exists(a.path)) await symlink(a.path, join(staging, attachmentEntryPath(a.message_id, a.n)));
+          }
+        }
+        threads.push(threadEntry(thread, messages, attachments));
+        messageCount += messages.length;
+      }
+    }
+
+    const summary = {
+      slides: slides.length,
+      rawSlides: slides.filter(s => s.content === 'raw').length,
+      derivedSlides: slides.filter(s => s.content === 'derived').length,
+      annotations: annotations.length,
+      threads: threads.length,
+      messages: messageCount
+    };
+
+    const manifest = {
+      format: PACKAGE_FORMAT,
+      version: PACKAGE_VERSION,
+      packageId: pkg.package_id,
+      createdAt: new Date().toISOString(),
+      sourceEdge: AGENT_ID,
+      content: pkg.content,
+      case: {
+        caseId: caseRow.case_id,
+        title: caseRow.title,
+        externalRef: caseRow.external_ref,
+        priority: caseRow.priority,
+        dueAt: caseRow.due_at,
+        status: caseRow.status
+      },
+      slides,
+      summary
+    };
+    await writeFile(join(staging, 'manifest.json'), JSON.stringify(manifest, null, 2));
+    await writeFile(join(staging, 'annotations.json'), JSON.stringify(annotations));
+    await writeFile(join(staging, 'threads.json'), JSON.stringify(threads));
+
+    // Attachments are packaged on their own; region exports are a cache and
+    // the cloud preview marker is specific to this edge
+    const path = archivePath(pkg.package_id);
+    const tempPath = `${path}.tmp`;
+    await tar([
+      '-c', '-h', '-f', tempPath,
+      '--exclude=./slides/*/derived/attachments',
+      '--exclude=./slides/*/derived/regions',
+      '--exclude=./slides/*/derived/preview_published.json',
+      '-C', staging, '.'
+    ]);
+    await rename(tempPath, path);
+
+    const { size } = await stat(path);
+    return { path, bytes: size, summary };
+  } finally {
+    await rm(staging, { recursive: true, force: true });
+  }
+}
+
+// ============================================================================
+// Import
+// ============================================================================
+
+async function readJson(dir, name) {
+  try {
+    return JSON.parse(await readFile(join(dir, name), 'utf8'));
+  } catch (err) {
+    throw new Error(`${name}: ${err.code === 'ENOENT' ? 'missing' : err.message}`);
+  }
+}
+
+/**
+ * Move a file or directory, copying it when the target is on another
+ * filesystem
+ */
+async function move(src, dest) {
+  try {
+    await rename(src, dest);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    await cp(src, dest, { recursive: true });
+    await rm(src, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Extract an uploaded archive, refusing links, devices and paths leaving
+ * the target directory
+ */
+async function extractArchive(path, dir) {
+  const { stdout } = await execFileAsync('tar', ['-t', '-v', '-f', path], {
+    timeout: TAR_TIMEOUT_MS,
+    maxBuffer: 64 * 1024 * 1024
+  }).catch(err => {
+    throw new Error(`Not a readable tar archive: ${(err.stderr || err.message).split('\n')[0]}`);
+  });
+  for (const line of stdout.split('\n').filter(Boolean)) {
+    if (!['-', 'd'].includes(line[0])) throw new Error(`Package entries must be files or directories: ${line}`);
+  }
+
+  const { stdout: names } = await execFileAsync('tar', ['-t', '-f', path], {
+    timeout: TAR_TIMEOUT_MS,
+    maxBuffer: 64 * 1024 * 1024
+  });
+  for (const name of names.split('\n').filter(Boolean)) {
+    if (name.startsWith('/') || name.split('/').includes('..')) throw new Error(`Unsafe path in package: ${name}`);
+  }
+
+  await mkdir(dir, { recursive: true });
+  await tar(['-x', '--no-same-owner', '--no-same-permissions', '-f', path, '-C', dir]);
+}
+
+/**
+ * Check the slides of a package before anything is written: new raw slides
+ * must hash to their id, new derived ones need their manifest
+ *
+ * @returns {Promise<Set<string>>} ids of the slides this edge already has
+ */
+async function checkSlides(dir, slides) {
+  const existing = new Set();
+  for (const s of slides) {
+    if (await getSlide(s.slideId)) {
+      existing.add(s.slideId);
+      continue;
+    }
+
+    if (s.content === 'raw') {
+      const file = join(dir, s.file);
+      const info = await lstat(file).catch(() => null);
+      if (!info?.isFile()) throw new Error(`Slide file missing: ${s.file}`);
+      if (await hashFile(file) !== s.slideId) throw new Error(`Slide file does not match its id: ${s.file}`);
+    } else if (!await exists(join(dir, 'slides', s.slideId, 'derived', 'manifest.json'))) {
+      throw new Error(`Tile pyramid missing for slide ${s.slideId}`);
+    }
+  }
+  return existing;
+}
+
+/**
+ * Move the files of a new slide into RAW_DIR or DERIVED_DIR
+ *
+ * @param {string[]} placed - paths written, for cleanup on failure
+ */
+async function placeSlideFiles(dir, s, placed) {
+  if (s.content === 'raw') {
+    const rawPath = join(RAW_DIR, `${s.slideId}_${s.originalFilename}`);
+    await mkdir(RAW_DIR, { recursive: true });
+    placed.push(rawPath);
+    await move(join(dir, s.file), rawPath);
+  } else {
+    const derivedPath = join(DERIVED_DIR, s.slideId);
+    await mkdir(DERIVED_DIR, { recursive: true });
+    await rm(derivedPath, { recursive: true, force: true });
+    placed.push(derivedPath);
+    await move(join(dir, 'slides', s.slideId, 'derived'), derivedPath);
+  }
+}
+
+/**
+ * Rows of a new slide whose files are in place
+ *
+ * @returns {Promise<object|null>} P0 job to enqueue once committed
+ */
+async function importSlide(s) {
+  const format = SLIDE_FORMATS.includes(s.format) ? s.format : 'unknown';
+  const rawPath = join(RAW_DIR, `${s.slideId}_${s.originalFilename}`);
+
+  if (s.content === 'raw') {
+    await createSlide({ id: s.slideId, originalFilename: s.originalFilename, rawPath, format });
+  } else {
+    const derivedPath = join(DERIVED_DIR, s.slideId);
+    await createSlide({ id: s.slideId, originalFilename: s.originalFilename, rawPath: null, format });
+    await updateSlide(s.slideId, {
+      status: 'ready',
+      width: s.width,
+      height: s.height,
+      maxLevel: s.maxLevel,
+      levelReadyMax: s.maxLevel,
+      tileSize: s.tileSize,
+      appMag: s.appMag,
+      mpp: s.mpp,
+      thumbPath: join(derivedPath, 'thumb.jpg'),
+      manifestPath: join(derivedPath, 'manifest.json'),
+      tilegenStatus: isWSIFormat(format) ? 'done' : null,
+      properties: s.properties && typeof s.properties === 'object' && !Array.isArray(s.properties)
+        ? JSON.stringify(s.properties)
+        : null
+    });
+  }
+
+  await updateSlide(s.slideId, {
+    externalCaseId: s.externalCaseId ?? null,
+    externalCaseBase: s.externalCaseBase ?? null,
+    externalSlideLabel: s.externalSlideLabel ?? null,
+    scannerBarcode: s.scannerBarcode ?? null
+  });
+
+  if (s.stain && STAIN_TYPES.includes(s.stain.type)) {
+    const stain = normalizeStain({ type: s.stain.type, marker: typeof s.stain.marker === 'string' ? s.stain.marker : null });
+    await setSlideStain(s.slideId, {
+      ...stain,
+      source: STAIN_SOURCES.includes(s.stain.source) ? s.stain.source : 'manual',
+      confidence: typeof s.stain.confidence === 'number' ? s.stain.confidence : null
+    });
+  }
+  if (Array.isArray(s.tags) && s.tags.every(tag => typeof tag === 'string')) {
+    let tags = null;
+    try {
+      tags = normalizeTags(s.tags);
+    } catch (err) {
+      console.warn(`[package] Tags of ${s.slideId.substring(0, 12)} dropped: ${err.message}`);
+    }
+    if (tags) await setSlideTags(s.slideId, tags);
+  }
+
+  if (s.content !== 'raw') return null;
+  const job = await createJob({ slideId: s.slideId, type: 'P0' });
+  return job ? { jobId: job.id, slideId: s.slideId, type: 'P0', rawPath, format } : null;
+}
+
+async function importCase(pkg) {
+  const path = archivePath(pkg.package_id);
+  const dir = join(PACKAGES_DIR, `${pkg.package_id}.import`);
+  await rm(dir, { recursive: true, force: true });
+
+  // Files moved or copied out of the package; removed if the import fails
+  const placed = [];
+
+  try {
+    await extractArchive(path, dir);
+
+    const manifest = await readJson(dir, 'manifest.json');
+    const errors = validateManifest(manifest);
+    if (errors.length > 0) throw new Error(`Invalid manifest: ${errors.join('; ')}`);
+    const annotations = await readJson(dir, 'annotations.json');
+    const threads = await readJson(dir, 'threads.json');
+    const contentErrors = validateCollaboration(annotations, threads, new Set(manifest.slides.map(s => s.slideId)));
+    if (contentErrors.length > 0) {
+      const more = contentErrors.length > MAX_REPORTED_ERRORS ? ` (and ${contentErrors.length - MAX_REPORTED_ERRORS} more)` : '';
+      throw new Error(`Invalid package content: ${contentErrors.slice(0, MAX_REPORTED_ERRORS).join('; ')}${more}`);
+    }
+
+    const existing = await checkSlides(dir, manifest.slides);
+    const newSlides = manifest.slides.filter(s => !existing.has(s.slideId));
+    for (const s of newSlides) {
+      await placeSlideFiles(dir, s, placed);
+    }
+
+    // Slides, case, annotations, threads and messages are written in one
+    // transaction: a failure leaves nothing behind for a retry to skip
+    const { caseRow, jobs, annotationCount, threadCount, messageCount } = await transaction(async () => {
+      const jobs = [];
+      for (const s of newSlides) {
+        const job = await importSlide(s);
+        if (job) jobs.push(job);
+      }
+
+      // Annotations and threads are not added to slides locked by a
+      // signed-out case of this edge
+      const writable = new Set();
+      for (const s of manifest.slides) {
+        if (!existing.has(s.slideId) || !await getSlideLock(s.slideId)) writable.add(s.slideId);
+      }
+
+      const source = manifest.case;
+      const caseRow = await createCase({
+        title: source.title.trim(),
+        externalRef: typeof source.externalRef === 'string' ? source.externalRef : null,
+        priority: CASE_PRIORITIES.includes(source.priority) ? source.priority : 'routine',
+        dueAt: source.dueAt && !isNaN(Date.parse(source.dueAt)) ? source.dueAt : null,
+        changedBy: pkg.created_by
+      });
+      await updateCasePackage(pkg.package_id, { caseId: caseRow.case_id });
+
+      for (const s of manifest.slides) {
+        await linkSlideToCase(caseRow.case_id, s.slideId);
+        if (s.hierarchySource === 'manual') {
+          await setCaseSlideHierarchy(caseRow.case_id, s.slideId, {
+            specimen: typeof s.specimen === 'string' ? s.specimen : null,
+            block: typeof s.block === 'string' ? s.block : null
+          });
+        }
+      }
+
+      const annotationIds = new Map();
+      for (const a of annotations) {
+        if (!writable.has(a.slideId)) continue;
+        const { annotation } = await createAnnotation({
+          slideId: a.slideId,
+          type: a.type,
+          geometry: a.geometry,
+          style: a.style ?? null,
+          classId: null,
+          label: a.label ?? null,
+          properties: a.properties ?? null,
+          authorId: a.authorId || pkg.created_by || 'import'
+        });
+        annotationIds.set(a.annotationId, annotation.annotation_id);
+      }
+
+      let threadCount = 0;
+      let messageCount = 0;
+      for (const t of threads) {
+        if (!writable.has(t.slideId)) continue;
+        const anchorId = t.anchorType === 'annotation' ? annotationIds.get(t.anchorId) : t.anchorId;
+        const thread = await createThread({
+          slideId: t.slideId,
+          title: t.title ?? null,
+          anchorType: anchorId ? t.anchorType : null,
+          anchorId: anchorId || null
+        });
+        threadCount++;
+
+        for (const m of t.messages || []) {
+          const messageId = randomUUID();
+          const attachments = [];
+          for (const a of m.attachments || []) {
+            const file = attachmentEntryPath(m.messageId, a.n);
+            if (!file || !await exists(join(dir, file))) continue;
+            const target = join(DERIVED_DIR, t.slideId, 'attachments', `${messageId}_${a.n}.jpg`);
+            await mkdir(join(DERIVED_DIR, t.slideId, 'attachments'), { recursive: true });
+            placed.push(target);
+            await copyFile(join(dir, file), target);
+            attachments.push({
+              n: a.n,
+              slideId: t.slideId,
+              x: a.x,
+              y: a.y,
+              width: a.width,
+              height: a.height,
+              level: a.level,
+              path: target,
+              imageWidth: a.imageWidth,
+              imageHeight: a.imageHeight,
+              bytes: a.bytes,
+              data: await readFile(target)
+            });
+          }
+          await createMessage({ threadId: thread.thread_id, authorId: m.authorId || pkg.created_by || 'import', text: m.text, messageId, attachments });
+          messageCount++;
+        }
+
+        if (t.status === 'resolved') {
+          await setThreadStatus(thread.thread_id, 'resolved', { changedBy: t.resolvedBy || pkg.created_by });
+        }
+      }
+
+      return { caseRow, jobs, annotationCount: annotationIds.size, threadCount, messageCount };
+    });
+    placed.length = 0;
+
+    for (const job of jobs) {
+      await enqueueJob(job);
+    }
+    for (const s of newSlides) {
+      eventBus.emitSlideImport(s.slideId, s.originalFilename, SLIDE_FORMATS.includes(s.format) ? s.format : 'unknown');
+    }
+    eventBus.emit('sse', {
+      event: 'case.created',
+      data: { caseId: caseRow.case_id, title: caseRow.title, timestamp: Date.now() }
+    });
+
+    return {
+      caseId: caseRow.case_id,
+      path: null,
+      summary: {
+        sourceEdge: typeof manifest.sourceEdge === 'string' ? manifest.sourceEdge : null,
+        sourceCaseId: typeof manifest.case.caseId === 'string' ? manifest.case.caseId : null,
+        slides: manifest.slides.length,
+        slidesImported: newSlides.length,
+        slidesSkipped: existing.size,
+        annotations: annotationCount,
+        threads: threadCount,
+        messages: messageCount
+      }
+    };
+  } finally {
+    for (const file of placed) {
+      await rm(file, { recursive: true, force: true });
+    }
+    await rm(dir, { recursive: true, force: true });
+    await rm(path, { force: true });
+  }
+}
+
+/**
+ * Remove the files of a package (archive, leftovers of an interrupted run)
+ */
+export async function removePackageFiles(packageId) {
+  await rm(archivePath(packageId), { force: true });
+  await rm(`${archivePath(packageId)}.tmp`, { force: true });
+  for (const suffix of ['staging', 'import']) {
+    await rm(join(PACKAGES_DIR, `${packageId}.${suffix}`), { recursive: true, force: true });
+  }
+}
+
+/**
+ * Mark packages interrupted by a restart as failed and remove their files
+ *
+ * @returns {Promise<number>} packages marked
+ */
+export async function recoverInterruptedPackages() {
+  const packages = await failInterruptedPackages();
+  for (const pkg of packages) {
+    await removePackageFiles(pkg.package_id);
+  }
+  return packages.length;
+}
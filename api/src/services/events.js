@@ -6,16 +6,26 @@
  * - slide:ready - Slide processing complete (P0 done)
  * - tile:generated - Tile generated on-demand
  * - tile:pending - Tile generation started
+ * - slide.updated - Stain or tags of a slide changed
  *
  * Collaboration Events:
  * - case.created - New case created
  * - case.slide_linked - Slide linked to case
  * - case.slide_unlinked - Slide unlinked from case
+ * - case.slide_updated - Specimen/block of a slide in a case set by hand
+ * - case.updated - Case assignment, priority, due date or title changed
+ * - case.status_changed - Case moved to another workflow status (reopened cases carry the reason)
+ * - case.package_updated - Case package export/import queued, running, done or failed
  * - annotation.created - New annotation created
  * - annotation.updated - Annotation updated
  * - annotation.deleted - Annotation soft deleted
+ * - annotation.restored - Soft-deleted annotation restored
  * - thread.created - New discussion thread created
+ * - thread.resolved - Thread marked resolved
+ * - thread.reopened - Resolved thread reopened
  * - message.created - New message in thread
+ * - message.updated - Message text edited
+ * - message.deleted - Message soft deleted
  */
 
 import { EventEmitter } from 'events';
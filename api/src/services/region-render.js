@@ -0,0 +1,284 @@
+/**
+ * Region Renderer
+ *
+ * Renders a region of a slide to a JPEG from its tile pyramid: the tiles
+ * covering the region (see lib/region-tiles.js) are joined with vips and the
+ * mosaic cropped to the region (and resized, for IIIF requests). Missing
+ * tiles of WSI slides are generated on demand like
+ * GET /v1/slides/:slideId/tiles/:z/:x/:y.jpg.
+ *
+ * Region exports (GET /v1/slides/:slideId/region) are read from the raw
+ * slide instead, at any resolution (see lib/region-extract.js), with their
+ * overlay composited, and kept under <derived>/<slideId>/regions/. At most
+ * REGION_EXPORT_CONCURRENCY exports run at once. The cache is swept after
+ * each new export and every hour: exports unused for REGION_CACHE_TTL_HOURS
+ * go, then the least recently used beyond REGION_CACHE_MAX_MB (all slides).
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { access, mkdir, readdir, readFile, rename, stat, unlink, utimes, writeFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { randomUUID } from 'crypto';
+import { generateTile, getSvsPyramidInfo, isWSIFormat } from './tilegen-svs.js';
+import { planRegion } from '../lib/region-tiles.js';
+import { sourceCrop, regionCacheEvictions } from '../lib/region-extract.js';
+
+const execFileAsync = promisify(execFile);
+
+const DERIVED_DIR = process.env.DERIVED_DIR || '/data/derived';
+const TILES_HOT_DIR = process.env.TILES_HOT_DIR || '/data/tiles_hot';
+const RENDER_TIMEOUT_MS = parseInt(process.env.REGION_RENDER_TIMEOUT_MS || '60000', 10);
+const EXPORT_CONCURRENCY = parseInt(process.env.REGION_EXPORT_CONCURRENCY || '2', 10);
+const CACHE_MAX_BYTES = parseFloat(process.env.REGION_CACHE_MAX_MB || '2048') * 1024 * 1024;
+const CACHE_TTL_MS = parseFloat(process.env.REGION_CACHE_TTL_HOURS || '72') * 3600 * 1000;
+const CACHE_SWEEP_INTERVAL_MS = 3600 * 1000;
+
+// vips save options per export format
+export const EXPORT_FORMATS = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg', options: '[Q=90]' },
+  png: { extension: 'png', contentType: 'image/png', options: '' },
+  tiff: { extension: 'tif', contentType: 'image/tiff', options: '[compression=lzw]' }
+};
+
+// Exports being written, by path: identical requests wait for the same one
+const pendingExports = new Map();
+
+let sweeping = null;
+let sweepTimer = null;
+
+async function fileExists(path) {
+  try {
+    await access(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function cleanupTemp(path) {
+  try {
+    await unlink(path);
+  } catch {}
+}
+
+async function readManifest(slideId) {
+  try {
+    return JSON.parse(await readFile(join(DERIVED_DIR, slideId, 'manifest.json'), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Path of a tile on disk: hot cache, persistent tiles, or generated now
+ * (WSI formats only)
+ */
+export async function ensureTile(slide, z, x, y) {
+  const hotTilePath = join(TILES_HOT_DIR, slide.id, 'tiles', String(z), `${x}_${y}.jpg`);
+  if (await fileExists(hotTilePath)) return hotTilePath;
+
+  const tilePath = join(DERIVED_DIR, slide.id, 'tiles', String(z), `${x}_${y}.jpg`);
+  if (await fileExists(tilePath)) return tilePath;
+
+  if (!isWSIFormat(slide.format)) {
+    throw new Error(`Tile not available: ${slide.id}/${z}/${x}_${y}`);
+  }
+  const result = await generateTile(slide.id, z, x, y);
+  return result.path;
+}
+
+/**
+ * Render a region of a slide to a JPEG file.
+ *
+ * @param {object} slide - slides row
+ * @param {{ x: number, y: number, width: number, height: number, level: number }} region
+ *   Full-resolution pixels, rendered at pyramid level `level`
+ * @param {string} outPath - JPEG to write
+ * @param {{ maxPx: number, quality?: number, size?: { width: number, height: number } }} options
+ *   size: output size when not the region's size at `level` (IIIF requests)
+ * @returns {Promise<{ error: string|null, region?: object, width?: number, height?: number, bytes?: number }>}
+ *   error: 'no_manifest' (slide not processed yet) or a planRegion error;
+ *   vips failures throw
+ */
+export async function renderRegion(slide, region, outPath, { maxPx, quality = 85, size = null }) {
+  const manifest = await readManifest(slide.id);
+  if (!manifest) return { error: 'no_manifest' };
+
+  const { plan, error } = planRegion(manifest, region, { maxPx });
+  if (error) return { error };
+
+  const tilePaths = [];
+  for (const tile of plan.tiles) {
+    tilePaths.push(await ensureTile(slide, plan.level, tile.x, tile.y));
+  }
+
+  await mkdir(dirname(outPath), { recursive: true });
+  const mosaicPath = outPath.replace(/\.jpg$/, '.mosaic.v');
+  const resize = size && (size.width !== plan.width || size.height !== plan.height);
+  const cropPath = resize ? outPath.replace(/\.jpg$/, '.crop.v') : `${outPath}[Q=${quality}]`;
+
+  try {
+    // Arguments, not a shell string: paths come from slide rows
+    await execFileAsync('vips', ['arrayjoin', tilePaths.join(' '), mosaicPath, '--across', String(plan.across)],
+      { timeout: RENDER_TIMEOUT_MS });
+
+    await execFileAsync('vips', ['crop', mosaicPath, cropPath, ...[plan.crop.x, plan.crop.y, plan.width, plan.height].map(String)],
+      { timeout: RENDER_TIMEOUT_MS });
+
+    if (resize) {
+      await execFileAsync('vips', ['resize', cropPath, `${outPath}[Q=${quality}]`, String(size.width / plan.width), '--vscale', String(size.height / plan.height)],
+        { timeout: RENDER_TIMEOUT_MS });
+    }
+  } finally {
+    await cleanupTemp(mosaicPath);
+    if (resize) await cleanupTemp(cropPath);
+  }
+
+  const { size: bytes } = await stat(outPath);
+  return {
+    error: null,
+    region: plan.region,
+    width: resize ? size.width : plan.width,
+    height: resize ? size.height : plan.height,
+    bytes
+  };
+}
+
+/**
+ * Levels of the raw slide: OpenSlide's for WSI formats, else the image alone
+ */
+async function rawLevels(slide) {
+  if (isWSIFormat(slide.format)) {
+    const { levels } = await getSvsPyramidInfo(slide.raw_path);
+    if (levels.length > 0) return levels;
+  }
+  return [{ level: 0, width: slide.width, height: slide.height, downsample: 1 }];
+}
+
+async function writeExport(slide, plan, outPath, { format, overlay }) {
+  const crop = sourceCrop(await rawLevels(slide), plan);
+  const source = crop.level > 0 ? `${slide.raw_path}[level=${crop.level}]` : slide.raw_path;
+
+  await mkdir(dirname(outPath), { recursive: true });
+  const temp = join(dirname(outPath), `.${randomUUID()}`);
+  const cropPath = `${temp}.crop.v`;
+  const sizedPath = `${temp}.sized.v`;
+  const overlayPath = `${temp}.overlay.svg`;
+  const composedPath = `${temp}.composed.v`;
+  const savePath = `${temp}.${EXPORT_FORMATS[format].extension}`;
+
+  try {
+    await execFileAsync(
+      'vips',
+      ['crop', source, cropPath, ...[crop.left, crop.top, crop.width, crop.height].map(String)],
+      { timeout: RENDER_TIMEOUT_MS }
+    );
+
+    let image = cropPath;
+    if (crop.width !== plan.width || crop.height !== plan.height) {
+      await execFileAsync(
+        'vips',
+        ['resize', cropPath, sizedPath, String(crop.hscale), '--vscale', String(crop.vscale)],
+        { timeout: RENDER_TIMEOUT_MS }
+      );
+      image = sizedPath;
+    }
+
+    if (overlay) {
+      await writeFile(overlayPath, overlay);
+      await execFileAsync('vips', ['composite2', image, overlayPath, composedPath, 'over'], { timeout: RENDER_TIMEOUT_MS });
+      image = composedPath;
+    }
+
+    // OpenSlide images carry alpha (transparent outside the scanned area)
+    await execFileAsync(
+      'vips',
+      ['flatten', image, `${savePath}${EXPORT_FORMATS[format].options}`, '--background', '255 255 255'],
+      { timeout: RENDER_TIMEOUT_MS }
+    );
+    await rename(savePath, outPath);
+  } finally {
+    for (const path of [cropPath, sizedPath, overlayPath, composedPath, savePath]) {
+      await cleanupTemp(path);
+    }
+  }
+}
+
+/**
+ * Export a planned region of a slide from its raw file, unless already
+ * exported to outPath.
+ *
+ * @param {object} slide - slides row
+ * @param {object} plan - lib/region-extract.js planExtraction() plan
+ * @param {string} outPath - File to write
+ * @param {{ format: 'jpeg'|'png'|'tiff', overlay: string|null }} options - overlay: SVG of the output size
+ * @returns {Promise<{ error: string|null, path?: string, cached?: boolean }>}
+ *   error: 'no_raw' (raw slide not on this edge, e.g. imported pyramids),
+ *   'busy' (REGION_EXPORT_CONCURRENCY exports already running);
+ *   vips failures throw
+ */
+export async function extractRegion(slide, plan, outPath, { format, overlay = null }) {
+  if (await fileExists(outPath)) {
+    // The modification time is the last use, for the cache eviction order
+    const now = new Date();
+    await utimes(outPath, now, now).catch(() => {});
+    return { error: null, path: outPath, cached: true };
+  }
+  if (!slide.raw_path || !(await fileExists(slide.raw_path))) return { error: 'no_raw' };
+
+  if (!pendingExports.has(outPath)) {
+    if (pendingExports.size >= EXPORT_CONCURRENCY) return { error: 'busy' };
+    const pending = writeExport(slide, plan, outPath, { format, overlay })
+      .finally(() => pendingExports.delete(outPath));
+    pendingExports.set(outPath, pending);
+  }
+  await pendingExports.get(outPath);
+  sweepRegionCache().catch(err => console.error('[regions] Cache sweep failed:', err.message));
+  return { error: null, path: outPath, cached: false };
+}
+
+async function pruneRegionCache() {
+  const files = [];
+  for (const slideId of await readdir(DERIVED_DIR).catch(() => [])) {
+    const dir = join(DERIVED_DIR, slideId, 'regions');
+    for (const name of await readdir(dir).catch(() => [])) {
+      // Dot files are exports being written
+      if (name.startsWith('.')) continue;
+      const info = await stat(join(dir, name)).catch(() => null);
+      if (info?.isFile()) files.push({ path: join(dir, name), bytes: info.size, usedAt: info.mtimeMs });
+    }
+  }
+
+  const evicted = regionCacheEvictions(files, { maxBytes: CACHE_MAX_BYTES, maxAgeMs: CACHE_TTL_MS, now: Date.now() });
+  for (const path of evicted) {
+    await cleanupTemp(path);
+  }
+  if (evicted.length > 0) console.log(`[regions] Evicted ${evicted.length} cached export(s)`);
+  return evicted.length;
+}
+
+/**
+ * Remove expired and least recently used region exports (one sweep at a
+ * time; callers during a sweep get the running one)
+ *
+ * @returns {Promise<number>} exports removed
+ */
+export function sweepRegionCache() {
+  if (!sweeping) sweeping = pruneRegionCache().finally(() => { sweeping = null; });
+  return sweeping;
+}
+
+export function startRegionCacheSweep() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(() => {
+    sweepRegionCache().catch(err => console.error('[regions] Cache sweep failed:', err.message));
+  }, CACHE_SWEEP_INTERVAL_MS);
+}
+
+export function stopRegionCacheSweep() {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
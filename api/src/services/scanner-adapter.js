@@ -19,7 +19,7 @@ import { join, extname } from 'path';
 import { constants } from 'fs';
 import { hashFile } from '../lib/hash.js';
 import { parseDsmeta, parseMoticPath } from '../lib/dsmeta-parser.js';
-import { createSlide, createJob, updateSlide, updateSlideOcr, listPendingOcrSlides } from '../db/slides.js';
+import { createSlide, createJob, updateSlide, updateSlideOcr, setSlideStain, listPendingOcrSlides } from '../db/slides.js';
 import { query } from '../db/index.js';
 import { ocrLabel, isOcrEnabled } from '../lib/label-ocr.js';
 import { parsePathologyFilename } from '../lib/filename-parser.js';
@@ -92,6 +92,7 @@ async function processNewFile(filePath) {
   let ocrStatus = null;
   let dsmetaPath = null;
   let externalFields = null;
+  let ocrStain = null;
 
   const dsmetaDir = filePath + '.dsmeta';
   const labelPath = dsmetaDir + '/label.jpg';
@@ -114,6 +115,7 @@ async function processNewFile(filePath) {
           externalCaseBase: ocrResult.caseBase,
           externalSlideLabel: ocrResult.fullName,
         };
+        ocrStain = ocrResult.stain;
       } else {
         console.log(`[Scanner] OCR: could not read label for ${filename}, processing with original name`);
         ocrStatus = 'pending';
@@ -155,6 +157,9 @@ async function processNewFile(filePath) {
   if (Object.values(slideUpdates).some(v => v !== null && v !== undefined)) {
     await updateSlideOcr(slideId, slideUpdates);
   }
+  if (ocrStain) {
+    await setSlideStain(slideId, { ...ocrStain, source: 'ocr' });
+  }
 
   // --- Parse dsmeta for barcode/guid ---
   const pathInfo = parseMoticPath(filePath);
@@ -243,6 +248,9 @@ async function retryPendingOcr() {
         externalSlideLabel: ocrResult.fullName,
         ocrStatus: 'done',
       });
+      if (ocrResult.stain) {
+        await setSlideStain(slide.id, { ...ocrResult.stain, source: 'ocr' });
+      }
 
       // Re-emit SlideRegistered only if TILEGEN is already done (slide fully ready)
       const slideRow = await query(
@@ -0,0 +1,492 @@
+/**
+ * Sync Pull Service
+ *
+ * Pulls annotations, threads and messages created or changed in the cloud
+ * viewer and applies them to the local DB. Complements the push-only sync
+ * worker (sync/src/worker.js), which sends local outbox_events to the cloud.
+ *
+ * For each entity type, a "since" watermark is kept in sync_cursors. Pulled
+ * changes go through db/collaboration.js without recording outbox events,
+ * so they are never echoed back. Changes produced by this edge (matched by
+ * agent id or idempotency key) are skipped. Annotation conflicts are
+ * resolved by version (see lib/sync-merge.js). Changes to slides of a
+ * signed-out case are not applied: they are skipped and written to the
+ * audit log as 'sync.change.rejected' (the sign-out hash must keep matching).
+ *
+ * Enable via env:
+ *   SYNC_PULL_ENABLED=true
+ *   SYNC_PULL_INTERVAL_MS=10000
+ *   CLOUD_SYNC_URL, SYNC_TOKEN, EDGE_AGENT_ID, LAB_ID
+ */
+
+import {
+  createAnnotation,
+  getAnnotation,
+  findAnnotationByIdempotencyKey,
+  applyRemoteAnnotationVersion,
+  createThread,
+  getThread,
+  applyRemoteThreadVersion,
+  createMessage,
+  getMessage,
+  applyRemoteMessageVersion,
+  getSyncCursor,
+  setSyncCursor,
+  getSlideLock
+} from '../db/collaboration.js';
+import { getSlide } from '../db/slides.js';
+import {
+  normalizeRemoteAnnotation,
+  normalizeRemoteThread,
+  normalizeRemoteMessage,
+  resolveAnnotationChange
+} from '../lib/sync-merge.js';
+import { eventBus } from './events.js';
+import { writeAudit } from './audit.js';
+
+const CLOUD_SYNC_URL = process.env.CLOUD_SYNC_URL || 'http://mock-cloud:4000';
+const SYNC_TOKEN = process.env.SYNC_TOKEN || 'dev-token';
+const AGENT_ID = process.env.EDGE_AGENT_ID || process.env.AGENT_ID || 'local-agent-001';
+const LAB_ID = process.env.LAB_ID || 'lab-001';
+const PULL_BATCH_SIZE = parseInt(process.env.SYNC_PULL_BATCH_SIZE || '100', 10);
+
+// Threads before messages so a pulled message can find its thread
+const PULL_ENTITY_TYPES = ['annotation', 'thread', 'message'];
+
+let pullInterval = null;
+let pulling = false;
+let pullState = {
+  enabled: false,
+  state: 'stopped',
+  lastPull: null,
+  lastPullApplied: 0,
+  totalApplied: 0,
+  totalSkipped: 0,
+  error: null,
+};
+
+export function getSyncPullState() {
+  return { ...pullState };
+}
+
+/**
+ * Fetch a page of changes for an entity type from the cloud.
+ */
+async function fetchRemoteChanges(entityType, since) {
+  const url = new URL(`${CLOUD_SYNC_URL}/v1/sync/pull`);
+  url.searchParams.set('entityType', entityType);
+  url.searchParams.set('limit', String(PULL_BATCH_SIZE));
+  if (since) url.searchParams.set('since', since);
+
+  const response = await fetch(url, {
+    method: 'GET',
+    headers: {
+      'Authorization': `Bearer ${SYNC_TOKEN}`,
+      'X-Agent-Id': AGENT_ID,
+      'X-Lab-Id': LAB_ID
+    },
+    signal: AbortSignal.timeout(30000)
+  });
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => 'No body');
+    throw new Error(`HTTP ${response.status}: ${text}`);
+  }
+
+  const body = await response.json();
+  return {
+    events: body.events || [],
+    cursor: body.cursor ?? since,
+    hasMore: !!body.hasMore
+  };
+}
+
+/**
+ * Record a pulled change that was not applied because its slide belongs to a
+ * signed-out case. The cloud keeps its version; reopening the case here does
+ * not replay it.
+ */
+async function rejectLockedChange(change, slideId, lock) {
+  console.warn(`[SyncPull] Rejected ${change.entityType || 'change'} ${change.op} ${change.entityId}: slide ${String(slideId).substring(0, 12)} belongs to signed-out case ${lock.case_id}`);
+  await writeAudit({
+    action: 'sync.change.rejected',
+    method: 'SYNC',
+    route: 'sync-pull',
+    statusCode: 423,
+    resourceType: change.entityType || null,
+    resourceId: change.entityId || null,
+    slideId,
+    caseId: lock.case_id,
+    details: {
+      reason: 'slide_locked',
+      op: change.op,
+      eventId: change.eventId || null,
+      agentId: change.agentId || null,
+      version: change.payload?.version ?? null
+    }
+  });
+}
+
+/**
+ * Apply a pulled annotation change. Returns true if the local DB changed.
+ */
+async function applyAnnotationChange(change) {
+  const remote = normalizeRemoteAnnotation(change);
+
+  // Skip our own annotations echoed back by the cloud
+  if (remote.idempotencyKey) {
+    const own = await findAnnotationByIdempotencyKey(remote.idempotencyKey);
+    if (own && own.annotation_id !== remote.annotationId) return false;
+  }
+
+  const local = await getAnnotation(remote.annotationId);
+  const slideId = local?.slide_id || remote.slideId;
+  const lock = slideId ? await getSlideLock(slideId) : null;
+  const { action, reason } = resolveAnnotationChange(local, remote, lock);
+
+  if (reason === 'slide_locked') await rejectLockedChange({ entityType: 'annotation', ...change }, slideId, lock);
+  if (action === 'skip') return false;
+
+  if (action === 'create') {
+    if (!(await getSlide(remote.slideId))) return false;
+
+    const { annotation, created } = await createAnnotation({
+      slideId: remote.slideId,
+      type: remote.type,
+      geometry: remote.geometry,
+      style: remote.style,
+      classId: remote.classId ?? null,
+      label: remote.label ?? null,
+      properties: remote.properties ?? null,
+      authorId: remote.authorId,
+      idempotencyKey: remote.idempotencyKey,
+      annotationId: remote.annotationId,
+      version: remote.version,
+      recordOutbox: false
+    });
+    if (!created) return false;
+
+    eventBus.emit('sse', {
+      event: 'annotation.created',
+      data: {
+        annotationId: annotation.annotation_id,
+        slideId: annotation.slide_id,
+        type: annotation.type,
+        classId: annotation.class_id,
+        authorId: annotation.author_id,
+        timestamp: Date.now()
+      }
+    });
+    return true;
+  }
+
+  const annotation = await applyRemoteAnnotationVersion(remote.annotationId, {
+    type: remote.type,
+    geometry: remote.geometry,
+    style: remote.style,
+    classId: remote.classId,
+    label: remote.label,
+    properties: remote.properties,
+    version: remote.version,
+    deleted: action === 'delete',
+    restored: action === 'restore'
+  });
+  // Lost the race against a newer local edit
+  if (!annotation) return false;
+
+  const events = { delete: 'annotation.deleted', restore: 'annotation.restored', update: 'annotation.updated' };
+  eventBus.emit('sse', {
+    event: events[action],
+    data: {
+      annotationId: annotation.annotation_id,
+      slideId: annotation.slide_id,
+      version: annotation.version,
+      timestamp: Date.now()
+    }
+  });
+  return true;
+}
+
+/**
+ * Apply a pulled thread resolve/reopen (higher version wins)
+ */
+async function applyThreadStatusChange(change, remote) {
+  if (remote.status !== 'open' && remote.status !== 'resolved') return false;
+
+  // Older versions would be skipped anyway: nothing to reject
+  const local = await getThread(remote.threadId);
+  if (!local || local.version >= remote.version) return false;
+  const lock = await getSlideLock(local.slide_id);
+  if (lock) {
+    await rejectLockedChange({ entityType: 'thread', ...change }, local.slide_id, lock);
+    return false;
+  }
+
+  const thread = await applyRemoteThreadVersion(remote.threadId, {
+    status: remote.status,
+    resolvedBy: remote.resolvedBy,
+    resolvedAt: remote.resolvedAt,
+    version: remote.version
+  });
+  if (!thread) return false;
+
+  eventBus.emit('sse', {
+    event: thread.status === 'resolved' ? 'thread.resolved' : 'thread.reopened',
+    data: {
+      threadId: thread.thread_id,
+      slideId: thread.slide_id,
+      status: thread.status,
+      resolvedBy: thread.resolved_by,
+      timestamp: Date.now()
+    }
+  });
+  return true;
+}
+
+/**
+ * Apply a pulled thread change: creation, or a status change
+ */
+async function applyThreadChange(change) {
+  const remote = normalizeRemoteThread(change);
+  if (change.op === 'update') return applyThreadStatusChange(change, remote);
+  if (change.op !== 'create') return false;
+
+  if (!remote.slideId || await getThread(remote.threadId)) return false;
+  if (!(await getSlide(remote.slideId))) return false;
+
+  const lock = await getSlideLock(remote.slideId);
+  if (lock) {
+    await rejectLockedChange({ entityType: 'thread', ...change }, remote.slideId, lock);
+    return false;
+  }
+
+  const thread = await createThread({
+    slideId: remote.slideId,
+    title: remote.title,
+    anchorType: remote.anchorType,
+    anchorId: remote.anchorId,
+    threadId: remote.threadId,
+    recordOutbox: false
+  });
+
+  eventBus.emit('sse', {
+    event: 'thread.created',
+    data: {
+      threadId: thread.thread_id,
+      slideId: thread.slide_id,
+      title: thread.title,
+      anchorType: thread.anchor_type,
+      anchorId: thread.anchor_id,
+      timestamp: Date.now()
+    }
+  });
+  return true;
+}
+
+/**
+ * Apply a pulled message edit or delete (higher version wins)
+ */
+async function applyMessageVersionChange(change, remote) {
+  const local = await getMessage(remote.messageId);
+  if (!local || local.version >= remote.version) return false;
+  const localThread = await getThread(local.thread_id);
+  const lock = localThread ? await getSlideLock(localThread.slide_id) : null;
+  if (lock) {
+    await rejectLockedChange({ entityType: 'message', ...change }, localThread.slide_id, lock);
+    return false;
+  }
+
+  const message = await applyRemoteMessageVersion(remote.messageId, {
+    text: remote.text,
+    version: remote.version,
+    deleted: remote.deleted,
+    deletedBy: remote.deletedBy,
+    editedBy: remote.authorId
+  });
+  if (!message) return false;
+
+  eventBus.emit('sse', {
+    event: message.deleted_at ? 'message.deleted' : 'message.updated',
+    data: {
+      messageId: message.message_id,
+      threadId: message.thread_id,
+      slideId: localThread?.slide_id || null,
+      version: message.version,
+      timestamp: Date.now()
+    }
+  });
+  return true;
+}
+
+/**
+ * Apply a pulled message change: creation, edit or delete
+ */
+async function applyMessageChange(change) {
+  const remote = normalizeRemoteMessage(change);
+  if (change.op === 'update' || change.op === 'delete') return applyMessageVersionChange(change, remote);
+  if (change.op !== 'create') return false;
+
+  if (!remote.threadId || !remote.authorId || !remote.text) return false;
+  if (await getMessage(remote.messageId)) return false;
+
+  const thread = await getThread(remote.threadId);
+  if (!thread) return false;
+
+  const lock = await getSlideLock(thread.slide_id);
+  if (lock) {
+    await rejectLockedChange({ entityType: 'message', ...change }, thread.slide_id, lock);
+    return false;
+  }
+
+  // createMessage skips our own messages echoed back (idempotency key match)
+  const { message, created } = await createMessage({
+    threadId: remote.threadId,
+    authorId: remote.authorId,
+    text: remote.text,
+    idempotencyKey: remote.idempotencyKey,
+    messageId: remote.messageId,
+    recordOutbox: false
+  });
+  if (!created) return false;
+
+  eventBus.emit('sse', {
+    event: 'message.created',
+    data: {
+      messageId: message.message_id,
+      threadId: message.thread_id,
+      slideId: thread.slide_id,
+      authorId: message.author_id,
+      mentions: message.mentions,
+      timestamp: Date.now()
+    }
+  });
+  return true;
+}
+
+const APPLIERS = {
+  annotation: applyAnnotationChange,
+  thread: applyThreadChange,
+  message: applyMessageChange,
+};
+
+/**
+ * Pull and apply all pending changes for one entity type.
+ */
+async function pullEntityType(entityType) {
+  let since = await getSyncCursor(entityType);
+  let applied = 0;
+  let skipped = 0;
+
+  while (true) {
+    const { events, cursor, hasMore } = await fetchRemoteChanges(entityType, since);
+
+    for (const change of events) {
+      if (change.agentId && change.agentId === AGENT_ID) {
+        skipped++;
+        continue;
+      }
+
+      try {
+        if (await APPLIERS[entityType](change)) applied++;
+        else skipped++;
+      } catch (err) {
+        // Leave cursor where it is so the batch is retried next cycle
+        throw new Error(`Failed to apply ${entityType} ${change.entityId}: ${err.message}`);
+      }
+    }
+
+    await setSyncCursor(entityType, cursor, events.length);
+
+    if (!hasMore || events.length === 0) break;
+    // Asking again with the same cursor would return the same page forever
+    if (cursor === since) {
+      console.warn(`[SyncPull] ${entityType}: cloud reported more changes without advancing the cursor (${since}); retrying next cycle`);
+      break;
+    }
+    since = cursor;
+  }
+
+  return { applied, skipped };
+}
+
+/**
+ * Run one pull cycle across all entity types.
+ */
+export async function runPull() {
+  if (pulling) {
+    return { applied: 0, skipped: 0 };
+  }
+
+  pulling = true;
+  pullState.state = 'pulling';
+
+  let applied = 0;
+  let skipped = 0;
+
+  try {
+    for (const entityType of PULL_ENTITY_TYPES) {
+      const result = await pullEntityType(entityType);
+      applied += result.applied;
+      skipped += result.skipped;
+    }
+
+    pullState.lastPull = new Date().toISOString();
+    pullState.lastPullApplied = applied;
+    pullState.totalApplied += applied;
+    pullState.totalSkipped += skipped;
+    pullState.state = 'running';
+    pullState.error = null;
+
+    if (applied > 0) {
+      console.log(`[SyncPull] Applied ${applied} remote changes (${skipped} skipped)`);
+    }
+    return { applied, skipped };
+  } catch (err) {
+    pullState.state = 'running';
+    pullState.error = err.message;
+    console.error(`[SyncPull] Pull error: ${err.message}`);
+    return { applied, skipped };
+  } finally {
+    pulling = false;
+  }
+}
+
+/**
+ * Start the pull loop.
+ */
+export async function startSyncPull() {
+  const enabled = process.env.SYNC_PULL_ENABLED === 'true';
+  if (!enabled) {
+    pullState.enabled = false;
+    pullState.state = 'disabled';
+    console.log('[SyncPull] Sync pull disabled (SYNC_PULL_ENABLED != true)');
+    return;
+  }
+
+  const intervalMs = parseInt(process.env.SYNC_PULL_INTERVAL_MS || '10000', 10);
+
+  pullState.enabled = true;
+  pullState.state = 'running';
+
+  console.log(`[SyncPull] Starting sync pull from ${CLOUD_SYNC_URL} (agent ${AGENT_ID}, every ${intervalMs / 1000}s)`);
+
+  pullInterval = setInterval(() => {
+    runPull().catch(err => {
+      console.error(`[SyncPull] Periodic pull error: ${err.message}`);
+    });
+  }, intervalMs);
+
+  // First pull in the background: the cloud may be unreachable at boot
+  runPull().catch(() => {});
+}
+
+/**
+ * Stop the pull loop.
+ */
+export function stopSyncPull() {
+  if (pullInterval) {
+    clearInterval(pullInterval);
+    pullInterval = null;
+  }
+  pullState.state = 'stopped';
+}
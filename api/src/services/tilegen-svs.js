@@ -34,6 +34,9 @@ const TILE_QUALITY = parseInt(process.env.TILE_JPEG_QUALITY || '80', 10);
 const GENERATION_TIMEOUT_MS = parseInt(process.env.TILE_GENERATION_TIMEOUT_MS || '60000', 10);
 const MAX_CONCURRENT_GENERATIONS = parseInt(process.env.TILE_CONCURRENCY || '4', 10);
 
+// WSI formats that use on-demand tile generation
+const WSI_FORMATS = ['svs', 'tiff', 'ndpi', 'mrxs'];
+
 // In-memory lock map for request coalescing
 // Key: "slideId/z/x/y" -> Promise that resolves when tile is ready
 const pendingTiles = new Map();
@@ -74,7 +77,7 @@ function getTileKey(slideId, z, x, y) {
  * Get SVS pyramid level information using vipsheader
  * Returns array of levels with { width, height, downsample }
  */
-async function getSvsPyramidInfo(rawPath) {
+export async function getSvsPyramidInfo(rawPath) {
   // Check cache first
   if (pyramidInfoCache.has(rawPath)) {
     return pyramidInfoCache.get(rawPath);
@@ -432,6 +435,13 @@ export async function generateTile(slideId, z, x, y) {
   return generationPromise;
 }
 
+/**
+ * Check if format is a WSI format (on-demand tiles)
+ */
+export function isWSIFormat(format) {
+  return WSI_FORMATS.includes(format?.toLowerCase());
+}
+
 /**
  * Check if tile generation is pending
  */
@@ -3,9 +3,13 @@
  *
  * Establishes a persistent WebSocket connection to the cloud for reverse proxy requests.
  * The cloud can route HTTP requests through this tunnel to access local edge resources.
+ * Each http_request carries the identity of the cloud user it was made for
+ * ({ userId, username, displayName, role }); requests without one are
+ * treated as unauthenticated.
  */
 
 import WebSocket from 'ws';
+import { getTunnelAuthHeaders } from './auth.js';
 
 // Configuration from environment
 const CLOUD_TUNNEL_URL = process.env.CLOUD_TUNNEL_URL || '';
@@ -156,18 +160,27 @@ function scheduleReconnect() {
  * Uses fastify.inject to execute the request locally
  */
 async function handleHttpRequest(message) {
-  const { requestId, method, url, headers, bodyBase64 } = message;
+  const { requestId, method, url, headers, bodyBase64, identity } = message;
 
   console.log(`[Tunnel] Proxying ${method} ${url} (requestId: ${requestId})`);
 
   const startTime = Date.now();
 
   try {
+    // Credentials forwarded from the browser mean nothing locally: the request
+    // runs as the identity the cloud asserted (see services/auth.js)
+    const forwardedHeaders = {};
+    for (const [name, value] of Object.entries(headers || {})) {
+      const lower = name.toLowerCase();
+      if (lower === 'authorization' || lower.startsWith('x-supernavi-')) continue;
+      forwardedHeaders[name] = value;
+    }
+
     // Prepare inject options
     const injectOptions = {
       method,
       url,
-      headers: headers || {},
+      headers: { ...forwardedHeaders, ...getTunnelAuthHeaders(identity) },
     };
 
     // Add body if present
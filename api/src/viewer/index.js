@@ -0,0 +1,45 @@
+/**
+ * Local Viewer
+ * Read-only slide viewer served by the edge itself, usable without the cloud
+ * frontend and without internet access (OpenSeadragon is served from
+ * node_modules, not from a CDN)
+ *
+ * GET /viewer/:slideId         → viewer page
+ * GET /viewer/assets/*         → its script and styles (public/)
+ * GET /viewer/openseadragon/*  → OpenSeadragon build and button images
+ *
+ * These are public: the page logs in through POST /v1/auth/login when the API
+ * answers 401 and loads the slide (DZI, tiles, annotations, events) from /v1
+ * with the token.
+ */
+
+import fastifyStatic from '@fastify/static';
+import { readFile } from 'fs/promises';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const PUBLIC_DIR = join(dirname(fileURLToPath(import.meta.url)), 'public');
+const OPENSEADRAGON_DIR = dirname(createRequire(import.meta.url).resolve('openseadragon'));
+
+export default async function viewerRoutes(fastify) {
+  await fastify.register(fastifyStatic, {
+    root: PUBLIC_DIR,
+    prefix: '/viewer/assets/',
+    decorateReply: false
+  });
+
+  await fastify.register(fastifyStatic, {
+    root: OPENSEADRAGON_DIR,
+    prefix: '/viewer/openseadragon/',
+    decorateReply: false
+  });
+
+  // Same page for every slide: it reads the slide id from its own URL
+  const page = await readFile(join(PUBLIC_DIR, 'index.html'), 'utf8');
+
+  fastify.get('/viewer/:slideId', async (request, reply) => {
+    reply.header('Content-Type', 'text/html; charset=utf-8');
+    return page;
+  });
+}
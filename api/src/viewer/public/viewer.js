@@ -0,0 +1,304 @@
+// SuperNavi local viewer: read-only slide, annotations and scale bar
+// (served by the API at /viewer/:slideId, see src/viewer/index.js)
+
+const API_BASE = '/v1';
+const slideId = decodeURIComponent(location.pathname.split('/').filter(Boolean).pop() || '');
+
+const DEFAULT_COLOR = '#e94560';
+const SCALE_BAR_MAX_PX = 150;
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+let authToken = localStorage.getItem('supernavi.token');
+let viewer = null;
+let slideMpp = null;
+let annotations = [];
+let classColors = {};
+let eventSource = null;
+let refreshTimer = null;
+
+// Log in through the form; resolves once a token is stored
+function login() {
+  const form = document.getElementById('loginForm');
+  const error = document.getElementById('loginError');
+  form.hidden = false;
+
+  return new Promise(resolve => {
+    form.onsubmit = async (e) => {
+      e.preventDefault();
+      const res = await fetch(`${API_BASE}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: form.username.value, password: form.password.value })
+      });
+      if (!res.ok) {
+        error.textContent = 'Login failed';
+        return;
+      }
+      authToken = (await res.json()).token;
+      localStorage.setItem('supernavi.token', authToken);
+      form.hidden = true;
+      resolve();
+    };
+  });
+}
+
+// fetch() with the bearer token; asks to log in on 401
+async function apiFetch(path) {
+  const headers = authToken ? { Authorization: `Bearer ${authToken}` } : {};
+  const res = await fetch(`${API_BASE}${path}`, { headers });
+  if (res.status === 401) {
+    await login();
+    return apiFetch(path);
+  }
+  return res;
+}
+
+// Tiles and SSE cannot send headers: pass the token as access_token
+function withToken(url) {
+  if (!authToken) return url;
+  return url + (url.includes('?') ? '&' : '?') + 'access_token=' + encodeURIComponent(authToken);
+}
+
+function showMessage(text) {
+  const message = document.getElementById('message');
+  message.textContent = text;
+  message.hidden = !text;
+}
+
+async function loadSlide() {
+  if (!slideId) {
+    showMessage('No slide in the URL (/viewer/<slideId>)');
+    return;
+  }
+
+  const res = await apiFetch(`/slides/${encodeURIComponent(slideId)}`);
+  if (!res.ok) {
+    showMessage(res.status === 404 ? 'Slide not found' : `Failed to load slide (${res.status})`);
+    return;
+  }
+  const slide = await res.json();
+  if (slide.status !== 'ready') {
+    showMessage(`Slide is ${slide.status}; reload when processing is done`);
+    return;
+  }
+
+  slideMpp = slide.mpp;
+  document.title = `${slide.originalFilename} - SuperNavi Viewer`;
+  document.getElementById('slideTitle').textContent = slide.originalFilename;
+  document.getElementById('slideMeta').textContent = [
+    `${slide.width} x ${slide.height} px`,
+    slide.mpp ? `${slide.mpp} µm/px` : 'no calibration',
+    slide.stain ? (slide.stain.marker || slide.stain.type) : null
+  ].filter(Boolean).join(' · ');
+
+  initViewer(withToken(`${API_BASE}/slides/${encodeURIComponent(slideId)}.dzi`));
+  await loadClasses();
+  await loadAnnotations();
+  connectSSE();
+}
+
+function initViewer(dziUrl) {
+  viewer = OpenSeadragon({
+    id: 'viewer',
+    prefixUrl: '/viewer/openseadragon/images/',
+    tileSources: dziUrl,
+    showNavigator: true,
+    navigatorPosition: 'BOTTOM_RIGHT',
+    navigatorSizeRatio: 0.15,
+    animationTime: 0.5,
+    blendTime: 0.1,
+    minZoomImageRatio: 0.8,
+    maxZoomPixelRatio: 2,
+    visibilityRatio: 0.5,
+    constrainDuringPan: true,
+    timeout: 120000
+  });
+
+  viewer.addHandler('open-failed', () => showMessage('Failed to open the slide pyramid'));
+  viewer.addHandler('open', render);
+  viewer.addHandler('animation', render);
+  viewer.addHandler('resize', render);
+}
+
+async function loadClasses() {
+  const res = await apiFetch('/annotation-classes');
+  if (!res.ok) return;
+  const { items } = await res.json();
+  classColors = Object.fromEntries(items.map(c => [c.classId, c.color]));
+}
+
+async function loadAnnotations() {
+  const res = await apiFetch(`/slides/${encodeURIComponent(slideId)}/annotations`);
+  if (!res.ok) return;
+  annotations = (await res.json()).items;
+  renderAnnotationList();
+  render();
+}
+
+// Bursts of events (imports, bulk edits) refetch once
+function scheduleRefresh() {
+  clearTimeout(refreshTimer);
+  refreshTimer = setTimeout(loadAnnotations, 300);
+}
+
+function connectSSE() {
+  if (eventSource) eventSource.close();
+  eventSource = new EventSource(withToken(`${API_BASE}/events`));
+  const status = document.getElementById('connectionStatus');
+
+  eventSource.onopen = () => {
+    status.className = 'connection-status connected';
+    status.textContent = 'Live';
+  };
+
+  eventSource.onerror = () => {
+    status.className = 'connection-status';
+    status.textContent = 'Disconnected';
+    eventSource.close();
+    setTimeout(connectSSE, 5000);
+  };
+
+  for (const event of ['annotation.created', 'annotation.updated', 'annotation.deleted', 'annotation.restored']) {
+    eventSource.addEventListener(event, (e) => {
+      const data = JSON.parse(e.data);
+      if (data.slideId === slideId) scheduleRefresh();
+    });
+  }
+}
+
+function annotationColor(ann) {
+  return ann.style?.strokeColor || classColors[ann.classId] || DEFAULT_COLOR;
+}
+
+function toScreen(p) {
+  return viewer.viewport.imageToViewerElementCoordinates(new OpenSeadragon.Point(p.x, p.y));
+}
+
+function svgElement(name, attributes) {
+  const el = document.createElementNS(SVG_NS, name);
+  for (const [key, value] of Object.entries(attributes)) el.setAttribute(key, value);
+  return el;
+}
+
+function annotationShape(ann) {
+  const g = ann.geometry;
+  const color = annotationColor(ann);
+  const style = {
+    stroke: color,
+    'stroke-width': ann.style?.strokeWidth || 2,
+    fill: ann.style?.fillColor || `${color}33`
+  };
+
+  switch (ann.type) {
+    case 'rectangle': {
+      const a = toScreen({ x: g.x, y: g.y });
+      const b = toScreen({ x: g.x + g.width, y: g.y + g.height });
+      return svgElement('rect', { ...style, x: a.x, y: a.y, width: b.x - a.x, height: b.y - a.y });
+    }
+    case 'ellipse': {
+      const c = toScreen({ x: g.cx, y: g.cy });
+      const edge = toScreen({ x: g.cx + g.rx, y: g.cy + g.ry });
+      return svgElement('ellipse', { ...style, cx: c.x, cy: c.y, rx: Math.abs(edge.x - c.x), ry: Math.abs(edge.y - c.y) });
+    }
+    case 'polygon':
+    case 'freehand':
+    case 'line': {
+      const points = g.points.map(toScreen).map(p => `${p.x},${p.y}`).join(' ');
+      if (ann.type === 'line') return svgElement('polyline', { ...style, fill: 'none', points });
+      return svgElement('polygon', { ...style, points });
+    }
+    case 'point': {
+      const p = toScreen(g);
+      return svgElement('circle', { ...style, fill: color, cx: p.x, cy: p.y, r: 5 });
+    }
+    default:
+      return null;
+  }
+}
+
+function renderAnnotations() {
+  const svg = document.getElementById('annotationSvg');
+  svg.replaceChildren();
+  if (!viewer?.world.getItemAt(0) || !document.getElementById('showAnnotations').checked) return;
+
+  for (const ann of annotations) {
+    const shape = annotationShape(ann);
+    if (shape) svg.appendChild(shape);
+  }
+}
+
+function formatLength(um) {
+  return um >= 1000 ? `${um / 1000} mm` : `${um} µm`;
+}
+
+// Longest 1/2/5 x 10^n micron length that fits in SCALE_BAR_MAX_PX
+function renderScaleBar() {
+  const bar = document.getElementById('scaleBar');
+  if (!slideMpp || !viewer?.world.getItemAt(0)) {
+    bar.hidden = true;
+    return;
+  }
+
+  const screenPxPerImagePx = viewer.viewport.viewportToImageZoom(viewer.viewport.getZoom(true));
+  const umPerScreenPx = slideMpp / screenPxPerImagePx;
+  const maxUm = SCALE_BAR_MAX_PX * umPerScreenPx;
+  const magnitude = 10 ** Math.floor(Math.log10(maxUm));
+  const lengthUm = [5, 2, 1].map(m => m * magnitude).find(l => l <= maxUm);
+  const rounded = Number(lengthUm.toPrecision(1));
+
+  document.getElementById('scaleBarLine').style.width = `${rounded / umPerScreenPx}px`;
+  document.getElementById('scaleBarLabel').textContent = formatLength(rounded);
+  bar.hidden = false;
+}
+
+function render() {
+  renderAnnotations();
+  renderScaleBar();
+}
+
+function annotationMeasure(m) {
+  if (!m) return '';
+  if (m.areaMm2 !== null && m.areaPx2 > 0) return `${m.areaMm2} mm²`;
+  if (m.lengthMm !== null && m.lengthPx > 0) return `${m.lengthMm} mm`;
+  if (m.areaPx2 > 0) return `${Math.round(m.areaPx2)} px²`;
+  if (m.lengthPx > 0) return `${Math.round(m.lengthPx)} px`;
+  return '';
+}
+
+function renderAnnotationList() {
+  const list = document.getElementById('annotationList');
+  document.getElementById('annotationCount').textContent = `(${annotations.length})`;
+  list.replaceChildren();
+
+  for (const ann of annotations) {
+    const item = document.createElement('li');
+    const swatch = document.createElement('span');
+    swatch.className = 'swatch';
+    swatch.style.background = annotationColor(ann);
+    const label = document.createElement('span');
+    label.textContent = ann.label || ann.type;
+    const measure = document.createElement('span');
+    measure.className = 'measure';
+    measure.textContent = annotationMeasure(ann.measurements);
+    item.append(swatch, label, measure);
+    item.addEventListener('click', () => zoomTo(ann));
+    list.appendChild(item);
+  }
+}
+
+function zoomTo(ann) {
+  const box = ann.measurements?.boundingBox;
+  if (!viewer || !box) return;
+  const margin = Math.max(box.width, box.height, 200) * 0.25;
+  const rect = viewer.viewport.imageToViewportRectangle(
+    box.x - margin, box.y - margin, box.width + 2 * margin, box.height + 2 * margin
+  );
+  viewer.viewport.fitBounds(rect);
+}
+
+document.getElementById('showAnnotations').addEventListener('change', render);
+
+loadSlide().catch(err => {
+  console.error('Failed to load slide:', err);
+  showMessage('Failed to load slide');
+});
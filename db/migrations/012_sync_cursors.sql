@@ -0,0 +1,12 @@
+-- Migration: 012_sync_cursors
+-- Bidirectional sync: per-entity pull watermark for changes pulled from the cloud
+
+CREATE TABLE IF NOT EXISTS sync_cursors (
+    entity_type TEXT PRIMARY KEY,
+    since TEXT,
+    pulled_count INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- entity_type values: annotation, thread, message
+-- since = opaque cursor returned by the cloud (NULL = pull from the beginning)
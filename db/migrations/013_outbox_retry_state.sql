@@ -0,0 +1,19 @@
+-- Migration: 013_outbox_retry_state
+-- Per-event retry state and dead-letter handling for outbox_events
+
+ALTER TABLE outbox_events ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE outbox_events ADD COLUMN IF NOT EXISTS last_error TEXT;
+ALTER TABLE outbox_events ADD COLUMN IF NOT EXISTS last_attempt_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE outbox_events ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE outbox_events ADD COLUMN IF NOT EXISTS dead_lettered_at TIMESTAMP WITH TIME ZONE;
+
+-- Event states:
+--   pending      = synced_at IS NULL AND dead_lettered_at IS NULL
+--   synced       = synced_at IS NOT NULL
+--   dead-letter  = dead_lettered_at IS NOT NULL (permanent rejection or attempts exhausted)
+-- next_attempt_at: pending events are not pushed before this time (per-event backoff)
+
+CREATE INDEX IF NOT EXISTS idx_outbox_pending ON outbox_events(created_at)
+    WHERE synced_at IS NULL AND dead_lettered_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_outbox_dead_lettered_at ON outbox_events(dead_lettered_at)
+    WHERE dead_lettered_at IS NOT NULL;
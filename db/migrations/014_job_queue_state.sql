@@ -0,0 +1,20 @@
+-- Migration: 014_job_queue_state
+-- Persistent job queue: payload, attempts and timing on jobs rows
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS payload JSONB;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS max_attempts INTEGER;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS started_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS finished_at TIMESTAMP WITH TIME ZONE;
+
+-- payload:         the exact message pushed to Redis, so a job can be re-queued
+--                  from the DB (startup recovery, POST /v1/jobs/:id/retry)
+-- attempts:        incremented each time the processor claims the job
+-- next_attempt_at: set while a failed job waits for its retry backoff
+
+-- CLEANUP jobs run after their slide row is deleted, so jobs can no longer
+-- reference slides. deleteSlide() removes a slide's other jobs explicitly.
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_slide_id_fkey;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_created_at ON jobs(created_at DESC);
@@ -0,0 +1,8 @@
+-- Migration: 015_job_progress
+-- Live progress of long-running jobs (TILEGEN dzsave + cloud upload)
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS progress JSONB;
+
+-- progress: one object per stage, merged as the job advances, e.g.
+--   { "tilegen": { "percent": 42, "tilesDone": 76000, "tilesTotal": 182000, "elapsedMs": 98000, "updatedAt": "..." },
+--     "upload":  { "percent": 10, "mode": "tar", "bytesDone": 314572800, "bytesTotal": 3145728000, "updatedAt": "..." } }
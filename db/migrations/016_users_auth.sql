@@ -0,0 +1,30 @@
+-- Migration: 016_users_auth
+-- Local user store and API tokens
+
+CREATE TABLE IF NOT EXISTS users (
+    user_id TEXT PRIMARY KEY DEFAULT gen_random_uuid()::TEXT,
+    username TEXT NOT NULL UNIQUE,
+    display_name TEXT,
+    role TEXT NOT NULL CHECK (role IN ('pathologist', 'technician', 'admin')),
+    password_hash TEXT NOT NULL,
+    cloud_user_id TEXT UNIQUE,
+    disabled_at TIMESTAMP WITH TIME ZONE,
+    last_login_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- cloud_user_id: identity asserted by the cloud for requests arriving
+--                through the tunnel (services/tunnel.js)
+
+-- Only the SHA-256 of a token is stored; the token itself is returned once by
+-- POST /v1/auth/login
+CREATE TABLE IF NOT EXISTS auth_tokens (
+    token_hash TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_user ON auth_tokens(user_id);
@@ -0,0 +1,48 @@
+-- Migration: 017_audit_log
+-- Append-only audit trail of clinical data access and mutations
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    audit_id BIGSERIAL PRIMARY KEY,
+    occurred_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    user_id TEXT,
+    username TEXT,
+    role TEXT,
+    source TEXT,
+    ip TEXT,
+    action TEXT NOT NULL,
+    method TEXT NOT NULL,
+    route TEXT NOT NULL,
+    status_code INTEGER NOT NULL,
+    resource_type TEXT,
+    resource_id TEXT,
+    slide_id TEXT,
+    case_id TEXT,
+    details JSONB
+);
+
+-- user_id/username/role are copied, not referenced: entries must outlive users
+-- source:  'token' (local login), 'tunnel' (cloud identity) or NULL (anonymous / auth disabled)
+-- details: extra context, e.g. tile counts of an aggregated 'slide.tiles.view' session
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_occurred_at ON audit_log(occurred_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log(user_id, occurred_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_slide ON audit_log(slide_id, occurred_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_case ON audit_log(case_id, occurred_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action);
+
+-- Entries can be added, never changed or removed
+CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_no_update ON audit_log;
+CREATE TRIGGER audit_log_no_update
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+CREATE TRIGGER audit_log_no_truncate
+    BEFORE TRUNCATE ON audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
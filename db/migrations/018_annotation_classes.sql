@@ -0,0 +1,32 @@
+-- Migration: 018_annotation_classes
+-- Lab-level annotation class catalog (tumor, necrosis, mitosis...) and
+-- class/label/properties on annotations
+
+CREATE TABLE IF NOT EXISTS annotation_classes (
+    class_id TEXT PRIMARY KEY DEFAULT gen_random_uuid()::TEXT,
+    name TEXT NOT NULL,
+    color TEXT NOT NULL,
+    code TEXT UNIQUE,
+    description TEXT,
+    archived_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Names are unique regardless of case ("Tumor" and "tumor" are one class)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_annotation_classes_name ON annotation_classes(LOWER(name));
+
+-- color: "#RRGGBB"
+-- code: optional lab/terminology code (e.g. SNOMED CT)
+-- archived_at: hidden from new annotations, kept for the ones using it
+
+-- class_id has no foreign key: annotations pulled from the cloud may carry a
+-- class another edge created
+ALTER TABLE annotations ADD COLUMN IF NOT EXISTS class_id TEXT;
+ALTER TABLE annotations ADD COLUMN IF NOT EXISTS label TEXT;
+ALTER TABLE annotations ADD COLUMN IF NOT EXISTS properties JSONB;
+
+-- label: free-text note shown next to the shape
+-- properties: free-form measurement/metadata values ({"mitoses": 3})
+
+CREATE INDEX IF NOT EXISTS idx_annotations_slide_class ON annotations(slide_id, class_id);
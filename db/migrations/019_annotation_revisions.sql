@@ -0,0 +1,37 @@
+-- Migration: 019_annotation_revisions
+-- Full state of an annotation after each change (create, update, delete,
+-- restore, revert), so earlier shapes can be listed and reverted to
+
+CREATE TABLE IF NOT EXISTS annotation_revisions (
+    revision_id BIGSERIAL PRIMARY KEY,
+    annotation_id TEXT NOT NULL REFERENCES annotations(annotation_id) ON DELETE CASCADE,
+    version INT NOT NULL,
+    op TEXT NOT NULL CHECK (op IN ('create', 'update', 'delete', 'restore', 'revert')),
+    source TEXT NOT NULL DEFAULT 'local' CHECK (source IN ('local', 'sync')),
+    type TEXT NOT NULL,
+    geometry JSONB NOT NULL,
+    style JSONB,
+    class_id TEXT,
+    label TEXT,
+    properties JSONB,
+    deleted BOOLEAN NOT NULL DEFAULT FALSE,
+    changed_by TEXT,
+    details JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (annotation_id, version)
+);
+
+-- source: 'sync' for changes pulled from the cloud
+-- changed_by: user id (cloud id when linked) of who made the change
+-- details: op specific, e.g. { "revertedTo": 3 }
+
+-- Annotations created before this migration start their history at their
+-- current version
+INSERT INTO annotation_revisions (annotation_id, version, op, type, geometry, style, class_id, label, properties, deleted, changed_by, created_at)
+SELECT annotation_id, version,
+       CASE WHEN deleted_at IS NOT NULL THEN 'delete' WHEN version = 1 THEN 'create' ELSE 'update' END,
+       type, geometry, style, class_id, label, properties, deleted_at IS NOT NULL,
+       CASE WHEN version = 1 THEN author_id END,
+       COALESCE(deleted_at, updated_at, created_at)
+FROM annotations
+ON CONFLICT (annotation_id, version) DO NOTHING;
@@ -0,0 +1,10 @@
+-- Migration: 020_annotation_bbox
+-- Bounding box of each annotation (full-resolution pixels) for viewport
+-- queries: GET /v1/slides/:slideId/annotations?bbox=x1,y1,x2,y2
+
+-- Written by db/collaboration.js from the geometry (lib/annotation-spatial.js);
+-- rows created before this migration are filled at API startup
+-- (backfillAnnotationBboxes). NULL when the geometry has no coordinates.
+ALTER TABLE annotations ADD COLUMN IF NOT EXISTS bbox BOX;
+
+CREATE INDEX IF NOT EXISTS idx_annotations_bbox ON annotations USING GIST (bbox);
@@ -0,0 +1,39 @@
+-- Migration: 021_thread_status_message_edits
+-- Thread resolution (open/resolved), message edits with history, soft
+-- deleted messages and @mentions
+
+-- version: bumped on each status change, for sync pull conflicts (higher wins)
+ALTER TABLE threads ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'resolved'));
+ALTER TABLE threads ADD COLUMN IF NOT EXISTS resolved_by TEXT;
+ALTER TABLE threads ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE threads ADD COLUMN IF NOT EXISTS version INT NOT NULL DEFAULT 1;
+
+CREATE INDEX IF NOT EXISTS idx_threads_slide_status ON threads(slide_id, status);
+
+-- version: bumped on each edit and on delete
+-- mentions: author ids parsed from "@<authorId>" in the text (lib/mentions.js)
+-- updated_at: last change, used by GET /v1/threads/:threadId/messages?since=
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS version INT NOT NULL DEFAULT 1;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS mentions TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS deleted_by TEXT;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE;
+
+UPDATE messages SET updated_at = created_at WHERE updated_at IS NULL;
+ALTER TABLE messages ALTER COLUMN updated_at SET DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_messages_thread_updated ON messages(thread_id, updated_at);
+
+-- Previous texts of edited messages: the text a message had at version,
+-- replaced by edited_by at edited_at
+CREATE TABLE IF NOT EXISTS message_edits (
+    edit_id BIGSERIAL PRIMARY KEY,
+    message_id TEXT NOT NULL REFERENCES messages(message_id) ON DELETE CASCADE,
+    version INT NOT NULL,
+    text TEXT NOT NULL,
+    edited_by TEXT,
+    edited_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (message_id, version)
+);
@@ -0,0 +1,24 @@
+-- Migration: 022_message_attachments
+-- Region snapshots attached to thread messages: a field of view of the
+-- thread's slide rendered to a JPEG under <derived>/<slideId>/attachments/
+-- and served at GET /v1/messages/:messageId/attachments/:n
+
+-- x, y, width, height: region in full-resolution slide pixels (clipped to
+-- the slide); level: pyramid level it was rendered at
+-- image_width, image_height, bytes: the rendered JPEG
+CREATE TABLE IF NOT EXISTS message_attachments (
+    message_id TEXT NOT NULL REFERENCES messages(message_id) ON DELETE CASCADE,
+    n INT NOT NULL,
+    slide_id TEXT NOT NULL REFERENCES slides(id) ON DELETE CASCADE,
+    x INT NOT NULL,
+    y INT NOT NULL,
+    width INT NOT NULL,
+    height INT NOT NULL,
+    level INT NOT NULL,
+    path TEXT NOT NULL,
+    image_width INT NOT NULL,
+    image_height INT NOT NULL,
+    bytes INT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (message_id, n)
+);
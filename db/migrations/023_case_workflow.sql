@@ -0,0 +1,39 @@
+-- Migration: 023_case_workflow
+-- Case workflow (status, assigned pathologist, priority, due date) and the
+-- log of status transitions used for turnaround times
+
+-- status: received -> in_review <-> awaiting_ihc, in_review -> signed_out
+--         (allowed transitions in api/src/lib/case-workflow.js)
+-- assigned_to: users.user_id of the pathologist
+ALTER TABLE cases ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'received'
+    CHECK (status IN ('received', 'in_review', 'awaiting_ihc', 'signed_out'));
+ALTER TABLE cases ADD COLUMN IF NOT EXISTS assigned_to TEXT;
+ALTER TABLE cases ADD COLUMN IF NOT EXISTS priority TEXT NOT NULL DEFAULT 'routine'
+    CHECK (priority IN ('routine', 'urgent', 'stat'));
+ALTER TABLE cases ADD COLUMN IF NOT EXISTS due_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE cases ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP WITH TIME ZONE;
+
+UPDATE cases SET status_changed_at = created_at WHERE status_changed_at IS NULL;
+ALTER TABLE cases ALTER COLUMN status_changed_at SET DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_cases_worklist ON cases(assigned_to, status);
+
+-- from_status: NULL for the reception of the case
+CREATE TABLE IF NOT EXISTS case_transitions (
+    transition_id BIGSERIAL PRIMARY KEY,
+    case_id TEXT NOT NULL REFERENCES cases(case_id) ON DELETE CASCADE,
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+    changed_by TEXT,
+    note TEXT,
+    changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_case_transitions_case ON case_transitions(case_id, changed_at);
+CREATE INDEX IF NOT EXISTS idx_case_transitions_to ON case_transitions(to_status, changed_at);
+
+-- Cases created before this migration were received when they were created
+INSERT INTO case_transitions (case_id, from_status, to_status, changed_at)
+SELECT c.case_id, NULL, 'received', c.created_at
+FROM cases c
+WHERE NOT EXISTS (SELECT 1 FROM case_transitions t WHERE t.case_id = c.case_id);
@@ -0,0 +1,31 @@
+-- Migration: 024_case_signout_lock
+-- Sign-out of a case: who signed it, when, and a hash of the annotations of
+-- its slides. Slides of a signed-out case are locked (annotation and thread
+-- writes return 423) until the case is reopened with a reason.
+
+-- Current sign-out (NULL while the case is not signed out)
+ALTER TABLE cases ADD COLUMN IF NOT EXISTS signed_out_by TEXT;
+ALTER TABLE cases ADD COLUMN IF NOT EXISTS signed_out_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE cases ADD COLUMN IF NOT EXISTS annotations_hash TEXT;
+
+-- Every sign-out of a case; amendment: 0 for the first one, then 1, 2...
+-- for sign-outs after a reopen. reopened_*: set when the case is reopened.
+-- annotations_hash: lib/case-workflow.js annotationsHash() of the
+-- annotations (not deleted) on slide_ids at sign-out
+CREATE TABLE IF NOT EXISTS case_signouts (
+    signout_id BIGSERIAL PRIMARY KEY,
+    case_id TEXT NOT NULL REFERENCES cases(case_id) ON DELETE CASCADE,
+    amendment INT NOT NULL DEFAULT 0,
+    signed_by TEXT,
+    signed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    annotations_hash TEXT NOT NULL,
+    annotation_count INT NOT NULL,
+    slide_ids TEXT[] NOT NULL DEFAULT '{}',
+    note TEXT,
+    reopened_by TEXT,
+    reopened_at TIMESTAMP WITH TIME ZONE,
+    reopen_reason TEXT,
+    UNIQUE (case_id, amendment)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cases_signed_out ON cases(status) WHERE status = 'signed_out';
@@ -0,0 +1,31 @@
+-- Migration: 025_list_search_indexes
+-- Search, filters and keyset pagination of GET /v1/slides and GET /v1/cases
+-- (see api/src/lib/list-query.js)
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Search (?q=) matches substrings of these expressions; they must stay
+-- identical to SLIDE_SEARCH / CASE_SEARCH in api/src/db for the trigram
+-- indexes to be used
+CREATE INDEX IF NOT EXISTS idx_slides_search ON slides USING GIN (
+    lower(coalesce(original_filename, '') || ' ' || coalesce(external_case_base, '') || ' ' ||
+          coalesce(scanner_barcode, '') || ' ' || coalesce(external_slide_label, ''))
+    gin_trgm_ops
+);
+CREATE INDEX IF NOT EXISTS idx_cases_search ON cases USING GIN (
+    lower(title || ' ' || coalesce(external_ref, '')) gin_trgm_ops
+);
+
+-- Sort orders (the id breaks ties between equal keys)
+CREATE INDEX IF NOT EXISTS idx_slides_created ON slides(created_at, id);
+CREATE INDEX IF NOT EXISTS idx_slides_filename ON slides(original_filename, id);
+CREATE INDEX IF NOT EXISTS idx_cases_created ON cases(created_at, case_id);
+CREATE INDEX IF NOT EXISTS idx_cases_updated ON cases(updated_at, case_id);
+CREATE INDEX IF NOT EXISTS idx_cases_title ON cases(title, case_id);
+
+-- Filters
+CREATE INDEX IF NOT EXISTS idx_slides_status ON slides(status);
+CREATE INDEX IF NOT EXISTS idx_slides_format ON slides(format);
+CREATE INDEX IF NOT EXISTS idx_slides_cloud_upload_status ON slides(cloud_upload_status) WHERE cloud_upload_status IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_slides_ocr_status ON slides(ocr_status) WHERE ocr_status IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_cases_priority ON cases(priority);
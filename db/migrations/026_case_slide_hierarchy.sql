@@ -0,0 +1,9 @@
+-- Migration: 026_case_slide_hierarchy
+-- Specimen (A, B, ...) and block (1, 2, ...) of each slide in a case.
+-- By default both are derived from the slide label when the case is read
+-- (api/src/lib/specimen-hierarchy.js); hierarchy_source = 'manual' marks a
+-- link edited by hand, whose specimen/block columns then win (NULL included).
+ALTER TABLE case_slides ADD COLUMN IF NOT EXISTS specimen TEXT;
+ALTER TABLE case_slides ADD COLUMN IF NOT EXISTS block TEXT;
+ALTER TABLE case_slides ADD COLUMN IF NOT EXISTS hierarchy_source TEXT
+    CHECK (hierarchy_source IN ('manual'));
@@ -0,0 +1,21 @@
+-- Migration: 027_slide_stain_tags
+-- Stain of a slide (H&E, IHC marker, special stain) and free-form tags
+-- (see api/src/lib/stains.js)
+
+-- stain_type: he | ihc | special | other; stain_marker: marker or stain name
+-- (Ki-67, HER2, PAS...), NULL for plain H&E or unknown IHC.
+-- stain_source: who set it; a source never overwrites a stronger one
+-- (classifier < ocr < manual). stain_confidence: classifier score (0-1)
+ALTER TABLE slides ADD COLUMN IF NOT EXISTS stain_type TEXT
+    CHECK (stain_type IN ('he', 'ihc', 'special', 'other'));
+ALTER TABLE slides ADD COLUMN IF NOT EXISTS stain_marker TEXT;
+ALTER TABLE slides ADD COLUMN IF NOT EXISTS stain_source TEXT
+    CHECK (stain_source IN ('classifier', 'ocr', 'manual'));
+ALTER TABLE slides ADD COLUMN IF NOT EXISTS stain_confidence REAL;
+
+-- Tags are stored normalized (trimmed, lowercase)
+ALTER TABLE slides ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_slides_stain_type ON slides(stain_type) WHERE stain_type IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_slides_stain_marker ON slides(lower(stain_marker)) WHERE stain_marker IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_slides_tags ON slides USING GIN (tags);
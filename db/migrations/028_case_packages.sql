@@ -0,0 +1,31 @@
+-- Migration: 028_case_packages
+-- Case packages: tar archives of a case (slides, annotations, threads) built
+-- for an outside consultant and imported on another edge
+-- (see api/src/services/case-package.js)
+
+-- direction: export (case_id: the exported case) or import (case_id: the
+-- case created from the package, once done)
+-- content: raw slide files or derived tile pyramids (export only; slides
+-- without a complete pyramid are always packaged raw)
+-- path: the archive on disk (NULL once deleted or after an import)
+-- summary: counts of what was packaged / imported
+CREATE TABLE IF NOT EXISTS case_packages (
+    package_id TEXT PRIMARY KEY DEFAULT gen_random_uuid()::TEXT,
+    direction TEXT NOT NULL CHECK (direction IN ('export', 'import')),
+    case_id TEXT REFERENCES cases(case_id) ON DELETE SET NULL,
+    content TEXT CHECK (content IN ('raw', 'derived')),
+    status TEXT NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'running', 'done', 'failed')),
+    path TEXT,
+    bytes BIGINT,
+    summary JSONB,
+    error TEXT,
+    created_by TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    finished_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_case_packages_case ON case_packages(case_id, created_at);
+
+-- Slides imported with only their derived pyramid have no raw file
+ALTER TABLE slides ALTER COLUMN raw_path DROP NOT NULL;
@@ -0,0 +1,9 @@
+-- Migration: 029_slide_properties
+-- Everything OpenSlide reads from a WSI, stored at P0
+-- (see processor/src/slide-properties.js)
+
+-- properties: { vendor, scanner, scanDate, objectivePower, mppX, mppY, focus,
+-- levels: [{ level, width, height, downsample, tileWidth, tileHeight }],
+-- raw: { openslide-show-properties key: value } }. NULL for plain images and
+-- slides processed before this migration (reprocess to fill it).
+ALTER TABLE slides ADD COLUMN IF NOT EXISTS properties JSONB;
@@ -12,6 +12,7 @@ const app = Fastify({ logger: true });
 // Store received events in memory
 const receivedEvents = [];
 let totalEventsReceived = 0;
+let nextSeq = 1;
 
 // Health endpoint
 app.get('/health', async () => {
@@ -63,6 +64,7 @@ app.post('/v1/sync/push', async (request, reply) => {
     // Accept the event
     accepted.push(eventId);
     receivedEvents.push({
+      seq: nextSeq++,
       eventId,
       agentId,
       labId,
@@ -91,6 +93,27 @@ app.post('/v1/sync/push', async (request, reply) => {
   };
 });
 
+// Sync pull endpoint: changes since cursor for one entity type.
+// Returns events from every agent; the edge skips its own.
+app.get('/v1/sync/pull', async (request, reply) => {
+  const { entityType } = request.query;
+  const since = parseInt(request.query.since) || 0;
+  const limit = Math.min(parseInt(request.query.limit) || 100, 500);
+
+  if (!entityType) {
+    return reply.code(400).send({ error: 'entityType is required' });
+  }
+
+  const matching = receivedEvents.filter(e => e.entityType === entityType && e.seq > since);
+  const page = matching.slice(0, limit);
+
+  return {
+    events: page,
+    cursor: String(page.length > 0 ? page[page.length - 1].seq : since),
+    hasMore: matching.length > page.length
+  };
+});
+
 // List received events (for testing/debugging)
 app.get('/v1/events', async (request, reply) => {
   const limit = parseInt(request.query.limit) || 100;
@@ -13,12 +13,15 @@
  *      - Used when cloud doesn't advertise 'tar' support
  *
  * Flow: buildManifest → cloudInit → uploadTiles/Archive → uploadManifest → uploadThumb → cloudReady
+ *
+ * Progress (optional onProgress callback): bytes sent against the expected
+ * tar size in archive mode; tiles and bytes sent in individual mode.
  */
 
 import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
 import { Upload } from '@aws-sdk/lib-storage';
 import { spawn } from 'child_process';
-import { readdir, readFile } from 'fs/promises';
+import { readdir, readFile, stat } from 'fs/promises';
 import { join } from 'path';
 
 const DERIVED_DIR = process.env.DERIVED_DIR || '/data/derived';
@@ -83,6 +86,37 @@ async function buildTileManifest(slideId) {
   return { levelCounts, totalCount, tileSize: 256, format: 'jpg' };
 }
 
+/**
+ * Total tile bytes and the size of the tar stream `tar -cf - -C tilesDir .`
+ * produces for them: a 512-byte header per entry, file data padded to 512,
+ * two zero blocks, then padding to the 10 KiB record size.
+ */
+async function measureTiles(tilesDir) {
+  let totalBytes = 0;
+  let tarBytes = 512; // "./" entry
+
+  const levels = await readdir(tilesDir);
+  for (const level of levels) {
+    if (!/^\d+$/.test(level)) continue;
+    tarBytes += 512;
+    const files = await readdir(join(tilesDir, level));
+    for (const file of files) {
+      if (!file.endsWith('.jpg')) continue;
+      const { size } = await stat(join(tilesDir, level, file));
+      totalBytes += size;
+      tarBytes += 512 + Math.ceil(size / 512) * 512;
+    }
+  }
+
+  tarBytes += 1024;
+  tarBytes = Math.ceil(tarBytes / 10240) * 10240;
+  return { totalBytes, tarBytes };
+}
+
+function percentOf(done, total) {
+  return total > 0 ? Math.min(99, Math.floor((done / total) * 100)) : null;
+}
+
 /**
  * Fetch with retry for cloud API calls. Retries on 5xx and network errors.
  */
@@ -108,7 +142,7 @@ async function fetchWithRetry(url, options, maxRetries = 3) {
  * Upload tiles as a tar archive via S3 multipart upload.
  * Streams tar from child process directly to S3 — no temp files.
  */
-async function uploadTilesArchive(slideId, s3Prefix, s3Client, bucket) {
+async function uploadTilesArchive(slideId, s3Prefix, s3Client, bucket, onProgress) {
   const tilesDir = await resolveTilesDir(slideId);
   const archiveKey = `${s3Prefix}tiles.tar`;
 
@@ -143,13 +177,24 @@ async function uploadTilesArchive(slideId, s3Prefix, s3Client, bucket) {
     queueSize: ARCHIVE_QUEUE_SIZE,
   });
 
+  const { tarBytes } = onProgress ? await measureTiles(tilesDir) : {};
+
   let lastLoggedMB = 0;
   upload.on('httpUploadProgress', (progress) => {
-    const mb = (progress.loaded || 0) / (1024 * 1024);
+    const loaded = progress.loaded || 0;
+    const mb = loaded / (1024 * 1024);
     if (mb - lastLoggedMB >= 50) {
       console.log(`[UPLOAD] Archive progress: ${mb.toFixed(0)} MB uploaded`);
       lastLoggedMB = mb;
     }
+    if (onProgress) {
+      onProgress({
+        mode: 'tar',
+        bytesDone: loaded,
+        bytesTotal: tarBytes,
+        percent: percentOf(loaded, tarBytes)
+      });
+    }
   });
 
   try {
@@ -173,7 +218,7 @@ async function uploadTilesArchive(slideId, s3Prefix, s3Client, bucket) {
  * Upload tiles individually with concurrent pool and retry.
  * Fallback mode when cloud doesn't support tar archives.
  */
-async function uploadTilesPool(slideId, s3Prefix, s3Client, bucket) {
+async function uploadTilesPool(slideId, s3Prefix, s3Client, bucket, onProgress) {
   const tilesDir = await resolveTilesDir(slideId);
   const levels = await readdir(tilesDir);
   const uploadQueue = [];
@@ -195,7 +240,9 @@ async function uploadTilesPool(slideId, s3Prefix, s3Client, bucket) {
 
   let uploaded = 0;
   let failed = 0;
+  let bytesDone = 0;
   const startTime = Date.now();
+  const { totalBytes } = onProgress ? await measureTiles(tilesDir) : {};
 
   // Use a shared queue that workers consume from safely
   const queue = [...uploadQueue];
@@ -219,6 +266,17 @@ async function uploadTilesPool(slideId, s3Prefix, s3Client, bucket) {
           }));
           success = true;
           uploaded++;
+          bytesDone += body.length;
+          if (onProgress) {
+            onProgress({
+              mode: 'individual',
+              tilesDone: uploaded,
+              tilesTotal: uploadQueue.length,
+              bytesDone,
+              bytesTotal: totalBytes,
+              percent: percentOf(uploaded, uploadQueue.length)
+            });
+          }
           break;
         } catch (err) {
           if (attempt < 3) {
@@ -256,9 +314,10 @@ async function uploadTilesPool(slideId, s3Prefix, s3Client, bucket) {
  *
  * @param {string} slideId - SHA256 hash of the slide
  * @param {object} slideMetadata - { originalFilename, width, height, mpp, scanner, maxLevel }
+ * @param {object} [options] - { onProgress({ mode, percent, bytesDone, bytesTotal, tilesDone?, tilesTotal? }) }
  * @returns {{ status: string, mode?: string, tileCount?: number, elapsed?: number }}
  */
-export async function uploadSlideToCloud(slideId, slideMetadata) {
+export async function uploadSlideToCloud(slideId, slideMetadata, { onProgress } = {}) {
   const { originalFilename, width, height, mpp, scanner, maxLevel } = slideMetadata;
   const bucket = process.env.S3_BUCKET;
   const uploadStart = Date.now();
@@ -320,12 +379,12 @@ export async function uploadSlideToCloud(slideId, slideMetadata) {
 
   if (useTarMode) {
     console.log(`[UPLOAD] Using TAR archive mode`);
-    const result = await uploadTilesArchive(slideId, s3Prefix, s3, bucket);
+    const result = await uploadTilesArchive(slideId, s3Prefix, s3, bucket, onProgress);
     archiveKey = result.archiveKey;
     tileCount = manifest.totalCount;
   } else {
     console.log(`[UPLOAD] Using individual tile upload (concurrency: ${UPLOAD_CONCURRENCY})`);
-    tileCount = await uploadTilesPool(slideId, s3Prefix, s3, bucket);
+    tileCount = await uploadTilesPool(slideId, s3Prefix, s3, bucket, onProgress);
   }
 
   // Step 4: Upload tile_manifest.json
@@ -378,6 +437,9 @@ export async function uploadSlideToCloud(slideId, slideMetadata) {
   }
 
   const elapsed = Date.now() - uploadStart;
+  if (onProgress) {
+    onProgress({ mode: uploadMode, tilesDone: tileCount, tilesTotal: manifest.totalCount, percent: 100 });
+  }
   console.log(`[UPLOAD] Complete for ${slideId.substring(0, 12)}: ${tileCount} tiles in ${(elapsed / 1000).toFixed(1)}s (${uploadMode} mode)`);
 
   return { status: 'READY', mode: uploadMode, tileCount, elapsed, s3Prefix };
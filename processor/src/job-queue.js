@@ -0,0 +1,254 @@
+/**
+ * Reliable Redis job queue (consumer side)
+ *
+ * Keys:
+ *   jobs:pending:<TYPE>  one lane per job type, LPUSH in / RPOP out
+ *   jobs:processing      jobs claimed by a worker (LMOVE from a lane)
+ *   jobs:leases          ZSET raw job -> lease expiry (ms); the visibility timeout
+ *   jobs:delayed         ZSET raw job -> due time (ms); failed jobs waiting to retry
+ *   jobs:pending         legacy single queue, moved into the lanes at startup
+ *   processor:workers    HASH worker id -> slot status snapshot (GET /v1/jobs/slots)
+ *
+ * Each processor slot claims from the lane of its own job type, so a P0
+ * never waits behind a TILEGEN. A running job's lease is extended by a heartbeat; when a worker dies the
+ * lease expires and the job is moved back to its lane.
+ *
+ * The API side (api/src/lib/queue.js) uses the same lane names.
+ */
+
+// Highest priority first
+export const JOB_TYPES = ['P0', 'P1', 'CLEANUP', 'TILEGEN'];
+
+const LEGACY_PENDING_KEY = 'jobs:pending';
+const PROCESSING_KEY = 'jobs:processing';
+const LEASES_KEY = 'jobs:leases';
+const DELAYED_KEY = 'jobs:delayed';
+const WORKERS_KEY = 'processor:workers';
+
+export const VISIBILITY_TIMEOUT_MS = parseInt(process.env.JOB_VISIBILITY_TIMEOUT_MS || '120000', 10);
+export const LEASE_HEARTBEAT_MS = Math.max(1000, Math.floor(VISIBILITY_TIMEOUT_MS / 4));
+
+// Attempts include the first run. Backoff doubles per attempt, capped.
+const RETRY_POLICY = {
+  P0: { maxAttempts: 3, backoffMs: 10000 },
+  P1: { maxAttempts: 3, backoffMs: 30000 },
+  CLEANUP: { maxAttempts: 5, backoffMs: 60000 },
+  TILEGEN: { maxAttempts: 2, backoffMs: 120000 },
+};
+const MAX_BACKOFF_MS = 30 * 60 * 1000;
+
+export function laneKey(type) {
+  return `jobs:pending:${type}`;
+}
+
+export function getRetryPolicy(type) {
+  return RETRY_POLICY[type] || { maxAttempts: 1, backoffMs: 0 };
+}
+
+/**
+ * Delay before retrying a job that failed on the given attempt (1-based).
+ */
+export function getRetryDelay(type, attempt) {
+  const { backoffMs } = getRetryPolicy(type);
+  return Math.min(backoffMs * Math.pow(2, Math.max(0, attempt - 1)), MAX_BACKOFF_MS);
+}
+
+/**
+ * Rebuild the queue message for a jobs row, as the API does (buildJobPayload
+ * in api/src/lib/queue.js; api/src/lib/queue.test.js keeps both the same).
+ * Rows created before the persistent queue have no stored payload; they are
+ * rebuilt from the slide, except P1 whose start level is unknown. Only
+ * CLEANUP can run once its slide is deleted.
+ *
+ * @param {object} job - jobs row
+ * @param {object|null} slide - slides row (null once the slide is deleted)
+ * @returns {object|null} Queue message, or null if it cannot be rebuilt
+ */
+export function buildJobPayload(job, slide) {
+  if (job.type === 'CLEANUP') return { jobId: job.id, slideId: job.slide_id, type: 'CLEANUP' };
+  if (!slide) return null;
+  if (job.payload) return { ...job.payload, jobId: job.id };
+  if (job.type === 'P1') return null;
+
+  const payload = {
+    jobId: job.id,
+    slideId: job.slide_id,
+    type: job.type,
+    rawPath: slide.raw_path,
+    format: slide.format
+  };
+  if (job.type === 'TILEGEN') payload.maxLevel = slide.max_level;
+  return payload;
+}
+
+function parseJob(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Push a job onto its lane.
+ */
+export async function pushJob(client, jobData) {
+  await client.lPush(laneKey(jobData.type), JSON.stringify(jobData));
+}
+
+/**
+ * Move jobs from the legacy single queue into their lanes.
+ *
+ * @returns {Promise<number>} Number of jobs moved
+ */
+export async function migrateLegacyQueue(client) {
+  let moved = 0;
+  let raw;
+  while ((raw = await client.rPop(LEGACY_PENDING_KEY))) {
+    const job = parseJob(raw);
+    if (job) {
+      await client.lPush(laneKey(job.type), raw);
+      moved++;
+    }
+  }
+  return moved;
+}
+
+/**
+ * Claim the next job of a type, blocking up to timeoutSec on its lane.
+ * blockingClient must be a connection dedicated to the caller.
+ *
+ * @returns {Promise<{ raw: string, job: object }|null>}
+ */
+export async function claimJob(client, blockingClient, type, timeoutSec = 5) {
+  const raw = await blockingClient.blMove(laneKey(type), PROCESSING_KEY, 'RIGHT', 'LEFT', timeoutSec);
+  if (!raw) return null;
+
+  await client.zAdd(LEASES_KEY, { score: Date.now() + VISIBILITY_TIMEOUT_MS, value: raw });
+
+  const job = parseJob(raw);
+  if (!job) {
+    console.error(`[queue] Dropping malformed job: ${raw.substring(0, 200)}`);
+    await ackJob(client, raw);
+    return null;
+  }
+
+  return { raw, job };
+}
+
+/**
+ * Extend the lease of a claimed job (heartbeat).
+ */
+export async function extendLease(client, raw) {
+  await client.zAdd(LEASES_KEY, { score: Date.now() + VISIBILITY_TIMEOUT_MS, value: raw }, { XX: true });
+}
+
+/**
+ * Remove a claimed job from the processing list once handled (done, failed or re-scheduled).
+ */
+export async function ackJob(client, raw) {
+  await client.multi()
+    .lRem(PROCESSING_KEY, 1, raw)
+    .zRem(LEASES_KEY, raw)
+    .exec();
+}
+
+/**
+ * Give a claimed job back: it goes to the front of its lane (shutdown).
+ */
+export async function releaseJob(client, raw, type) {
+  await ackJob(client, raw);
+  await client.rPush(laneKey(type), raw);
+}
+
+/**
+ * Park a job in the delayed set until its retry is due.
+ */
+export async function scheduleRetry(client, jobData, delayMs) {
+  await client.zAdd(DELAYED_KEY, { score: Date.now() + delayMs, value: JSON.stringify(jobData) });
+}
+
+/**
+ * Move delayed jobs whose retry is due back onto their lanes.
+ *
+ * @returns {Promise<number>} Number of jobs promoted
+ */
+export async function promoteDueJobs(client) {
+  const due = await client.zRangeByScore(DELAYED_KEY, 0, Date.now());
+  let promoted = 0;
+
+  for (const raw of due) {
+    // zRem guards against another worker promoting the same entry
+    if (await client.zRem(DELAYED_KEY, raw)) {
+      const job = parseJob(raw);
+      if (job) {
+        await client.lPush(laneKey(job.type), raw);
+        promoted++;
+      }
+    }
+  }
+
+  return promoted;
+}
+
+/**
+ * Move processing jobs whose lease expired back to the front of their lane.
+ *
+ * With includeUnleased, processing entries without any lease (worker died
+ * between claim and lease) are re-queued too. Only safe at startup, when no
+ * claim of this worker can be in flight.
+ *
+ * @returns {Promise<object[]>} The re-queued jobs
+ */
+export async function requeueExpiredJobs(client, { includeUnleased = false } = {}) {
+  const candidates = new Set(await client.zRangeByScore(LEASES_KEY, 0, Date.now()));
+
+  if (includeUnleased) {
+    const leased = new Set(await client.zRange(LEASES_KEY, 0, -1));
+    for (const raw of await client.lRange(PROCESSING_KEY, 0, -1)) {
+      if (!leased.has(raw)) candidates.add(raw);
+    }
+  }
+
+  const requeued = [];
+  for (const raw of candidates) {
+    const removed = await client.lRem(PROCESSING_KEY, 1, raw);
+    await client.zRem(LEASES_KEY, raw);
+    const job = parseJob(raw);
+    if (removed && job) {
+      await client.rPush(laneKey(job.type), raw);
+      requeued.push(job);
+    }
+  }
+
+  return requeued;
+}
+
+/**
+ * Job ids currently held anywhere in Redis (lanes, processing, delayed).
+ */
+export async function listQueuedJobIds(client) {
+  const raws = [];
+  for (const key of [...JOB_TYPES.map(laneKey), PROCESSING_KEY]) {
+    raws.push(...await client.lRange(key, 0, -1));
+  }
+  raws.push(...await client.zRange(DELAYED_KEY, 0, -1));
+
+  const ids = new Set();
+  for (const raw of raws) {
+    const job = parseJob(raw);
+    if (job?.jobId) ids.add(job.jobId);
+  }
+  return ids;
+}
+
+/**
+ * Publish this worker's slot status for the API.
+ */
+export async function publishWorkerStatus(client, workerId, status) {
+  await client.hSet(WORKERS_KEY, workerId, JSON.stringify({ ...status, updatedAt: new Date().toISOString() }));
+}
+
+export async function removeWorkerStatus(client, workerId) {
+  await client.hDel(WORKERS_KEY, workerId);
+}
@@ -0,0 +1,40 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { JOB_TYPES, laneKey, getRetryPolicy, getRetryDelay } from './job-queue.js';
+
+describe('laneKey', () => {
+  it('uses one lane per job type, P0 first', () => {
+    assert.equal(JOB_TYPES[0], 'P0');
+    assert.equal(laneKey('TILEGEN'), 'jobs:pending:TILEGEN');
+  });
+});
+
+describe('getRetryPolicy', () => {
+  it('retries each job type its own number of times', () => {
+    assert.deepStrictEqual(getRetryPolicy('P0'), { maxAttempts: 3, backoffMs: 10000 });
+    assert.deepStrictEqual(getRetryPolicy('P1'), { maxAttempts: 3, backoffMs: 30000 });
+    assert.deepStrictEqual(getRetryPolicy('CLEANUP'), { maxAttempts: 5, backoffMs: 60000 });
+    assert.deepStrictEqual(getRetryPolicy('TILEGEN'), { maxAttempts: 2, backoffMs: 120000 });
+  });
+
+  it('runs unknown types once', () => {
+    assert.deepStrictEqual(getRetryPolicy('OCR'), { maxAttempts: 1, backoffMs: 0 });
+  });
+});
+
+describe('getRetryDelay', () => {
+  it('doubles per failed attempt from the type backoff', () => {
+    assert.deepStrictEqual([1, 2, 3].map(attempt => getRetryDelay('P0', attempt)), [10000, 20000, 40000]);
+    assert.deepStrictEqual([1, 2, 3, 4].map(attempt => getRetryDelay('CLEANUP', attempt)), [60000, 120000, 240000, 480000]);
+  });
+
+  it('is capped at 30 minutes', () => {
+    assert.equal(getRetryDelay('TILEGEN', 5), 30 * 60 * 1000);
+    assert.equal(getRetryDelay('CLEANUP', 20), 30 * 60 * 1000);
+  });
+
+  it('treats attempt 0 like the first', () => {
+    assert.equal(getRetryDelay('P1', 0), 30000);
+    assert.equal(getRetryDelay('OCR', 3), 0);
+  });
+});
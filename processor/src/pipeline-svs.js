@@ -6,13 +6,15 @@
  * Fallback: On-demand tile generation during TILEGEN window
  */
 
-import { exec, spawn } from 'child_process';
+import { exec, execFile, spawn } from 'child_process';
 import { promisify } from 'util';
 import { mkdir, writeFile, unlink, access, readdir, rename } from 'fs/promises';
 import { join, basename } from 'path';
 import sharp from 'sharp';
+import { describeSlideProperties } from './slide-properties.js';
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 
 const DERIVED_DIR = process.env.DERIVED_DIR || '/data/derived';
 const TILES_HOT_DIR = process.env.TILES_HOT_DIR || '/data/tiles_hot';
@@ -232,6 +234,41 @@ async function generateSmartThumbnail(rawPath, outputPath) {
   await unlink(overviewPath).catch(() => {});
 }
 
+/**
+ * Extract the associated images OpenSlide lists for a slide (label, macro,
+ * the scanner's thumbnail...) to <slideDir>/associated/<name>.jpg.
+ * Failures only log: a slide without them still opens.
+ *
+ * @returns {Promise<Array<{ name: string, width: number, height: number, path: string }>>}
+ */
+async function extractAssociatedImages(rawPath, slideDir, props) {
+  const names = Object.keys(props)
+    .map(key => key.match(/^openslide\.associated\.([A-Za-z0-9_-]+)\.width$/)?.[1])
+    .filter(Boolean);
+  if (names.length === 0) return [];
+
+  const associatedDir = join(slideDir, 'associated');
+  await mkdir(associatedDir, { recursive: true });
+
+  const images = [];
+  for (const name of names) {
+    const path = `associated/${name}.jpg`;
+    try {
+      await execFileAsync('vips', ['openslideload', rawPath, `${join(slideDir, path)}[Q=90]`, '--associated', name]);
+      images.push({
+        name,
+        width: parseInt(props[`openslide.associated.${name}.width`], 10),
+        height: parseInt(props[`openslide.associated.${name}.height`], 10),
+        path
+      });
+    } catch (err) {
+      console.warn(`[associated] Failed to extract ${name}: ${err.message}`);
+    }
+  }
+  console.log(`Associated images: ${images.map(i => i.name).join(', ') || 'none'}`);
+  return images;
+}
+
 /**
  * Process SVS/WSI file (P0 phase) - Edge-First
  *
@@ -247,7 +284,7 @@ export async function processSVS_P0(job) {
   console.log(`Processing SVS P0 (edge-first): ${basename(rawPath)}`);
 
   // Get slide dimensions and magnification metadata
-  const { width, height, appMag, mpp } = await getSlideProperties(rawPath);
+  const { width, height, appMag, mpp, props } = await getSlideProperties(rawPath);
   console.log(`Slide dimensions: ${width}x${height}`);
   console.log(`Magnification: ${appMag}x, MPP: ${mpp} µm/pixel`);
 
@@ -262,6 +299,9 @@ export async function processSVS_P0(job) {
   const thumbPath = join(slideDir, 'thumb.jpg');
   await generateThumbnail(rawPath, thumbPath);
 
+  // Label, macro and other images stored next to the slide
+  const associatedImages = await extractAssociatedImages(rawPath, slideDir, props);
+
   // Create tiles directory (tiles generated on-demand)
   const tilesDir = join(slideDir, 'tiles');
   await mkdir(tilesDir, { recursive: true });
@@ -281,7 +321,8 @@ export async function processSVS_P0(job) {
     onDemand: true,  // Tiles generated on-demand
     // Magnification metadata for proper zoom display
     appMag: appMag,  // Native scan magnification (e.g., 20, 40)
-    mpp: mpp         // Microns per pixel
+    mpp: mpp,        // Microns per pixel
+    associatedImages // Served at /v1/slides/:slideId/associated/:name
   };
 
   const manifestPath = join(slideDir, 'manifest.json');
@@ -299,11 +340,44 @@ export async function processSVS_P0(job) {
     thumbPath,
     manifestPath,
     appMag,               // Native scan magnification
-    mpp                   // Microns per pixel
+    mpp,                  // Microns per pixel
+    properties: describeSlideProperties(props)  // Scanner, scan date, levels... (slides.properties)
   };
 }
 
 const TILEGEN_TIMEOUT_MS = parseInt(process.env.TILEGEN_TIMEOUT_MS || '600000', 10);
+const TILEGEN_PROGRESS_POLL_MS = 2000;
+
+/**
+ * Number of tiles vips dzsave writes for an image (default depth=onepixel:
+ * levels from 1x1 up to full resolution, each level half the next).
+ */
+export function expectedDzTileCount(width, height, tileSize = TILE_SIZE) {
+  const maxLevel = Math.ceil(Math.log2(Math.max(width, height)));
+  let total = 0;
+  for (let level = 0; level <= maxLevel; level++) {
+    const scale = Math.pow(2, maxLevel - level);
+    const levelWidth = Math.ceil(width / scale);
+    const levelHeight = Math.ceil(height / scale);
+    total += Math.ceil(levelWidth / tileSize) * Math.ceil(levelHeight / tileSize);
+  }
+  return total;
+}
+
+/**
+ * Count .jpg tiles in a DeepZoom tiles directory ({level}/{col}_{row}.jpg).
+ */
+async function countTiles(tilesDir) {
+  let tileCount = 0;
+  const levelDirs = await readdir(tilesDir);
+  for (const dir of levelDirs) {
+    if (/^\d+$/.test(dir)) {
+      const files = await readdir(join(tilesDir, dir));
+      tileCount += files.filter(f => f.endsWith('.jpg')).length;
+    }
+  }
+  return tileCount;
+}
 
 /**
  * Generate full DeepZoom tile pyramid using vips dzsave.
@@ -314,8 +388,15 @@ const TILEGEN_TIMEOUT_MS = parseInt(process.env.TILEGEN_TIMEOUT_MS || '600000',
  * 3. Background copy to persistent storage (bind mount, slow but non-blocking)
  *
  * The API checks tiles_hot first, then persistent tiles, then on-demand.
+ *
+ * Progress is measured by counting tiles written to tmpfs against the
+ * expected total (needs width/height) and passed to onProgress every 2s.
+ *
+ * @param {string} slideId
+ * @param {string} rawPath
+ * @param {object} [options] - { width, height, onProgress({ tilesDone, tilesTotal, percent, elapsedMs }) }
  */
-export async function generateFullTilePyramid(slideId, rawPath) {
+export async function generateFullTilePyramid(slideId, rawPath, { width, height, onProgress } = {}) {
   const hotSlideDir = join(TILES_HOT_DIR, slideId);
   const hotTmpOutput = join(hotSlideDir, 'dz');
   const hotDzsaveOutput = join(hotSlideDir, 'dz_files');
@@ -328,20 +409,36 @@ export async function generateFullTilePyramid(slideId, rawPath) {
   await execAsync(`rm -rf "${hotSlideDir}"`).catch(() => {});
   await mkdir(hotSlideDir, { recursive: true });
 
+  const tilesTotal = width && height ? expectedDzTileCount(width, height) : null;
+  let progressTimer = null;
+  if (onProgress) {
+    let polling = false;
+    progressTimer = setInterval(async () => {
+      if (polling) return;
+      polling = true;
+      try {
+        // dz_files does not exist until vips writes its first tile
+        const tilesDone = await countTiles(hotDzsaveOutput).catch(() => 0);
+        onProgress({
+          tilesDone,
+          tilesTotal,
+          percent: tilesTotal ? Math.min(99, Math.floor((tilesDone / tilesTotal) * 100)) : null,
+          elapsedMs: Date.now() - startTime
+        });
+      } finally {
+        polling = false;
+      }
+    }, TILEGEN_PROGRESS_POLL_MS);
+  }
+
   try {
     // Phase 1: dzsave to tmpfs (RAM-backed, blazing fast)
     const cmd = `vips dzsave "${rawPath}" "${hotTmpOutput}" --suffix .jpg[Q=${TILE_JPEG_QUALITY}] --tile-size ${TILE_SIZE} --overlap ${TILE_OVERLAP}`;
     await execAsync(cmd, { timeout: TILEGEN_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 });
+    clearInterval(progressTimer);
 
     // Count generated tiles
-    let tileCount = 0;
-    const levelDirs = await readdir(hotDzsaveOutput);
-    for (const dir of levelDirs) {
-      if (/^\d+$/.test(dir)) {
-        const files = await readdir(join(hotDzsaveOutput, dir));
-        tileCount += files.filter(f => f.endsWith('.jpg')).length;
-      }
-    }
+    const tileCount = await countTiles(hotDzsaveOutput);
 
     // Rename dz_files → tiles (atomic, same tmpfs filesystem)
     await rename(hotDzsaveOutput, hotTilesDir);
@@ -351,8 +448,13 @@ export async function generateFullTilePyramid(slideId, rawPath) {
     const elapsed = Date.now() - startTime;
     console.log(`[TILEGEN] Hot tiles ready: ${tileCount} tiles in ${elapsed}ms`);
 
+    if (onProgress) {
+      onProgress({ tilesDone: tileCount, tilesTotal: tilesTotal ?? tileCount, percent: 100, elapsedMs: elapsed });
+    }
+
     return { tileCount, elapsed };
   } catch (err) {
+    clearInterval(progressTimer);
     await execAsync(`rm -rf "${hotSlideDir}"`).catch(() => {});
     throw err;
   }
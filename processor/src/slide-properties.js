@@ -0,0 +1,109 @@
+/**
+ * Slide properties: what OpenSlide reads from a WSI (openslide-show-properties),
+ * kept whole and summarized.
+ *
+ * Vendors name the same facts differently (aperio.ScanScope ID, leica.device-model...);
+ * the summary picks the first key a vendor fills. Stored as slides.properties
+ * (JSONB) at P0, served by GET /v1/slides/:slideId/properties and sent as
+ * `scanner` with the cloud upload.
+ */
+
+const VENDOR_NAMES = {
+  aperio: 'Aperio',
+  hamamatsu: 'Hamamatsu',
+  leica: 'Leica',
+  mirax: '3DHistech',
+  philips: 'Philips',
+  sakura: 'Sakura',
+  ventana: 'Ventana'
+};
+
+// Scanner model, first key found
+const SCANNER_KEYS = [
+  'aperio.ScanScope ID',
+  'hamamatsu.Product',
+  'leica.device-model',
+  'philips.DICOM_MANUFACTURERS_MODEL_NAME',
+  'ventana.ScannerModel',
+  'mirax.GENERAL.SCANNER_TYPE',
+  'tiff.Model'
+];
+
+// Scan date as the scanner wrote it, first key found
+const SCAN_DATE_KEYS = [
+  'leica.creation-date',
+  'philips.DICOM_ACQUISITION_DATETIME',
+  'hamamatsu.Created',
+  'ventana.ScanDate',
+  'mirax.GENERAL.SLIDE_CREATIONDATETIME',
+  'tiff.DateTime'
+];
+
+// Autofocus settings and results (focus offsets, z offsets, focus quality...)
+const FOCUS_KEY_REGEX = /focus|zoffset/i;
+
+function number(value) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function scannerName(vendor, props) {
+  const model = SCANNER_KEYS.map(key => props[key]).find(Boolean) || null;
+  const vendorName = VENDOR_NAMES[vendor] || null;
+  if (!model) return vendorName;
+  if (!vendorName || model.toLowerCase().startsWith(vendorName.toLowerCase())) return model;
+  return `${vendorName} ${model}`;
+}
+
+function scanDate(props) {
+  // Aperio splits it: Date 05/27/21, Time 10:12:00
+  if (props['aperio.Date']) {
+    return [props['aperio.Date'], props['aperio.Time']].filter(Boolean).join(' ');
+  }
+  return SCAN_DATE_KEYS.map(key => props[key]).find(Boolean) || null;
+}
+
+function levels(props) {
+  const count = parseInt(props['openslide.level-count'] || '0', 10);
+  const list = [];
+  for (let level = 0; level < count; level++) {
+    const key = name => props[`openslide.level[${level}].${name}`];
+    list.push({
+      level,
+      width: parseInt(key('width'), 10),
+      height: parseInt(key('height'), 10),
+      downsample: number(key('downsample')),
+      tileWidth: number(key('tile-width')),
+      tileHeight: number(key('tile-height'))
+    });
+  }
+  return list;
+}
+
+/**
+ * Summary of the properties of a slide, with all of them under `raw`;
+ * null when OpenSlide could not read the slide
+ *
+ * @param {Record<string, string>} props - openslide-show-properties key → value
+ * @returns {object|null}
+ */
+export function describeSlideProperties(props) {
+  if (!props || Object.keys(props).length === 0) return null;
+
+  const vendor = props['openslide.vendor'] || null;
+  const focus = Object.fromEntries(
+    Object.entries(props).filter(([key]) => !key.startsWith('openslide.') && FOCUS_KEY_REGEX.test(key))
+  );
+
+  return {
+    vendor,
+    scanner: scannerName(vendor, props),
+    scanDate: scanDate(props),
+    objectivePower: number(props['openslide.objective-power']),
+    mppX: number(props['openslide.mpp-x']),
+    mppY: number(props['openslide.mpp-y']),
+    focus: Object.keys(focus).length > 0 ? focus : null,
+    levels: levels(props),
+    raw: props
+  };
+}
@@ -0,0 +1,178 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeSlideProperties } from './slide-properties.js';
+
+// openslide-show-properties of scans from each vendor (tiff.ImageDescription
+// and quickhash trimmed)
+const APERIO = {
+  'aperio.AppMag': '20',
+  'aperio.Date': '12/29/09',
+  'aperio.DSR ID': 'homer',
+  'aperio.Exposure Scale': '0.000001',
+  'aperio.Exposure Time': '109',
+  'aperio.Filename': 'CMU-1',
+  'aperio.Focus Offset': '0.000000',
+  'aperio.ImageID': '1004486',
+  'aperio.Left': '25.691574',
+  'aperio.LineAreaXOffset': '0.019265',
+  'aperio.LineAreaYOffset': '-0.000313',
+  'aperio.LineCameraSkew': '-0.000424',
+  'aperio.MPP': '0.4990',
+  'aperio.OriginalHeight': '32914',
+  'aperio.OriginalWidth': '46000',
+  'aperio.ScanScope ID': 'CPAPERIOCS',
+  'aperio.StripeWidth': '2040',
+  'aperio.Time': '09:59:15',
+  'aperio.Top': '23.449873',
+  'aperio.User': 'b414003d-95c6-48b0-9369-8010ed517ba7',
+  'openslide.comment': 'Aperio Image Library v10.0.50\r\n46920x33014 [0,100 46000x32914] (256x256) JPEG/RGB Q=30|AppMag = 20|...',
+  'openslide.level-count': '3',
+  'openslide.level[0].downsample': '1',
+  'openslide.level[0].height': '32914',
+  'openslide.level[0].tile-height': '256',
+  'openslide.level[0].tile-width': '256',
+  'openslide.level[0].width': '46000',
+  'openslide.level[1].downsample': '4.0001215362177929',
+  'openslide.level[1].height': '8228',
+  'openslide.level[1].tile-height': '256',
+  'openslide.level[1].tile-width': '256',
+  'openslide.level[1].width': '11500',
+  'openslide.level[2].downsample': '16.000486144871172',
+  'openslide.level[2].height': '2057',
+  'openslide.level[2].tile-height': '256',
+  'openslide.level[2].tile-width': '256',
+  'openslide.level[2].width': '2875',
+  'openslide.mpp-x': '0.499',
+  'openslide.mpp-y': '0.499',
+  'openslide.objective-power': '20',
+  'openslide.vendor': 'aperio',
+  'tiff.ImageDescription': 'Aperio Image Library v10.0.50\r\n46920x33014 [0,100 46000x32914] (256x256) JPEG/RGB Q=30|AppMag = 20|...',
+  'tiff.ResolutionUnit': 'inch'
+};
+
+const LEICA = {
+  'leica.aperture': '0.4',
+  'leica.barcode': '',
+  'leica.creation-date': '2010-10-26T20:29:38.578Z',
+  'leica.device-model': 'Leica SCN400',
+  'leica.device-version': '1.4.0.10005 2010/06/01 11:45:04',
+  'leica.illumination-source': 'brightfield',
+  'leica.objective': '20',
+  'openslide.level-count': '2',
+  'openslide.level[0].downsample': '1',
+  'openslide.level[0].height': '53760',
+  'openslide.level[0].tile-height': '512',
+  'openslide.level[0].tile-width': '512',
+  'openslide.level[0].width': '36832',
+  'openslide.level[1].downsample': '4',
+  'openslide.level[1].height': '13440',
+  'openslide.level[1].tile-height': '512',
+  'openslide.level[1].tile-width': '512',
+  'openslide.level[1].width': '9208',
+  'openslide.mpp-x': '0.5',
+  'openslide.mpp-y': '0.5',
+  'openslide.objective-power': '20',
+  'openslide.region[0].height': '53760',
+  'openslide.region[0].width': '36832',
+  'openslide.region[0].x': '0',
+  'openslide.region[0].y': '0',
+  'openslide.vendor': 'leica',
+  'tiff.ResolutionUnit': 'centimeter',
+  'tiff.Software': 'Leica SCN400;Leica SCN'
+};
+
+const HAMAMATSU = {
+  'hamamatsu.AuthCode': '0A0D0E0C',
+  'hamamatsu.Created': '2009/12/31',
+  'hamamatsu.Reference': 'CMU-1',
+  'hamamatsu.SourceLens': '20',
+  'hamamatsu.Updated': '2009/12/31',
+  'hamamatsu.XOffsetFromSlideCentre': '-1085545',
+  'hamamatsu.YOffsetFromSlideCentre': '7103',
+  'hamamatsu.ZOffsetFromSlideCentre': '0',
+  'openslide.level-count': '2',
+  'openslide.level[0].downsample': '1',
+  'openslide.level[0].height': '38144',
+  'openslide.level[0].tile-height': '8',
+  'openslide.level[0].tile-width': '4096',
+  'openslide.level[0].width': '51200',
+  'openslide.level[1].downsample': '4',
+  'openslide.level[1].height': '9536',
+  'openslide.level[1].tile-height': '8',
+  'openslide.level[1].tile-width': '4096',
+  'openslide.level[1].width': '12800',
+  'openslide.mpp-x': '0.45641259698767683',
+  'openslide.mpp-y': '0.45506257110352671',
+  'openslide.objective-power': '20',
+  'openslide.vendor': 'hamamatsu',
+  'tiff.DateTime': '2009:12:31 09:11:46',
+  'tiff.Make': 'Hamamatsu',
+  'tiff.Model': 'C9600-12',
+  'tiff.ResolutionUnit': 'centimeter',
+  'tiff.Software': 'NDP.scan 2.2.8'
+};
+
+describe('describeSlideProperties', () => {
+  it('summarizes an Aperio SVS', () => {
+    const summary = describeSlideProperties(APERIO);
+    assert.equal(summary.vendor, 'aperio');
+    assert.equal(summary.scanner, 'Aperio CPAPERIOCS');
+    // Date and time come from separate keys
+    assert.equal(summary.scanDate, '12/29/09 09:59:15');
+    assert.equal(summary.objectivePower, 20);
+    assert.equal(summary.mppX, 0.499);
+    assert.equal(summary.mppY, 0.499);
+    assert.deepStrictEqual(summary.focus, { 'aperio.Focus Offset': '0.000000' });
+    assert.deepStrictEqual(summary.levels.map(l => [l.level, l.width, l.height, l.tileWidth]), [
+      [0, 46000, 32914, 256],
+      [1, 11500, 8228, 256],
+      [2, 2875, 2057, 256]
+    ]);
+    assert.equal(summary.levels[2].downsample, 16.000486144871172);
+    assert.equal(summary.raw, APERIO);
+  });
+
+  it('summarizes a Leica SCN without repeating the vendor', () => {
+    const summary = describeSlideProperties(LEICA);
+    assert.equal(summary.vendor, 'leica');
+    assert.equal(summary.scanner, 'Leica SCN400');
+    assert.equal(summary.scanDate, '2010-10-26T20:29:38.578Z');
+    assert.equal(summary.objectivePower, 20);
+    assert.equal(summary.mppX, 0.5);
+    assert.equal(summary.focus, null);
+    assert.deepStrictEqual(summary.levels[1], { level: 1, width: 9208, height: 13440, downsample: 4, tileWidth: 512, tileHeight: 512 });
+  });
+
+  it('summarizes a Hamamatsu NDPI from its TIFF tags', () => {
+    const summary = describeSlideProperties(HAMAMATSU);
+    assert.equal(summary.vendor, 'hamamatsu');
+    // No hamamatsu.Product in NDPI: the model is the TIFF one
+    assert.equal(summary.scanner, 'Hamamatsu C9600-12');
+    assert.equal(summary.scanDate, '2009/12/31');
+    assert.equal(summary.mppX, 0.45641259698767683);
+    assert.equal(summary.mppY, 0.45506257110352671);
+    assert.deepStrictEqual(summary.focus, { 'hamamatsu.ZOffsetFromSlideCentre': '0' });
+    assert.equal(summary.levels.length, 2);
+  });
+
+  it('falls back to the TIFF tags of a generic TIFF', () => {
+    const summary = describeSlideProperties({
+      'openslide.vendor': 'generic-tiff',
+      'openslide.level-count': '1',
+      'openslide.level[0].width': '1024',
+      'openslide.level[0].height': '768',
+      'tiff.Model': 'Scanner X',
+      'tiff.DateTime': '2024:05:01 08:00:00'
+    });
+    assert.equal(summary.scanner, 'Scanner X');
+    assert.equal(summary.scanDate, '2024:05:01 08:00:00');
+    assert.equal(summary.objectivePower, null);
+    assert.equal(summary.mppX, null);
+    assert.equal(summary.levels[0].downsample, null);
+  });
+
+  it('returns null when OpenSlide read nothing', () => {
+    assert.equal(describeSlideProperties(null), null);
+    assert.equal(describeSlideProperties({}), null);
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Stain classifier: H&E vs DAB-IHC from the colors of the P0 thumbnail.
+ *
+ * Tissue pixels (not near-white, not gray) are binned by hue:
+ *   - pink/purple (eosin, hematoxylin in H&E)  → H&E
+ *   - brown (DAB) and blue (hematoxylin counterstain of IHC) → IHC
+ *   - violet in between counts as tissue for neither
+ *
+ * The winning share of tissue pixels is the confidence; slides with too
+ * little tissue or no clear winner are left unclassified. Only a first
+ * guess: label OCR and users override it (see api/src/lib/stains.js).
+ */
+
+import sharp from 'sharp';
+
+const SAMPLE_WIDTH = 160;
+const BACKGROUND_MIN = 210;  // all channels above this: glass
+const GRAY_CHROMA = 20;      // max - min below this: unstained/gray
+const MIN_TISSUE_SHARE = 0.02;
+const MIN_CONFIDENCE = 0.6;
+
+/**
+ * Hue in degrees (0-360) of an RGB pixel, null for achromatic ones
+ */
+function hue(r, g, b) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const chroma = max - min;
+  if (chroma === 0) return null;
+
+  let h;
+  if (max === r) h = ((g - b) / chroma) % 6;
+  else if (max === g) h = (b - r) / chroma + 2;
+  else h = (r - g) / chroma + 4;
+  return (h * 60 + 360) % 360;
+}
+
+/**
+ * Classify the stain of a slide from an image of it.
+ *
+ * @param {string} imagePath - P0 thumbnail
+ * @returns {Promise<{ type: 'he'|'ihc', confidence: number }|null>} null
+ *   when unsure
+ */
+export async function classifyStain(imagePath) {
+  const { data, info } = await sharp(imagePath)
+    .resize(SAMPLE_WIDTH)
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  let tissue = 0;
+  let he = 0;
+  let ihc = 0;
+
+  for (let i = 0; i < data.length; i += info.channels) {
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
+    if (r > BACKGROUND_MIN && g > BACKGROUND_MIN && b > BACKGROUND_MIN) continue;
+    if (Math.max(r, g, b) - Math.min(r, g, b) < GRAY_CHROMA) continue;
+
+    tissue++;
+    const h = hue(r, g, b);
+    if (h >= 285 || h < 15) he++;                      // purple → pink → red
+    else if (h < 60 || (h >= 180 && h < 255)) ihc++;  // brown, blue
+  }
+
+  const pixels = data.length / info.channels;
+  if (tissue / pixels < MIN_TISSUE_SHARE) return null;
+
+  const type = he >= ihc ? 'he' : 'ihc';
+  const confidence = Math.max(he, ihc) / tissue;
+  if (confidence < MIN_CONFIDENCE) return null;
+
+  return { type, confidence: Math.round(confidence * 100) / 100 };
+}
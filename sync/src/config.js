@@ -19,9 +19,16 @@ export const config = {
   syncIntervalMs: parseInt(process.env.SYNC_INTERVAL_MS || '2000', 10),
   syncMaxRetry: parseInt(process.env.SYNC_MAX_RETRY || '10', 10),
 
-  // Backoff
+  // Per-event retry: rejected events are dead-lettered after this many attempts
+  syncMaxEventAttempts: parseInt(process.env.SYNC_MAX_EVENT_ATTEMPTS || '8', 10),
+
+  // Backoff (whole cycle, when the cloud is unreachable)
   initialBackoffMs: 1000,
   maxBackoffMs: 60000,
+
+  // Backoff (per event, after a rejection)
+  eventBackoffMs: 5000,
+  maxEventBackoffMs: 60 * 60 * 1000,
 };
 
 /**
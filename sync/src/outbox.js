@@ -0,0 +1,81 @@
+/**
+ * Outbox logic of the sync worker kept free of DB and network access: the
+ * pending-events query, the per-event retry policy and the per-entity
+ * ordering of individual pushes
+ */
+
+/**
+ * Pending events to push, oldest first. Skips dead-lettered events, events
+ * still in their per-event backoff, and events with an older unsynced event
+ * for the same entity (backing off or dead-lettered): an entity's changes
+ * reach the cloud in order, so a replayed create never lands after its
+ * updates. An older event that is due is in the same batch, ahead.
+ *
+ * @param {number} limit
+ * @returns {{ sql: string, params: any[] }}
+ */
+export function buildFetchPendingEvents(limit) {
+  return {
+    sql: `SELECT e.event_id, e.entity_type, e.entity_id, e.op, e.payload, e.created_at, e.attempts
+     FROM outbox_events e
+     WHERE e.synced_at IS NULL
+       AND e.dead_lettered_at IS NULL
+       AND (e.next_attempt_at IS NULL OR e.next_attempt_at <= NOW())
+       AND NOT EXISTS (
+         SELECT 1 FROM outbox_events older
+         WHERE older.entity_type = e.entity_type
+           AND older.entity_id = e.entity_id
+           AND older.synced_at IS NULL
+           AND older.created_at < e.created_at
+           AND (older.dead_lettered_at IS NOT NULL
+                OR (older.next_attempt_at IS NOT NULL AND older.next_attempt_at > NOW()))
+       )
+     ORDER BY e.created_at ASC
+     LIMIT $1`,
+    params: [limit]
+  };
+}
+
+/**
+ * Retry state of an event after one more failed attempt: exponential
+ * backoff from backoffMs, capped at maxBackoffMs, until maxAttempts
+ * failures dead-letter it.
+ *
+ * @param {number} attempts - failed attempts so far
+ * @param {{ backoffMs: number, maxBackoffMs: number, maxAttempts: number }} policy
+ * @returns {{ attempts: number, retryInMs: number|null, deadLettered: boolean }}
+ *   retryInMs is null once dead-lettered
+ */
+export function nextEventFailure(attempts, { backoffMs, maxBackoffMs, maxAttempts }) {
+  const next = attempts + 1;
+  if (next >= maxAttempts) return { attempts: next, retryInMs: null, deadLettered: true };
+  return { attempts: next, retryInMs: Math.min(backoffMs * 2 ** attempts, maxBackoffMs), deadLettered: false };
+}
+
+/**
+ * Push events one at a time, oldest first. Once an event of an entity is
+ * not accepted, the later events of that entity in the batch are held back
+ * (left pending) so they never reach the cloud ahead of it; other entities
+ * go on. An error thrown by push stops the batch.
+ *
+ * @param {object[]} events - outbox rows (entity_type, entity_id)
+ * @param {(event: object) => Promise<boolean>} push - true when accepted
+ * @returns {Promise<{ pushed: object[], held: object[] }>}
+ */
+export async function pushInEntityOrder(events, push) {
+  const blocked = new Set();
+  const pushed = [];
+  const held = [];
+
+  for (const event of events) {
+    const entityKey = `${event.entity_type}:${event.entity_id}`;
+    if (blocked.has(entityKey)) {
+      held.push(event);
+      continue;
+    }
+    pushed.push(event);
+    if (!await push(event)) blocked.add(entityKey);
+  }
+
+  return { pushed, held };
+}
@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildFetchPendingEvents, nextEventFailure, pushInEntityOrder } from './outbox.js';
+
+describe('buildFetchPendingEvents', () => {
+  it('skips dead-lettered events and events in backoff', () => {
+    const { sql, params } = buildFetchPendingEvents(50);
+    assert.ok(sql.includes('e.synced_at IS NULL'));
+    assert.ok(sql.includes('e.dead_lettered_at IS NULL'));
+    assert.ok(sql.includes('e.next_attempt_at <= NOW()'));
+    assert.ok(sql.includes('ORDER BY e.created_at ASC'));
+    assert.deepStrictEqual(params, [50]);
+  });
+
+  it('holds back events behind an older unsynced event of the same entity', () => {
+    const { sql } = buildFetchPendingEvents(50);
+    const older = sql.slice(sql.indexOf('NOT EXISTS'));
+    assert.ok(older.includes('older.entity_type = e.entity_type'));
+    assert.ok(older.includes('older.entity_id = e.entity_id'));
+    assert.ok(older.includes('older.synced_at IS NULL'));
+    assert.ok(older.includes('older.created_at < e.created_at'));
+    // Backing off or dead-lettered; a due older event is ahead in the same batch
+    assert.ok(older.includes('older.dead_lettered_at IS NOT NULL'));
+    assert.ok(older.includes('older.next_attempt_at > NOW()'));
+  });
+});
+
+describe('nextEventFailure', () => {
+  const policy = { backoffMs: 1000, maxBackoffMs: 10000, maxAttempts: 6 };
+
+  it('doubles the backoff per failure up to the cap', () => {
+    const waits = [];
+    for (let attempts = 0; attempts < 5; attempts++) {
+      const failure = nextEventFailure(attempts, policy);
+      assert.equal(failure.attempts, attempts + 1);
+      assert.equal(failure.deadLettered, false);
+      waits.push(failure.retryInMs);
+    }
+    assert.deepStrictEqual(waits, [1000, 2000, 4000, 8000, 10000]);
+  });
+
+  it('dead-letters on the last allowed attempt', () => {
+    assert.deepStrictEqual(nextEventFailure(5, policy), { attempts: 6, retryInMs: null, deadLettered: true });
+    assert.deepStrictEqual(nextEventFailure(0, { ...policy, maxAttempts: 1 }), { attempts: 1, retryInMs: null, deadLettered: true });
+  });
+});
+
+describe('pushInEntityOrder', () => {
+  const event = (id, entityId) => ({ event_id: id, entity_type: 'annotation', entity_id: entityId });
+
+  it('holds back the later events of an entity whose event was not accepted', async () => {
+    const events = [event('a1', 'A'), event('b1', 'B'), event('a2', 'A'), event('b2', 'B'), event('a3', 'A')];
+    const sent = [];
+    const { pushed, held } = await pushInEntityOrder(events, async (e) => {
+      sent.push(e.event_id);
+      return e.event_id !== 'a1';
+    });
+    assert.deepStrictEqual(sent, ['a1', 'b1', 'b2']);
+    assert.deepStrictEqual(pushed.map(e => e.event_id), ['a1', 'b1', 'b2']);
+    assert.deepStrictEqual(held.map(e => e.event_id), ['a2', 'a3']);
+  });
+
+  it('keys entities by type and id', async () => {
+    const events = [event('a1', 'X'), { event_id: 't1', entity_type: 'thread', entity_id: 'X' }];
+    const { held } = await pushInEntityOrder(events, async (e) => e.event_id !== 'a1');
+    assert.deepStrictEqual(held, []);
+  });
+
+  it('stops the batch when a push throws', async () => {
+    const sent = [];
+    await assert.rejects(
+      pushInEntityOrder([event('a1', 'A'), event('b1', 'B')], async (e) => {
+        sent.push(e.event_id);
+        throw new Error('cloud unreachable');
+      }),
+      /cloud unreachable/
+    );
+    assert.deepStrictEqual(sent, ['a1']);
+  });
+});
@@ -3,10 +3,16 @@
  *
  * Push-only synchronization from local outbox to cloud.
  * Reads outbox_events, batches them, and POSTs to cloud API.
+ *
+ * Rejected events carry their own retry state (attempts, last_error,
+ * next_attempt_at) and are dead-lettered after SYNC_MAX_EVENT_ATTEMPTS,
+ * so a single poison event never blocks the rest of the queue; it only
+ * holds back the later events of its own entity.
  */
 
 import pg from 'pg';
 import { config, log } from './config.js';
+import { buildFetchPendingEvents, nextEventFailure, pushInEntityOrder } from './outbox.js';
 
 const { Pool } = pg;
 
@@ -30,17 +36,11 @@ function getPool() {
 }
 
 /**
- * Fetch pending events from outbox
+ * Fetch pending events from outbox (see buildFetchPendingEvents)
  */
 async function fetchPendingEvents(limit) {
-  const result = await getPool().query(
-    `SELECT event_id, entity_type, entity_id, op, payload, created_at
-     FROM outbox_events
-     WHERE synced_at IS NULL
-     ORDER BY created_at ASC
-     LIMIT $1`,
-    [limit]
-  );
+  const { sql, params } = buildFetchPendingEvents(limit);
+  const result = await getPool().query(sql, params);
   return result.rows;
 }
 
@@ -59,11 +59,68 @@ async function markEventsSynced(eventIds) {
 }
 
 /**
- * Get pending count
+ * Record a failed attempt for an event.
+ * Schedules the next attempt with exponential backoff, or dead-letters the
+ * event once it has used up syncMaxEventAttempts.
+ */
+async function recordEventFailure(eventId, reason) {
+  const current = await getPool().query(
+    'SELECT attempts FROM outbox_events WHERE event_id = $1',
+    [eventId]
+  );
+  if (current.rows.length === 0) return null;
+
+  const failure = nextEventFailure(current.rows[0].attempts, {
+    backoffMs: config.eventBackoffMs,
+    maxBackoffMs: config.maxEventBackoffMs,
+    maxAttempts: config.syncMaxEventAttempts
+  });
+  const result = await getPool().query(
+    `UPDATE outbox_events
+     SET attempts = $3,
+         last_error = $2,
+         last_attempt_at = NOW(),
+         next_attempt_at = NOW() + make_interval(secs => $4::float8 / 1000),
+         dead_lettered_at = CASE WHEN $5::boolean THEN NOW() ELSE NULL END
+     WHERE event_id = $1
+     RETURNING attempts, next_attempt_at, dead_lettered_at`,
+    [eventId, reason, failure.attempts, failure.retryInMs, failure.deadLettered]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Move an event straight to the dead-letter state (permanent rejection)
+ */
+async function deadLetterEvent(eventId, reason) {
+  await getPool().query(
+    `UPDATE outbox_events
+     SET attempts = attempts + 1,
+         last_error = $2,
+         last_attempt_at = NOW(),
+         next_attempt_at = NULL,
+         dead_lettered_at = NOW()
+     WHERE event_id = $1`,
+    [eventId, reason]
+  );
+}
+
+/**
+ * Get pending count (excludes dead-lettered events)
  */
 async function getPendingCount() {
   const result = await getPool().query(
-    'SELECT COUNT(*) as count FROM outbox_events WHERE synced_at IS NULL'
+    'SELECT COUNT(*) as count FROM outbox_events WHERE synced_at IS NULL AND dead_lettered_at IS NULL'
+  );
+  return parseInt(result.rows[0].count, 10);
+}
+
+/**
+ * Get dead-letter count
+ */
+async function getDeadLetterCount() {
+  const result = await getPool().query(
+    'SELECT COUNT(*) as count FROM outbox_events WHERE dead_lettered_at IS NOT NULL'
   );
   return parseInt(result.rows[0].count, 10);
 }
@@ -106,12 +163,55 @@ async function pushToCloud(payload) {
 
   if (!response.ok) {
     const text = await response.text().catch(() => 'No body');
-    throw new Error(`HTTP ${response.status}: ${text}`);
+    const err = new Error(`HTTP ${response.status}: ${text}`);
+    err.status = response.status;
+    throw err;
   }
 
   return response.json();
 }
 
+/**
+ * Whether a push error is caused by the events themselves (4xx), as opposed
+ * to the cloud being unreachable, overloaded or refusing our credentials.
+ */
+function isEventLevelError(err) {
+  return err.status >= 400 && err.status < 500 && ![401, 403, 408, 429].includes(err.status);
+}
+
+/**
+ * Push events one at a time, so a batch-level rejection is attributed to
+ * the event that caused it instead of blocking the whole queue. Once an
+ * event is rejected, the later events of its entity wait for the next cycle.
+ */
+async function pushIndividually(events) {
+  let accepted = 0;
+  let rejected = 0;
+
+  await pushInEntityOrder(events, async (event) => {
+    try {
+      const response = await pushToCloud(buildPayload([event]));
+      const result = await processSyncResponse(response, [event]);
+      accepted += result.accepted;
+      rejected += result.rejected;
+      return result.rejected === 0;
+    } catch (err) {
+      if (!isEventLevelError(err)) throw err;
+      const state = await recordEventFailure(event.event_id, err.message);
+      rejected++;
+      log.warn('Event rejected by cloud', {
+        eventId: event.event_id,
+        error: err.message,
+        attempts: state?.attempts,
+        deadLettered: !!state?.dead_lettered_at
+      });
+      return false;
+    }
+  });
+
+  return { accepted, rejected };
+}
+
 /**
  * Process sync response
  */
@@ -129,18 +229,22 @@ async function processSyncResponse(response, sentEvents) {
   for (const rejection of rejected) {
     const { eventId, reason } = rejection;
 
-    // Check if it's a permanent error (invalid schema, etc.)
-    const isPermanent = reason?.includes('invalid') ||
-                        reason?.includes('schema') ||
-                        reason?.includes('duplicate');
-
-    if (isPermanent) {
-      // Mark as synced to prevent retry
+    if (reason?.includes('duplicate')) {
+      // Cloud already has it
       await markEventsSynced([eventId]);
-      log.warn('Event permanently rejected', { eventId, reason });
+      log.warn('Event rejected as duplicate, marked synced', { eventId, reason });
+    } else if (reason?.includes('invalid') || reason?.includes('schema')) {
+      // Permanent error: retrying won't help, park it for an operator
+      await deadLetterEvent(eventId, reason);
+      log.warn('Event permanently rejected, dead-lettered', { eventId, reason });
     } else {
-      // Keep pending for retry
-      log.warn('Event temporarily rejected', { eventId, reason });
+      // Temporary: retry this event later with its own backoff
+      const state = await recordEventFailure(eventId, reason || 'rejected');
+      if (state?.dead_lettered_at) {
+        log.warn('Event dead-lettered after max attempts', { eventId, reason, attempts: state.attempts });
+      } else {
+        log.warn('Event temporarily rejected', { eventId, reason, attempts: state?.attempts, nextAttemptAt: state?.next_attempt_at });
+      }
     }
   }
 
@@ -188,11 +292,23 @@ async function syncCycle() {
     log.info('Syncing events', { count: events.length });
 
     // Build and send payload
-    const payload = buildPayload(events);
-    const response = await pushToCloud(payload);
+    let result;
+    try {
+      const payload = buildPayload(events);
+      const response = await pushToCloud(payload);
+
+      // Process response
+      result = await processSyncResponse(response, events);
+    } catch (err) {
+      if (!isEventLevelError(err)) throw err;
 
-    // Process response
-    const result = await processSyncResponse(response, events);
+      // Whole batch refused: isolate the offending event(s)
+      log.warn('Batch rejected, retrying events individually', {
+        error: err.message,
+        count: events.length
+      });
+      result = await pushIndividually(events);
+    }
 
     lastSyncAt = new Date().toISOString();
     resetBackoff();
@@ -260,7 +376,8 @@ async function startSyncLoop() {
 
   // Initial pending count
   const pending = await getPendingCount();
-  log.info('Sync engine ready', { pendingEvents: pending });
+  const deadLettered = await getDeadLetterCount();
+  log.info('Sync engine ready', { pendingEvents: pending, deadLetteredEvents: deadLettered });
 
   // Main loop
   while (true) {
@@ -275,6 +392,7 @@ async function startSyncLoop() {
 export async function getSyncStatus() {
   try {
     const pendingCount = await getPendingCount();
+    const deadLetterCount = await getDeadLetterCount();
 
     // Try to reach cloud
     let cloudReachable = false;
@@ -292,6 +410,7 @@ export async function getSyncStatus() {
       cloudReachable,
       lastSyncAt,
       pendingCount,
+      deadLetterCount,
       consecutiveFailures,
       syncEnabled,
       config: {
@@ -299,7 +418,8 @@ export async function getSyncStatus() {
         agentId: config.agentId,
         labId: config.labId,
         batchSize: config.syncBatchSize,
-        intervalMs: config.syncIntervalMs
+        intervalMs: config.syncIntervalMs,
+        maxEventAttempts: config.syncMaxEventAttempts
       }
     };
   } catch (err) {